@@ -1,5 +1,6 @@
 import { PubSub } from '../../lib/pubsub.js';
 import { initDefaults } from '../../lib/init_defaults.js';
+import { random } from '../../lib/random.js';
 import { WhippableParametersMixin } from '../../lib/mixins/whippable_parameters.js';
 
 /**
@@ -155,6 +156,15 @@ class SonofireBaseCore extends HTMLElement {
         return PubSub.last(topic);
     }
 
+    /**
+     * Random stream for this component's generative choices (see lib/random.js)
+     * Named by id, so each component's draws don't depend on the others'.
+     * @returns {RandomStream}
+     */
+    get rng() {
+        return random.stream(this.id || this.tagName.toLowerCase());
+    }
+
     /**
      * Render the component
      * Subclasses should override
@@ -239,6 +249,20 @@ class SonofireBaseCore extends HTMLElement {
     $$(selector) {
         return this.root.querySelectorAll(selector);
     }
+
+    /**
+     * Helper: Escape text for use in HTML content and quoted attributes (e.g. device names)
+     * @param {string} text
+     * @returns {string}
+     */
+    escapeHTML(text) {
+        return String(text)
+            .replace(/&/g, '&amp;')
+            .replace(/</g, '&lt;')
+            .replace(/>/g, '&gt;')
+            .replace(/"/g, '&quot;')
+            .replace(/'/g, '&#39;');
+    }
 }
 
 // Apply WhippableParametersMixin to the base class
@@ -7,6 +7,10 @@ import { SCALES, SCALE_TONES } from '../../lib/midi_data.js';
  * Provides common functionality for data loading and visualization
  */
 class SonofireVisualizerBaseCore extends SonofireBase {
+    // Number of ticks to sweep full width at 1x speed
+    // At 24 PPQN and 90 BPM, 960 ticks = 40 beats = ~27 seconds
+    static TICKS_PER_FULL_SWEEP = 960;
+
     constructor() {
         super();
 
@@ -126,6 +130,11 @@ class SonofireVisualizerBaseCore extends SonofireBase {
 
         // Setup playhead-related subscriptions (from mixin)
         this.setupPlayheadSubscriptions();
+
+        // Subscribe to chord changes to publish lookahead data
+        this.subscribe('music:chord', (chordData) => {
+            this.handleChordChangeForLookahead(chordData);
+        });
     }
 
     /**
@@ -181,6 +190,18 @@ class SonofireVisualizerBaseCore extends SonofireBase {
         // Subclasses can override to update their visual rendering
     }
 
+    /**
+     * Get the number of ticks a playhead takes to sweep the data domain once
+     * Ends on the last step before the playhead wraps back to the start.
+     * @param {Playhead} playhead
+     * @returns {number}
+     */
+    getSweepTicks(playhead) {
+        // Fast playheads still step once per tick; slow ones step every 1/speed ticks
+        const ticksPerStep = playhead.speed >= 1 ? 1 : Math.round(1 / playhead.speed);
+        return (this.constructor.TICKS_PER_FULL_SWEEP - 1) * ticksPerStep;
+    }
+
     /**
      * Handle pool/tonic change from Conductor
      * Override from mixin to add visualizer-specific behavior
@@ -316,6 +337,99 @@ class SonofireVisualizerBaseCore extends SonofireBase {
         });
     }
 
+    // ========================================
+    // Lookahead (Phrase Planning)
+    // ========================================
+
+    /**
+     * Get lookahead data window for phrase planning
+     * Subclasses should override
+     * @param {Playhead} playhead - The playhead to look ahead from
+     * @param {number} ticksAhead - How many ticks to look ahead
+     * @returns {Array} Array of upcoming data points ({ normalizedValue, ... })
+     */
+    getLookaheadData(playhead, ticksAhead) {
+        // Subclasses implement
+        return [];
+    }
+
+    /**
+     * Calculate linear regression trend for lookahead data
+     * @param {Array} dataPoints - Array of {x, y, normalizedValue} objects
+     * @returns {Object} { slope, direction, confidence }
+     */
+    calculateDataTrend(dataPoints) {
+        if (dataPoints.length < 2) {
+            return { slope: 0, direction: 'flat', confidence: 0 };
+        }
+
+        // Simple linear regression: y = mx + b
+        const n = dataPoints.length;
+        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
+
+        dataPoints.forEach((point, i) => {
+            sumX += i;
+            sumY += point.normalizedValue;
+            sumXY += i * point.normalizedValue;
+            sumX2 += i * i;
+        });
+
+        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
+        const direction = slope > 0.05 ? 'rising' : slope < -0.05 ? 'falling' : 'flat';
+        const confidence = Math.min(Math.abs(slope) * 2, 1.0);
+
+        return { slope, direction, confidence };
+    }
+
+    /**
+     * Handle chord change by publishing lookahead data for each playhead
+     */
+    handleChordChangeForLookahead(chordData) {
+        const name = this.constructor.name;
+
+        // Wait a moment for music:nextChord to be published
+        setTimeout(() => {
+            const nextChordInfo = this.getLastValue('music:nextChord');
+            if (!nextChordInfo) {
+                console.log(`${name}: No next chord info available for lookahead`);
+                return;
+            }
+
+            // For each active playhead, publish lookahead data
+            this.playheads.forEach((playhead, index) => {
+                if (!playhead.enabled) return;
+
+                const lookaheadData = this.getLookaheadData(playhead, nextChordInfo.ticksUntilChange);
+                const trend = this.calculateDataTrend(lookaheadData);
+
+                const payload = {
+                    visualizerId: this.getVisualizerId(),
+                    playheadId: playhead.id,
+                    dataPoints: lookaheadData,
+                    trend: trend,
+                    estimatedEventCount: lookaheadData.length,
+                    ticksUntilChord: nextChordInfo.ticksUntilChange
+                };
+
+                // Publish per-playhead lookahead topic
+                const topic = `data:lookahead:${playhead.id}`;
+                this.publish(topic, payload);
+
+                // Also publish to general topic for first playhead (backward compatibility)
+                if (index === 0) {
+                    this.publish('data:lookahead', payload);
+                }
+
+                console.log(`${name}: Published lookahead for playhead ${playhead.id}:`, {
+                    eventCount: lookaheadData.length,
+                    trend: trend.direction,
+                    slope: trend.slope.toFixed(3),
+                    topics: index === 0 ? ['data:lookahead', topic] : [topic]
+                });
+            });
+        }, 100); // Wait 100ms for next chord to be published
+    }
+
     // ========================================
     // Resize Functionality
     // ========================================
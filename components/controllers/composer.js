@@ -1,6 +1,8 @@
 import { SonofireBase } from '../base/sonofire_base.js';
 import { generateProgression, voiceChord, selectNextTonicByFunction, getChordQualityForDegreeInPool } from '../../lib/music_theory.js';
 import { harmonicContext } from '../../lib/harmonic_context.js';
+import { midiClock } from '../../lib/midi_clock.js';
+import { midiInput } from '../../lib/midi_input.js';
 
 /**
  * Composer Component
@@ -327,7 +329,7 @@ export class SonofireComposer extends SonofireBase {
 
         for (let i = 0; i < length; i++) {
             // ALWAYS advance to next degree/tonic first (we're generating the NEXT chord after the last kept chord)
-            const next = selectNextTonicByFunction(currentDegree, startTonicNote, poolKey, style);
+            const next = selectNextTonicByFunction(currentDegree, startTonicNote, poolKey, style, this.rng);
             currentDegree = next.degree;
             currentTonicNote = next.tonicNote;
 
@@ -354,14 +356,10 @@ export class SonofireComposer extends SonofireBase {
      * Handle clock tick
      */
     handleClockTick(clockData) {
-        const { tick, ppqn } = clockData;
+        const { bar, tickInBar } = clockData;
 
-        // Calculate ticks per chord change
-        const ticksPerBar = ppqn * 4; // Assuming 4/4 time
-        const ticksPerChord = ticksPerBar * this.barsPerChord;
-
-        // Advance chord on chord boundaries
-        if (tick % ticksPerChord === 0 && tick > 0) {
+        // Advance chord on chord boundaries (bars are tracked by the clock across meter changes)
+        if (tickInBar === 0 && bar > 0 && bar % this.barsPerChord === 0) {
             this.advanceChord();
         }
     }
@@ -483,7 +481,7 @@ export class SonofireComposer extends SonofireBase {
 
             // Select next degree/tonic for next iteration (if not last chord)
             if (i < length - 1) {
-                const next = selectNextTonicByFunction(currentDegree, startTonicNote, poolKey, style);
+                const next = selectNextTonicByFunction(currentDegree, startTonicNote, poolKey, style, this.rng);
                 currentDegree = next.degree;
                 currentTonicNote = next.tonicNote;
             }
@@ -516,6 +514,11 @@ export class SonofireComposer extends SonofireBase {
 
         this.currentChord = this.progression[this.progressionIndex];
 
+        // A chord played on a MIDI keyboard stands in for the progression
+        if (midiInput.isOverridingChord()) {
+            return;
+        }
+
         // Voice the chord
         const voicing = voiceChord(this.currentChord, this.voicingType);
 
@@ -549,12 +552,10 @@ export class SonofireComposer extends SonofireBase {
      * @returns {number} Ticks remaining until next chord
      */
     calculateTicksUntilNextChord() {
-        const ppqn = 24; // From MIDI clock
-        const ticksPerBar = ppqn * 4; // 4/4 time
-        const ticksPerChord = ticksPerBar * this.barsPerChord;
-        const currentTick = this.getLastValue('clock:tick')?.tick || 0;
-        const ticksIntoCurrentChord = currentTick % ticksPerChord;
-        return ticksPerChord - ticksIntoCurrentChord;
+        const currentTick = midiClock.getCurrentTick();
+        const currentBar = midiClock.getCurrentBar();
+        const nextChordBar = (Math.floor(currentBar / this.barsPerChord) + 1) * this.barsPerChord;
+        return midiClock.getTickForBar(nextChordBar) - currentTick;
     }
 
     /**
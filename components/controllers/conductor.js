@@ -1,6 +1,11 @@
 import { SonofireBase } from '../base/sonofire_base.js';
 import { midiClock } from '../../lib/midi_clock.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { midiRecorder } from '../../lib/midi_recorder.js';
+import { offlineRenderer } from '../../lib/offline_renderer.js';
 import { harmonicContext } from '../../lib/harmonic_context.js';
+import { random } from '../../lib/random.js';
 
 /**
  * Conductor Component
@@ -19,6 +24,14 @@ export class SonofireConductor extends SonofireBase {
         this.mood = 'relaxed'; // 'tense' | 'relaxed' | 'sparse' | 'dense'
         this.density = 0.5; // 0.0 (sparse) → 1.0 (full/dense)
         this.timeSignature = '4/4'; // '2/4' | '3/4' | '4/4' | '5/4' | '6/8'
+        this.clockSource = 'internal'; // 'internal' or name of a MIDI input to follow
+        this.syncOutputs = []; // Names of MIDI outputs that receive clock/transport sync
+        this.tempoMap = []; // Scheduled tempo changes, e.g. [{ bar: 8, bpm: 140, ramp: 'linear', bars: 4 }]
+        this.meterMap = []; // Scheduled time signature changes, e.g. [{ bar: 16, timeSignature: '3/4' }]
+        this.seed = null; // Random seed for every generator (null = a fresh one per page load)
+        this.tuning = null; // Tuning URL: Scala .scl or JSON cents table (null = 12-TET)
+        this.tuningMap = null; // Scala .kbm keyboard mapping URL
+        this.tuningMIDI = 'none'; // How MIDI devices follow the tuning: 'mts', 'bend' or 'none'
 
         // Pool/tonic notation (new system)
         this.poolKey = null;     // e.g., "3♯", "0", "2♭"
@@ -37,7 +50,15 @@ export class SonofireConductor extends SonofireBase {
             'data-tonic',
             'data-tempo',
             'data-mode',
-            'data-time-signature'
+            'data-time-signature',
+            'data-clock-source',
+            'data-sync-outputs',
+            'data-tempo-map',
+            'data-meter-map',
+            'data-seed',
+            'data-tuning',
+            'data-tuning-map',
+            'data-tuning-midi'
         ];
     }
 
@@ -58,6 +79,39 @@ export class SonofireConductor extends SonofireBase {
         this.tempo = parseInt(this.getAttribute('data-tempo')) || 120;
         this.mode = this.getAttribute('data-mode') || 'manual';
         this.timeSignature = this.getAttribute('data-time-signature') || '4/4';
+        this.clockSource = this.getAttribute('data-clock-source') || 'internal';
+        this.seed = this.getAttribute('data-seed');
+        this.tuning = this.getAttribute('data-tuning');
+        this.tuningMap = this.getAttribute('data-tuning-map');
+        this.tuningMIDI = this.getAttribute('data-tuning-midi') || 'none';
+
+        // Comma-separated MIDI output names, e.g. "IAC Driver Bus 1, TR-8"
+        const syncOutputsAttr = this.getAttribute('data-sync-outputs');
+        this.syncOutputs = syncOutputsAttr
+            ? syncOutputsAttr.split(',').map(name => name.trim()).filter(Boolean)
+            : [];
+
+        // JSON array of tempo changes (see lib/tempo_map.js)
+        const tempoMapAttr = this.getAttribute('data-tempo-map');
+        if (tempoMapAttr) {
+            try {
+                this.tempoMap = JSON.parse(tempoMapAttr);
+            } catch (e) {
+                console.error('Conductor: invalid data-tempo-map JSON:', e);
+                this.tempoMap = [];
+            }
+        }
+
+        // JSON array of time signature changes by section (see lib/meter_map.js)
+        const meterMapAttr = this.getAttribute('data-meter-map');
+        if (meterMapAttr) {
+            try {
+                this.meterMap = JSON.parse(meterMapAttr);
+            } catch (e) {
+                console.error('Conductor: invalid data-meter-map JSON:', e);
+                this.meterMap = [];
+            }
+        }
     }
 
     /**
@@ -66,6 +120,41 @@ export class SonofireConductor extends SonofireBase {
     setupSubscriptions() {
         super.setupSubscriptions();
 
+        // When following an external clock, its Start/Stop drive the transport
+        this.subscribe('clock:start', (msg) => {
+            if (msg.source === 'external') {
+                this.publish('transport:play', { timestamp: Date.now() });
+            }
+        });
+
+        this.subscribe('clock:stop', (msg) => {
+            if (msg.source === 'external') {
+                this.publish('transport:stop', { timestamp: Date.now() });
+            }
+        });
+
+        // The clock announces time signature changes on the downbeat they take effect
+        this.subscribe('context:timeSignature', (msg) => {
+            this.timeSignature = msg.timeSignature;
+
+            const timeSignatureSelect = this.$('#time-signature-select');
+            if (timeSignatureSelect) {
+                timeSignatureSelect.value = msg.timeSignature;
+            }
+            this.updatePendingTimeSignature();
+        });
+
+        // Reflect tempo derived from the external clock or the tempo map
+        this.subscribe('clock:tempo', (msg) => {
+            if (msg.source === 'external') {
+                this.tempo = msg.bpm;
+            }
+            const tempoInput = this.$('#tempo-input');
+            if (tempoInput && msg.source) {
+                tempoInput.value = Math.round(msg.bpm);
+            }
+        });
+
         if (this.mode === 'auto') {
             // In auto mode, listen to data events to adjust mood/density
             this.subscribe('data:forecast', (msg) => {
@@ -90,8 +179,8 @@ export class SonofireConductor extends SonofireBase {
             max: 240,
             elementSelector: '#tempo-input',
             setter: (value) => {
-                const bpm = Math.round(value);
-                this.setTempo(bpm);
+                // Glide rather than jump so automation doesn't step audibly
+                this.rampTempo(value);
             }
         });
 
@@ -195,6 +284,11 @@ export class SonofireConductor extends SonofireBase {
     connectedCallback() {
         super.connectedCallback();
 
+        // Seed before publishing any context: that's what sets the generators going
+        if (this.seed !== null) {
+            this.setSeed(this.seed);
+        }
+
         // Set initial harmonic context
         // Prefer pool/tonic notation if provided
         if (this.poolKey && this.tonicName) {
@@ -217,6 +311,29 @@ export class SonofireConductor extends SonofireBase {
         // Register whippable parameters (after render)
         this.registerWhippableParameters();
 
+        // Load scheduled meter changes first: tempo map bars are resolved through the meter map
+        if (this.meterMap.length > 0) {
+            this.setMeterMap(this.meterMap);
+        }
+
+        // Load scheduled tempo changes
+        if (this.tempoMap.length > 0) {
+            this.setTempoMap(this.tempoMap);
+        }
+
+        // Enable clock/transport sync for configured MIDI outputs
+        this.syncOutputs.forEach(name => midiOutput.setSyncEnabled(name, true));
+
+        // Retune voices (and MIDI devices) if configured
+        if (this.tuning) {
+            this.loadTuning(this.tuning, this.tuningMap);
+        }
+
+        // Follow an external MIDI clock if configured
+        if (this.clockSource !== 'internal') {
+            this.setClockSource(this.clockSource);
+        }
+
         // Start MIDI Clock if auto-start is enabled
         if (this.config.autoStart) {
             this.startClock();
@@ -419,44 +536,64 @@ export class SonofireConductor extends SonofireBase {
 
     /**
      * Set the time signature
+     * The MIDI Clock applies it on the next downbeat and publishes
+     * context:timeSignature then, so bars are never cut short.
      */
     setTimeSignature(timeSignature) {
-        this.timeSignature = timeSignature;
-
-        // Parse time signature to get beats and note value
-        const [beatsPerBar, noteValue] = timeSignature.split('/').map(n => parseInt(n));
-
-        // Calculate sixteenths per bar (varies by time signature)
-        let sixteenthsPerBar;
-        if (noteValue === 8 && beatsPerBar === 6) {
-            // 6/8 time: 2 dotted quarter beats, 12 sixteenth notes per bar
-            sixteenthsPerBar = 12;
-        } else {
-            // Standard time signatures: beatsPerBar * 4 sixteenths
-            sixteenthsPerBar = beatsPerBar * 4;
+        const bar = midiClock.queueTimeSignature(timeSignature);
+        if (bar === null) {
+            return;
         }
 
-        this.publish('context:timeSignature', {
-            timeSignature,
-            beatsPerBar,
-            noteValue,
-            sixteenthsPerBar
-        });
-
-        console.log(`Conductor: Time signature set to ${timeSignature} (${sixteenthsPerBar} sixteenths per bar)`);
+        console.log(`Conductor: Time signature ${timeSignature} queued for bar ${bar}`);
 
-        // Update UI to show new time signature
+        // Update UI to show the chosen time signature
         const timeSignatureSelect = this.$('#time-signature-select');
         if (timeSignatureSelect) {
             timeSignatureSelect.value = timeSignature;
         }
+        this.updatePendingTimeSignature();
+    }
+
+    /**
+     * Replace the scheduled time signature changes
+     * @param {Array<Object>} changes - e.g. [{ bar: 16, timeSignature: '3/4' }]
+     */
+    setMeterMap(changes) {
+        this.meterMap = changes;
+        midiClock.meterMap.load(changes);
+        console.log(`Conductor: Meter map loaded (${midiClock.meterMap.getChanges().length} change(s))`);
+    }
+
+    /**
+     * Show the queued time signature change that hasn't reached its downbeat yet
+     */
+    updatePendingTimeSignature() {
+        const pendingLabel = this.$('#time-signature-pending');
+        if (!pendingLabel) {
+            return;
+        }
+
+        const currentBar = midiClock.getCurrentBar();
+        const pending = midiClock.meterMap.getQueued().filter(change => change.bar > currentBar);
+        const next = pending[pending.length - 1];
+
+        pendingLabel.textContent = next && next.timeSignature !== this.timeSignature
+            ? `→ ${next.timeSignature} at bar ${next.bar + 1}`
+            : '';
     }
 
     /**
      * Start the MIDI Clock
      */
     startClock() {
-        midiClock.start(this.tempo);
+        // Continue from where the transport was stopped; Rewind returns to tick 0
+        // (resume keeps the tempo map position rather than re-applying this.tempo)
+        if (midiClock.getCurrentTick() > 0) {
+            midiClock.resume();
+        } else {
+            midiClock.start(this.tempo);
+        }
         console.log(`Conductor: MIDI Clock started at ${this.tempo} BPM`);
     }
 
@@ -468,10 +605,102 @@ export class SonofireConductor extends SonofireBase {
         console.log('Conductor: MIDI Clock stopped');
     }
 
+    /**
+     * Choose the clock source
+     * @param {string} source - 'internal' or the name of a MIDI input to follow
+     * @returns {Promise<boolean>} True if the source was applied
+     */
+    async setClockSource(source) {
+        if (source === 'internal') {
+            midiClock.setMode('master');
+        } else if (!await midiClock.followInput(source)) {
+            console.warn(`Conductor: MIDI input "${source}" not found, keeping internal clock`);
+            source = 'internal';
+            midiClock.setMode('master');
+        }
+
+        this.clockSource = source;
+        console.log(`Conductor: Clock source set to ${source}`);
+
+        const clockSourceSelect = this.$('#clock-source-select');
+        if (clockSourceSelect) {
+            clockSourceSelect.value = source;
+        }
+
+        const tempoInput = this.$('#tempo-input');
+        if (tempoInput) {
+            tempoInput.disabled = source !== 'internal';
+        }
+
+        return source !== 'internal';
+    }
+
+    /**
+     * Populate the clock source dropdown with the available MIDI inputs
+     */
+    async refreshClockSourceOptions() {
+        const clockSourceSelect = this.$('#clock-source-select');
+        if (!clockSourceSelect) {
+            return;
+        }
+
+        const inputs = await midiClock.getInputs();
+        clockSourceSelect.innerHTML = this.renderClockSourceOptions(inputs.map(i => i.name));
+    }
+
+    /**
+     * Enable or disable clock/transport sync for a MIDI output
+     * @param {string} outputName - MIDI output name
+     * @param {boolean} enabled - Whether the output receives sync
+     */
+    setSyncOutput(outputName, enabled) {
+        midiOutput.setSyncEnabled(outputName, enabled);
+
+        this.syncOutputs = this.syncOutputs.filter(name => name !== outputName);
+        if (enabled) {
+            this.syncOutputs.push(outputName);
+        }
+    }
+
+    /**
+     * Render a checkbox per MIDI output for choosing which devices receive sync
+     */
+    refreshSyncOutputOptions() {
+        const container = this.$('#sync-outputs');
+        if (!container) {
+            return;
+        }
+
+        const outputs = midiOutput.getOutputs();
+        if (outputs.length === 0) {
+            container.innerHTML = '<span style="color: #888;">No MIDI outputs (initialize audio outputs first)</span>';
+            return;
+        }
+
+        container.innerHTML = outputs.map((output, index) => `
+            <label style="display: block;">
+                <input type="checkbox" data-output-index="${index}" ${midiOutput.isSyncEnabled(output.name) ? 'checked' : ''}>
+                ${output.name}
+            </label>
+        `).join('');
+
+        container.querySelectorAll('input[type="checkbox"]').forEach(checkbox => {
+            checkbox.onchange = (e) => {
+                const output = outputs[parseInt(e.target.dataset.outputIndex)];
+                this.setSyncOutput(output.name, e.target.checked);
+            };
+        });
+    }
+
     /**
      * Set tempo
      */
     setTempo(bpm) {
+        // Tempo comes from the external source while following a MIDI clock
+        if (this.clockSource !== 'internal') {
+            return;
+        }
+
         this.tempo = bpm;
         midiClock.setBPM(bpm);
         console.log(`Conductor: Tempo set to ${bpm} BPM`);
@@ -483,6 +712,62 @@ export class SonofireConductor extends SonofireBase {
         }
     }
 
+    /**
+     * Glide to a tempo over one beat (used by tempo automation)
+     * @param {number} bpm - Target tempo (fractional values allowed)
+     */
+    rampTempo(bpm) {
+        if (this.clockSource !== 'internal') {
+            return;
+        }
+
+        this.tempo = bpm;
+        midiClock.rampTo(bpm, { beats: 1, ramp: 'linear' });
+
+        const tempoInput = this.$('#tempo-input');
+        if (tempoInput) {
+            tempoInput.value = Math.round(bpm);
+        }
+    }
+
+    /**
+     * Replace the scheduled tempo changes
+     * @param {Array<Object>} changes - e.g. [{ bar: 8, bpm: 140, ramp: 'linear', bars: 4 }]
+     */
+    setTempoMap(changes) {
+        this.tempoMap = changes;
+        midiClock.tempoMap.load(changes);
+        console.log(`Conductor: Tempo map loaded (${midiClock.tempoMap.getChanges().length} change(s))`);
+    }
+
+    /**
+     * Load a tuning for every pitched voice
+     * @param {string} url - Scala .scl or JSON cents table URL (see lib/tuning.js)
+     * @param {string|null} mappingUrl - Scala .kbm keyboard mapping URL
+     */
+    async loadTuning(url, mappingUrl = null) {
+        try {
+            const tuning = await audioRouter.loadTuning(url, mappingUrl, { midi: this.tuningMIDI });
+            console.log(`Conductor: Tuning set to ${tuning.name}`);
+        } catch (err) {
+            console.error('Conductor: Failed to load tuning:', err);
+        }
+    }
+
+    /**
+     * Reseed every generator (the same data and seed replay the same take)
+     * @param {number|string|null} seed - null picks a fresh seed
+     */
+    setSeed(seed) {
+        this.seed = random.setSeed(seed);
+        console.log(`Conductor: Random seed ${this.seed}`);
+
+        const seedInput = this.$('#seed-input');
+        if (seedInput) {
+            seedInput.value = this.seed;
+        }
+    }
+
     /**
      * Play - start MIDI clock and all visualizer playheads
      */
@@ -508,7 +793,7 @@ export class SonofireConductor extends SonofireBase {
     }
 
     /**
-     * Rewind - reset all visualizer playheads to 0 (stops clock)
+     * Rewind - reset all visualizer playheads and the clock position to 0 (stops clock)
      */
     rewind() {
         // Stop clock when rewinding
@@ -519,6 +804,89 @@ export class SonofireConductor extends SonofireBase {
         console.log('Conductor: Transport rewind (stopped + reset to 0)');
     }
 
+    /**
+     * Toggle recording of the performance
+     */
+    toggleRecording() {
+        if (midiRecorder.isRecording) {
+            midiRecorder.stop();
+        } else {
+            midiRecorder.start();
+        }
+        this.updateRecorderButtons();
+    }
+
+    /**
+     * Download the recorded performance as a Standard MIDI File
+     */
+    exportMidiFile() {
+        if (!midiRecorder.hasRecording()) {
+            console.warn('Conductor: Nothing recorded to export');
+            return;
+        }
+
+        const blob = new Blob([midiRecorder.export()], { type: 'audio/midi' });
+        this.downloadBlob(blob, 'mid');
+
+        console.log('Conductor: Exported MIDI file');
+    }
+
+    /**
+     * Render one sweep of the first XY plot's first enabled playhead to a WAV download
+     * Runs offline (faster than real time); the clock must be stopped.
+     */
+    async renderWav() {
+        const plot = document.querySelector('sonofire-xy-plot');
+        if (!plot) {
+            console.warn('Conductor: No XY plot to render');
+            return;
+        }
+
+        const renderBtn = this.$('#render-wav-btn');
+        if (renderBtn) {
+            renderBtn.disabled = true;
+            renderBtn.textContent = '⏳ Rendering…';
+        }
+
+        try {
+            const blob = await offlineRenderer.renderSweep(plot);
+            this.downloadBlob(blob, 'wav');
+            console.log('Conductor: Rendered WAV file');
+        } catch (err) {
+            console.error('Conductor: Offline render failed:', err);
+        } finally {
+            if (renderBtn) {
+                renderBtn.disabled = false;
+                renderBtn.textContent = '🎧 Render .wav';
+            }
+        }
+    }
+
+    /**
+     * Download a file named after the current time
+     * @param {Blob} blob - File contents
+     * @param {string} extension - File extension (without the dot)
+     */
+    downloadBlob(blob, extension) {
+        const url = URL.createObjectURL(blob);
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = `sonofire-${new Date().toISOString().replace(/[:.]/g, '-')}.${extension}`;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
+    /**
+     * Reflect recorder state on the Record button
+     */
+    updateRecorderButtons() {
+        const recordBtn = this.$('#record-btn');
+        if (recordBtn) {
+            recordBtn.textContent = midiRecorder.isRecording ? '⏺ Recording…' : '⏺ Record';
+            recordBtn.style.background = midiRecorder.isRecording ? '#c72e2e' : '#0e639c';
+        }
+    }
+
     /**
      * Render the conductor UI
      */
@@ -567,14 +935,25 @@ export class SonofireConductor extends SonofireBase {
 
                 <div style="margin-bottom: 10px;">
                     <strong>Tempo ${this.getTargetLightHTML('tempo')}:</strong>
-                    <input type="number" id="tempo-input" value="${this.tempo}" min="40" max="240" style="width: 60px;">
+                    <input type="number" id="tempo-input" value="${Math.round(this.tempo)}" min="40" max="240" style="width: 60px;" ${this.clockSource !== 'internal' ? 'disabled' : ''}>
                     <span>BPM</span>
                 </div>
+                <div style="margin-bottom: 10px;">
+                    <strong>Clock:</strong>
+                    <select id="clock-source-select">
+                        ${this.renderClockSourceOptions()}
+                    </select>
+                    <details id="sync-outputs-details" style="display: inline-block; margin-left: 10px; vertical-align: top;">
+                        <summary style="cursor: pointer; color: #888;">Sync Out</summary>
+                        <div id="sync-outputs" style="margin-top: 5px;"></div>
+                    </details>
+                </div>
                 <div style="margin-bottom: 10px;">
                     <strong>Time Signature ${this.getTargetLightHTML('timeSignature')}:</strong>
                     <select id="time-signature-select">
                         ${this.renderTimeSignatureOptions()}
                     </select>
+                    <span id="time-signature-pending" style="margin-left: 10px; color: #888;"></span>
                 </div>
                 <div style="margin-bottom: 10px;">
                     <strong>Transport:</strong>
@@ -585,6 +964,19 @@ export class SonofireConductor extends SonofireBase {
                         (Controls MIDI clock and visualizer playheads)
                     </span>
                 </div>
+                <div style="margin-bottom: 10px;">
+                    <strong>Recorder:</strong>
+                    <button id="record-btn" style="background: ${midiRecorder.isRecording ? '#c72e2e' : '#0e639c'}; color: white; border: none; padding: 8px 16px; margin: 0 5px; cursor: pointer; font-size: 14px;">${midiRecorder.isRecording ? '⏺ Recording…' : '⏺ Record'}</button>
+                    <button id="export-midi-btn" style="background: #0e639c; color: white; border: none; padding: 8px 16px; margin: 0 5px; cursor: pointer; font-size: 14px;">💾 Export .mid</button>
+                    <button id="render-wav-btn" style="background: #0e639c; color: white; border: none; padding: 8px 16px; margin: 0 5px; cursor: pointer; font-size: 14px;" title="Render one playhead sweep offline">🎧 Render .wav</button>
+                </div>
+                <div style="margin-bottom: 10px;">
+                    <strong>Seed:</strong>
+                    <input type="text" id="seed-input" value="${random.getSeed()}" style="width: 110px;" title="Share with the dataset to reproduce this take">
+                    <span style="margin-left: 10px; color: #888;">
+                        (Same data + seed → same performance; clear for a fresh one)
+                    </span>
+                </div>
                 <div style="margin-bottom: 10px;">
                     <strong>Mood ${this.getTargetLightHTML('mood')}:</strong>
                     <select id="mood-select">
@@ -683,6 +1075,21 @@ export class SonofireConductor extends SonofireBase {
             this.setTempo(parseInt(e.target.value));
         };
 
+        // Enumerate MIDI inputs lazily so the page doesn't prompt for MIDI access on load
+        this.$('#clock-source-select').onfocus = () => {
+            this.refreshClockSourceOptions();
+        };
+
+        this.$('#clock-source-select').onchange = (e) => {
+            this.setClockSource(e.target.value);
+        };
+
+        this.$('#sync-outputs-details').ontoggle = (e) => {
+            if (e.target.open) {
+                this.refreshSyncOutputOptions();
+            }
+        };
+
         this.$('#time-signature-select').onchange = (e) => {
             this.setTimeSignature(e.target.value);
         };
@@ -699,6 +1106,22 @@ export class SonofireConductor extends SonofireBase {
             this.rewind();
         };
 
+        this.$('#record-btn').onclick = () => {
+            this.toggleRecording();
+        };
+
+        this.$('#export-midi-btn').onclick = () => {
+            this.exportMidiFile();
+        };
+
+        this.$('#render-wav-btn').onclick = () => {
+            this.renderWav();
+        };
+
+        this.$('#seed-input').onchange = (e) => {
+            this.setSeed(e.target.value.trim() || null);
+        };
+
         this.$('#mood-select').onchange = (e) => {
             this.setMood(e.target.value);
         };
@@ -755,6 +1178,19 @@ export class SonofireConductor extends SonofireBase {
         ).join('');
     }
 
+    renderClockSourceOptions(inputNames = []) {
+        const sources = [['internal', 'Internal (master)']];
+        const names = new Set(inputNames);
+        if (this.clockSource !== 'internal') {
+            names.add(this.clockSource);
+        }
+        names.forEach(name => sources.push([name, `Follow: ${name}`]));
+
+        return sources.map(([value, label]) =>
+            `<option value="${value}" ${value === this.clockSource ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
     renderPoolOptions() {
         const pools = ['6♯', '5♯', '4♯', '3♯', '2♯', '1♯', '0', '1♭', '2♭', '3♭', '4♭', '5♭'];
         const currentPool = this.poolKey || '0';
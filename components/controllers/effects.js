@@ -0,0 +1,244 @@
+import { SonofireBase } from '../base/sonofire_base.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { EffectsBus } from '../../lib/effects_bus.js';
+
+/**
+ * Effects Component
+ * Controls the Web Audio effects bus: reverb, tempo-synced delay and master compressor
+ * Settings are whip targets, so playheads can e.g. open up the reverb as data rises
+ * (per-channel send levels are on the Mixer)
+ */
+export class SonofireEffects extends SonofireBase {
+    // Numeric settings shown as sliders: setting -> { attribute, label, elementId, whippable }
+    static SLIDERS = {
+        reverbWet: { attribute: 'data-reverb-wet', label: 'Reverb Wet', elementId: 'reverb-wet', whippable: true },
+        reverbDecay: { attribute: 'data-reverb-decay', label: 'Reverb Decay (s)', elementId: 'reverb-decay', whippable: false },
+        delayWet: { attribute: 'data-delay-wet', label: 'Delay Wet', elementId: 'delay-wet', whippable: true },
+        delayFeedback: { attribute: 'data-delay-feedback', label: 'Delay Feedback', elementId: 'delay-feedback', whippable: true },
+        compressorThreshold: { attribute: 'data-compressor-threshold', label: 'Comp Threshold (dB)', elementId: 'compressor-threshold', whippable: true },
+        compressorRatio: { attribute: 'data-compressor-ratio', label: 'Comp Ratio', elementId: 'compressor-ratio', whippable: true }
+    };
+
+    constructor() {
+        super();
+
+        // Settings given as attributes, applied when connected
+        this.initialSettings = {};
+    }
+
+    /**
+     * Specify which attributes to observe
+     */
+    static get observedAttributes() {
+        return [
+            ...super.observedAttributes,
+            ...Object.values(SonofireEffects.SLIDERS).map(slider => slider.attribute),
+            'data-delay-division'
+        ];
+    }
+
+    /**
+     * Parse attributes
+     */
+    parseAttributes() {
+        super.parseAttributes();
+
+        this.initialSettings = {};
+        Object.entries(SonofireEffects.SLIDERS).forEach(([name, { attribute }]) => {
+            const value = parseFloat(this.getAttribute(attribute));
+            if (!isNaN(value)) {
+                this.initialSettings[name] = value;
+            }
+        });
+
+        const division = this.getAttribute('data-delay-division');
+        if (division) {
+            this.initialSettings.delayDivision = division;
+        }
+    }
+
+    /**
+     * Setup subscriptions
+     */
+    setupSubscriptions() {
+        super.setupSubscriptions();
+
+        // Settings can change from elsewhere (scripts, other components)
+        this.subscribe('synth:effect', (msg) => {
+            this.updateControl(msg.name);
+        });
+    }
+
+    /**
+     * Register settings as whip targets
+     */
+    registerWhippableParameters() {
+        Object.entries(SonofireEffects.SLIDERS).forEach(([name, { label, elementId, whippable }]) => {
+            if (!whippable) {
+                return; // Regenerates the impulse, too heavy to sweep
+            }
+
+            const { min, max } = EffectsBus.PARAMETERS[name];
+            this.registerWhippableParameter(name, {
+                label,
+                parameterType: 'number',
+                min,
+                max,
+                elementSelector: `#${elementId}-slider`,
+                setter: (value) => {
+                    audioRouter.setEffect(name, value);
+                }
+            });
+        });
+
+        // Register delayDivision parameter (sorted from longest to shortest)
+        this.registerWhippableParameter('delayDivision', {
+            label: 'Delay Division',
+            parameterType: 'select',
+            options: EffectsBus.PARAMETERS.delayDivision.options,
+            elementSelector: '#delay-division-select',
+            setter: (value) => {
+                const options = EffectsBus.PARAMETERS.delayDivision.options;
+                const index = Math.floor(value * options.length);
+                const division = options[Math.min(index, options.length - 1)];
+
+                // Only update if the division actually changed
+                if (division !== audioRouter.getEffect('delayDivision')) {
+                    audioRouter.setEffect('delayDivision', division);
+                }
+            }
+        });
+    }
+
+    /**
+     * Initialize effects when connected
+     */
+    connectedCallback() {
+        super.connectedCallback();
+
+        // Apply attribute settings
+        Object.entries(this.initialSettings).forEach(([name, value]) => {
+            audioRouter.setEffect(name, value);
+        });
+
+        // Register whippable parameters (after render)
+        this.registerWhippableParameters();
+    }
+
+    /**
+     * Reflect a setting on its control without a full re-render
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS)
+     */
+    updateControl(name) {
+        const value = audioRouter.getEffect(name);
+
+        if (name === 'delayDivision') {
+            const divisionSelect = this.$('#delay-division-select');
+            if (divisionSelect) {
+                divisionSelect.value = value;
+            }
+            return;
+        }
+
+        const slider = SonofireEffects.SLIDERS[name];
+        if (!slider) {
+            return;
+        }
+
+        const sliderElement = this.$(`#${slider.elementId}-slider`);
+        if (sliderElement) {
+            sliderElement.value = this.toSliderValue(name, value);
+        }
+
+        const valueDisplay = this.$(`#${slider.elementId}-value`);
+        if (valueDisplay) {
+            valueDisplay.textContent = value.toFixed(2);
+        }
+    }
+
+    /**
+     * Map a setting value to its slider position
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS)
+     * @param {number} value - Setting value
+     * @returns {number} 0-100
+     */
+    toSliderValue(name, value) {
+        const { min, max } = EffectsBus.PARAMETERS[name];
+        return (value - min) / (max - min) * 100;
+    }
+
+    /**
+     * Map a slider position to a setting value
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS)
+     * @param {number} position - 0-100
+     * @returns {number} Setting value
+     */
+    fromSliderValue(name, position) {
+        const { min, max } = EffectsBus.PARAMETERS[name];
+        return min + position / 100 * (max - min);
+    }
+
+    /**
+     * Render the effects UI
+     */
+    render() {
+        const sliders = Object.entries(SonofireEffects.SLIDERS).map(([name, { label, elementId, whippable }]) => {
+            const value = audioRouter.getEffect(name);
+            return `
+                <div style="margin-bottom: 10px;">
+                    <strong>${label}${whippable ? ` ${this.getTargetLightHTML(name)}` : ''}:</strong>
+                    <input type="range" id="${elementId}-slider" min="0" max="100" value="${this.toSliderValue(name, value)}" style="width: 200px;">
+                    <span id="${elementId}-value">${value.toFixed(2)}</span>
+                </div>
+            `;
+        }).join('');
+
+        const currentDivision = audioRouter.getEffect('delayDivision');
+        const divisionOptions = EffectsBus.PARAMETERS.delayDivision.options.map(division =>
+            `<option value="${division}" ${division === currentDivision ? 'selected' : ''}>${division}</option>`
+        ).join('');
+
+        this.innerHTML = `
+            <div style="background: #2d2d2d; padding: 15px; margin: 10px 0; border-left: 3px solid #4ec9b0;">
+                <h3 style="margin: 0 0 10px 0; color: #4ec9b0;">🌊 Effects</h3>
+                ${sliders}
+                <div style="margin-bottom: 10px;">
+                    <strong>Delay Division ${this.getTargetLightHTML('delayDivision')}:</strong>
+                    <select id="delay-division-select">
+                        ${divisionOptions}
+                    </select>
+                    <span style="margin-left: 10px; color: #888;">
+                        (Synced to the clock tempo; sends are on the Mixer)
+                    </span>
+                </div>
+            </div>
+        `;
+
+        this.setupEventHandlers();
+
+        // Sync target light colors with existing bindings
+        this.syncTargetLightColors();
+    }
+
+    /**
+     * Setup event handlers
+     */
+    setupEventHandlers() {
+        Object.entries(SonofireEffects.SLIDERS).forEach(([name, { elementId }]) => {
+            const slider = this.$(`#${elementId}-slider`);
+
+            // The impulse is rebuilt on every decay change, so only apply it on release
+            const event = name === 'reverbDecay' ? 'onchange' : 'oninput';
+            slider[event] = (e) => {
+                audioRouter.setEffect(name, this.fromSliderValue(name, parseInt(e.target.value)));
+            };
+        });
+
+        this.$('#delay-division-select').onchange = (e) => {
+            audioRouter.setEffect('delayDivision', e.target.value);
+        };
+    }
+}
+
+// Register custom element
+customElements.define('sonofire-effects', SonofireEffects);
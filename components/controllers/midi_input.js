@@ -0,0 +1,183 @@
+import { SonofireBase } from '../base/sonofire_base.js';
+import { midiInput } from '../../lib/midi_input.js';
+
+/**
+ * MIDI Input Component
+ * Play along on a MIDI keyboard: pick the input, play it thru on a channel,
+ * and let held chords take over the harmony from the Composer
+ */
+export class SonofireMIDIInput extends SonofireBase {
+    constructor() {
+        super();
+
+        this.inputName = null;     // Input to listen to (null = every input)
+        this.thruChannel = null;   // Channel to play input notes on (null = thru off)
+        this.chordOverride = false; // Whether held chords replace the Composer's
+        this.chordDelay = 40;      // Milliseconds held notes settle before they're named
+    }
+
+    /**
+     * Specify which attributes to observe
+     */
+    static get observedAttributes() {
+        return [
+            ...super.observedAttributes,
+            'data-input',
+            'data-thru-channel',
+            'data-chord-override',
+            'data-chord-delay'
+        ];
+    }
+
+    /**
+     * Parse attributes
+     */
+    parseAttributes() {
+        super.parseAttributes();
+
+        this.inputName = this.getAttribute('data-input') || null;
+        const thruChannel = parseInt(this.getAttribute('data-thru-channel'));
+        this.thruChannel = thruChannel >= 0 && thruChannel <= 15 ? thruChannel : null;
+        this.chordOverride = this.getAttribute('data-chord-override') === 'true';
+        const chordDelay = parseInt(this.getAttribute('data-chord-delay'));
+        this.chordDelay = chordDelay >= 0 ? chordDelay : 40;
+    }
+
+    /**
+     * Setup subscriptions
+     */
+    setupSubscriptions() {
+        super.setupSubscriptions();
+
+        // Offer inputs as they're plugged in and out
+        this.subscribe('midi:inputs', () => {
+            this.render();
+        });
+
+        this.subscribe('input:chord', () => {
+            this.updateStatus();
+        });
+
+        this.subscribe('input:note', () => {
+            this.updateStatus();
+        });
+    }
+
+    /**
+     * Start listening when connected
+     */
+    connectedCallback() {
+        super.connectedCallback();
+
+        midiInput.setInput(this.inputName);
+        midiInput.setThruChannel(this.thruChannel);
+        midiInput.setChordOverride(this.chordOverride);
+        midiInput.chordDelay = this.chordDelay;
+        midiInput.initialize();
+    }
+
+    /**
+     * Stop playing thru and overriding chords when removed
+     */
+    disconnectedCallback() {
+        midiInput.setThruChannel(null);
+        midiInput.setChordOverride(false);
+        super.disconnectedCallback();
+    }
+
+    /**
+     * Render input selector options
+     * A chosen input that's unplugged stays listed, so the choice isn't lost.
+     * @returns {string} HTML options for input selector
+     */
+    renderInputOptions() {
+        const names = midiInput.getInputs();
+        const options = [`<option value="" ${this.inputName === null ? 'selected' : ''}>All</option>`];
+        names.forEach(name => {
+            options.push(`<option value="${this.escapeHTML(name)}" ${name === this.inputName ? 'selected' : ''}>${this.escapeHTML(name)}</option>`);
+        });
+        if (this.inputName !== null && !names.includes(this.inputName)) {
+            options.push(`<option value="${this.escapeHTML(this.inputName)}" selected>${this.escapeHTML(this.inputName)} (disconnected)</option>`);
+        }
+        return options.join('');
+    }
+
+    /**
+     * Render thru channel selector options
+     * @returns {string} HTML options for thru channel selector
+     */
+    renderThruOptions() {
+        const options = [`<option value="" ${this.thruChannel === null ? 'selected' : ''}>Off</option>`];
+        for (let ch = 0; ch < 16; ch++) {
+            options.push(`<option value="${ch}" ${ch === this.thruChannel ? 'selected' : ''}>${ch + 1}</option>`);
+        }
+        return options.join('');
+    }
+
+    /**
+     * Show the held notes and chord without a full re-render
+     */
+    updateStatus() {
+        const status = this.$('#input-status');
+        if (!status) {
+            return;
+        }
+
+        const held = [...midiInput.heldNotes.keys()].sort((a, b) => a - b);
+        const chord = midiInput.heldChord?.chord;
+        const overriding = midiInput.isOverridingChord() ? ` | Harmony: ${midiInput.overrideChord.chord}` : '';
+        status.textContent = held.length > 0
+            ? `Held: ${held.join(' ')}${chord ? ` (${chord})` : ''}${overriding}`
+            : `Nothing held${overriding}`;
+    }
+
+    /**
+     * Render the MIDI input UI
+     */
+    render() {
+        this.innerHTML = `
+            <div style="background: #2d2d2d; padding: 15px; margin: 10px 0; border-left: 3px solid #c586c0;">
+                <h3 style="margin: 0 0 10px 0; color: #c586c0;">🎹 MIDI Input</h3>
+                <span style="color: #888;">
+                    Input:
+                    <select id="input-select" style="margin: 0 5px;">
+                        ${this.renderInputOptions()}
+                    </select>
+                    | Thru to channel:
+                    <select id="thru-select" style="margin: 0 5px;">
+                        ${this.renderThruOptions()}
+                    </select>
+                    | <label><input type="checkbox" id="chord-override-checkbox" ${this.chordOverride ? 'checked' : ''}> Held chords set the harmony</label>
+                </span>
+                <div id="input-status" style="margin-top: 10px; color: #888;"></div>
+            </div>
+        `;
+
+        this.setupEventHandlers();
+        this.updateStatus();
+    }
+
+    /**
+     * Setup event handlers
+     */
+    setupEventHandlers() {
+        this.$('#input-select').onchange = (e) => {
+            this.inputName = e.target.value || null;
+            midiInput.setInput(this.inputName);
+        };
+
+        this.$('#thru-select').onchange = (e) => {
+            this.thruChannel = e.target.value === '' ? null : parseInt(e.target.value);
+            midiInput.setThruChannel(this.thruChannel);
+        };
+
+        this.$('#chord-override-checkbox').onchange = (e) => {
+            this.chordOverride = e.target.checked;
+            midiInput.setChordOverride(this.chordOverride);
+            this.updateStatus();
+        };
+    }
+}
+
+// Register custom element
+customElements.define('sonofire-midi-input', SonofireMIDIInput);
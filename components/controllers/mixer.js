@@ -0,0 +1,276 @@
+import { SonofireBase } from '../base/sonofire_base.js';
+import { mixer } from '../../lib/mixer.js';
+
+/**
+ * Mixer Component
+ * A channel strip per MIDI channel: volume and pan faders, reverb and delay
+ * sends, mute, solo and a level meter
+ * Faders and sends are whip targets, so playheads can ride the mix
+ */
+export class SonofireMixer extends SonofireBase {
+    constructor() {
+        super();
+
+        this.channels = Array.from({ length: 16 }, (_, ch) => ch); // Channels with a strip on screen
+        this.meterFrame = null; // requestAnimationFrame handle for the level meters
+    }
+
+    /**
+     * Specify which attributes to observe
+     */
+    static get observedAttributes() {
+        return [
+            ...super.observedAttributes,
+            'data-channels'
+        ];
+    }
+
+    /**
+     * Parse attributes
+     */
+    parseAttributes() {
+        super.parseAttributes();
+
+        // Comma-separated MIDI channels (0-15), e.g. "0,1,4,9"
+        const channelsAttr = this.getAttribute('data-channels');
+        if (channelsAttr) {
+            this.channels = channelsAttr.split(',')
+                .map(ch => parseInt(ch.trim()))
+                .filter(ch => ch >= 0 && ch <= 15);
+        }
+    }
+
+    /**
+     * Setup subscriptions
+     */
+    setupSubscriptions() {
+        super.setupSubscriptions();
+
+        // Strips can change from elsewhere (scripts, solo on another channel)
+        this.subscribe('mixer:channel', (msg) => {
+            this.updateStrip(msg.channel);
+        });
+    }
+
+    /**
+     * Register each strip's faders as whip targets
+     */
+    registerWhippableParameters() {
+        this.channels.forEach(channel => {
+            this.registerWhippableParameter(`gain-${channel}`, {
+                label: `Ch ${channel + 1} Volume`,
+                parameterType: 'number',
+                min: 0.0,
+                max: 1.0,
+                elementSelector: `#gain-slider-${channel}`,
+                setter: (value) => {
+                    mixer.setGain(channel, value);
+                }
+            });
+
+            this.registerWhippableParameter(`pan-${channel}`, {
+                label: `Ch ${channel + 1} Pan`,
+                parameterType: 'number',
+                min: -1.0,
+                max: 1.0,
+                elementSelector: `#pan-slider-${channel}`,
+                setter: (value) => {
+                    mixer.setPan(channel, value);
+                }
+            });
+
+            ['reverb', 'delay'].forEach(effect => {
+                this.registerWhippableParameter(`${effect}-${channel}`, {
+                    label: `Ch ${channel + 1} ${effect === 'reverb' ? 'Reverb' : 'Delay'} Send`,
+                    parameterType: 'number',
+                    min: 0.0,
+                    max: 1.0,
+                    elementSelector: `#${effect}-slider-${channel}`,
+                    setter: (value) => {
+                        mixer.setSend(channel, effect, value);
+                    }
+                });
+            });
+        });
+    }
+
+    /**
+     * Initialize mixer when connected
+     */
+    connectedCallback() {
+        super.connectedCallback();
+
+        // Register whippable parameters (after render)
+        this.registerWhippableParameters();
+
+        this.startMeters();
+    }
+
+    /**
+     * Stop the meters when removed
+     */
+    disconnectedCallback() {
+        this.stopMeters();
+        super.disconnectedCallback();
+    }
+
+    /**
+     * Redraw the level meters every frame
+     */
+    startMeters() {
+        const draw = () => {
+            this.channels.forEach(channel => {
+                const meter = this.$(`#meter-${channel}`);
+                if (meter) {
+                    const level = Math.min(1, mixer.getLevel(channel));
+                    meter.style.width = `${level * 100}%`;
+                    meter.style.background = level > 0.9 ? '#c72e2e' : '#4ec9b0';
+                }
+            });
+            this.meterFrame = requestAnimationFrame(draw);
+        };
+        this.meterFrame = requestAnimationFrame(draw);
+    }
+
+    /**
+     * Stop redrawing the level meters
+     */
+    stopMeters() {
+        if (this.meterFrame !== null) {
+            cancelAnimationFrame(this.meterFrame);
+            this.meterFrame = null;
+        }
+    }
+
+    /**
+     * Reflect a strip's settings on its controls without a full re-render
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    updateStrip(channel) {
+        const strip = mixer.getStrip(channel);
+
+        const gainSlider = this.$(`#gain-slider-${channel}`);
+        if (gainSlider) {
+            gainSlider.value = strip.gain * 100;
+        }
+
+        const gainValue = this.$(`#gain-value-${channel}`);
+        if (gainValue) {
+            gainValue.textContent = strip.gain.toFixed(2);
+        }
+
+        const panSlider = this.$(`#pan-slider-${channel}`);
+        if (panSlider) {
+            panSlider.value = (strip.pan + 1) / 2 * 100;
+        }
+
+        const panValue = this.$(`#pan-value-${channel}`);
+        if (panValue) {
+            panValue.textContent = strip.pan.toFixed(2);
+        }
+
+        Object.entries(strip.sends).forEach(([effect, level]) => {
+            const sendSlider = this.$(`#${effect}-slider-${channel}`);
+            if (sendSlider) {
+                sendSlider.value = level * 100;
+            }
+        });
+
+        const muteBtn = this.$(`#mute-btn-${channel}`);
+        if (muteBtn) {
+            muteBtn.style.background = strip.mute ? '#c72e2e' : '#3c3c3c';
+        }
+
+        const soloBtn = this.$(`#solo-btn-${channel}`);
+        if (soloBtn) {
+            soloBtn.style.background = strip.solo ? '#d7ba7d' : '#3c3c3c';
+        }
+
+        const label = this.$(`#channel-label-${channel}`);
+        if (label) {
+            label.style.opacity = mixer.isAudible(channel) ? '1.0' : '0.4';
+        }
+    }
+
+    /**
+     * Render one channel strip
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string} HTML
+     */
+    renderStrip(channel) {
+        const strip = mixer.getStrip(channel);
+        const buttonStyle = 'color: white; border: none; padding: 2px 8px; margin: 0 2px; cursor: pointer;';
+
+        return `
+            <div style="display: flex; align-items: center; gap: 10px; margin-bottom: 6px;">
+                <strong id="channel-label-${channel}" style="width: 45px; opacity: ${mixer.isAudible(channel) ? '1.0' : '0.4'};">Ch ${channel + 1}</strong>
+                <span>Vol ${this.getTargetLightHTML(`gain-${channel}`)}</span>
+                <input type="range" id="gain-slider-${channel}" min="0" max="100" value="${strip.gain * 100}" style="width: 120px;">
+                <span id="gain-value-${channel}" style="width: 35px;">${strip.gain.toFixed(2)}</span>
+                <span>Pan ${this.getTargetLightHTML(`pan-${channel}`)}</span>
+                <input type="range" id="pan-slider-${channel}" min="0" max="100" value="${(strip.pan + 1) / 2 * 100}" style="width: 80px;">
+                <span id="pan-value-${channel}" style="width: 35px;">${strip.pan.toFixed(2)}</span>
+                <span>Rev ${this.getTargetLightHTML(`reverb-${channel}`)}</span>
+                <input type="range" id="reverb-slider-${channel}" min="0" max="100" value="${strip.sends.reverb * 100}" style="width: 60px;">
+                <span>Dly ${this.getTargetLightHTML(`delay-${channel}`)}</span>
+                <input type="range" id="delay-slider-${channel}" min="0" max="100" value="${strip.sends.delay * 100}" style="width: 60px;">
+                <button id="mute-btn-${channel}" style="${buttonStyle} background: ${strip.mute ? '#c72e2e' : '#3c3c3c'};">M</button>
+                <button id="solo-btn-${channel}" style="${buttonStyle} background: ${strip.solo ? '#d7ba7d' : '#3c3c3c'};">S</button>
+                <div style="flex: 1; height: 8px; background: #1e1e1e; min-width: 60px;">
+                    <div id="meter-${channel}" style="width: 0%; height: 100%; background: #4ec9b0;"></div>
+                </div>
+            </div>
+        `;
+    }
+
+    /**
+     * Render the mixer UI
+     */
+    render() {
+        this.innerHTML = `
+            <div style="background: #2d2d2d; padding: 15px; margin: 10px 0; border-left: 3px solid #4ec9b0;">
+                <h3 style="margin: 0 0 10px 0; color: #4ec9b0;">🎚️ Mixer</h3>
+                ${this.channels.map(channel => this.renderStrip(channel)).join('')}
+            </div>
+        `;
+
+        this.setupEventHandlers();
+
+        // Sync target light colors with existing bindings
+        this.syncTargetLightColors();
+    }
+
+    /**
+     * Setup event handlers
+     */
+    setupEventHandlers() {
+        this.channels.forEach(channel => {
+            this.$(`#gain-slider-${channel}`).oninput = (e) => {
+                mixer.setGain(channel, parseInt(e.target.value) / 100);
+            };
+
+            this.$(`#pan-slider-${channel}`).oninput = (e) => {
+                mixer.setPan(channel, parseInt(e.target.value) / 50 - 1);
+            };
+
+            this.$(`#reverb-slider-${channel}`).oninput = (e) => {
+                mixer.setSend(channel, 'reverb', parseInt(e.target.value) / 100);
+            };
+
+            this.$(`#delay-slider-${channel}`).oninput = (e) => {
+                mixer.setSend(channel, 'delay', parseInt(e.target.value) / 100);
+            };
+
+            this.$(`#mute-btn-${channel}`).onclick = () => {
+                mixer.setMute(channel, !mixer.getStrip(channel).mute);
+            };
+
+            this.$(`#solo-btn-${channel}`).onclick = () => {
+                mixer.setSolo(channel, !mixer.getStrip(channel).solo);
+            };
+        });
+    }
+}
+
+// Register custom element
+customElements.define('sonofire-mixer', SonofireMixer);
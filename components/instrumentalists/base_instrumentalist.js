@@ -1,5 +1,20 @@
 import { SonofireBase } from '../base/sonofire_base.js';
 import { audioRouter } from '../../lib/audio_router.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { GM_PROGRAMS } from '../../lib/midi_data.js';
+import { midiClock } from '../../lib/midi_clock.js';
+import { midiRecorder } from '../../lib/midi_recorder.js';
+import { PubSub } from '../../lib/pubsub.js';
+
+// Connected instrumentalists' channels: component id -> channel (0-15)
+const channelOwners = new Map();
+
+/**
+ * Publish which instrumentalist plays on which channel
+ */
+function publishChannels() {
+    PubSub.publish('instrumentalist:channels', { channels: Object.fromEntries(channelOwners) });
+}
 
 /**
  * Base Instrumentalist Component
@@ -15,6 +30,11 @@ export class BaseInstrumentalist extends SonofireBase {
         this.enabled = true;        // Whether this instrument is active
         this.muted = false;         // Whether this instrument is muted
         this.debug = false;         // Whether to log note output
+        this.voice = null;          // Web Audio voice for this channel (null = keep the channel's voice)
+        this.patch = null;          // Patch URL or inline JSON to load and play (see lib/synth_patch.js)
+        this.midiOutputName = null; // MIDI output device for this channel (null = keep the channel's routing)
+        this.program = null;        // MIDI program (0-127, e.g. a GM instrument) selected on this channel (null = device's own)
+        this.bank = null;           // MIDI bank (0-16383) selected before the program (null = device's own)
         this.currentChord = null;   // Current chord from Composer
         this.currentScale = [];     // Current scale notes
         this.currentKey = 'C';      // Current key name
@@ -42,7 +62,12 @@ export class BaseInstrumentalist extends SonofireBase {
         return [
             ...super.observedAttributes,
             'data-channel',
-            'data-enabled'
+            'data-enabled',
+            'data-voice',
+            'data-patch',
+            'data-midi-output',
+            'data-program',
+            'data-bank'
         ];
     }
 
@@ -54,6 +79,14 @@ export class BaseInstrumentalist extends SonofireBase {
 
         this.channel = parseInt(this.getAttribute('data-channel')) || 0;
         this.enabled = this.getAttribute('data-enabled') !== 'false';
+        this.voice = this.getAttribute('data-voice');
+        this.patch = this.getAttribute('data-patch');
+        this.midiOutputName = this.getAttribute('data-midi-output');
+
+        const program = parseInt(this.getAttribute('data-program'));
+        this.program = program >= 0 && program <= 127 ? program : null;
+        const bank = parseInt(this.getAttribute('data-bank'));
+        this.bank = bank >= 0 && bank <= 16383 ? bank : null;
     }
 
     /**
@@ -86,6 +119,31 @@ export class BaseInstrumentalist extends SonofireBase {
             this.currentScale = data.notes || [];
         });
 
+        // Reflect voice changes on this channel (from any component sharing it)
+        this.subscribe('synth:voice', (data) => {
+            if (data.channel === this.channel) {
+                this.renderThrottled();
+            }
+        });
+
+        // Offer newly loaded patches in the voice selector
+        this.subscribe('synth:patch', () => {
+            this.renderThrottled();
+        });
+
+        // Offer MIDI devices as they're plugged in and out, and reflect routing changes
+        this.subscribe('midi:outputs', (data) => {
+            // Devices that just appeared need to hear this channel's program
+            if (data.state !== 'disconnected') {
+                this.sendProgram();
+            }
+            this.renderThrottled();
+        });
+
+        this.subscribe('midi:routes', () => {
+            this.renderThrottled();
+        });
+
         // Subscribe to context:mute for section-based muting
         this.subscribe('context:mute', (data) => {
             const myId = this.getComponentId();
@@ -113,10 +171,49 @@ export class BaseInstrumentalist extends SonofireBase {
             }
         });
 
+        // Name this channel's track in recorded MIDI files
+        midiRecorder.setTrackName(this.channel, this.getComponentId());
+        channelOwners.set(this.getComponentId(), this.channel);
+        publishChannels();
+
+        // Play this channel with the configured Web Audio voice (a patch wins once loaded)
+        if (this.voice) {
+            this.setVoice(this.voice);
+        }
+        if (this.patch) {
+            this.loadPatch(this.patch);
+        }
+
+        // Send this channel to the configured MIDI device
+        if (this.midiOutputName) {
+            midiOutput.setChannelRoute(this.channel, this.midiOutputName);
+        }
+        this.sendProgram();
+
         // Discover operational modes from PubSub
         this.discoverOperationalModes();
     }
 
+    /**
+     * Give up this instrumentalist's channel when removed
+     */
+    disconnectedCallback() {
+        super.disconnectedCallback();
+        channelOwners.delete(this.getComponentId());
+        publishChannels();
+    }
+
+    /**
+     * Get the channels other instrumentalists play on
+     * @returns {Array<number>} Channels (0-15)
+     */
+    getChannelsInUse() {
+        const channels = this.getLastValue('instrumentalist:channels')?.channels || {};
+        return Object.entries(channels)
+            .filter(([id]) => id !== this.getComponentId())
+            .map(([, channel]) => channel);
+    }
+
     /**
      * Discover operational modes from PubSub last signals
      */
@@ -174,23 +271,39 @@ export class BaseInstrumentalist extends SonofireBase {
 
     /**
      * Send a note via audio router
+     * Notes are scheduled against the audio clock time of the current clock tick,
+     * so timing offsets (humanization, swing, strums) are sample-accurate
      * @param {number} note - MIDI note number
      * @param {number} velocity - Velocity (0-127)
      * @param {number} duration - Duration in milliseconds
+     * @param {number} timingOffset - Offset from the current tick in milliseconds (negative = early)
      */
-    sendNote(note, velocity = 80, duration = 500) {
+    sendNote(note, velocity = 80, duration = 500, timingOffset = 0) {
         if (!this.enabled || this.muted) return;
 
         // Debug logging
         if (this.debug) {
             const noteName = this.midiNoteToName(note);
-            console.log(`${this.constructor.name}: Ch${this.channel + 1} -> ${noteName} (${note}) vel:${velocity} dur:${duration}ms`);
+            console.log(`${this.constructor.name}: Ch${this.channel + 1} -> ${noteName} (${note}) vel:${velocity} dur:${duration}ms offset:${timingOffset.toFixed(1)}ms`);
         }
 
-        audioRouter.sendNote(this.channel, note, velocity, duration);
+        audioRouter.sendNote(this.channel, note, velocity, duration, this.getScheduledTime(timingOffset));
         this.lastNote = note; // Track for melodic continuity
     }
 
+    /**
+     * Get the audio clock time for a note relative to the current clock tick
+     * @param {number} timingOffset - Offset from the tick in milliseconds
+     * @returns {number|null} Time in seconds, or null to play immediately (clock stopped)
+     */
+    getScheduledTime(timingOffset = 0) {
+        const tickTime = midiClock.getCurrentTickTime();
+        if (tickTime === null) {
+            return null;
+        }
+        return tickTime + timingOffset / 1000;
+    }
+
     /**
      * Convert MIDI note number to note name
      * @param {number} midiNote - MIDI note number
@@ -310,7 +423,140 @@ export class BaseInstrumentalist extends SonofireBase {
      * @param {number} channel - MIDI channel (0-15)
      */
     setChannel(channel) {
+        const previous = this.channel;
         this.channel = Math.max(0, Math.min(15, channel));
+        if (this.channel !== previous) {
+            this.releaseChannel(previous);
+        }
+        if (this.isConnected) {
+            midiRecorder.setTrackName(this.channel, this.getComponentId());
+            channelOwners.set(this.getComponentId(), this.channel);
+            publishChannels();
+        }
+
+        // A chosen voice and MIDI device move with the instrumentalist
+        if (this.voice) {
+            audioRouter.setChannelVoice(this.channel, this.voice);
+        }
+        if (this.midiOutputName) {
+            midiOutput.setChannelRoute(this.channel, this.midiOutputName);
+        }
+        this.sendProgram();
+    }
+
+    /**
+     * Give back a channel this instrumentalist moved off
+     * Its Web Audio voice, MIDI route and recorded track name are cleared,
+     * unless something else has taken them over since.
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    releaseChannel(channel) {
+        if (this.voice && audioRouter.getChannelVoice(channel) === this.voice) {
+            audioRouter.setChannelVoice(channel, null);
+        }
+        if (this.midiOutputName && midiOutput.getChannelRoute(channel) === this.midiOutputName) {
+            midiOutput.setChannelRoute(channel, null);
+        }
+        if (midiRecorder.getTrackName(channel) === this.getComponentId()) {
+            midiRecorder.setTrackName(channel, null);
+        }
+    }
+
+    /**
+     * Render MIDI output selector options
+     * A routed device that's unplugged stays listed, so the choice isn't lost.
+     * @returns {string} HTML options for MIDI output selector
+     */
+    renderMIDIOutputOptions() {
+        const current = midiOutput.getChannelRoute(this.channel);
+        const names = midiOutput.getOutputs().map(output => output.name);
+
+        const options = [`<option value="" ${current === null ? 'selected' : ''}>All</option>`];
+        names.forEach(name => {
+            options.push(`<option value="${this.escapeHTML(name)}" ${name === current ? 'selected' : ''}>${this.escapeHTML(name)}</option>`);
+        });
+        if (current !== null && !names.includes(current)) {
+            options.push(`<option value="${this.escapeHTML(current)}" selected>${this.escapeHTML(current)} (disconnected)</option>`);
+        }
+        return options.join('');
+    }
+
+    /**
+     * Render MIDI program selector options (General MIDI names)
+     * @returns {string} HTML options for program selector
+     */
+    renderProgramOptions() {
+        const options = [`<option value="" ${this.program === null ? 'selected' : ''}>Device</option>`];
+        GM_PROGRAMS.forEach((name, program) => {
+            options.push(`<option value="${program}" ${program === this.program ? 'selected' : ''}>${program + 1} ${name}</option>`);
+        });
+        return options.join('');
+    }
+
+    /**
+     * Select a MIDI program (patch) for this instrumentalist's channel
+     * @param {number|null} program - Program number (0-127), or null to leave the device's patch
+     * @param {number|null} bank - Bank number (0-16383), or null to keep the current bank setting
+     */
+    setProgram(program, bank = this.bank) {
+        this.program = program;
+        this.bank = bank;
+        this.sendProgram();
+    }
+
+    /**
+     * Send the selected bank and program to MIDI devices
+     * Waits for MIDI output to initialize (and re-sends on `midi:outputs`).
+     */
+    sendProgram() {
+        if (this.program === null || !midiOutput.initialized) {
+            return;
+        }
+        audioRouter.sendProgramChange(this.channel, this.program, this.bank);
+    }
+
+    /**
+     * Send this instrumentalist's channel to one MIDI output
+     * @param {string|null} outputName - MIDI output name (null or '' = every output)
+     */
+    setMIDIOutput(outputName) {
+        this.midiOutputName = outputName || null;
+        midiOutput.setChannelRoute(this.channel, this.midiOutputName);
+    }
+
+    /**
+     * Render Web Audio voice selector options
+     * @returns {string} HTML options for voice selector
+     */
+    renderVoiceOptions() {
+        const current = audioRouter.getChannelVoice(this.channel);
+        return Object.entries(audioRouter.getVoices()).map(([voice, label]) =>
+            `<option value="${voice}" ${voice === current ? 'selected' : ''}>${label}</option>`
+        ).join('');
+    }
+
+    /**
+     * Load a patch and play this channel with it
+     * @param {string} source - Patch URL, or inline patch JSON
+     */
+    async loadPatch(source) {
+        try {
+            const patch = source.trim().startsWith('{')
+                ? audioRouter.registerPatch(JSON.parse(source))
+                : await audioRouter.loadPatch(source);
+            this.setVoice(patch.name);
+        } catch (err) {
+            console.error(`${this.getComponentId()}: Failed to load patch:`, err);
+        }
+    }
+
+    /**
+     * Set the Web Audio voice for this instrumentalist's channel
+     * @param {string} voiceName - Voice name (see WebAudioSynth.VOICES) or patch name
+     */
+    setVoice(voiceName) {
+        this.voice = voiceName;
+        audioRouter.setChannelVoice(this.channel, voiceName);
     }
 
     /**
@@ -448,7 +448,7 @@ export class SonofireBassist extends BaseInstrumentalist {
                 const progress = Math.min(1.0, (density - layer.threshold) / range);
 
                 for (let i = 0; i < 16; i++) {
-                    if (layer.pattern[i] === 1 && Math.random() < progress) {
+                    if (layer.pattern[i] === 1 && this.rng.chance(progress)) {
                         pattern[i] = 1;
                         // If both layers have note, use higher density velocity (velocity override)
                         if (velocity[i] === 0 || layer.velocity[i] > velocity[i]) {
@@ -677,7 +677,7 @@ export class SonofireBassist extends BaseInstrumentalist {
             weights.push(weight);
         });
 
-        return weightedRandomSelect(candidates, weights);
+        return weightedRandomSelect(candidates, weights, this.rng);
     }
 
     /**
@@ -760,7 +760,7 @@ export class SonofireBassist extends BaseInstrumentalist {
             weights.push(weight);
         });
 
-        return weightedRandomSelect(palette, weights);
+        return weightedRandomSelect(palette, weights, this.rng);
     }
 
     /**
@@ -793,7 +793,7 @@ export class SonofireBassist extends BaseInstrumentalist {
 
         if (palette.includes(halfStepUp) && palette.includes(halfStepDown)) {
             // Choose randomly between up and down
-            return Math.random() < 0.5 ? halfStepUp : halfStepDown;
+            return this.rng.chance(0.5) ? halfStepUp : halfStepDown;
         } else if (palette.includes(halfStepUp)) {
             return halfStepUp;
         } else if (palette.includes(halfStepDown)) {
@@ -1125,21 +1125,9 @@ export class SonofireBassist extends BaseInstrumentalist {
     handleClockTick(clockData) {
         if (!this.enabled) return;
 
-        const { tick, ppqn } = clockData;
+        const { ppqn, tickInBar } = clockData;
 
-        // Calculate 16th note position in bar (varies by time signature)
-        const [beatsPerBar, noteValue] = this.timeSignature.split('/').map(n => parseInt(n));
-        let quartersPerBar;
-        if (noteValue === 8 && beatsPerBar === 6) {
-            // 6/8 time: 6 eighth notes = 3 quarter notes duration
-            quartersPerBar = 3;
-        } else {
-            // Standard time signatures: beatsPerBar quarter notes
-            quartersPerBar = beatsPerBar;
-        }
-
-        const ticksPerBar = ppqn * quartersPerBar;
-        const tickInBar = tick % ticksPerBar;
+        // 16th note position in bar (the clock tracks bars across time signature changes)
         const sixteenthNote = ppqn / 4;
         const position = Math.floor(tickInBar / sixteenthNote); // 0 to (sixteenthsPerBar-1)
 
@@ -1185,13 +1173,7 @@ export class SonofireBassist extends BaseInstrumentalist {
             // Play note with timing offset
             const duration = 400;
 
-            if (microTimingOffset !== 0) {
-                setTimeout(() => {
-                    this.sendNote(note, finalVelocity, duration);
-                }, Math.max(0, microTimingOffset));
-            } else {
-                this.sendNote(note, finalVelocity, duration);
-            }
+            this.sendNote(note, finalVelocity, duration, microTimingOffset);
 
             this.lastNote = note;
         }
@@ -1232,7 +1214,7 @@ export class SonofireBassist extends BaseInstrumentalist {
         // Density affects play probability as a gradient
         // At low density: skip many notes, at high density: play most notes
         const playProbability = this.walkingDensity * (0.3 + this.density * 0.7);
-        if (beatInBar !== 0 && Math.random() > playProbability) {
+        if (beatInBar !== 0 && !this.rng.chance(playProbability)) {
             return null; // Skip this beat
         }
 
@@ -1303,7 +1285,7 @@ export class SonofireBassist extends BaseInstrumentalist {
         });
 
         // Select weighted random note
-        return weightedRandomSelect(candidates, weights);
+        return weightedRandomSelect(candidates, weights, this.rng);
     }
 
     /**
@@ -1327,7 +1309,7 @@ export class SonofireBassist extends BaseInstrumentalist {
         }
 
         // Other beats only play based on density
-        if (Math.random() < playProbability) {
+        if (this.rng.chance(playProbability)) {
             return bassRoot;
         }
 
@@ -1366,7 +1348,7 @@ export class SonofireBassist extends BaseInstrumentalist {
         }
 
         // Add slight variation
-        const variation = Math.floor(Math.random() * 8) - 4;
+        const variation = this.rng.int(8) - 4;
         return Math.max(40, Math.min(127, baseVelocity + variation));
     }
 
@@ -1382,6 +1364,18 @@ export class SonofireBassist extends BaseInstrumentalist {
                     <select id="channel-select" style="margin: 0 5px;">
                         ${this.renderChannelOptions()}
                     </select>
+                    | Voice:
+                    <select id="voice-select" style="margin: 0 5px;">
+                        ${this.renderVoiceOptions()}
+                    </select>
+                    | MIDI Out:
+                    <select id="midi-output-select" style="margin: 0 5px;">
+                        ${this.renderMIDIOutputOptions()}
+                    </select>
+                    | Program:
+                    <select id="program-select" style="margin: 0 5px;">
+                        ${this.renderProgramOptions()}
+                    </select>
                     | Motion Type:
                     <select id="motion-type-select" style="margin: 0 5px;">
                         ${this.renderMotionTypeOptions()}
@@ -1420,6 +1414,30 @@ export class SonofireBassist extends BaseInstrumentalist {
             this.endUIInteraction();
         };
 
+        const voiceSelect = this.$('#voice-select');
+        voiceSelect.onfocus = () => this.startUIInteraction();
+        voiceSelect.onblur = () => this.endUIInteraction();
+        voiceSelect.onchange = (e) => {
+            this.setVoice(e.target.value);
+            this.endUIInteraction();
+        };
+
+        const midiOutputSelect = this.$('#midi-output-select');
+        midiOutputSelect.onfocus = () => this.startUIInteraction();
+        midiOutputSelect.onblur = () => this.endUIInteraction();
+        midiOutputSelect.onchange = (e) => {
+            this.setMIDIOutput(e.target.value);
+            this.endUIInteraction();
+        };
+
+        const programSelect = this.$('#program-select');
+        programSelect.onfocus = () => this.startUIInteraction();
+        programSelect.onblur = () => this.endUIInteraction();
+        programSelect.onchange = (e) => {
+            this.setProgram(e.target.value === '' ? null : parseInt(e.target.value));
+            this.endUIInteraction();
+        };
+
         const motionTypeSelect = this.$('#motion-type-select');
         motionTypeSelect.onfocus = () => this.startUIInteraction();
         motionTypeSelect.onblur = () => this.endUIInteraction();
@@ -1,6 +1,7 @@
 import { BaseInstrumentalist } from './base_instrumentalist.js';
 import { perlinNoise } from '../../lib/unit_noise.js';
 import { PubSub } from '../../lib/pubsub.js';
+import { audioRouter } from '../../lib/audio_router.js';
 
 /**
  * Drummer Component
@@ -16,8 +17,10 @@ export class SonofireDrummer extends BaseInstrumentalist {
         this.drumStyle = 'rock';          // 'rock', 'jazz', 'funk', 'breakbeat'
         this.timeSignature = '4/4';       // '2/4', '3/4', '4/4', '5/4', '6/8'
         this.sixteenthsPerBar = 16;       // Calculated from time signature
+        this.drumKit = null;              // Sampled drum kit manifest URL (see lib/drum_kit.js)
+        this.customDrumNotes = null;      // Drum note layout from data-drum-notes (wins over the kit's)
 
-        // MIDI drum note numbers (General MIDI standard)
+        // MIDI drum note numbers (General MIDI standard; change with setDrumNotes())
         this.drumNotes = {
             kick: 36,      // Bass Drum 1
             snare: 38,     // Acoustic Snare
@@ -564,7 +567,9 @@ export class SonofireDrummer extends BaseInstrumentalist {
     static get observedAttributes() {
         return [
             ...super.observedAttributes,
-            'data-drum-style'
+            'data-drum-style',
+            'data-drum-kit',
+            'data-drum-notes'
         ];
     }
 
@@ -574,6 +579,19 @@ export class SonofireDrummer extends BaseInstrumentalist {
     parseAttributes() {
         super.parseAttributes();
         this.drumStyle = this.getAttribute('data-drum-style') || 'rock';
+        this.drumKit = this.getAttribute('data-drum-kit');
+
+        // JSON drum name -> note number, for kits with other layouts, e.g. {"hihat": 44}
+        const drumNotesAttr = this.getAttribute('data-drum-notes');
+        if (drumNotesAttr) {
+            try {
+                this.customDrumNotes = JSON.parse(drumNotesAttr);
+                this.setDrumNotes(this.customDrumNotes);
+            } catch (e) {
+                console.error('Drummer: invalid data-drum-notes JSON:', e);
+                this.customDrumNotes = null;
+            }
+        }
     }
 
     /**
@@ -584,6 +602,46 @@ export class SonofireDrummer extends BaseInstrumentalist {
 
         // Select initial groove so UI doesn't show "Unknown"
         this.selectGroove();
+
+        if (this.drumKit) {
+            this.loadDrumKit(this.drumKit);
+        }
+    }
+
+    /**
+     * Load a sampled drum kit for the Web Audio drums voice
+     * The kit's note layout is used unless data-drum-notes gives one.
+     * @param {string} url - Kit manifest URL
+     */
+    async loadDrumKit(url) {
+        try {
+            const kit = await audioRouter.loadDrumKit(url);
+            if (kit.drumNotes && !this.customDrumNotes) {
+                this.setDrumNotes(kit.drumNotes);
+            }
+        } catch (err) {
+            console.error('Drummer: Failed to load drum kit:', err);
+        }
+    }
+
+    /**
+     * Change which notes the drums play
+     * @param {Object} drumNotes - Drum name (kick, snare, hihat, hihatOpen, ride, crash, tom1, tom2) -> MIDI note
+     */
+    setDrumNotes(drumNotes) {
+        Object.entries(drumNotes).forEach(([drum, note]) => {
+            if (!(drum in this.drumNotes)) {
+                console.error(`Drummer: Unknown drum "${drum}"`);
+                return;
+            }
+            if (!Number.isInteger(note) || note < 0 || note > 127) {
+                console.error(`Drummer: Invalid note for ${drum}:`, note);
+                return;
+            }
+            this.drumNotes[drum] = note;
+        });
+
+        console.log('Drummer: Drum notes set to', this.drumNotes);
     }
 
     /**
@@ -754,7 +812,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
 
                     // Apply layer hits with probability
                     for (let i = 0; i < hits.length; i++) {
-                        if (hits[i] === 1 && Math.random() < progress) {
+                        if (hits[i] === 1 && this.rng.chance(progress)) {
                             pattern[drum][i] = 1;
                         }
                     }
@@ -807,7 +865,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
             return;
         }
 
-        const { tick, ppqn } = clockData;
+        const { tick, ppqn, bar, tickInBar } = clockData;
 
         // Prevent duplicate processing
         if (tick === this.lastTick) {
@@ -820,19 +878,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
             this.selectGroove();
         }
 
-        // Calculate position in bar (varies by time signature)
-        const [beatsPerBar, noteValue] = this.timeSignature.split('/').map(n => parseInt(n));
-        let quartersPerBar;
-        if (noteValue === 8 && beatsPerBar === 6) {
-            // 6/8 time: 6 eighth notes = 3 quarter notes duration
-            quartersPerBar = 3;
-        } else {
-            // Standard time signatures: beatsPerBar quarter notes
-            quartersPerBar = beatsPerBar;
-        }
-
-        const ticksPerBar = ppqn * quartersPerBar;
-        const tickInBar = tick % ticksPerBar;
+        // 16th note position in bar (the clock tracks bars across time signature changes)
         const sixteenthNote = ppqn / 4;
         const stepInBar = Math.floor(tickInBar / sixteenthNote); // 0 to (sixteenthsPerBar-1)
 
@@ -850,17 +896,17 @@ export class SonofireDrummer extends BaseInstrumentalist {
 
         //console.log(`Drummer: Playing step ${stepInBar} (tick ${tick})`);
 
-        // Track bar changes
-        if (tickInBar === 0 && tick > 0) {
-            this.barCount++;
-        }
+        // Bar number comes from the clock so phrases stay aligned across meter changes
+        this.barCount = bar;
 
         // Check for fill (every 8 bars, last beat)
+        // Fill patterns are written for steps 12-15, so map the last beat of any meter onto them
         const barInPhrase = this.barCount % 8;
-        const shouldFill = (barInPhrase === 7 && stepInBar >= 12);
+        const fillStart = this.sixteenthsPerBar - 4;
+        const shouldFill = (barInPhrase === 7 && stepInBar >= fillStart);
 
         if (shouldFill) {
-            this.playFill(stepInBar);
+            this.playFill(stepInBar - fillStart + 12);
         } else {
             this.playGroove(stepInBar);
         }
@@ -917,7 +963,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
             return fills.simple_snare;
         }
 
-        const selectedKey = candidates[Math.floor(Math.random() * candidates.length)];
+        const selectedKey = candidates[this.rng.int(candidates.length)];
         return fills[selectedKey];
     }
 
@@ -949,14 +995,8 @@ export class SonofireDrummer extends BaseInstrumentalist {
             if (pattern[step] === 1) {
                 const fillVelocity = baseVelocity + 10 + crescendoBoost;
 
-                // Apply timing offset via setTimeout for rushing effect
-                if (rushOffset !== 0) {
-                    setTimeout(() => {
-                        this.playDrumHit(voiceName, step, fillVelocity);
-                    }, Math.max(0, rushOffset));
-                } else {
-                    this.playDrumHit(voiceName, step, fillVelocity);
-                }
+                // Scheduled ahead of the tick for the rushing effect
+                this.playDrumHit(voiceName, step, fillVelocity, rushOffset);
             }
         }
 
@@ -966,9 +1006,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
             this.currentFillPattern = null;
 
             // Schedule crash with timing compensation for rush
-            setTimeout(() => {
-                this.playDrumHit('crash', 0, baseVelocity + 35);
-            }, Math.max(0, 50 + rushOffset));  // Compensate for rush
+            this.playDrumHit('crash', 0, baseVelocity + 35, 50 + rushOffset);
         }
     }
 
@@ -977,8 +1015,9 @@ export class SonofireDrummer extends BaseInstrumentalist {
      * @param {string} voiceName - Drum voice name
      * @param {number} step - Current step (for accents)
      * @param {number} baseVelocity - Base velocity
+     * @param {number} extraOffset - Additional timing offset in milliseconds (e.g. fill rushing)
      */
-    playDrumHit(voiceName, step, baseVelocity) {
+    playDrumHit(voiceName, step, baseVelocity, extraOffset = 0) {
         const note = this.drumNotes[voiceName];
         if (!note) return;
 
@@ -1010,7 +1049,7 @@ export class SonofireDrummer extends BaseInstrumentalist {
         // Calculate timing offset
         const swingOffset = this.calculateSwingOffset(step);
         const microTimingOffset = this.calculateMicroTimingOffset(voiceName, step);
-        const totalTimingOffset = swingOffset + microTimingOffset;
+        const totalTimingOffset = swingOffset + microTimingOffset + extraOffset;
 
         // Duration
         let duration = 100;
@@ -1022,14 +1061,9 @@ export class SonofireDrummer extends BaseInstrumentalist {
             duration = 200;
         }
 
-        // Send note with timing offset
-        if (totalTimingOffset !== 0) {
-            setTimeout(() => {
-                this.sendNote(note, velocity, duration);
-            }, Math.max(0, totalTimingOffset));  // Negative offsets become 0
-        } else {
-            this.sendNote(note, velocity, duration);
-        }
+        // Send note with timing offset (scheduled against the audio clock, so
+        // negative offsets genuinely land ahead of the beat)
+        this.sendNote(note, velocity, duration, totalTimingOffset);
     }
 
     /**
@@ -1078,6 +1112,18 @@ export class SonofireDrummer extends BaseInstrumentalist {
                     <select id="channel-select" style="margin: 0 5px;">
                         ${this.renderChannelOptions()}
                     </select>
+                    | Voice:
+                    <select id="voice-select" style="margin: 0 5px;">
+                        ${this.renderVoiceOptions()}
+                    </select>
+                    | MIDI Out:
+                    <select id="midi-output-select" style="margin: 0 5px;">
+                        ${this.renderMIDIOutputOptions()}
+                    </select>
+                    | Program:
+                    <select id="program-select" style="margin: 0 5px;">
+                        ${this.renderProgramOptions()}
+                    </select>
                     | Style:
                     <select id="style-select" style="margin: 0 5px;">
                         ${this.renderStyleOptions()}
@@ -1120,6 +1166,36 @@ export class SonofireDrummer extends BaseInstrumentalist {
             };
         }
 
+        const voiceSelect = this.$('#voice-select');
+        if (voiceSelect) {
+            voiceSelect.onfocus = () => this.startUIInteraction();
+            voiceSelect.onblur = () => this.endUIInteraction();
+            voiceSelect.onchange = (e) => {
+                this.setVoice(e.target.value);
+                this.endUIInteraction();
+            };
+        }
+
+        const midiOutputSelect = this.$('#midi-output-select');
+        if (midiOutputSelect) {
+            midiOutputSelect.onfocus = () => this.startUIInteraction();
+            midiOutputSelect.onblur = () => this.endUIInteraction();
+            midiOutputSelect.onchange = (e) => {
+                this.setMIDIOutput(e.target.value);
+                this.endUIInteraction();
+            };
+        }
+
+        const programSelect = this.$('#program-select');
+        if (programSelect) {
+            programSelect.onfocus = () => this.startUIInteraction();
+            programSelect.onblur = () => this.endUIInteraction();
+            programSelect.onchange = (e) => {
+                this.setProgram(e.target.value === '' ? null : parseInt(e.target.value));
+                this.endUIInteraction();
+            };
+        }
+
         const styleSelect = this.$('#style-select');
         if (styleSelect) {
             styleSelect.onfocus = () => this.startUIInteraction();
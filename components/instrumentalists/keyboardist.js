@@ -266,7 +266,7 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
                 const progress = Math.min(1.0, (density - layer.threshold) / range);
 
                 for (let i = 0; i < 16; i++) {
-                    if (layer.pattern[i] === 1 && Math.random() < progress) {
+                    if (layer.pattern[i] === 1 && this.rng.chance(progress)) {
                         pattern[i] = 1;
                         if (velocity[i] === 0 || layer.velocity[i] > velocity[i]) {
                             velocity[i] = layer.velocity[i];
@@ -585,19 +585,9 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
     handleClockTick(clockData) {
         if (!this.enabled) return;
 
-        const { tick, ppqn } = clockData;
+        const { ppqn, tickInBar } = clockData;
 
-        // Calculate 16th note position in bar (varies by time signature)
-        const [beatsPerBar, noteValue] = this.timeSignature.split('/').map(n => parseInt(n));
-        let quartersPerBar;
-        if (noteValue === 8 && beatsPerBar === 6) {
-            quartersPerBar = 3; // 6/8 time: 3 quarter notes duration
-        } else {
-            quartersPerBar = beatsPerBar;
-        }
-
-        const ticksPerBar = ppqn * quartersPerBar;
-        const tickInBar = tick % ticksPerBar;
+        // 16th note position in bar (the clock tracks bars across time signature changes)
         const sixteenthNote = ppqn / 4;
         const position = Math.floor(tickInBar / sixteenthNote); // 0 to (sixteenthsPerBar-1)
 
@@ -679,13 +669,7 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
         const note = this.currentVoicing[this.arpeggioIndex];
         this.arpeggioIndex = (this.arpeggioIndex + 1) % this.currentVoicing.length;
 
-        if (timingOffset !== 0) {
-            setTimeout(() => {
-                this.sendNote(note, velocity, duration);
-            }, Math.max(0, timingOffset));
-        } else {
-            this.sendNote(note, velocity, duration);
-        }
+        this.sendNote(note, velocity, duration, timingOffset);
     }
 
     /**
@@ -698,17 +682,9 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
     playBlockChord(position, velocity, duration, timingOffset) {
         if (this.currentVoicing.length === 0) return;
 
-        if (timingOffset !== 0) {
-            setTimeout(() => {
-                this.currentVoicing.forEach(note => {
-                    this.sendNote(note, velocity, duration);
-                });
-            }, Math.max(0, timingOffset));
-        } else {
-            this.currentVoicing.forEach(note => {
-                this.sendNote(note, velocity, duration);
-            });
-        }
+        this.currentVoicing.forEach(note => {
+            this.sendNote(note, velocity, duration, timingOffset);
+        });
     }
 
     /**
@@ -727,13 +703,7 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
         this.currentVoicing.forEach((note, index) => {
             const noteOffset = timingOffset + (index * spreadMs);
 
-            if (noteOffset !== 0) {
-                setTimeout(() => {
-                    this.sendNote(note, velocity, duration);
-                }, Math.max(0, noteOffset));
-            } else {
-                this.sendNote(note, velocity, duration);
-            }
+            this.sendNote(note, velocity, duration, noteOffset);
         });
     }
 
@@ -749,6 +719,18 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
                     <select id="channel-select" style="margin: 0 5px;">
                         ${this.renderChannelOptions()}
                     </select>
+                    | Voice:
+                    <select id="voice-select" style="margin: 0 5px;">
+                        ${this.renderVoiceOptions()}
+                    </select>
+                    | MIDI Out:
+                    <select id="midi-output-select" style="margin: 0 5px;">
+                        ${this.renderMIDIOutputOptions()}
+                    </select>
+                    | Program:
+                    <select id="program-select" style="margin: 0 5px;">
+                        ${this.renderProgramOptions()}
+                    </select>
                     | Instrument:
                     <select id="instrument-select" style="margin: 0 5px;">
                         ${this.renderInstrumentOptions()}
@@ -785,6 +767,30 @@ export class SonofireKeyboardist extends BaseInstrumentalist {
             this.endUIInteraction();
         };
 
+        const voiceSelect = this.$('#voice-select');
+        voiceSelect.onfocus = () => this.startUIInteraction();
+        voiceSelect.onblur = () => this.endUIInteraction();
+        voiceSelect.onchange = (e) => {
+            this.setVoice(e.target.value);
+            this.endUIInteraction();
+        };
+
+        const midiOutputSelect = this.$('#midi-output-select');
+        midiOutputSelect.onfocus = () => this.startUIInteraction();
+        midiOutputSelect.onblur = () => this.endUIInteraction();
+        midiOutputSelect.onchange = (e) => {
+            this.setMIDIOutput(e.target.value);
+            this.endUIInteraction();
+        };
+
+        const programSelect = this.$('#program-select');
+        programSelect.onfocus = () => this.startUIInteraction();
+        programSelect.onblur = () => this.endUIInteraction();
+        programSelect.onchange = (e) => {
+            this.setProgram(e.target.value === '' ? null : parseInt(e.target.value));
+            this.endUIInteraction();
+        };
+
         const instrumentSelect = this.$('#instrument-select');
         instrumentSelect.onfocus = () => this.startUIInteraction();
         instrumentSelect.onblur = () => this.endUIInteraction();
@@ -2,6 +2,8 @@ import { BaseInstrumentalist } from './base_instrumentalist.js';
 import { constrainInterval } from '../../lib/generative_algorithms.js';
 import { harmonicContext } from '../../lib/harmonic_context.js';
 import { WhipManager } from '../../lib/whip_manager.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { MPEOutput } from '../../lib/mpe_output.js';
 
 /**
  * Soloist Component
@@ -43,6 +45,16 @@ export class SonofireSoloist extends BaseInstrumentalist {
         // Playhead binding tracking
         this.boundPlayheadId = null;       // ID of playhead bound to noteGeneration parameter
         this.lookaheadSubscription = null; // Track lookahead subscription for cleanup
+
+        // MPE output (data-mpe="true"): each note on its own member channel
+        this.mpeEnabled = false;
+        this.mpeMembers = 15;              // Member channels in the zone
+        this.mpeGlide = 80;                // Glide from the previous note in milliseconds (0 = none)
+        this.mpe = null;                   // MPEOutput while enabled
+        this.mpeReserved = null;           // Other instrumentalists' channels when the zone was set up
+        this.mpeRoutes = new Map();        // Zone channel -> its route before the zone took it
+        this.timbre = 64;                  // CC74 sent with every MPE note (whippable)
+        this.dataIntensity = null;         // Latest data value (0.0-1.0), sent as MPE pressure
     }
 
     /**
@@ -90,7 +102,10 @@ export class SonofireSoloist extends BaseInstrumentalist {
             'data-style',
             'data-max-interval',
             'data-note-range',
-            'data-listen-to-data'
+            'data-listen-to-data',
+            'data-mpe',
+            'data-mpe-members',
+            'data-mpe-glide'
         ];
     }
 
@@ -104,6 +119,12 @@ export class SonofireSoloist extends BaseInstrumentalist {
         this.maxInterval = parseInt(this.getAttribute('data-max-interval')) || 7;
         this.listenToData = this.getAttribute('data-listen-to-data') !== 'false';
 
+        // MPE output
+        this.mpeEnabled = this.getAttribute('data-mpe') === 'true';
+        this.mpeMembers = parseInt(this.getAttribute('data-mpe-members')) || 15;
+        const glide = parseInt(this.getAttribute('data-mpe-glide'));
+        this.mpeGlide = isNaN(glide) ? 80 : Math.max(0, glide);
+
         // Set note range
         const range = this.getAttribute('data-note-range') || 'mid';
         this.setNoteRange(range);
@@ -141,6 +162,21 @@ export class SonofireSoloist extends BaseInstrumentalist {
                 this.handleForecastData(data);
             });
         }
+
+        // Devices that just appeared need the MPE zone announced
+        this.subscribe('midi:outputs', (data) => {
+            if (this.mpe && data.state !== 'disconnected') {
+                this.mpe.configure();
+            }
+        });
+
+        // The zone keeps clear of other instrumentalists' channels
+        this.subscribe('instrumentalist:channels', () => {
+            if (this.mpeEnabled && this.mpeReserved !== null
+                && this.getChannelsInUse().sort((a, b) => a - b).join() !== this.mpeReserved.join()) {
+                this.setupMPE();
+            }
+        });
     }
 
     /**
@@ -183,6 +219,9 @@ export class SonofireSoloist extends BaseInstrumentalist {
     connectedCallback() {
         super.connectedCallback();
 
+        // Set up the MPE zone (after the channel is known)
+        this.setupMPE();
+
         // Register whippable parameters (after render)
         this.registerWhippableParameters();
 
@@ -251,6 +290,166 @@ export class SonofireSoloist extends BaseInstrumentalist {
                 this.setNoteRange(ranges[clampedIndex]);
             }
         });
+
+        // Register Timbre parameter (MPE CC74)
+        if (this.mpeEnabled) {
+            this.registerWhippableParameter('timbre', {
+                label: 'Timbre',
+                parameterType: 'number',
+                min: 0,
+                max: 127,
+                icon: '🎨',
+                customPosition: '.parameter-target-light[data-target-id*="velocity"]', // After velocity light
+                setter: (value) => {
+                    this.setTimbre(Math.round(value));
+                }
+            });
+        }
+    }
+
+    /**
+     * Create the MPE zone for the current channel and MIDI output
+     * Channel 16 manages an upper zone (members from channel 15 down); any other
+     * channel uses the lower zone (members from channel 2 up), skipping the
+     * channels other instrumentalists play on. MIDI goes to member channels
+     * only with a MIDI output chosen for the Soloist. Web Audio keeps playing
+     * on the Soloist's own channel.
+     */
+    setupMPE() {
+        this.releaseMPERoutes();
+        this.mpe = null;
+        this.mpeReserved = null;
+        if (!this.mpeEnabled) {
+            return;
+        }
+
+        const reserved = this.getChannelsInUse()
+            .filter(channel => channel !== this.channel)
+            .sort((a, b) => a - b);
+        this.mpeReserved = reserved;
+
+        try {
+            this.mpe = new MPEOutput({
+                zone: this.channel === 15 ? 'upper' : 'lower',
+                members: this.mpeMembers,
+                output: this.midiOutputName,
+                reserved
+            });
+        } catch (err) {
+            console.error(`Soloist: ${err.message}, MPE disabled`);
+            return;
+        }
+
+        if (!this.midiOutputName) {
+            console.warn('Soloist: MPE needs a MIDI output of its own (data-midi-output); MIDI notes stay on the Soloist\'s channel');
+            return;
+        }
+
+        this.routeMPEZone();
+        if (midiOutput.initialized) {
+            this.mpe.configure();
+        }
+    }
+
+    /**
+     * Send the MPE zone's channels to the Soloist's MIDI output
+     * Each channel's previous route is kept to give it back later.
+     */
+    routeMPEZone() {
+        [this.mpe.managerChannel, ...this.mpe.memberChannels]
+            .filter(channel => channel !== this.channel) // Routed with the Soloist itself
+            .forEach(channel => {
+                if (!this.mpeRoutes.has(channel)) {
+                    this.mpeRoutes.set(channel, midiOutput.getChannelRoute(channel));
+                }
+                midiOutput.setChannelRoute(channel, this.midiOutputName);
+            });
+    }
+
+    /**
+     * Give the MPE zone's channels back their previous routes
+     */
+    releaseMPERoutes() {
+        this.mpeRoutes.forEach((route, channel) => {
+            if (channel !== this.channel) {
+                midiOutput.setChannelRoute(channel, route);
+            }
+        });
+        this.mpeRoutes.clear();
+    }
+
+    /**
+     * Give the MPE zone's channels back when removed
+     */
+    disconnectedCallback() {
+        this.releaseMPERoutes();
+        super.disconnectedCallback();
+    }
+
+    /**
+     * Override: the MPE zone follows the channel
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    setChannel(channel) {
+        super.setChannel(channel);
+        if (this.mpeEnabled) {
+            this.setupMPE();
+        }
+    }
+
+    /**
+     * Override: the MPE zone goes to the same MIDI output
+     * @param {string|null} outputName - MIDI output name (null or '' = every output)
+     */
+    setMIDIOutput(outputName) {
+        super.setMIDIOutput(outputName);
+        if (this.mpeEnabled) {
+            this.setupMPE();
+        }
+    }
+
+    /**
+     * Set the MPE timbre (CC74) for new and sounding notes
+     * @param {number} timbre - Timbre (0-127)
+     */
+    setTimbre(timbre) {
+        this.timbre = Math.max(0, Math.min(127, timbre));
+        if (this.mpe) {
+            this.mpe.setTimbre(this.timbre);
+        }
+    }
+
+    /**
+     * Get the MPE pressure for the latest data intensity
+     * @returns {number|null} Pressure (0-127), or null before any data
+     */
+    getPressure() {
+        return this.dataIntensity === null ? null : Math.round(this.dataIntensity * 127);
+    }
+
+    /**
+     * Override: in MPE mode each note gets its own member channel and glides in
+     * from the previous note, so a melody bends between data points
+     * @param {number} note - MIDI note number
+     * @param {number} velocity - Velocity (0-127)
+     * @param {number} duration - Duration in milliseconds
+     * @param {number} timingOffset - Offset from the current tick in milliseconds (negative = early)
+     */
+    sendNote(note, velocity = 80, duration = 500, timingOffset = 0) {
+        if (!this.mpe) {
+            super.sendNote(note, velocity, duration, timingOffset);
+            return;
+        }
+
+        if (!this.enabled || this.muted) return;
+
+        this.mpe.playNote(this.channel, note, velocity, duration, this.getScheduledTime(timingOffset), {
+            from: this.lastNote,
+            glide: this.mpeGlide,
+            pressure: this.getPressure(),
+            timbre: this.timbre
+        });
+        this.lastNote = note; // Track for melodic continuity (and the next glide)
     }
 
     /**
@@ -467,7 +666,7 @@ export class SonofireSoloist extends BaseInstrumentalist {
         // Late in phrase: favor next chord tones (voice leading)
         if (position < 0.7) {
             // Use current chord tones
-            const index = Math.floor(Math.random() * currentChordTones.length);
+            const index = this.rng.int(currentChordTones.length);
             return currentChordTones[index];
         } else {
             if (nextChordTones.length === 0) {
@@ -479,12 +678,12 @@ export class SonofireSoloist extends BaseInstrumentalist {
                 nextChordTones.includes(note)
             );
 
-            if (commonTones.length > 0 && Math.random() < 0.6) {
+            if (commonTones.length > 0 && this.rng.chance(0.6)) {
                 // Use common tone (smooth voice leading)
-                return commonTones[Math.floor(Math.random() * commonTones.length)];
+                return commonTones[this.rng.int(commonTones.length)];
             } else {
                 // Approach next chord root or 3rd
-                const target = Math.random() < 0.7 ? nextChordTones[0] : nextChordTones[1] || nextChordTones[0];
+                const target = this.rng.chance(0.7) ? nextChordTones[0] : nextChordTones[1] || nextChordTones[0];
                 return target;
             }
         }
@@ -559,7 +758,7 @@ export class SonofireSoloist extends BaseInstrumentalist {
 
             if (this.currentChord?.voicing && this.currentChord.voicing.length > 0) {
                 const chordTones = this.currentChord.voicing;
-                note = chordTones[Math.floor(Math.random() * chordTones.length)];
+                note = chordTones[this.rng.int(chordTones.length)];
             }
 
             note = this.getNearestScaleNote(note);
@@ -580,6 +779,14 @@ export class SonofireSoloist extends BaseInstrumentalist {
     handleDataPoint(data) {
         if (!this.enabled) return;
 
+        // Data intensity drives MPE pressure, on sounding notes too
+        if (data.value !== undefined) {
+            this.dataIntensity = Math.max(0, Math.min(1, data.value));
+            if (this.mpe) {
+                this.mpe.setPressure(this.getPressure());
+            }
+        }
+
         // If we have a pre-generated phrase, use it
         if (this.currentPhrase && this.phraseIndex < this.currentPhrase.length) {
             const phraseNote = this.currentPhrase[this.phraseIndex];
@@ -618,7 +825,7 @@ export class SonofireSoloist extends BaseInstrumentalist {
 
             // Subtle chord tone adjustment: If we're within 1-2 semitones of a chord tone,
             // probabilistically adjust to it (30% chance)
-            if (this.currentChord?.voicing && Math.random() < 0.3) {
+            if (this.currentChord?.voicing && this.rng.chance(0.3)) {
                 const chordTones = this.currentChord.voicing;
                 for (const chordTone of chordTones) {
                     const distance = Math.abs((note % 12) - (chordTone % 12));
@@ -700,23 +907,23 @@ export class SonofireSoloist extends BaseInstrumentalist {
             return note;
         } else if (deviation < 0.5) {
             // Medium deviation: mildly dissonant (occasionally add 7th or 9th)
-            if (Math.random() < 0.3) {
+            if (this.rng.chance(0.3)) {
                 // Add a half-step or whole-step
-                return note + (Math.random() < 0.5 ? 1 : 2);
+                return note + (this.rng.chance(0.5) ? 1 : 2);
             }
             return note;
         } else if (deviation < 0.8) {
             // High deviation: dissonant (b9, #9, etc.)
-            if (Math.random() < 0.5) {
+            if (this.rng.chance(0.5)) {
                 // Add chromatic alteration
-                return note + (Math.random() < 0.5 ? -1 : 1);
+                return note + (this.rng.chance(0.5) ? -1 : 1);
             }
             return note;
         } else {
             // Very high deviation: very dissonant (chromatic)
             // More aggressive alterations
-            if (Math.random() < 0.7) {
-                return note + Math.floor(Math.random() * 3) - 1; // -1, 0, or +1
+            if (this.rng.chance(0.7)) {
+                return note + this.rng.int(3) - 1; // -1, 0, or +1
             }
             return note;
         }
@@ -749,7 +956,7 @@ export class SonofireSoloist extends BaseInstrumentalist {
         }
 
         // Add some variation
-        const variation = Math.floor(Math.random() * 20) - 10;
+        const variation = this.rng.int(20) - 10;
         const velocity = Math.max(40, Math.min(127, baseVelocity + variation));
 
         return velocity;
@@ -780,8 +987,21 @@ export class SonofireSoloist extends BaseInstrumentalist {
                     <select id="channel-select" style="margin: 0 5px;">
                         ${this.renderChannelOptions()}
                     </select>
+                    | Voice:
+                    <select id="voice-select" style="margin: 0 5px;">
+                        ${this.renderVoiceOptions()}
+                    </select>
+                    | MIDI Out:
+                    <select id="midi-output-select" style="margin: 0 5px;">
+                        ${this.renderMIDIOutputOptions()}
+                    </select>
+                    | Program:
+                    <select id="program-select" style="margin: 0 5px;">
+                        ${this.renderProgramOptions()}
+                    </select>
                     | Note Gen ${this.getTargetLightHTML('noteGeneration', 'inline')}
                     | Velocity ${this.getTargetLightHTML('velocity', 'inline')}
+                    ${this.mpeEnabled ? `| MPE Timbre ${this.getTargetLightHTML('timbre', 'inline')}` : ''}
                     | Style: ${this.playingStyle}
                     | Range ${this.getTargetLightHTML('noteRange')}:
                     <select id="range-select" style="margin: 0 5px;">
@@ -802,6 +1022,18 @@ export class SonofireSoloist extends BaseInstrumentalist {
             this.setChannel(parseInt(e.target.value));
         };
 
+        this.$('#voice-select').onchange = (e) => {
+            this.setVoice(e.target.value);
+        };
+
+        this.$('#midi-output-select').onchange = (e) => {
+            this.setMIDIOutput(e.target.value);
+        };
+
+        this.$('#program-select').onchange = (e) => {
+            this.setProgram(e.target.value === '' ? null : parseInt(e.target.value));
+        };
+
         this.$('#range-select').onchange = (e) => {
             this.setNoteRange(e.target.value);
         };
@@ -0,0 +1,122 @@
+import { SonofireVisualizerBase } from '../base/sonofire_visualizer_base.js';
+import { DataSampler } from '../../lib/data_sampler.js';
+import { parseCSV } from '../../lib/csv.js';
+
+/**
+ * Data Source - A visualizer without a display
+ * Sweeps playheads across a CSV series exactly like the XY Plot (same domain
+ * sampling, sweep length and lookahead), but draws nothing and doesn't need
+ * d3, so it runs in headless renders as well as on a page.
+ *
+ * Data comes from `csvText` when set (headless renders read the file
+ * themselves), otherwise from `data-url`.
+ */
+export class SonofireDataSource extends SonofireVisualizerBase {
+    constructor() {
+        super();
+
+        this.sampler = new DataSampler();
+        this.csvText = null;  // CSV contents (takes precedence over data-url)
+        this.ready = null;    // Promise resolved once the data is loaded
+    }
+
+    /**
+     * Initialize when connected
+     */
+    connectedCallback() {
+        super.connectedCallback();
+
+        this.ready = this.loadSeries();
+    }
+
+    /**
+     * Nothing to render
+     */
+    render() {
+    }
+
+    /**
+     * No playhead sidebar without a display
+     */
+    renderPlayheadControls() {
+    }
+
+    /**
+     * Load data from csvText or data-url
+     * @returns {Promise<Array>}
+     */
+    async loadData() {
+        if (this.csvText !== null) {
+            return parseCSV(this.csvText);
+        }
+
+        const response = await fetch(this.dataUrl);
+        if (!response.ok) {
+            throw new Error(`Data Source: failed to load ${this.dataUrl} (${response.status})`);
+        }
+        return parseCSV(await response.text());
+    }
+
+    /**
+     * Load the series and set up domain sampling
+     * @returns {Promise<Array>} Loaded rows
+     */
+    async loadSeries() {
+        const data = await this.loadData();
+        this.data = data;
+
+        this.getX = (d) => new Date(d[this.xColumn]);
+        this.getY = (d) => parseFloat(d[this.yColumn]);
+
+        this.sampler.setData(data, {
+            getX: this.getX,
+            getY: this.getY,
+            xDomain: this.xDomainOverride,
+            yDomain: this.yDomainOverride
+        });
+        this.xDomain = this.sampler.xDomain;
+
+        console.log(`Data Source: Loaded ${data.length} rows, X domain:`, this.xDomain);
+        return data;
+    }
+
+    /**
+     * Override: Advance a playhead by one step of its sweep across the X domain
+     * @param {Playhead} playhead
+     */
+    advancePlayheadPosition(playhead) {
+        if (!this.xDomain) return;
+
+        playhead.setPosition(this.sampler.advance(playhead.position, SonofireDataSource.TICKS_PER_FULL_SWEEP));
+    }
+
+    /**
+     * Override: Sample data at playhead's current position
+     * @param {Playhead} playhead
+     */
+    sampleDataAtPlayhead(playhead) {
+        if (!this.data || this.data.length === 0) return;
+
+        const sample = this.sampler.sample(playhead.id, playhead.position);
+        if (sample) {
+            playhead.sampleValue(sample.value, sample.normalizedValue);
+        }
+    }
+
+    /**
+     * Override: Get the data points a playhead will cross in the next ticks
+     * @param {Playhead} playhead - The playhead to look ahead from
+     * @param {number} ticksAhead - How many ticks to look ahead
+     * @returns {Array} [{ x, y, normalizedValue }] with x as a domain position (0-1)
+     */
+    getLookaheadData(playhead, ticksAhead) {
+        const positionsAhead = ticksAhead * playhead.speed / SonofireDataSource.TICKS_PER_FULL_SWEEP;
+
+        return this.sampler
+            .getPointsBetween(playhead.position, playhead.position + positionsAhead)
+            .map(({ position, value, normalizedValue }) => ({ x: position, y: value, normalizedValue }));
+    }
+}
+
+// Register custom element
+customElements.define('sonofire-data-source', SonofireDataSource);
@@ -2,21 +2,18 @@ import 'https://unpkg.com/d3@7.9.0';
 import { SonofireVisualizerBase } from '../base/sonofire_visualizer_base.js';
 import { MIDI_NOTES_FLAT, MIDI_NOTES_SHARP } from '../../lib/midi_data.js';
 import { PLAYHEAD_SIDEBAR_WIDTH } from '../../lib/mixins/playheads.js';
+import { DataSampler } from '../../lib/data_sampler.js';
 
 /**
  * XY Plot Visualizer - Refactored from pitch_generator.js
  * Displays time-series data as scatter plot with musical playback
  */
 export class SonofireXYPlot extends SonofireVisualizerBase {
-    // Number of ticks to sweep full width at 1x speed
-    // At 24 PPQN and 90 BPM, 960 ticks = 40 beats = ~27 seconds
-    static TICKS_PER_FULL_SWEEP = 960;
-
     constructor() {
         super();
 
-        // Track recently sampled data indices per playhead to avoid re-sampling
-        this.recentlySampledIndices = new Map(); // playheadId -> Set of indices
+        // Samples the data by domain position (shared with headless data sources)
+        this.sampler = new DataSampler();
     }
 
     /**
@@ -119,16 +116,16 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
         this.getX = getX;
         this.getY = getY;
 
-        // Determine X domain (manual override or auto-detect)
-        let xDomain;
-        if (this.xDomainOverride) {
-            xDomain = this.xDomainOverride;
-            console.log('XY Plot: Using manual X domain:', xDomain);
-        } else {
-            // Auto-detect from data
-            xDomain = d3.extent(data, getX);
-            console.log('XY Plot: Auto-detected X domain:', xDomain);
-        }
+        // Sample by data domain (manual overrides or auto-detected from data)
+        this.sampler.setData(data, {
+            getX,
+            getY,
+            xDomain: this.xDomainOverride,
+            yDomain: this.yDomainOverride
+        });
+
+        const xDomain = this.sampler.xDomain;
+        console.log(`XY Plot: ${this.xDomainOverride ? 'Using manual' : 'Auto-detected'} X domain:`, xDomain);
 
         // Add X axis
         const x = d3.scaleTime()
@@ -143,18 +140,8 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
             .attr('transform', `translate(0,${this.height})`)
             .call(d3.axisBottom(x));
 
-        // Determine Y domain (manual override or auto-detect)
-        let yDomain;
-        if (this.yDomainOverride) {
-            yDomain = this.yDomainOverride;
-            console.log('XY Plot: Using manual Y domain:', yDomain);
-        } else {
-            // Auto-detect from data with 5% padding
-            const [yMin, yMax] = d3.extent(data, getY);
-            const yPadding = (yMax - yMin) * 0.05;
-            yDomain = [yMin - yPadding, yMax + yPadding];
-            console.log('XY Plot: Auto-detected Y domain:', yDomain);
-        }
+        const yDomain = this.sampler.yDomain;
+        console.log(`XY Plot: ${this.yDomainOverride ? 'Using manual' : 'Auto-detected'} Y domain:`, yDomain);
 
         // Add Y axis
         const y = d3.scaleLinear()
@@ -186,9 +173,6 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
                 .attr('height', upperBoundary - lowerBoundary);
         }
 
-        // Clear recently sampled tracking when data reloads
-        this.recentlySampledIndices.clear();
-
         // Plot data points
         svg.append('g')
             .selectAll('dot')
@@ -226,140 +210,53 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
     advancePlayheadPosition(playhead) {
         if (!this.xDomain) return;
 
-        // Get the X domain (date range)
-        const [minDate, maxDate] = this.xDomain;
-        const domainSpan = maxDate - minDate; // Total time span in milliseconds
-
-        // Calculate time increment per tick
         // At 1x speed, playhead traverses the full domain in TICKS_PER_FULL_SWEEP ticks
-        const timeIncrementMs = domainSpan / SonofireXYPlot.TICKS_PER_FULL_SWEEP;
-
-        // Convert current percentage to date
-        const currentDate = new Date(minDate.getTime() + (playhead.position * domainSpan));
-
-        // Advance by time increment
-        const newDate = new Date(currentDate.getTime() + timeIncrementMs);
-
-        // Convert back to percentage
-        let newPosition = (newDate - minDate) / domainSpan;
-
-        // Loop back to start if reached end
-        if (newPosition >= 1.0) {
-            newPosition = newPosition - 1.0;
-        }
-
-        playhead.setPosition(newPosition);
+        playhead.setPosition(this.sampler.advance(playhead.position, SonofireXYPlot.TICKS_PER_FULL_SWEEP));
     }
 
     /**
      * Override: Sample data at playhead's current position
      * Samples based on data domain, not pixel positions, ensuring consistent
      * event detection regardless of visualization width.
-     * Tracks recently sampled indices to avoid re-sampling the same data points.
+     * The sampler tracks recently sampled indices to avoid re-sampling the same data points.
      * @param {Playhead} playhead
      */
     sampleDataAtPlayhead(playhead) {
         if (!this.data || this.data.length === 0) return;
         if (!this.xScale || !this.yScale) return;
 
-        // Initialize tracking set for this playhead if needed
-        if (!this.recentlySampledIndices.has(playhead.id)) {
-            this.recentlySampledIndices.set(playhead.id, new Set());
-        }
-        const recentlySampled = this.recentlySampledIndices.get(playhead.id);
-
-        // Convert playhead percentage (0-1) to data domain value
-        const [minDate, maxDate] = this.xDomain;
-        const dateDomain = maxDate - minDate;
-        const targetDate = new Date(minDate.getTime() + (playhead.position * dateDomain));
-
-        // Use asymmetric window: small tolerance ahead, larger window behind
-        // This makes notes trigger as the playhead crosses them, not before
-        const windowAhead = 0.002;   // 0.2% ahead (small tolerance for timing)
-        const windowBehind = 0.008;  // 0.8% behind (catch notes just passed)
-        const windowStart = new Date(minDate.getTime() + ((playhead.position - windowBehind) * dateDomain));
-        const windowEnd = new Date(minDate.getTime() + ((playhead.position + windowAhead) * dateDomain));
-
-        // Find data points within window that haven't been sampled recently
-        let yValueSum = 0;
-        let yValueCount = 0;
-        const sampledIndices = [];
-        const newlySampledIndices = [];
-
-        this.data.forEach((d, index) => {
-            const dataDate = this.getX(d);
-            if (dataDate >= windowStart && dataDate <= windowEnd) {
-                sampledIndices.push(index);
-
-                // Only sample if not recently sampled
-                if (!recentlySampled.has(index)) {
-                    const yValue = this.getY(d);
-                    yValueSum += yValue;
-                    yValueCount++;
-                    newlySampledIndices.push(index);
-                    recentlySampled.add(index);
-                }
-            }
-        });
-
-        // Clear indices that are now behind the playhead (outside the window)
-        const clearThreshold = playhead.position - (windowBehind * 2);
-        this.data.forEach((d, index) => {
-            const dataDate = this.getX(d);
-            const dataPosition = (dataDate - minDate) / dateDomain;
-
-            // Handle wrap-around: if playhead looped back to start, clear high positions
-            if (clearThreshold < 0) {
-                // Playhead just looped - clear positions > 0.95 (near end)
-                if (dataPosition > 0.95) {
-                    recentlySampled.delete(index);
-                }
-            } else {
-                // Normal case - clear positions behind the playhead
-                if (dataPosition < clearThreshold) {
-                    recentlySampled.delete(index);
-                }
-            }
-        });
+        const sample = this.sampler.sample(playhead.id, playhead.position);
+        if (!sample) return;
 
         // Animate only newly sampled data points (not re-sampled ones)
-        if (newlySampledIndices.length > 0) {
-            const svg = d3.select(this.$('#my_dataviz svg'));
-            if (svg.node()) {
-                const parent = svg.select('g');
-                parent.selectAll('circle')
-                    .each(function(d, i) {
-                        if (newlySampledIndices.includes(i)) {
-                            const circle = d3.select(this);
-                            circle
-                                .transition()
-                                .duration(100)
-                                .attr('r', 6)
-                                .style('fill', playhead.color)
-                                .style('opacity', 1)
-                                .transition()
-                                .duration(200)
-                                .attr('r', 1.5)
-                                .style('fill', '#69b3a2')
-                                .style('opacity', 0.8);
-                        }
-                    });
-            }
+        const newlySampledIndices = sample.indices;
+        const svg = d3.select(this.$('#my_dataviz svg'));
+        if (svg.node()) {
+            const parent = svg.select('g');
+            parent.selectAll('circle')
+                .each(function(d, i) {
+                    if (newlySampledIndices.includes(i)) {
+                        const circle = d3.select(this);
+                        circle
+                            .transition()
+                            .duration(100)
+                            .attr('r', 6)
+                            .style('fill', playhead.color)
+                            .style('opacity', 1)
+                            .transition()
+                            .duration(200)
+                            .attr('r', 1.5)
+                            .style('fill', '#69b3a2')
+                            .style('opacity', 0.8);
+                    }
+                });
         }
 
-        if (yValueCount > 0) {
-            // Average Y value in data coordinates
-            const avgYData = yValueSum / yValueCount;
-
-            // Convert to SVG coordinates for display
-            const avgYPixel = this.yScale(avgYData);
+        // Convert the average Y value to SVG coordinates for display
+        const avgYPixel = this.yScale(sample.value);
 
-            // Normalize to 0-1 (invert because SVG Y increases downward)
-            const normalizedValue = 1.0 - (avgYPixel / this.height);
-
-            // Call playhead's sample method
-            playhead.sampleValue(avgYPixel, normalizedValue);
-        }
+        // Call playhead's sample method
+        playhead.sampleValue(avgYPixel, sample.normalizedValue);
     }
 
     /**
@@ -429,93 +326,6 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
         return upcomingPoints;
     }
 
-    /**
-     * Calculate linear regression trend for lookahead data
-     * @param {Array} dataPoints - Array of {x, y, normalizedValue} objects
-     * @returns {Object} { slope, direction, confidence }
-     */
-    calculateDataTrend(dataPoints) {
-        if (dataPoints.length < 2) {
-            return { slope: 0, direction: 'flat', confidence: 0 };
-        }
-
-        // Simple linear regression: y = mx + b
-        const n = dataPoints.length;
-        let sumX = 0, sumY = 0, sumXY = 0, sumX2 = 0;
-
-        dataPoints.forEach((point, i) => {
-            sumX += i;
-            sumY += point.normalizedValue;
-            sumXY += i * point.normalizedValue;
-            sumX2 += i * i;
-        });
-
-        const slope = (n * sumXY - sumX * sumY) / (n * sumX2 - sumX * sumX);
-        const direction = slope > 0.05 ? 'rising' : slope < -0.05 ? 'falling' : 'flat';
-        const confidence = Math.min(Math.abs(slope) * 2, 1.0);
-
-        return { slope, direction, confidence };
-    }
-
-    /**
-     * Setup subscriptions including chord change for lookahead
-     */
-    setupSubscriptions() {
-        super.setupSubscriptions();
-
-        // Subscribe to chord changes to publish lookahead data
-        this.subscribe('music:chord', (chordData) => {
-            this.handleChordChangeForLookahead(chordData);
-        });
-    }
-
-    /**
-     * Handle chord change by publishing lookahead data for each playhead
-     */
-    handleChordChangeForLookahead(chordData) {
-        // Wait a moment for music:nextChord to be published
-        setTimeout(() => {
-            const nextChordInfo = this.getLastValue('music:nextChord');
-            if (!nextChordInfo) {
-                console.log('XY Plot: No next chord info available for lookahead');
-                return;
-            }
-
-            // For each active playhead, publish lookahead data
-            this.playheads.forEach((playhead, index) => {
-                if (!playhead.enabled) return;
-
-                const lookaheadData = this.getLookaheadData(playhead, nextChordInfo.ticksUntilChange);
-                const trend = this.calculateDataTrend(lookaheadData);
-
-                const payload = {
-                    visualizerId: this.getVisualizerId(),
-                    playheadId: playhead.id,
-                    dataPoints: lookaheadData,
-                    trend: trend,
-                    estimatedEventCount: lookaheadData.length,
-                    ticksUntilChord: nextChordInfo.ticksUntilChange
-                };
-
-                // Publish per-playhead lookahead topic
-                const topic = `data:lookahead:${playhead.id}`;
-                this.publish(topic, payload);
-
-                // Also publish to general topic for first playhead (backward compatibility)
-                if (index === 0) {
-                    this.publish('data:lookahead', payload);
-                }
-
-                console.log(`XY Plot: Published lookahead for playhead ${playhead.id}:`, {
-                    eventCount: lookaheadData.length,
-                    trend: trend.direction,
-                    slope: trend.slope.toFixed(3),
-                    topics: index === 0 ? ['data:lookahead', topic] : [topic]
-                });
-            });
-        }, 100); // Wait 100ms for next chord to be published
-    }
-
     /**
      * Render all playheads with source lights
      */
@@ -664,16 +474,16 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
         this.getX = getX;
         this.getY = getY;
 
-        // Determine X domain (manual override or auto-detect)
-        let xDomain;
-        if (this.xDomainOverride) {
-            xDomain = this.xDomainOverride;
-            console.log('XY Plot: Using manual X domain:', xDomain);
-        } else {
-            // Auto-detect from data
-            xDomain = d3.extent(data, getX);
-            console.log('XY Plot: Auto-detected X domain:', xDomain);
-        }
+        // Sample by data domain (manual overrides or auto-detected from data)
+        this.sampler.setData(data, {
+            getX,
+            getY,
+            xDomain: this.xDomainOverride,
+            yDomain: this.yDomainOverride
+        });
+
+        const xDomain = this.sampler.xDomain;
+        console.log(`XY Plot: ${this.xDomainOverride ? 'Using manual' : 'Auto-detected'} X domain:`, xDomain);
 
         // Add X axis
         const x = d3.scaleTime()
@@ -688,18 +498,8 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
             .attr('transform', `translate(0,${this.height})`)
             .call(d3.axisBottom(x));
 
-        // Determine Y domain (manual override or auto-detect)
-        let yDomain;
-        if (this.yDomainOverride) {
-            yDomain = this.yDomainOverride;
-            console.log('XY Plot: Using manual Y domain:', yDomain);
-        } else {
-            // Auto-detect from data with 5% padding
-            const [yMin, yMax] = d3.extent(data, getY);
-            const yPadding = (yMax - yMin) * 0.05;
-            yDomain = [yMin - yPadding, yMax + yPadding];
-            console.log('XY Plot: Auto-detected Y domain:', yDomain);
-        }
+        const yDomain = this.sampler.yDomain;
+        console.log(`XY Plot: ${this.yDomainOverride ? 'Using manual' : 'Auto-detected'} Y domain:`, yDomain);
 
         // Add Y axis
         const y = d3.scaleLinear()
@@ -731,9 +531,6 @@ export class SonofireXYPlot extends SonofireVisualizerBase {
                 .attr('height', upperBoundary - lowerBoundary);
         }
 
-        // Clear recently sampled tracking when data reloads
-        this.recentlySampledIndices.clear();
-
         // Plot data points
         svg.append('g')
             .selectAll('dot')
@@ -1,9 +1,25 @@
 import { midiOutput } from './midi_output.js';
-import { webAudioSynth } from './web_audio_synth.js';
+import { webAudioSynth, WebAudioSynth } from './web_audio_synth.js';
+import { Tuning } from './tuning.js';
+import { PubSub } from './pubsub.js';
 
 /**
  * Audio Router - Routes audio to MIDI output, Web Audio, or both
  * Singleton pattern: use `audioRouter` export
+ *
+ * Render mode (offline rendering):
+ * Notes go to Web Audio only, and timed note-offs are queued against the
+ * render time instead of setTimeout; the renderer releases them with
+ * `releaseDueNotes()` as its virtual clock advances.
+ *
+ * Tuning:
+ * `setTuning()` tunes Web Audio voices and, by the MIDI tuning mode, MIDI
+ * devices: 'mts' retunes every key of the devices with MIDI Tuning Standard
+ * SysEx (needs `initialize({ sysex: true })`, and is sent again to devices
+ * plugged in later); 'bend' sends each note's deviation from 12-TET as pitch
+ * bend just before its note-on, which suits monophonic lines and MPE member
+ * channels, and recentres those channels when bending stops; 'none' leaves
+ * MIDI devices in their own tuning. Unmapped keys send no MIDI note either.
  */
 class AudioRouter {
     constructor() {
@@ -11,13 +27,28 @@ class AudioRouter {
         this.webAudioEnabled = true;
         this.scheduledNotes = new Map(); // Track scheduled note-offs: noteId -> timeoutHandle
         this.noteIdCounter = 0;
+        this.noteOffLeadMs = 50; // Dispatch timed note-offs this far ahead of their release time
+        this.noteListeners = new Set(); // Callbacks notified of every sent note (e.g. recorder)
+        this.renderMode = false; // Offline render in progress (Web Audio only, virtual time)
+        this.pendingReleases = []; // Render mode note-offs, sorted by release time: { channel, note, releaseTime }
+        this.midiTuning = 'none'; // How MIDI devices follow the tuning: 'mts', 'bend' or 'none' (see setTuning())
+        this.retunedChannels = new Map(); // MIDI channels bent into tune in 'bend' mode: midiChannel -> channel
+
+        // Devices found at startup or plugged in later need the tuning too
+        PubSub.subscribe('midi:outputs', (data) => {
+            if (data.state !== 'disconnected' && this.midiTuning === 'mts') {
+                this.sendTuning();
+            }
+        }, this);
     }
 
     /**
      * Initialize audio outputs
+     * @param {Object} options
+     * @param {boolean} options.sysex - Ask for MIDI SysEx permission (default: if the MIDI tuning mode is 'mts')
      * @returns {Promise<Object>} Object with {midi: boolean, webAudio: boolean}
      */
-    async initialize() {
+    async initialize({ sysex = this.midiTuning === 'mts' } = {}) {
         const results = {
             midi: false,
             webAudio: false
@@ -25,7 +56,7 @@ class AudioRouter {
 
         // Initialize MIDI
         if (this.midiEnabled) {
-            results.midi = await midiOutput.initialize();
+            results.midi = await midiOutput.initialize({ sysex });
             if (!results.midi) {
                 console.warn('MIDI initialization failed - MIDI output disabled');
                 this.midiEnabled = false;
@@ -53,29 +84,52 @@ class AudioRouter {
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} duration - Note duration in milliseconds
+     * @param {number|null} time - Audio clock start time in seconds (null = play immediately)
+     * @param {Object} options
+     * @param {number} options.midiChannel - Channel for MIDI, if not `channel` (e.g. an MPE member channel)
+     * @param {boolean} options.retune - Send the tuning's pitch bend in 'bend' MIDI tuning mode
+     *   (off for callers that bend the note themselves, like MPE)
      * @returns {string} Note ID (for manual cancellation if needed)
      */
-    sendNote(channel, note, velocity = 100, duration = 200) {
+    sendNote(channel, note, velocity = 100, duration = 200, time = null, { midiChannel = channel, retune = true } = {}) {
         const noteId = `note-${this.noteIdCounter++}`;
 
-        // Send note-on to enabled outputs
-        if (this.midiEnabled) {
-            midiOutput.sendNoteOn(channel, note, velocity);
-        }
+        // Timed notes are clamped so nothing is scheduled in the past
+        const now = webAudioSynth.getCurrentTime();
+        const startTime = time !== null ? Math.max(time, now) : null;
 
-        if (this.webAudioEnabled) {
-            webAudioSynth.playNote(channel, note, velocity);
+        this.startNote(channel, note, velocity, startTime, { midiChannel, retune });
+
+        // Notify listeners (time is when the note actually starts)
+        this.notifyNoteListeners({ channel, note, velocity, duration, time: startTime ?? now });
+
+        if (this.renderMode) {
+            this.queueRelease(channel, note, (startTime ?? now) + duration / 1000);
+            return noteId;
         }
 
         // Schedule note-off after duration
-        const timeoutHandle = setTimeout(() => {
-            this.stopNote(channel, note);
-            this.scheduledNotes.delete(noteId);
-        }, duration);
+        // Timed notes carry an exact release time; the timeout only has to
+        // fire a little before it so the outputs can schedule it precisely
+        let timeoutHandle;
+        if (startTime !== null) {
+            const releaseTime = startTime + duration / 1000;
+            const delayMs = Math.max(0, (releaseTime - now) * 1000 - this.noteOffLeadMs);
+            timeoutHandle = setTimeout(() => {
+                this.stopNote(channel, note, releaseTime, midiChannel);
+                this.scheduledNotes.delete(noteId);
+            }, delayMs);
+        } else {
+            timeoutHandle = setTimeout(() => {
+                this.stopNote(channel, note, null, midiChannel);
+                this.scheduledNotes.delete(noteId);
+            }, duration);
+        }
 
         this.scheduledNotes.set(noteId, {
             timeoutHandle,
             channel,
+            midiChannel,
             note,
             velocity,
             duration,
@@ -85,21 +139,377 @@ class AudioRouter {
         return noteId;
     }
 
+    /**
+     * Start a note on all enabled outputs, leaving its release to the caller
+     * (stopNote()), e.g. for notes played on a MIDI keyboard
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} velocity - Note velocity (0-127)
+     * @param {number|null} time - Audio clock start time in seconds (null = now)
+     * @param {Object} options
+     * @param {number} options.midiChannel - Channel for MIDI, if not `channel`
+     * @param {boolean} options.retune - Send the tuning's pitch bend in 'bend' MIDI tuning mode
+     */
+    startNote(channel, note, velocity = 100, time = null, { midiChannel = channel, retune = true } = {}) {
+        // MIDI devices aren't part of a render
+        if (this.midiEnabled && !this.renderMode) {
+            const timestamp = this.toMIDITimestamp(time);
+            const cents = retune ? this.getMIDITuningCents(channel, note) : null;
+            if (cents !== null) {
+                // On top of the channel's own bend
+                this.sendChannelBend(channel, midiChannel, cents, timestamp);
+                this.retunedChannels.set(midiChannel, channel);
+            }
+            // Unmapped keys don't sound (see lib/tuning.js)
+            if (!this.isUnmappedMIDIKey(channel, note)) {
+                midiOutput.sendNoteOn(midiChannel, note, velocity, timestamp);
+            }
+        }
+
+        if (this.webAudioEnabled) {
+            webAudioSynth.playNote(channel, note, velocity, time);
+        }
+    }
+
+    /**
+     * Enter or leave render mode
+     * Leaving render mode releases every queued note.
+     * @param {boolean} enabled
+     */
+    setRenderMode(enabled) {
+        if (!enabled) {
+            this.releaseDueNotes(Infinity);
+        }
+        this.renderMode = enabled;
+    }
+
+    /**
+     * Queue a render mode note-off
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} releaseTime - Audio clock release time in seconds
+     */
+    queueRelease(channel, note, releaseTime) {
+        const index = this.pendingReleases.findIndex(release => release.releaseTime > releaseTime);
+        const release = { channel, note, releaseTime };
+        this.pendingReleases.splice(index === -1 ? this.pendingReleases.length : index, 0, release);
+    }
+
+    /**
+     * Release queued render mode notes that are due
+     * Mirrors live playback, where note-offs are dispatched `noteOffLeadMs`
+     * ahead of their release time.
+     * @param {number} time - Current render time in seconds
+     */
+    releaseDueNotes(time) {
+        const horizon = time + this.noteOffLeadMs / 1000;
+        while (this.pendingReleases.length > 0 && this.pendingReleases[0].releaseTime <= horizon) {
+            const { channel, note, releaseTime } = this.pendingReleases.shift();
+            this.stopNote(channel, note, releaseTime);
+        }
+    }
+
+    /**
+     * Register a callback notified of every note sent through the router
+     * Notes held open (e.g. MIDI thru) are reported when they're released.
+     * @param {Function} listener - Called with { channel, note, velocity, duration, time }
+     */
+    addNoteListener(listener) {
+        this.noteListeners.add(listener);
+    }
+
+    /**
+     * Remove a note listener
+     * @param {Function} listener - Callback passed to addNoteListener()
+     */
+    removeNoteListener(listener) {
+        this.noteListeners.delete(listener);
+    }
+
+    /**
+     * Tell the note listeners about a played note
+     * sendNote() does this itself; notes started with startNote() are
+     * reported by their caller once released, when the duration is known.
+     * @param {Object} noteEvent - { channel, note, velocity, duration, time }
+     */
+    notifyNoteListeners(noteEvent) {
+        this.noteListeners.forEach(listener => listener(noteEvent));
+    }
+
     /**
      * Stop a note on all enabled outputs
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
+     * @param {number|null} time - Audio clock release time in seconds (null = now)
+     * @param {number} midiChannel - Channel for MIDI, if not `channel`
      */
-    stopNote(channel, note) {
-        if (this.midiEnabled) {
-            midiOutput.sendNoteOff(channel, note);
+    stopNote(channel, note, time = null, midiChannel = channel) {
+        if (this.midiEnabled && !this.renderMode) {
+            midiOutput.sendNoteOff(midiChannel, note, this.toMIDITimestamp(time));
         }
 
         if (this.webAudioEnabled) {
-            webAudioSynth.stopNote(channel, note);
+            webAudioSynth.stopNote(channel, note, time);
+        }
+    }
+
+    /**
+     * Whether channel messages go to MIDI devices (they aren't part of a render)
+     * @returns {boolean}
+     */
+    isSendingMIDI() {
+        return this.midiEnabled && !this.renderMode;
+    }
+
+    /**
+     * Send a control change to MIDI
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} controller - Controller number (0-127)
+     * @param {number} value - Controller value (0-127)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendControlChange(channel, controller, value, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendControlChange(channel, controller, value, this.toMIDITimestamp(time));
+        }
+    }
+
+    /**
+     * Select a patch on MIDI devices (Web Audio voices are set with setChannelVoice())
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} program - Program number (0-127, e.g. a General MIDI instrument)
+     * @param {number|null} bank - Bank number (0-16383) to select first (null = keep the bank)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendProgramChange(channel, program, bank = null, time = null) {
+        if (!this.isSendingMIDI()) {
+            return;
+        }
+
+        const timestamp = this.toMIDITimestamp(time);
+        if (bank !== null) {
+            midiOutput.sendBankSelect(channel, bank, timestamp);
+        }
+        midiOutput.sendProgramChange(channel, program, timestamp);
+    }
+
+    /**
+     * Bend a channel's pitch on all enabled outputs
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} value - Bend (-1.0 = full down, 0 = center, 1.0 = full up)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendPitchBend(channel, value, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendPitchBend(channel, value, this.toMIDITimestamp(time));
+        }
+
+        if (this.webAudioEnabled) {
+            webAudioSynth.setPitchBend(channel, value, time);
+        }
+    }
+
+    /**
+     * Set a channel's pitch bend range on all enabled outputs (RPN 0 on MIDI)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} semitones - Bend range (0-24, fractions are sent as cents)
+     */
+    setPitchBendRange(channel, semitones) {
+        if (this.isSendingMIDI()) {
+            const whole = Math.floor(semitones);
+            const cents = Math.round((semitones - whole) * 100);
+            midiOutput.sendRPN(channel, 0, (whole << 7) | cents);
+        }
+
+        if (this.webAudioEnabled) {
+            webAudioSynth.setPitchBendRange(channel, semitones);
+        }
+    }
+
+    /**
+     * Send channel aftertouch (channel pressure) to MIDI
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendChannelAftertouch(channel, pressure, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendChannelAftertouch(channel, pressure, this.toMIDITimestamp(time));
+        }
+    }
+
+    /**
+     * Send polyphonic aftertouch (key pressure) to MIDI
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendPolyAftertouch(channel, note, pressure, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendPolyAftertouch(channel, note, pressure, this.toMIDITimestamp(time));
+        }
+    }
+
+    /**
+     * Set a Registered Parameter on MIDI devices
+     * Use setPitchBendRange() for RPN 0, so Web Audio follows too.
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} parameter - Parameter number (0-16383)
+     * @param {number} value - 14-bit value (0-16383)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendRPN(channel, parameter, value, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendRPN(channel, parameter, value, this.toMIDITimestamp(time));
+        }
+    }
+
+    /**
+     * Set a Non-Registered (device-specific) Parameter on MIDI devices
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} parameter - Parameter number (0-16383)
+     * @param {number} value - 14-bit value (0-16383)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    sendNRPN(channel, parameter, value, time = null) {
+        if (this.isSendingMIDI()) {
+            midiOutput.sendNRPN(channel, parameter, value, this.toMIDITimestamp(time));
         }
     }
 
+    /**
+     * Tune Web Audio voices and MIDI devices
+     * @param {Tuning|null} tuning - Tuning (see lib/tuning.js; null = 12-TET at A440)
+     * @param {Object} options
+     * @param {string} options.midi - MIDI tuning mode: 'mts', 'bend' or 'none' (default: unchanged)
+     */
+    setTuning(tuning, { midi = this.midiTuning } = {}) {
+        webAudioSynth.setTuning(tuning);
+        this.setMIDITuning(midi);
+    }
+
+    /**
+     * Fetch a tuning and tune Web Audio voices and MIDI devices with it
+     * @param {string} url - Scala .scl or JSON cents table URL
+     * @param {string|null} mappingUrl - Scala .kbm keyboard mapping URL
+     * @param {Object} options
+     * @param {string} options.midi - MIDI tuning mode: 'mts', 'bend' or 'none' (default: unchanged)
+     * @returns {Promise<Tuning>}
+     */
+    async loadTuning(url, mappingUrl = null, { midi = this.midiTuning } = {}) {
+        const tuning = await webAudioSynth.loadTuning(url, mappingUrl);
+        this.setMIDITuning(midi);
+        return tuning;
+    }
+
+    /**
+     * Get the current tuning
+     * @returns {Tuning|null} null = 12-TET at A440
+     */
+    getTuning() {
+        return webAudioSynth.tuning;
+    }
+
+    /**
+     * Choose how MIDI devices follow the tuning
+     * @param {string} mode - 'mts' (MIDI Tuning Standard SysEx), 'bend' (pitch bend per note) or 'none'
+     */
+    setMIDITuning(mode) {
+        if (!['mts', 'bend', 'none'].includes(mode)) {
+            console.error('Invalid MIDI tuning mode:', mode);
+            return;
+        }
+
+        // Devices left in MTS tuning go back to standard
+        const wasMTS = this.midiTuning === 'mts';
+        this.midiTuning = mode;
+        if (mode === 'mts' || wasMTS) {
+            this.sendTuning();
+        }
+
+        // Channels left bent into tune go back to their own bend
+        if (mode !== 'bend' || !webAudioSynth.tuning) {
+            this.recentreRetunedChannels();
+        }
+    }
+
+    /**
+     * Send each channel bent into tune in 'bend' mode its own pitch bend again
+     * (centre if unbent)
+     */
+    recentreRetunedChannels() {
+        if (this.isSendingMIDI()) {
+            this.retunedChannels.forEach((channel, midiChannel) => this.sendChannelBend(channel, midiChannel));
+        }
+        this.retunedChannels.clear();
+    }
+
+    /**
+     * Send a channel's own pitch bend to MIDI, plus a tuning offset
+     * @param {number} channel - MIDI channel (0-15) whose bend and bend range apply
+     * @param {number} midiChannel - Channel to send on
+     * @param {number} cents - Tuning offset in cents
+     * @param {number|undefined} timestamp - Web MIDI send() timestamp (undefined = now)
+     */
+    sendChannelBend(channel, midiChannel, cents = 0, timestamp = undefined) {
+        const range = webAudioSynth.bendRanges.get(channel) ?? WebAudioSynth.DEFAULT_BEND_RANGE;
+        const bend = (webAudioSynth.getBendCents(channel) + cents) / (range * 100);
+        midiOutput.sendPitchBend(midiChannel, Math.max(-1, Math.min(1, bend)), timestamp);
+    }
+
+    /**
+     * Send the tuning to MIDI devices as MIDI Tuning Standard SysEx
+     * (12-TET when there's no tuning or the MIDI tuning mode isn't 'mts')
+     */
+    sendTuning() {
+        if (!this.isSendingMIDI() || !midiOutput.initialized) {
+            return;
+        }
+
+        const tuning = this.midiTuning === 'mts' && webAudioSynth.tuning ? webAudioSynth.tuning : Tuning.equal();
+        tuning.toMTSMessages().forEach(message => midiOutput.sendSysEx(message));
+    }
+
+    /**
+     * Get the pitch bend that tunes a MIDI note in 'bend' MIDI tuning mode
+     * @param {number} channel - MIDI channel (0-15) the note plays on
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {number|null} Cents from 12-TET, or null if MIDI notes aren't bent into tune
+     *   (another mode, no tuning, a drums channel or an unmapped key)
+     */
+    getMIDITuningCents(channel, note) {
+        const tuning = webAudioSynth.tuning;
+        if (this.midiTuning !== 'bend' || !tuning || webAudioSynth.getChannelVoice(channel) === 'drums') {
+            return null;
+        }
+        return tuning.getDeviation(note);
+    }
+
+    /**
+     * Check whether a MIDI note is silenced as an unmapped key in 'bend' MIDI tuning mode
+     * @param {number} channel - MIDI channel (0-15) the note plays on
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {boolean}
+     */
+    isUnmappedMIDIKey(channel, note) {
+        const tuning = webAudioSynth.tuning;
+        return this.midiTuning === 'bend' && !!tuning && !tuning.isMapped(note)
+            && webAudioSynth.getChannelVoice(channel) !== 'drums';
+    }
+
+    /**
+     * Convert an audio clock time to a Web MIDI send() timestamp
+     * @param {number|null} time - Time in seconds on the audio clock
+     * @returns {number|undefined} performance.now() timestamp, or undefined to send immediately
+     */
+    toMIDITimestamp(time) {
+        if (time === null || time === undefined) {
+            return undefined;
+        }
+        return webAudioSynth.toPerformanceTime(time);
+    }
+
     /**
      * Cancel a scheduled note by ID
      * @param {string} noteId - Note ID returned from sendNote()
@@ -111,7 +521,7 @@ class AudioRouter {
         }
 
         clearTimeout(noteData.timeoutHandle);
-        this.stopNote(noteData.channel, noteData.note);
+        this.stopNote(noteData.channel, noteData.note, null, noteData.midiChannel);
         this.scheduledNotes.delete(noteId);
     }
 
@@ -190,6 +600,94 @@ class AudioRouter {
     setGain(gain) {
         webAudioSynth.setGain(gain);
     }
+
+    /**
+     * Change a Web Audio effect setting
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS), e.g. 'reverbWet'
+     * @param {number|string} value - New value
+     */
+    setEffect(name, value) {
+        webAudioSynth.setEffect(name, value);
+    }
+
+    /**
+     * Get a Web Audio effect setting
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS)
+     * @returns {number|string}
+     */
+    getEffect(name) {
+        return webAudioSynth.getEffect(name);
+    }
+
+    /**
+     * Set the Web Audio polyphony limits and voice steal strategy
+     * @param {Object} options - { global, channel, strategy } (see WebAudioSynth.setPolyphony())
+     */
+    setPolyphony(options) {
+        webAudioSynth.setPolyphony(options);
+    }
+
+    /**
+     * Set a channel's Web Audio polyphony limit
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number|null} limit - Voices, or null for the default
+     */
+    setChannelPolyphony(channel, limit) {
+        webAudioSynth.setChannelPolyphony(channel, limit);
+    }
+
+    /**
+     * Set the Web Audio voice a channel plays
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string|null} voiceName - Voice name (see WebAudioSynth.VOICES; null = the channel's default)
+     */
+    setChannelVoice(channel, voiceName) {
+        webAudioSynth.setChannelVoice(channel, voiceName);
+    }
+
+    /**
+     * Get the Web Audio voice a channel plays
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string} Voice name
+     */
+    getChannelVoice(channel) {
+        return webAudioSynth.getChannelVoice(channel);
+    }
+
+    /**
+     * Get every Web Audio voice, including registered patches
+     * @returns {Object} voice name -> label
+     */
+    getVoices() {
+        return webAudioSynth.getVoices();
+    }
+
+    /**
+     * Add a Web Audio patch as a voice
+     * @param {Object} definition - Patch JSON (see lib/synth_patch.js)
+     * @returns {SynthPatch}
+     */
+    registerPatch(definition) {
+        return webAudioSynth.registerPatch(definition);
+    }
+
+    /**
+     * Fetch a sampled drum kit for the Web Audio drums voice
+     * @param {string} url - Kit manifest URL (see lib/drum_kit.js)
+     * @returns {Promise<DrumKit>}
+     */
+    loadDrumKit(url) {
+        return webAudioSynth.loadDrumKit(url);
+    }
+
+    /**
+     * Fetch a Web Audio patch and add it as a voice
+     * @param {string} url - Patch URL
+     * @returns {Promise<SynthPatch>}
+     */
+    loadPatch(url) {
+        return webAudioSynth.loadPatch(url);
+    }
 }
 
 // Export singleton instance
@@ -0,0 +1,572 @@
+import { PubSub, topicMatches } from './pubsub.js';
+
+/**
+ * Bus bridges - Mirror PubSub topics between tabs, windows or machines
+ *
+ * A bridge forwards what's published on the allowed topics (exact topics or
+ * patterns such as `context:*`) to its peers and publishes what the peers
+ * send on the local bus, e.g. the Conductor on one screen and visualizers on
+ * a projector window:
+ *
+ *   new BroadcastChannelBridge({ topics: ['context:*', 'music:*', 'clock:*'], clock: midiClock }).start();
+ *
+ * `topics` go both ways; `inbound` topics are only accepted from peers and
+ * `outbound` topics only sent to them, e.g. a data feed that plays into the
+ * page and hears the chords back:
+ *
+ *   new WebSocketBridge({ url: 'ws://localhost:8765', inbound: ['data:*'], outbound: ['music:chord'] }).start();
+ *
+ * Loops: messages carry the id of the bridge that sent them, and what a
+ * bridge publishes locally isn't forwarded back. Bridge a topic over one
+ * path only; two bridges on the same topics would echo it to each other.
+ *
+ * Clock: only one peer, the clock master, forwards clock topics (`clock:*`),
+ * and peers only accept clock topics from it, so a tab following the master
+ * never sees two tick streams. With `clockMaster: 'auto'` a peer claims the
+ * clock when its own clock starts (the last one started wins), and a peer that
+ * loses the clock stops its own. Tick times are on the sender's audio clock;
+ * given a `clock`, they're moved onto the local one so notes land on time.
+ *
+ * Joining: a new peer says hello; the clock master answers with its claim
+ * and every peer sends the last values of its outbound (non-clock) topics.
+ *
+ * Subclasses provide the transport: `connect()`, `disconnect()` and
+ * `send(message)`, calling `receive(message)` for each message that arrives.
+ * Messages must survive a structured clone (or JSON, depending on transport).
+ */
+export class BusBridge {
+    // Topics only the clock master forwards
+    static CLOCK_TOPICS = 'clock:*';
+
+    /**
+     * @param {Object} options
+     * @param {PrivateMessageBus} options.bus - Local bus (default: the global PubSub)
+     * @param {Array<string>} options.topics - Topics and patterns to mirror (both ways)
+     * @param {Array<string>} options.inbound - Topics and patterns only accepted from peers
+     * @param {Array<string>} options.outbound - Topics and patterns only sent to peers
+     * @param {Object|null} options.clock - Local clock (midiClock): stopped when another peer
+     *   takes the clock, and used to move tick times onto the local audio clock
+     * @param {boolean|string} options.clockMaster - true (claim at start), false (never) or
+     *   'auto' (claim when the local clock starts)
+     * @param {string} options.id - Bridge id (default: random)
+     */
+    constructor({ bus = PubSub, topics = [], inbound = [], outbound = [], clock = null, clockMaster = 'auto', id = null } = {}) {
+        Object.entries({ topics, inbound, outbound }).forEach(([name, list]) => {
+            if (!Array.isArray(list) || !list.every(topic => typeof topic === 'string' && topic.length > 0)) {
+                throw new Error(`Invalid bridge ${name}: expected an array of topics or patterns`);
+            }
+        });
+        if (![true, false, 'auto'].includes(clockMaster)) {
+            throw new Error(`Invalid clock master setting: ${clockMaster}`);
+        }
+
+        this.bus = bus;
+        this.topics = [...topics];
+        this.inbound = [...topics, ...inbound]; // Accepted from peers
+        this.outbound = [...topics, ...outbound]; // Sent to peers
+        this.clock = clock;
+        this.clockMaster = clockMaster;
+        this.id = id || Math.random().toString(16).slice(2, 10);
+        this.masterId = null; // Id of the peer whose clock topics are accepted (null = none yet)
+        this.allowed = { in: new Map(), out: new Map() }; // direction -> topic -> whether it's allowed
+        this.clockTopics = new Map(); // topic -> whether it's a clock topic
+        this.subscriptions = []; // [topic, callback] pairs subscribed on the bus
+        this.received = null; // Peer message being published locally: { topic, data } (not forwarded back)
+        this.running = false;
+    }
+
+    /**
+     * Start mirroring: subscribe to the outbound topics, connect and say hello
+     */
+    start() {
+        if (this.running) {
+            return;
+        }
+        this.running = true;
+
+        new Set(this.outbound).forEach(topic => {
+            // Exact subscriptions don't get the topic, patterns do. Overlapping
+            // patterns (`music:*` and `music:chord`) forward through the first only.
+            const callback = (data, published = topic) => {
+                if (this.outbound.find(pattern => topicMatches(pattern, published)) === topic) {
+                    this.forward(published, data);
+                }
+            };
+            this.bus.subscribe(topic, callback, this);
+            this.subscriptions.push([topic, callback]);
+        });
+
+        if (this.clockMaster === 'auto') {
+            const onClockStart = (data) => {
+                if (!this.isReceived('clock:start', data)) {
+                    this.claimClock();
+                }
+            };
+            this.bus.subscribe('clock:start', onClockStart, this);
+            this.subscriptions.push(['clock:start', onClockStart]);
+        }
+
+        this.connect();
+        this.send({ type: 'hello', origin: this.id });
+
+        if (this.clockMaster === true) {
+            this.claimClock();
+        }
+    }
+
+    /**
+     * Stop mirroring and disconnect
+     */
+    stop() {
+        if (!this.running) {
+            return;
+        }
+        this.running = false;
+
+        this.subscriptions.forEach(([topic, callback]) => this.bus.unsubscribe(topic, callback, this));
+        this.subscriptions = [];
+        this.disconnect();
+        this.masterId = null;
+    }
+
+    /**
+     * Whether a topic is mirrored in a direction
+     * @param {string} topic
+     * @param {string} direction - 'in' (accepted from peers) or 'out' (sent to peers)
+     * @returns {boolean}
+     */
+    isAllowed(topic, direction = 'in') {
+        const cache = this.allowed[direction];
+        let allowed = cache.get(topic);
+        if (allowed === undefined) {
+            const patterns = direction === 'in' ? this.inbound : this.outbound;
+            allowed = patterns.some(pattern => topicMatches(pattern, topic));
+            cache.set(topic, allowed);
+        }
+        return allowed;
+    }
+
+    /**
+     * Whether a topic is only mirrored from the clock master
+     * @param {string} topic
+     * @returns {boolean}
+     */
+    isClockTopic(topic) {
+        let clockTopic = this.clockTopics.get(topic);
+        if (clockTopic === undefined) {
+            clockTopic = topicMatches(BusBridge.CLOCK_TOPICS, topic);
+            this.clockTopics.set(topic, clockTopic);
+        }
+        return clockTopic;
+    }
+
+    /**
+     * Whether this peer's clock topics are the ones mirrored
+     * @returns {boolean}
+     */
+    isClockMaster() {
+        return this.masterId === this.id;
+    }
+
+    /**
+     * Become the clock master
+     */
+    claimClock() {
+        this.masterId = this.id;
+        this.send({ type: 'clock', origin: this.id });
+    }
+
+    /**
+     * Send a locally published message to the peers
+     * @param {string} topic
+     * @param {*} data
+     */
+    forward(topic, data) {
+        if (this.isReceived(topic, data) || !this.running) {
+            return;
+        }
+
+        const message = { type: 'publish', origin: this.id, topic, data };
+        if (this.isClockTopic(topic)) {
+            if (!this.isClockMaster()) {
+                return;
+            }
+            message.clockTime = this.clock ? this.clock.getCurrentTime() : null;
+        }
+        this.send(message);
+    }
+
+    /**
+     * Handle a message from a peer
+     * @param {Object} message - { type, origin, ... }
+     */
+    receive(message) {
+        if (!this.running || !message || message.origin === this.id) {
+            return;
+        }
+
+        switch (message.type) {
+            case 'publish':
+                this.receivePublish(message);
+                break;
+            case 'clock':
+                this.receiveClockClaim(message.origin);
+                break;
+            case 'hello':
+                this.welcome();
+                break;
+            case 'state':
+                Object.entries(message.values || {}).forEach(([topic, data]) => {
+                    this.receivePublish({ topic, data });
+                });
+                break;
+            default:
+                console.warn('BusBridge: Unknown message type:', message.type);
+        }
+    }
+
+    /**
+     * Publish a peer's message on the local bus
+     * @param {Object} message - { topic, data, origin, clockTime }
+     */
+    receivePublish({ topic, data, origin, clockTime }) {
+        if (typeof topic !== 'string' || !this.isAllowed(topic, 'in')) {
+            return;
+        }
+
+        if (this.isClockTopic(topic)) {
+            if (origin !== this.masterId) {
+                return;
+            }
+            data = this.toLocalClock(data, clockTime);
+        }
+
+        // Only this message is kept from going back: what subscribers
+        // publish in response to it (chords, notes) is forwarded as usual
+        const previous = this.received;
+        this.received = { topic, data };
+        try {
+            this.bus.publish(topic, data);
+        } finally {
+            this.received = previous;
+        }
+    }
+
+    /**
+     * Whether a published message is the peer message being published locally
+     * @param {string} topic
+     * @param {*} data
+     * @returns {boolean}
+     */
+    isReceived(topic, data) {
+        return this.received !== null && this.received.topic === topic && this.received.data === data;
+    }
+
+    /**
+     * Hand the clock to another peer
+     * @param {string} origin - Claiming peer's id
+     */
+    receiveClockClaim(origin) {
+        const wasMaster = this.isClockMaster();
+        this.masterId = origin;
+
+        // Two clocks would double every tick
+        if (wasMaster && this.clock?.isRunning) {
+            this.clock.stop();
+        }
+    }
+
+    /**
+     * Answer a new peer's hello with the clock claim and the outbound last values
+     */
+    welcome() {
+        if (this.isClockMaster()) {
+            this.send({ type: 'clock', origin: this.id });
+        }
+
+        const values = {};
+        this.outbound.forEach(topic => {
+            const last = this.bus.last(topic);
+            const found = topic.includes('*') ? last : (last === null ? {} : { [topic]: last });
+            Object.entries(found).forEach(([match, value]) => {
+                if (!this.isClockTopic(match)) {
+                    values[match] = value;
+                }
+            });
+        });
+        if (Object.keys(values).length > 0) {
+            this.send({ type: 'state', origin: this.id, values });
+        }
+    }
+
+    /**
+     * Move a clock message's audio clock time from the sender's clock to the local one
+     * @param {*} data - Message data (ticks have a `time` in seconds)
+     * @param {number|null} clockTime - Sender's clock time when it was sent
+     * @returns {*}
+     */
+    toLocalClock(data, clockTime) {
+        if (!this.clock || typeof clockTime !== 'number' || typeof data?.time !== 'number') {
+            return data;
+        }
+        return { ...data, time: this.clock.getCurrentTime() + (data.time - clockTime) };
+    }
+
+    /**
+     * Open the transport (subclasses)
+     */
+    connect() {
+        throw new Error(`${this.constructor.name} must implement connect()`);
+    }
+
+    /**
+     * Close the transport (subclasses)
+     */
+    disconnect() {
+        throw new Error(`${this.constructor.name} must implement disconnect()`);
+    }
+
+    /**
+     * Send a message to the peers (subclasses)
+     * @param {Object} message
+     */
+    send(message) {
+        throw new Error(`${this.constructor.name} must implement send()`);
+    }
+}
+
+/**
+ * Bridge between tabs and windows of the same origin over a BroadcastChannel
+ */
+export class BroadcastChannelBridge extends BusBridge {
+    /**
+     * @param {Object} options - BusBridge options, plus:
+     * @param {string} options.channelName - BroadcastChannel name (peers must match)
+     * @param {Function} options.BroadcastChannel - BroadcastChannel constructor (default: the global one)
+     */
+    constructor({ channelName = 'sonofire', BroadcastChannel = globalThis.BroadcastChannel, ...options } = {}) {
+        super(options);
+        if (typeof BroadcastChannel !== 'function') {
+            throw new Error('BroadcastChannelBridge needs BroadcastChannel');
+        }
+        this.channelName = channelName;
+        this.BroadcastChannel = BroadcastChannel;
+        this.channel = null;
+    }
+
+    /**
+     * Open the channel
+     */
+    connect() {
+        this.channel = new this.BroadcastChannel(this.channelName);
+        this.channel.onmessage = (event) => this.receive(event.data);
+    }
+
+    /**
+     * Close the channel
+     */
+    disconnect() {
+        this.channel?.close();
+        this.channel = null;
+    }
+
+    /**
+     * Post a message to the other tabs
+     * Data that can't be cloned (functions, DOM nodes) isn't sent.
+     * @param {Object} message
+     */
+    send(message) {
+        try {
+            this.channel?.postMessage(message);
+        } catch (err) {
+            console.error(`BusBridge: Could not send ${message.topic || message.type}:`, err);
+        }
+    }
+}
+
+/**
+ * Bridge to other processes and machines over a WebSocket, e.g. a data
+ * pipeline publishing `data:point` events into the page through a relay
+ * (see lib/headless/bus_relay.js)
+ *
+ * Messages are JSON envelopes, one per WebSocket text message:
+ *
+ *   { "type": "publish", "topic": "data:point", "data": { ... }, "origin": "pipeline" }
+ *
+ * `origin` is optional for senders that don't need the clock or joining
+ * handshake. Text that isn't a JSON object is ignored.
+ *
+ * When the connection drops the bridge reconnects, waiting RECONNECT_DELAY
+ * and doubling the wait after each failed attempt up to MAX_RECONNECT_DELAY.
+ * Publishes made while disconnected are queued (up to OUTBOX_SIZE, oldest
+ * dropped first) and sent once connected; clock topics aren't queued, since
+ * late ticks are worse than none. Each (re)connection says hello, so peers
+ * send their current state.
+ *
+ * With a `notes` source (audioRouter) every note sent is forwarded as
+ * `music:note` ({ channel, note, velocity, duration, time }) without going
+ * through the bus.
+ */
+export class WebSocketBridge extends BusBridge {
+    // WebSocket readyState of an open connection
+    static OPEN = 1;
+    // First reconnection delay in ms
+    static RECONNECT_DELAY = 1000;
+    // Longest reconnection delay in ms
+    static MAX_RECONNECT_DELAY = 30000;
+    // Most publishes kept while disconnected
+    static OUTBOX_SIZE = 100;
+
+    /**
+     * @param {Object} options - BusBridge options, plus:
+     * @param {string} options.url - WebSocket URL (e.g. the relay's)
+     * @param {Function} options.WebSocket - WebSocket constructor (default: the global one)
+     * @param {Object|null} options.notes - Note source with addNoteListener() and
+     *   removeNoteListener() (audioRouter), forwarded as `music:note`
+     */
+    constructor({ url = 'ws://localhost:8765', WebSocket = globalThis.WebSocket, notes = null, ...options } = {}) {
+        super(options);
+        if (typeof WebSocket !== 'function') {
+            throw new Error('WebSocketBridge needs WebSocket');
+        }
+        this.url = url;
+        this.WebSocket = WebSocket;
+        this.notes = notes;
+        this.socket = null;
+        this.outbox = []; // Publish messages waiting for a connection
+        this.reconnectDelay = WebSocketBridge.RECONNECT_DELAY;
+        this.reconnectTimer = null;
+        this.noteListener = (noteEvent) => this.forward('music:note', noteEvent);
+    }
+
+    /**
+     * Open the connection and start listening to notes
+     */
+    connect() {
+        this.open();
+        this.notes?.addNoteListener(this.noteListener);
+    }
+
+    /**
+     * Close the connection, stop reconnecting and drop queued messages
+     */
+    disconnect() {
+        this.notes?.removeNoteListener(this.noteListener);
+        clearTimeout(this.reconnectTimer);
+        this.reconnectTimer = null;
+        this.reconnectDelay = WebSocketBridge.RECONNECT_DELAY;
+        this.outbox = [];
+
+        const socket = this.socket;
+        this.socket = null;
+        if (socket) {
+            socket.onopen = socket.onmessage = socket.onclose = socket.onerror = null;
+            socket.close();
+        }
+    }
+
+    /**
+     * Open a WebSocket to the URL
+     */
+    open() {
+        this.reconnectTimer = null;
+        let socket;
+        try {
+            socket = new this.WebSocket(this.url);
+        } catch (err) {
+            console.error(`BusBridge: Could not connect to ${this.url}:`, err);
+            this.scheduleReconnect();
+            return;
+        }
+        this.socket = socket;
+
+        socket.onopen = () => {
+            this.reconnectDelay = WebSocketBridge.RECONNECT_DELAY;
+            this.transmit({ type: 'hello', origin: this.id });
+            if (this.isClockMaster()) {
+                this.transmit({ type: 'clock', origin: this.id });
+            }
+            const queued = this.outbox;
+            this.outbox = [];
+            queued.forEach(message => this.transmit(message));
+        };
+        socket.onmessage = (event) => this.receiveText(event.data);
+        socket.onclose = () => {
+            if (this.socket === socket) {
+                this.socket = null;
+                this.scheduleReconnect();
+            }
+        };
+        socket.onerror = () => {}; // A close event follows
+    }
+
+    /**
+     * Try to connect again after the current delay, then double the delay
+     */
+    scheduleReconnect() {
+        if (!this.running || this.reconnectTimer !== null) {
+            return;
+        }
+        console.warn(`BusBridge: Disconnected from ${this.url}, retrying in ${this.reconnectDelay}ms`);
+        this.reconnectTimer = setTimeout(() => this.open(), this.reconnectDelay);
+        this.reconnectDelay = Math.min(this.reconnectDelay * 2, WebSocketBridge.MAX_RECONNECT_DELAY);
+    }
+
+    /**
+     * Whether the connection is open
+     * @returns {boolean}
+     */
+    isConnected() {
+        return this.socket?.readyState === WebSocketBridge.OPEN;
+    }
+
+    /**
+     * Send a message, or queue a publish until connected
+     * Hello and clock claims aren't queued: they're sent on every connection.
+     * @param {Object} message
+     */
+    send(message) {
+        if (this.isConnected()) {
+            this.transmit(message);
+            return;
+        }
+        if (message.type !== 'publish' || this.isClockTopic(message.topic)) {
+            return;
+        }
+        this.outbox.push(message);
+        if (this.outbox.length > WebSocketBridge.OUTBOX_SIZE) {
+            this.outbox.shift();
+        }
+    }
+
+    /**
+     * Send a message as JSON on the open connection
+     * Data that can't be serialized (cycles, BigInt) isn't sent.
+     * @param {Object} message
+     */
+    transmit(message) {
+        try {
+            this.socket.send(JSON.stringify(message));
+        } catch (err) {
+            console.error(`BusBridge: Could not send ${message.topic || message.type}:`, err);
+        }
+    }
+
+    /**
+     * Handle a WebSocket text message
+     * @param {*} text - JSON envelope
+     */
+    receiveText(text) {
+        let message;
+        try {
+            message = typeof text === 'string' ? JSON.parse(text) : null;
+        } catch (err) {
+            message = null;
+        }
+        if (!message || typeof message !== 'object' || Array.isArray(message)) {
+            console.warn('BusBridge: Ignoring message that is not a JSON object');
+            return;
+        }
+        this.receive(message);
+    }
+}
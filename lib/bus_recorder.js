@@ -0,0 +1,281 @@
+import { PubSub, topicMatches } from './pubsub.js';
+
+/**
+ * Bus sessions - Record what's published on a PubSub bus and play it back
+ *
+ * A BusRecorder captures every published topic (or the ones chosen) with the
+ * time since recording started and the most recent clock tick, and exports
+ * the session as NDJSON: a header line, then one event per line:
+ *
+ *   {"format":"sonofire-bus-session","version":1,"recordedAt":"2026-10-18T17:00:00.000Z"}
+ *   {"t":0,"tick":null,"topic":"context:pool","data":{"poolKey":"0",...}}
+ *   {"t":1520.8,"tick":96,"topic":"music:chord","data":{"chord":"F",...}}
+ *
+ * A BusReplayer publishes a session's events on a bus at the original
+ * speed, faster, or all at once (`speed: Infinity`, for tests), e.g. to see
+ * what a soloist played after a chord change, or as a regression fixture:
+ *
+ *   const session = parseSession(readFileSync('session.ndjson', 'utf8'));
+ *   await new BusReplayer(session, { bus: new PrivateMessageBus(), speed: 4 }).play();
+ *
+ * Events are recorded in the order they're published, as a bus observer
+ * that runs before subscribers, so an event published from a `clock:tick`
+ * subscriber comes after that tick and carries it.
+ *
+ * Data is copied through JSON when it's recorded, so later changes to a
+ * published object don't show up in the recording, and what can't be
+ * serialized (functions, DOM nodes) is left out.
+ */
+
+// NDJSON header format name and version
+export const SESSION_FORMAT = 'sonofire-bus-session';
+export const SESSION_VERSION = 1;
+
+/**
+ * Records the events published on a bus
+ */
+export class BusRecorder {
+    /**
+     * @param {Object} options
+     * @param {PrivateMessageBus} options.bus - Bus to record (default: the global PubSub)
+     * @param {Array<string>} options.topics - Topics and patterns to record (default: all)
+     * @param {Array<string>} options.exclude - Topics and patterns to leave out (e.g. high-rate playhead values)
+     * @param {Function} options.now - Current time in milliseconds (default: performance.now())
+     */
+    constructor({ bus = PubSub, topics = ['**'], exclude = [], now = () => performance.now() } = {}) {
+        this.bus = bus;
+        this.topics = [...topics];
+        this.exclude = [...exclude];
+        this.now = now;
+        this.isRecording = false;
+        this.events = [];            // { t, tick, topic, data }
+        this.recordedAt = null;      // Date the recording started
+        this.startTime = null;       // now() when the recording started
+        this.tick = null;            // Most recent clock:tick
+        this.recorded = new Map();   // topic -> whether it's recorded
+        this.listener = (data, topic) => this.handleEvent(topic, data);
+    }
+
+    /**
+     * Start recording (clears any previous recording)
+     */
+    start() {
+        if (this.isRecording) {
+            return;
+        }
+
+        this.clear();
+        this.isRecording = true;
+        this.recordedAt = new Date();
+        this.startTime = this.now();
+        this.bus.observe(this.listener, this);
+    }
+
+    /**
+     * Stop recording (keeps the recording for export)
+     */
+    stop() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.isRecording = false;
+        this.bus.unobserve(this.listener, this);
+    }
+
+    /**
+     * Discard the current recording
+     */
+    clear() {
+        this.events = [];
+        this.recordedAt = null;
+        this.tick = null;
+    }
+
+    /**
+     * Check whether a topic is recorded
+     * @param {string} topic
+     * @returns {boolean}
+     */
+    isRecorded(topic) {
+        let recorded = this.recorded.get(topic);
+        if (recorded === undefined) {
+            recorded = this.topics.some(pattern => topicMatches(pattern, topic))
+                && !this.exclude.some(pattern => topicMatches(pattern, topic));
+            this.recorded.set(topic, recorded);
+        }
+        return recorded;
+    }
+
+    /**
+     * Record a published event
+     * @param {string} topic
+     * @param {*} data
+     */
+    handleEvent(topic, data) {
+        if (topic === 'clock:tick' && typeof data?.tick === 'number') {
+            this.tick = data.tick;
+        }
+        if (!this.isRecorded(topic)) {
+            return;
+        }
+
+        let copy;
+        try {
+            copy = data === undefined ? null : JSON.parse(JSON.stringify(data));
+        } catch (err) {
+            console.error(`Bus Recorder: Could not record ${topic}:`, err);
+            return;
+        }
+
+        // Rounded to the microsecond to keep files readable
+        const t = Math.round((this.now() - this.startTime) * 1000) / 1000;
+        this.events.push({ t, tick: this.tick, topic, data: copy });
+    }
+
+    /**
+     * Export the recording as NDJSON
+     * @returns {string}
+     */
+    export() {
+        const header = {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            recordedAt: (this.recordedAt || new Date()).toISOString()
+        };
+        return [header, ...this.events].map(line => JSON.stringify(line)).join('\n') + '\n';
+    }
+}
+
+/**
+ * Read an NDJSON session
+ * The header line is optional, so hand-written fixtures can be just events.
+ * @param {string} text - NDJSON (as written by BusRecorder.export())
+ * @returns {Array<Object>} Events: [{ t, tick, topic, data }, ...] in time order
+ * @throws {Error} If a line isn't JSON, an event has no topic, or the version is unknown
+ */
+export function parseSession(text) {
+    const events = [];
+    text.split('\n').forEach((line, index) => {
+        if (line.trim() === '') {
+            return;
+        }
+
+        let entry;
+        try {
+            entry = JSON.parse(line);
+        } catch (err) {
+            throw new Error(`Invalid bus session: line ${index + 1} is not JSON`);
+        }
+
+        if (entry?.format === SESSION_FORMAT) {
+            if (entry.version !== SESSION_VERSION) {
+                throw new Error(`Unsupported bus session version: ${entry.version}`);
+            }
+            return;
+        }
+        if (typeof entry?.topic !== 'string') {
+            throw new Error(`Invalid bus session: line ${index + 1} has no topic`);
+        }
+        events.push({
+            t: typeof entry.t === 'number' ? entry.t : 0,
+            tick: entry.tick ?? null,
+            topic: entry.topic,
+            data: entry.data ?? null
+        });
+    });
+
+    // Stable, so events recorded at the same time keep their order
+    return events.sort((a, b) => a.t - b.t);
+}
+
+/**
+ * Publishes a recorded session on a bus
+ */
+export class BusReplayer {
+    /**
+     * @param {Array<Object>} events - Session events (see parseSession())
+     * @param {Object} options
+     * @param {PrivateMessageBus} options.bus - Bus to publish on (default: the global PubSub)
+     * @param {number} options.speed - Playback speed: 1 = as recorded, 4 = four times
+     *   as fast, Infinity = everything at once
+     * @param {Array<string>} options.topics - Topics and patterns to replay (default: all)
+     * @param {Function} options.now - Current time in milliseconds (default: performance.now())
+     * @throws {Error} If the speed isn't a positive number
+     */
+    constructor(events, { bus = PubSub, speed = 1, topics = ['**'], now = () => performance.now() } = {}) {
+        if (!Array.isArray(events)) {
+            throw new Error('Invalid bus session: expected an array of events');
+        }
+        if (typeof speed !== 'number' || !(speed > 0)) {
+            throw new Error(`Invalid replay speed: ${speed}`);
+        }
+
+        this.events = events.filter(event => topics.some(pattern => topicMatches(pattern, event.topic)));
+        this.bus = bus;
+        this.speed = speed;
+        this.now = now;
+        this.isPlaying = false;
+        this.index = 0;          // Next event to publish
+        this.startTime = null;   // now() when playback started
+        this.timer = null;
+        this.finished = null;    // Promise resolved when playback ends
+        this.resolveFinished = null;
+    }
+
+    /**
+     * Publish the events from the start
+     * @returns {Promise<number>} Resolves with the number of events published when playback ends or stops
+     */
+    play() {
+        if (this.isPlaying) {
+            return this.finished;
+        }
+
+        this.isPlaying = true;
+        this.index = 0;
+        this.startTime = this.now();
+        this.finished = new Promise(resolve => {
+            this.resolveFinished = resolve;
+        });
+        this.step();
+        return this.finished;
+    }
+
+    /**
+     * Stop playback where it is
+     */
+    stop() {
+        if (!this.isPlaying) {
+            return;
+        }
+
+        this.isPlaying = false;
+        clearTimeout(this.timer);
+        this.timer = null;
+        this.resolveFinished(this.index);
+    }
+
+    /**
+     * Publish the events that are due, then wait for the next one
+     */
+    step() {
+        this.timer = null;
+        const elapsed = this.speed === Infinity ? Infinity : (this.now() - this.startTime) * this.speed;
+
+        while (this.index < this.events.length && this.events[this.index].t <= elapsed) {
+            const { topic, data } = this.events[this.index++];
+            this.bus.publish(topic, structuredClone(data)); // Subscribers may change what they get
+            if (!this.isPlaying) {
+                return; // Stopped by a subscriber
+            }
+        }
+
+        if (this.index >= this.events.length) {
+            this.stop();
+            return;
+        }
+        const wait = (this.events[this.index].t - elapsed) / this.speed;
+        this.timer = setTimeout(() => this.step(), wait);
+    }
+}
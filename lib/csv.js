@@ -0,0 +1,78 @@
+/**
+ * CSV parser
+ *
+ * Parses comma-separated text with a header row into row objects, the same
+ * shape `d3.csv()` produces: every value is a string keyed by its column
+ * name, and the array carries a `columns` property. Handles quoted fields,
+ * escaped quotes ("") and CRLF line endings; blank lines are skipped.
+ */
+
+/**
+ * Split CSV text into records of fields
+ * @param {string} text - CSV text
+ * @returns {Array<Array<string>>}
+ */
+function parseRecords(text) {
+    const records = [];
+    let record = [];
+    let field = '';
+    let quoted = false;
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+
+        if (quoted) {
+            if (char === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (char === '"') {
+                quoted = false;
+            } else {
+                field += char;
+            }
+        } else if (char === '"') {
+            quoted = true;
+        } else if (char === ',') {
+            record.push(field);
+            field = '';
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            record.push(field);
+            records.push(record);
+            record = [];
+            field = '';
+        } else {
+            field += char;
+        }
+    }
+
+    if (field !== '' || record.length > 0) {
+        record.push(field);
+        records.push(record);
+    }
+
+    // Skip blank lines
+    return records.filter(r => r.length > 1 || r[0] !== '');
+}
+
+/**
+ * Parse CSV text with a header row
+ * @param {string} text - CSV text
+ * @returns {Array<Object>} Rows keyed by column name, with a `columns` property
+ */
+export function parseCSV(text) {
+    const [header = [], ...records] = parseRecords(text.replace(/^\uFEFF/, ''));
+
+    const rows = records.map(record => {
+        const row = {};
+        header.forEach((column, i) => {
+            row[column] = record[i] ?? '';
+        });
+        return row;
+    });
+    rows.columns = header;
+
+    return rows;
+}
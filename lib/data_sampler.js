@@ -0,0 +1,169 @@
+/**
+ * DataSampler - Samples a data series at playhead positions
+ *
+ * Positions are fractions (0-1) of the X domain, so sampling depends only on
+ * the data, never on how (or whether) the series is drawn. Each playhead
+ * samples the points in a small window around its position and skips points
+ * it has already sampled until it has moved well past them, so every point
+ * sounds once per sweep.
+ */
+export class DataSampler {
+    // Asymmetric window: small tolerance ahead, larger window behind
+    // This makes notes trigger as the playhead crosses them, not before
+    static WINDOW_AHEAD = 0.002;   // 0.2% ahead (small tolerance for timing)
+    static WINDOW_BEHIND = 0.008;  // 0.8% behind (catch notes just passed)
+
+    constructor() {
+        this.data = [];
+        this.positions = [];  // X position of each row as a fraction of the X domain
+        this.values = [];     // Y value of each row
+        this.xDomain = null;
+        this.yDomain = null;
+
+        // Track recently sampled data indices per playhead to avoid re-sampling
+        this.recentlySampled = new Map(); // playheadId -> Set of indices
+    }
+
+    /**
+     * Load a data series
+     * Domains that aren't given are detected from the data (Y with 5% padding).
+     * @param {Array<Object>} data - Rows (e.g. parsed CSV)
+     * @param {Object} options
+     * @param {Function} options.getX - Row -> X value (Date or number)
+     * @param {Function} options.getY - Row -> Y value (number)
+     * @param {Array|null} options.xDomain - [min, max] override
+     * @param {Array<number>|null} options.yDomain - [min, max] override
+     */
+    setData(data, { getX, getY, xDomain = null, yDomain = null }) {
+        const xs = data.map(getX);
+        this.data = data;
+        this.values = data.map(getY);
+
+        this.xDomain = xDomain || extent(xs);
+        if (yDomain) {
+            this.yDomain = yDomain;
+        } else {
+            const [yMin, yMax] = extent(this.values);
+            const yPadding = (yMax - yMin) * 0.05;
+            this.yDomain = [yMin - yPadding, yMax + yPadding];
+        }
+
+        const [xMin, xMax] = this.xDomain;
+        const xSpan = xMax - xMin;
+        this.positions = xs.map(x => xSpan ? (x - xMin) / xSpan : 0);
+
+        this.clear();
+    }
+
+    /**
+     * Advance a position by one step of a sweep, looping back to the start
+     * @param {number} position - Current position (0-1)
+     * @param {number} stepsPerSweep - Steps to cross the whole domain
+     * @returns {number} New position (0-1)
+     */
+    advance(position, stepsPerSweep) {
+        const newPosition = position + 1 / stepsPerSweep;
+        return newPosition >= 1.0 ? newPosition - 1.0 : newPosition;
+    }
+
+    /**
+     * Sample the data at a playhead's position
+     * @param {string} playheadId - Playhead doing the sampling
+     * @param {number} position - Playhead position (0-1)
+     * @returns {Object|null} { indices, value, normalizedValue } for newly sampled
+     *   points (value is their average Y), or null if nothing new was crossed
+     */
+    sample(playheadId, position) {
+        if (!this.recentlySampled.has(playheadId)) {
+            this.recentlySampled.set(playheadId, new Set());
+        }
+        const recentlySampled = this.recentlySampled.get(playheadId);
+
+        const windowStart = position - DataSampler.WINDOW_BEHIND;
+        const windowEnd = position + DataSampler.WINDOW_AHEAD;
+
+        // Find data points within window that haven't been sampled recently
+        let valueSum = 0;
+        const indices = [];
+
+        this.positions.forEach((dataPosition, index) => {
+            if (dataPosition >= windowStart && dataPosition <= windowEnd && !recentlySampled.has(index)) {
+                valueSum += this.values[index];
+                indices.push(index);
+                recentlySampled.add(index);
+            }
+        });
+
+        // Clear indices that are now behind the playhead (outside the window)
+        const clearThreshold = position - (DataSampler.WINDOW_BEHIND * 2);
+        this.positions.forEach((dataPosition, index) => {
+            // Handle wrap-around: if playhead looped back to start, clear positions near the end
+            const passed = clearThreshold < 0 ? dataPosition > 0.95 : dataPosition < clearThreshold;
+            if (passed) {
+                recentlySampled.delete(index);
+            }
+        });
+
+        if (indices.length === 0) {
+            return null;
+        }
+
+        const value = valueSum / indices.length;
+        return { indices, value, normalizedValue: this.normalize(value) };
+    }
+
+    /**
+     * Get the points between two positions (for lookahead)
+     * @param {number} start - Start position (0-1)
+     * @param {number} end - End position (0-1, may exceed 1)
+     * @returns {Array<Object>} [{ index, position, value, normalizedValue }] in X order
+     */
+    getPointsBetween(start, end) {
+        const points = [];
+        this.positions.forEach((position, index) => {
+            if (position >= start && position <= end) {
+                const value = this.values[index];
+                points.push({ index, position, value, normalizedValue: this.normalize(value) });
+            }
+        });
+        return points.sort((a, b) => a.position - b.position);
+    }
+
+    /**
+     * Normalize a Y value to 0-1 across the Y domain
+     * @param {number} value - Y value
+     * @returns {number}
+     */
+    normalize(value) {
+        const [yMin, yMax] = this.yDomain;
+        return yMax === yMin ? 0.5 : (value - yMin) / (yMax - yMin);
+    }
+
+    /**
+     * Forget what a playhead has sampled (e.g. when it jumps back to the start)
+     * @param {string} playheadId
+     */
+    forget(playheadId) {
+        this.recentlySampled.delete(playheadId);
+    }
+
+    /**
+     * Forget what every playhead has sampled
+     */
+    clear() {
+        this.recentlySampled.clear();
+    }
+}
+
+/**
+ * Get the [min, max] of a list of values (Dates or numbers)
+ * @param {Array} values
+ * @returns {Array} [min, max], or [0, 1] for an empty list
+ */
+function extent(values) {
+    const valid = values.filter(v => v !== null && v !== undefined && !isNaN(v));
+    if (valid.length === 0) {
+        return [0, 1];
+    }
+    return valid.reduce(([min, max], v) => [v < min ? v : min, v > max ? v : max], [valid[0], valid[0]]);
+}
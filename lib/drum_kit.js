@@ -0,0 +1,205 @@
+/**
+ * DrumKit - Sampled drums for the Web Audio 'drums' voice
+ *
+ * A kit is a JSON manifest mapping General MIDI note numbers to audio files.
+ * Load one with `webAudioSynth.loadDrumKit(url)`; notes without a sample
+ * (or whose files fail to load) keep playing the synthesized drums.
+ *
+ * {
+ *   "name": "studio-kit",
+ *   "label": "Studio Kit",               // Display name (default: name)
+ *   "level": 0.8,                        // Output at full velocity
+ *   "velocityCurve": 1.5,                // Velocity → level gamma (1 = linear)
+ *   "notes": {
+ *     "36": "kick.wav",                  // One sample
+ *     "42": ["hat_1.wav", "hat_2.wav"],  // Round robin
+ *     "38": [                            // Velocity layers (inclusive ranges)
+ *       { "velocity": [0, 79], "samples": ["snare_soft_1.wav", "snare_soft_2.wav"] },
+ *       { "velocity": [80, 127], "samples": ["snare_hard.wav"] }
+ *     ]
+ *   },
+ *   "drumNotes": { "kick": 36, "snare": 38 } // Optional: note layout for the Drummer
+ * }
+ *
+ * Sample paths are relative to the manifest. Each layer cycles through its
+ * samples in order, so repeated hits don't sound machine-gunned.
+ */
+export class DrumKit {
+    /**
+     * @param {Object} definition - Kit manifest JSON (see above)
+     * @param {string} baseUrl - URL sample paths are relative to (usually the manifest's)
+     * @throws {Error} If the manifest is invalid
+     */
+    constructor(definition, baseUrl = '') {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Invalid drum kit: expected an object');
+        }
+
+        this.name = definition.name;
+        if (typeof this.name !== 'string' || !this.name) {
+            throw new Error('Invalid drum kit: missing name');
+        }
+
+        this.label = definition.label || this.name;
+        this.level = checkNumber(this.name, 'level', definition.level ?? 0.8);
+        this.velocityCurve = checkNumber(this.name, 'velocityCurve', definition.velocityCurve ?? 1.5);
+        this.drumNotes = definition.drumNotes ? checkDrumNotes(this.name, definition.drumNotes) : null;
+        this.notes = checkNotes(this.name, definition.notes, baseUrl); // note -> [{ min, max, urls, next }]
+        this.buffers = new Map(); // url -> AudioBuffer (loaded samples only)
+    }
+
+    /**
+     * Every sample file the kit uses
+     * @returns {Array<string>} Resolved URLs
+     */
+    getSampleUrls() {
+        const urls = new Set();
+        this.notes.forEach(layers => layers.forEach(layer => layer.urls.forEach(url => urls.add(url))));
+        return [...urls];
+    }
+
+    /**
+     * Fetch and decode every sample
+     * Missing or undecodable files are skipped (their notes fall back to synthesis).
+     * @param {BaseAudioContext} context - Context to decode with
+     * @returns {Promise<number>} Number of samples loaded
+     */
+    async load(context) {
+        await Promise.all(this.getSampleUrls().map(async url => {
+            try {
+                const response = await fetch(url);
+                if (!response.ok) {
+                    throw new Error(`${response.status} ${response.statusText}`);
+                }
+                this.buffers.set(url, await context.decodeAudioData(await response.arrayBuffer()));
+            } catch (err) {
+                console.warn(`Drum kit ${this.name}: couldn't load ${url} (${err.message}), using synthesized drum`);
+            }
+        }));
+
+        return this.buffers.size;
+    }
+
+    /**
+     * Choose the sample for a hit, advancing the layer's round robin
+     * @param {number} note - MIDI note number
+     * @param {number} velocity - Note velocity (0-127)
+     * @returns {AudioBuffer|null} null if the kit has no loaded sample for the hit
+     */
+    select(note, velocity) {
+        const layers = this.notes.get(note);
+        const layer = layers && layers.find(l => velocity >= l.min && velocity <= l.max);
+        if (!layer) {
+            return null;
+        }
+
+        // Skip samples that didn't load
+        const loaded = layer.urls.filter(url => this.buffers.has(url));
+        if (loaded.length === 0) {
+            return null;
+        }
+
+        const url = loaded[layer.next % loaded.length];
+        layer.next++;
+        return this.buffers.get(url);
+    }
+
+    /**
+     * Output level for a hit
+     * @param {number} velocity - Note velocity (0-127)
+     * @returns {number}
+     */
+    getGain(velocity) {
+        return Math.pow(velocity / 127, this.velocityCurve) * this.level;
+    }
+}
+
+/**
+ * Check a numeric kit setting
+ * @param {string} kitName
+ * @param {string} field
+ * @param {*} value
+ * @returns {number}
+ */
+function checkNumber(kitName, field, value) {
+    if (typeof value !== 'number' || !isFinite(value) || value < 0) {
+        throw new Error(`Invalid drum kit "${kitName}": ${field} must be a non-negative number`);
+    }
+    return value;
+}
+
+/**
+ * Check a drum name -> note number layout
+ * @param {string} kitName
+ * @param {Object} drumNotes
+ * @returns {Object}
+ */
+function checkDrumNotes(kitName, drumNotes) {
+    Object.entries(drumNotes).forEach(([drum, note]) => {
+        if (!Number.isInteger(note) || note < 0 || note > 127) {
+            throw new Error(`Invalid drum kit "${kitName}": drumNotes.${drum} must be a MIDI note (0-127)`);
+        }
+    });
+    return { ...drumNotes };
+}
+
+/**
+ * Check the note -> samples map and normalize it to velocity layers
+ * @param {string} kitName
+ * @param {Object} notes
+ * @param {string} baseUrl
+ * @returns {Map<number, Array<Object>>} note -> [{ min, max, urls, next }]
+ */
+function checkNotes(kitName, notes, baseUrl) {
+    if (!notes || typeof notes !== 'object' || Object.keys(notes).length === 0) {
+        throw new Error(`Invalid drum kit "${kitName}": needs at least one note`);
+    }
+
+    const layersByNote = new Map();
+    Object.entries(notes).forEach(([key, value]) => {
+        const note = Number(key);
+        if (!Number.isInteger(note) || note < 0 || note > 127) {
+            throw new Error(`Invalid drum kit "${kitName}": "${key}" is not a MIDI note (0-127)`);
+        }
+
+        // "file.wav" and ["a.wav", "b.wav"] are a single full-range layer
+        const layers = typeof value === 'string' || (Array.isArray(value) && value.every(v => typeof v === 'string'))
+            ? [{ velocity: [0, 127], samples: [].concat(value) }]
+            : value;
+
+        if (!Array.isArray(layers) || layers.length === 0) {
+            throw new Error(`Invalid drum kit "${kitName}": note ${note} needs a sample`);
+        }
+
+        layersByNote.set(note, layers.map((layer, i) => {
+            const where = `note ${note} layer ${i}`;
+            const [min, max] = layer.velocity ?? [0, 127];
+            if (!(min >= 0 && max <= 127 && min <= max)) {
+                throw new Error(`Invalid drum kit "${kitName}": ${where} velocity must be [min, max] within 0-127`);
+            }
+
+            const samples = [].concat(layer.samples ?? []);
+            if (samples.length === 0 || !samples.every(sample => typeof sample === 'string' && sample)) {
+                throw new Error(`Invalid drum kit "${kitName}": ${where} needs sample file names`);
+            }
+
+            return { min, max, urls: samples.map(sample => resolveUrl(sample, baseUrl)), next: 0 };
+        }));
+    });
+
+    return layersByNote;
+}
+
+/**
+ * Resolve a sample path against the manifest URL
+ * @param {string} path - Sample path from the manifest
+ * @param {string} baseUrl - Manifest URL (or its directory)
+ * @returns {string}
+ */
+function resolveUrl(path, baseUrl) {
+    // Absolute URLs and paths stand as they are
+    if (/^[a-z][a-z0-9+.-]*:/i.test(path) || path.startsWith('/')) {
+        return path;
+    }
+    return baseUrl.slice(0, baseUrl.lastIndexOf('/') + 1) + path;
+}
@@ -0,0 +1,214 @@
+/**
+ * EffectsBus - Send effects and master dynamics for Web Audio output
+ *
+ * One bus per audio context (the live one, or an offline render's). Channel
+ * strips feed the reverb and delay through their send levels; both effects
+ * return into the master bus, and the master runs through a compressor
+ * before the speakers:
+ *
+ *   strip ─┬──────────────────────────────────────→ master → compressor → out
+ *          ├─ reverb send → convolver → reverb wet ─↗
+ *          └─ delay send  → delay ⟲ feedback → delay wet ─↗
+ *
+ * The reverb is a convolution with a generated impulse (decaying stereo
+ * noise), so it needs no sample files. The delay time is a note division
+ * at the current tempo (see `setTempo()`).
+ */
+export class EffectsBus {
+    // Settings: range (or options) and default
+    static PARAMETERS = {
+        reverbWet: { min: 0, max: 1, default: 0.3 },           // Reverb return level
+        reverbDecay: { min: 0.1, max: 10, default: 2 },        // Reverb tail in seconds
+        delayWet: { min: 0, max: 1, default: 0.25 },           // Delay return level
+        delayFeedback: { min: 0, max: 0.95, default: 0.35 },   // Level of each repeat
+        delayDivision: { options: ['1/4', '1/8', '1/8.', '1/8T', '1/16'], default: '1/8.' },
+        compressorThreshold: { min: -60, max: 0, default: -12 }, // dB
+        compressorRatio: { min: 1, max: 20, default: 4 }
+    };
+
+    // Delay division -> length in beats
+    static DELAY_DIVISIONS = {
+        '1/4': 1,
+        '1/8': 0.5,
+        '1/8.': 0.75,
+        '1/8T': 1 / 3,
+        '1/16': 0.25
+    };
+
+    // Effects a channel strip can send to
+    static SENDS = ['reverb', 'delay'];
+
+    /**
+     * Default value of every setting
+     * @returns {Object} setting name -> value
+     */
+    static defaults() {
+        return Object.fromEntries(
+            Object.entries(EffectsBus.PARAMETERS).map(([name, { default: value }]) => [name, value])
+        );
+    }
+
+    /**
+     * Check a setting value
+     * @param {string} name - Setting name (see PARAMETERS)
+     * @param {number|string} value
+     * @throws {Error} If the setting is unknown or the value out of range
+     */
+    static check(name, value) {
+        const parameter = EffectsBus.PARAMETERS[name];
+        if (!parameter) {
+            throw new Error(`Unknown effect setting "${name}"`);
+        }
+
+        if (parameter.options) {
+            if (!parameter.options.includes(value)) {
+                throw new Error(`Effect setting ${name} must be one of ${parameter.options.join(', ')}`);
+            }
+        } else if (typeof value !== 'number' || !(value >= parameter.min && value <= parameter.max)) {
+            throw new Error(`Effect setting ${name} must be a number from ${parameter.min} to ${parameter.max}`);
+        }
+    }
+
+    /**
+     * Build the bus
+     * @param {BaseAudioContext} context - Audio context
+     * @param {AudioNode} master - Master bus (effects return into it; it's routed through the compressor)
+     * @param {Object} options
+     * @param {Object} options.settings - Setting name -> value (see PARAMETERS)
+     * @param {number} options.bpm - Tempo for the delay time
+     * @param {Function} options.random - Returns 0 <= n < 1 (impulse noise)
+     */
+    constructor(context, master, { settings, bpm, random }) {
+        this.context = context;
+        this.master = master;
+        this.settings = { ...settings };
+        this.bpm = bpm;
+        this.random = random;
+
+        // Reverb
+        this.reverbInput = context.createGain();
+        this.convolver = context.createConvolver();
+        this.convolver.buffer = this.createImpulse(this.settings.reverbDecay);
+        this.reverbReturn = context.createGain();
+        this.reverbReturn.gain.value = this.settings.reverbWet;
+
+        this.reverbInput.connect(this.convolver);
+        this.convolver.connect(this.reverbReturn);
+        this.reverbReturn.connect(master);
+
+        // Delay (the feedback loop needs a max time up front)
+        this.delayInput = context.createGain();
+        this.delay = context.createDelay(5);
+        this.delay.delayTime.value = this.getDelayTime();
+        this.feedback = context.createGain();
+        this.feedback.gain.value = this.settings.delayFeedback;
+        this.delayReturn = context.createGain();
+        this.delayReturn.gain.value = this.settings.delayWet;
+
+        this.delayInput.connect(this.delay);
+        this.delay.connect(this.feedback);
+        this.feedback.connect(this.delay);
+        this.delay.connect(this.delayReturn);
+        this.delayReturn.connect(master);
+
+        // Master dynamics
+        this.compressor = context.createDynamicsCompressor();
+        this.compressor.threshold.value = this.settings.compressorThreshold;
+        this.compressor.ratio.value = this.settings.compressorRatio;
+        this.compressor.knee.value = 6;
+        this.compressor.attack.value = 0.003;
+        this.compressor.release.value = 0.25;
+
+        this.compressor.connect(context.destination);
+        this.connectMaster();
+    }
+
+    /**
+     * Route the master into the compressor
+     * Also used to restore the route after the master was disconnected (panic).
+     */
+    connectMaster() {
+        this.master.connect(this.compressor);
+    }
+
+    /**
+     * Get the node a channel strip sends into
+     * @param {string} effect - 'reverb' or 'delay'
+     * @returns {AudioNode}
+     */
+    getSendInput(effect) {
+        return effect === 'reverb' ? this.reverbInput : this.delayInput;
+    }
+
+    /**
+     * Change a setting
+     * @param {string} name - Setting name (see PARAMETERS)
+     * @param {number|string} value - Checked with EffectsBus.check()
+     * @param {number} now - Audio clock time to change at (glides briefly so sweeps don't click)
+     */
+    set(name, value, now) {
+        this.settings[name] = value;
+
+        switch (name) {
+            case 'reverbWet':
+                this.reverbReturn.gain.setTargetAtTime(value, now, 0.02);
+                break;
+            case 'reverbDecay':
+                this.convolver.buffer = this.createImpulse(value);
+                break;
+            case 'delayWet':
+                this.delayReturn.gain.setTargetAtTime(value, now, 0.02);
+                break;
+            case 'delayFeedback':
+                this.feedback.gain.setTargetAtTime(value, now, 0.02);
+                break;
+            case 'delayDivision':
+                this.delay.delayTime.setTargetAtTime(this.getDelayTime(), now, 0.05);
+                break;
+            case 'compressorThreshold':
+                this.compressor.threshold.setTargetAtTime(value, now, 0.02);
+                break;
+            case 'compressorRatio':
+                this.compressor.ratio.setTargetAtTime(value, now, 0.02);
+                break;
+        }
+    }
+
+    /**
+     * Follow a tempo change (the delay stays on its note division)
+     * @param {number} bpm - Beats per minute
+     * @param {number} now - Audio clock time to change at
+     */
+    setTempo(bpm, now) {
+        this.bpm = bpm;
+        this.delay.delayTime.setTargetAtTime(this.getDelayTime(), now, 0.05);
+    }
+
+    /**
+     * Get the delay time for the current division and tempo
+     * @returns {number} Seconds (capped at the delay line's 5 seconds)
+     */
+    getDelayTime() {
+        const beats = EffectsBus.DELAY_DIVISIONS[this.settings.delayDivision];
+        return Math.min(5, beats * 60 / this.bpm);
+    }
+
+    /**
+     * Generate a reverb impulse: stereo noise decaying to silence
+     * @param {number} decay - Tail length in seconds
+     * @returns {AudioBuffer}
+     */
+    createImpulse(decay) {
+        const length = Math.ceil(decay * this.context.sampleRate);
+        const impulse = this.context.createBuffer(2, length, this.context.sampleRate);
+
+        for (let channel = 0; channel < 2; channel++) {
+            const data = impulse.getChannelData(channel);
+            for (let i = 0; i < length; i++) {
+                data[i] = (this.random() * 2 - 1) * Math.pow(1 - i / length, 3);
+            }
+        }
+
+        return impulse;
+    }
+}
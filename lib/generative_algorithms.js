@@ -3,6 +3,8 @@
  * Provides probabilistic and algorithmic music generation utilities
  */
 
+import { random } from './random.js';
+
 /**
  * Normalize weights to probabilities (sum to 1.0)
  * @param {Object|Array} weights - Weights to normalize
@@ -31,9 +33,10 @@ export function normalizeWeights(weights) {
  * Weighted random selection from array of options
  * @param {Array} options - Array of options to choose from
  * @param {Array|Object} weights - Weights for each option (will be normalized)
+ * @param {RandomStream} rng - Random stream to draw from (see lib/random.js)
  * @returns {*} Selected option
  */
-export function weightedRandomSelect(options, weights) {
+export function weightedRandomSelect(options, weights, rng = random) {
     if (options.length === 0) {
         throw new Error('Cannot select from empty options array');
     }
@@ -45,12 +48,12 @@ export function weightedRandomSelect(options, weights) {
     const probs = normalizeWeights(weightsArray);
 
     // Weighted random selection
-    const random = Math.random();
+    const roll = rng.next();
     let cumulative = 0;
 
     for (let i = 0; i < options.length; i++) {
         cumulative += probs[i];
-        if (random < cumulative) {
+        if (roll < cumulative) {
             return options[i];
         }
     }
@@ -105,14 +108,15 @@ export function chromaticApproach(targetNote, currentNote) {
  * @param {number} density - Note density (0.0 = sparse, 1.0 = dense)
  * @param {number} swing - Swing amount (0.0 = straight, 1.0 = full swing)
  * @param {number} steps - Number of steps in pattern (e.g., 16 for 16th notes)
+ * @param {RandomStream} rng - Random stream to draw from (see lib/random.js)
  * @returns {Array<number>} Array of step indices where notes should play
  */
-export function generateRhythmPattern(density = 0.5, swing = 0.0, steps = 16) {
+export function generateRhythmPattern(density = 0.5, swing = 0.0, steps = 16, rng = random) {
     const pattern = [];
 
     for (let i = 0; i < steps; i++) {
         // Higher density = higher probability of note
-        if (Math.random() < density) {
+        if (rng.chance(density)) {
             // Apply swing to every other note (on offbeats)
             let timing = i;
             if (swing > 0 && i % 2 === 1) {
@@ -0,0 +1,330 @@
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+
+// Appended to the client's key in the handshake (RFC 6455)
+const HANDSHAKE_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+
+// Frame opcodes
+const CONTINUATION = 0x0;
+const TEXT = 0x1;
+const CLOSE = 0x8;
+const PING = 0x9;
+const PONG = 0xA;
+
+/**
+ * Bus Relay - Minimal WebSocket server that passes bus messages between peers
+ *
+ * Every text message a client sends is passed on, unchanged, to every other
+ * client, so WebSocketBridges (lib/bus_bridge.js) in pages and any other
+ * WebSocket client (e.g. a Python data pipeline) can publish to each other.
+ * The relay doesn't read the messages: topic filters and loop prevention
+ * belong to the bridges. Binary messages are ignored.
+ *
+ * Implements just enough of RFC 6455 for local use and tests (no TLS,
+ * extensions or subprotocols); use a real server across a network.
+ *
+ *   const relay = new BusRelay({ port: 8765 });
+ *   await relay.start();
+ *
+ * From the command line: node scripts/bus_relay.js --port 8765
+ */
+export class BusRelay {
+    // Largest message accepted in bytes (larger ones close the connection)
+    static MAX_MESSAGE_SIZE = 1024 * 1024;
+
+    /**
+     * @param {Object} options
+     * @param {number} options.port - Port to listen on (0 = any free port)
+     * @param {string} options.host - Interface to listen on (default: local only)
+     */
+    constructor({ port = 8765, host = '127.0.0.1' } = {}) {
+        this.port = port;
+        this.host = host;
+        this.server = null;
+        this.clients = new Set(); // Sockets that completed the handshake
+    }
+
+    /**
+     * Start listening
+     * @returns {Promise<number>} Port listened on
+     */
+    start() {
+        this.server = createServer((request, response) => {
+            response.writeHead(426, { 'Content-Type': 'text/plain', 'Upgrade': 'websocket' });
+            response.end('Sonofire bus relay: connect with a WebSocket\n');
+        });
+        this.server.on('upgrade', (request, socket, head) => this.handleUpgrade(request, socket, head));
+
+        return new Promise((resolve, reject) => {
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.server.off('error', reject);
+                this.port = this.server.address().port;
+                resolve(this.port);
+            });
+        });
+    }
+
+    /**
+     * Disconnect every client and stop listening
+     * @returns {Promise<void>}
+     */
+    stop() {
+        this.clients.forEach(socket => socket.destroy());
+        this.clients.clear();
+        if (!this.server) {
+            return Promise.resolve();
+        }
+        const server = this.server;
+        this.server = null;
+        return new Promise(resolve => server.close(() => resolve()));
+    }
+
+    /**
+     * Complete a client's WebSocket handshake and relay its messages
+     * @param {http.IncomingMessage} request
+     * @param {net.Socket} socket
+     * @param {Buffer} head - Bytes received after the handshake request
+     */
+    handleUpgrade(request, socket, head = Buffer.alloc(0)) {
+        const key = request.headers['sec-websocket-key'];
+        if (request.headers.upgrade?.toLowerCase() !== 'websocket' || !key) {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        const accept = createHash('sha1').update(key + HANDSHAKE_GUID).digest('base64');
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${accept}`,
+            '',
+            ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+        this.clients.add(socket);
+
+        const reader = new FrameReader({ maxSize: BusRelay.MAX_MESSAGE_SIZE });
+        const onData = (chunk) => {
+            let frames;
+            try {
+                frames = reader.push(chunk);
+            } catch (err) {
+                console.warn('BusRelay: Closing connection:', err.message);
+                this.closeClient(socket, 1009);
+                return;
+            }
+            frames.forEach(frame => this.handleFrame(socket, frame));
+        };
+        socket.on('data', onData);
+        socket.on('close', () => this.clients.delete(socket));
+        socket.on('error', () => this.clients.delete(socket));
+        if (head.length > 0) {
+            onData(head);
+        }
+    }
+
+    /**
+     * Act on a frame from a client
+     * @param {net.Socket} socket - Client
+     * @param {Object} frame - { opcode, payload }
+     */
+    handleFrame(socket, { opcode, payload }) {
+        if (!this.clients.has(socket)) {
+            return; // Closed earlier in the same chunk
+        }
+        switch (opcode) {
+            case TEXT:
+                this.broadcast(payload.toString('utf8'), socket);
+                break;
+            case PING:
+                socket.write(encodeFrame(payload, { opcode: PONG }));
+                break;
+            case CLOSE:
+                this.closeClient(socket, 1000);
+                break;
+            default:
+                break; // Binary and pong frames
+        }
+    }
+
+    /**
+     * Pass a text message to every client but its sender
+     * @param {string} text
+     * @param {net.Socket|null} sender
+     */
+    broadcast(text, sender = null) {
+        const frame = encodeFrame(text);
+        this.clients.forEach(socket => {
+            if (socket !== sender) {
+                socket.write(frame);
+            }
+        });
+    }
+
+    /**
+     * Send a close frame and end a client's connection
+     * @param {net.Socket} socket
+     * @param {number} code - Close status code
+     */
+    closeClient(socket, code) {
+        this.clients.delete(socket);
+        const payload = Buffer.alloc(2);
+        payload.writeUInt16BE(code);
+        socket.end(encodeFrame(payload, { opcode: CLOSE }));
+    }
+}
+
+/**
+ * Encode one unfragmented WebSocket frame
+ * Servers send unmasked frames; clients must pass a 4-byte mask.
+ * @param {string|Buffer} payload - Text or bytes
+ * @param {Object} options
+ * @param {number} options.opcode - Frame opcode (default: text)
+ * @param {Buffer|null} options.mask - Masking key (clients only)
+ * @returns {Buffer}
+ */
+export function encodeFrame(payload, { opcode = TEXT, mask = null } = {}) {
+    const data = Buffer.isBuffer(payload) ? Buffer.from(payload) : Buffer.from(String(payload), 'utf8');
+
+    let header;
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 0x10000) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    if (!mask) {
+        return Buffer.concat([header, data]);
+    }
+    header[1] |= 0x80;
+    for (let i = 0; i < data.length; i++) {
+        data[i] ^= mask[i % 4];
+    }
+    return Buffer.concat([header, mask, data]);
+}
+
+/**
+ * Collects WebSocket frames from a byte stream
+ * Frames may arrive split or several to a chunk; fragmented messages are
+ * joined, so each frame returned is a whole message or a control frame.
+ */
+export class FrameReader {
+    /**
+     * @param {Object} options
+     * @param {number} options.maxSize - Largest message in bytes
+     */
+    constructor({ maxSize = Infinity } = {}) {
+        this.maxSize = maxSize;
+        this.buffer = Buffer.alloc(0);
+        this.fragments = null; // { opcode, payloads, size } of a fragmented message
+    }
+
+    /**
+     * Add received bytes
+     * @param {Buffer} chunk
+     * @returns {Array<Object>} Complete frames: [{ opcode, payload }, ...]
+     * @throws {Error} If a message exceeds maxSize
+     */
+    push(chunk) {
+        this.buffer = Buffer.concat([this.buffer, chunk]);
+        const frames = [];
+        let frame;
+        while ((frame = this.readFrame()) !== null) {
+            const message = this.assemble(frame);
+            if (message) {
+                frames.push(message);
+            }
+        }
+        return frames;
+    }
+
+    /**
+     * Take one frame off the buffer
+     * @returns {Object|null} { fin, opcode, payload }, or null if incomplete
+     */
+    readFrame() {
+        if (this.buffer.length < 2) {
+            return null;
+        }
+        const fin = (this.buffer[0] & 0x80) !== 0;
+        const opcode = this.buffer[0] & 0x0F;
+        const masked = (this.buffer[1] & 0x80) !== 0;
+        let length = this.buffer[1] & 0x7F;
+        let offset = 2;
+
+        if (length === 126) {
+            if (this.buffer.length < 4) {
+                return null;
+            }
+            length = this.buffer.readUInt16BE(2);
+            offset = 4;
+        } else if (length === 127) {
+            if (this.buffer.length < 10) {
+                return null;
+            }
+            length = Number(this.buffer.readBigUInt64BE(2));
+            offset = 10;
+        }
+        if (length > this.maxSize) {
+            throw new Error(`Message of ${length} bytes is too large`);
+        }
+
+        const maskOffset = offset;
+        if (masked) {
+            offset += 4;
+        }
+        if (this.buffer.length < offset + length) {
+            return null;
+        }
+
+        const payload = Buffer.from(this.buffer.subarray(offset, offset + length));
+        if (masked) {
+            for (let i = 0; i < payload.length; i++) {
+                payload[i] ^= this.buffer[maskOffset + (i % 4)];
+            }
+        }
+        this.buffer = this.buffer.subarray(offset + length);
+        return { fin, opcode, payload };
+    }
+
+    /**
+     * Join a fragmented message's frames
+     * @param {Object} frame - { fin, opcode, payload }
+     * @returns {Object|null} { opcode, payload } once the message is complete
+     * @throws {Error} If a message exceeds maxSize
+     */
+    assemble({ fin, opcode, payload }) {
+        if (opcode >= CLOSE) {
+            return { opcode, payload }; // Control frames are never fragmented
+        }
+
+        if (opcode !== CONTINUATION) {
+            this.fragments = { opcode, payloads: [], size: 0 };
+        }
+        if (!this.fragments) {
+            return null; // Continuation without a start
+        }
+        this.fragments.payloads.push(payload);
+        this.fragments.size += payload.length;
+        if (this.fragments.size > this.maxSize) {
+            throw new Error(`Message of ${this.fragments.size} bytes is too large`);
+        }
+        if (!fin) {
+            return null;
+        }
+
+        const message = { opcode: this.fragments.opcode, payload: Buffer.concat(this.fragments.payloads) };
+        this.fragments = null;
+        return message;
+    }
+}
@@ -0,0 +1,365 @@
+/**
+ * Headless DOM - Just enough of the browser for Sonofire components to run in Node
+ *
+ * Components are custom elements that keep their musical state in plain
+ * properties and talk over PubSub; the DOM is only their UI. This shim
+ * provides the pieces they touch outside of rendering:
+ * - HTMLElement with attributes, `id`, `style` and the lifecycle callbacks
+ * - customElements.define()/get() and document.createElement()
+ * - document.getElementById()/querySelector() for tag names and #ids
+ * - An in-memory localStorage (where persisted PubSub topics are kept)
+ *
+ * Queries inside a component always come back empty, so code that updates
+ * controls finds nothing to update. Components are expected to have their
+ * `render()` replaced with a no-op (see HeadlessEngine). Observed attribute
+ * changes only reach attributeChangedCallback once an element is connected;
+ * attributes set before that are read by parseAttributes().
+ */
+
+/**
+ * In-memory Storage (localStorage API)
+ */
+class MemoryStorage {
+    constructor() {
+        this.items = new Map();
+    }
+
+    get length() {
+        return this.items.size;
+    }
+
+    /**
+     * @param {number} index
+     * @returns {string|null} Key at index
+     */
+    key(index) {
+        return [...this.items.keys()][index] ?? null;
+    }
+
+    /**
+     * @param {string} key
+     * @returns {string|null}
+     */
+    getItem(key) {
+        return this.items.has(key) ? this.items.get(key) : null;
+    }
+
+    /**
+     * @param {string} key
+     * @param {string} value
+     */
+    setItem(key, value) {
+        this.items.set(key, String(value));
+    }
+
+    /**
+     * @param {string} key
+     */
+    removeItem(key) {
+        this.items.delete(key);
+    }
+
+    /**
+     * Remove every item
+     */
+    clear() {
+        this.items.clear();
+    }
+}
+
+// Custom element registry: tag name <-> class
+const definitions = new Map();
+const tagNames = new Map();
+
+/**
+ * Minimal HTMLElement
+ */
+class HeadlessElement {
+    constructor(tagName = null) {
+        this.tagName = (tagName || tagNames.get(new.target) || 'div').toUpperCase();
+        this.attributeMap = new Map();
+        this.style = {};
+        this.dataset = {};
+        this.innerHTML = '';
+        this.textContent = '';
+        this.className = '';
+        this.childNodes = [];
+        this.parentElement = null;
+        this.isConnected = false;
+    }
+
+    get id() {
+        return this.getAttribute('id') || '';
+    }
+
+    set id(value) {
+        this.setAttribute('id', value);
+    }
+
+    get firstChild() {
+        return this.childNodes[0] ?? null;
+    }
+
+    get parentNode() {
+        return this.parentElement;
+    }
+
+    /**
+     * @param {string} name
+     * @returns {string|null}
+     */
+    getAttribute(name) {
+        return this.attributeMap.has(name) ? this.attributeMap.get(name) : null;
+    }
+
+    /**
+     * @param {string} name
+     * @param {*} value
+     */
+    setAttribute(name, value) {
+        const oldValue = this.getAttribute(name);
+        const newValue = String(value);
+        this.attributeMap.set(name, newValue);
+        this.notifyAttributeChanged(name, oldValue, newValue);
+    }
+
+    /**
+     * @param {string} name
+     * @returns {boolean}
+     */
+    hasAttribute(name) {
+        return this.attributeMap.has(name);
+    }
+
+    /**
+     * @param {string} name
+     */
+    removeAttribute(name) {
+        const oldValue = this.getAttribute(name);
+        this.attributeMap.delete(name);
+        this.notifyAttributeChanged(name, oldValue, null);
+    }
+
+    /**
+     * Call attributeChangedCallback for observed attributes of connected elements
+     * @param {string} name
+     * @param {string|null} oldValue
+     * @param {string|null} newValue
+     */
+    notifyAttributeChanged(name, oldValue, newValue) {
+        const observed = this.constructor.observedAttributes || [];
+        if (this.isConnected && observed.includes(name) && typeof this.attributeChangedCallback === 'function') {
+            this.attributeChangedCallback(name, oldValue, newValue);
+        }
+    }
+
+    /**
+     * Add a child, connecting it if this element is connected
+     * @param {HeadlessElement} child
+     * @returns {HeadlessElement}
+     */
+    appendChild(child) {
+        return this.insertBefore(child, null);
+    }
+
+    /**
+     * Insert a child before another (or at the end)
+     * @param {HeadlessElement} child
+     * @param {HeadlessElement|null} reference
+     * @returns {HeadlessElement}
+     */
+    insertBefore(child, reference) {
+        const index = this.childNodes.indexOf(reference);
+        this.childNodes.splice(index === -1 ? this.childNodes.length : index, 0, child);
+        child.parentElement = this;
+
+        if (this.isConnected) {
+            connect(child);
+        }
+        return child;
+    }
+
+    /**
+     * Remove from the parent, disconnecting this element and its children
+     */
+    remove() {
+        if (this.parentElement) {
+            const siblings = this.parentElement.childNodes;
+            siblings.splice(siblings.indexOf(this), 1);
+            this.parentElement = null;
+        }
+        if (this.isConnected) {
+            disconnect(this);
+        }
+    }
+
+    /**
+     * Queries inside an element find nothing (components render no markup)
+     * @returns {null}
+     */
+    querySelector() {
+        return null;
+    }
+
+    /**
+     * @returns {Array} Always empty
+     */
+    querySelectorAll() {
+        return [];
+    }
+
+    addEventListener() {}
+
+    removeEventListener() {}
+}
+
+/**
+ * Connect an element and its children (connectedCallback, parent first)
+ * @param {HeadlessElement} element
+ */
+function connect(element) {
+    element.isConnected = true;
+    if (typeof element.connectedCallback === 'function') {
+        element.connectedCallback();
+    }
+    element.childNodes.forEach(connect);
+}
+
+/**
+ * Disconnect an element and its children (disconnectedCallback)
+ * @param {HeadlessElement} element
+ */
+function disconnect(element) {
+    element.isConnected = false;
+    if (typeof element.disconnectedCallback === 'function') {
+        element.disconnectedCallback();
+    }
+    element.childNodes.forEach(disconnect);
+}
+
+/**
+ * List the connected elements under a root, depth first
+ * @param {HeadlessElement} root
+ * @returns {Array<HeadlessElement>}
+ */
+function descendants(root) {
+    return root.childNodes.flatMap(child => [child, ...descendants(child)]);
+}
+
+/**
+ * Check an element against a simple selector ('#id' or a tag name)
+ * @param {HeadlessElement} element
+ * @param {string} selector
+ * @returns {boolean}
+ */
+function matches(element, selector) {
+    if (selector.startsWith('#')) {
+        return element.id === selector.slice(1);
+    }
+    return element.tagName === selector.toUpperCase();
+}
+
+const customElementRegistry = {
+    /**
+     * @param {string} name - Tag name
+     * @param {Function} elementClass - Class extending HTMLElement
+     */
+    define(name, elementClass) {
+        if (definitions.has(name)) {
+            throw new Error(`Custom element "${name}" is already defined`);
+        }
+        definitions.set(name, elementClass);
+        tagNames.set(elementClass, name);
+    },
+
+    /**
+     * @param {string} name - Tag name
+     * @returns {Function|undefined}
+     */
+    get(name) {
+        return definitions.get(name);
+    }
+};
+
+/**
+ * Create the headless document
+ * @returns {Object}
+ */
+function createDocument() {
+    const body = new HeadlessElement('body');
+    body.isConnected = true;
+
+    return {
+        body,
+
+        /**
+         * @param {string} tagName
+         * @returns {HeadlessElement} Instance of the registered custom element, if any
+         */
+        createElement(tagName) {
+            const name = tagName.toLowerCase();
+            const ElementClass = definitions.get(name);
+            return ElementClass ? new ElementClass() : new HeadlessElement(name);
+        },
+
+        /**
+         * @param {string} text
+         * @returns {Object} Text node stand-in
+         */
+        createTextNode(text) {
+            return { textContent: text };
+        },
+
+        /**
+         * @param {string} id
+         * @returns {HeadlessElement|null}
+         */
+        getElementById(id) {
+            return descendants(body).find(element => element.id === id) ?? null;
+        },
+
+        /**
+         * @param {string} selector - '#id' or tag name
+         * @returns {HeadlessElement|null}
+         */
+        querySelector(selector) {
+            return descendants(body).find(element => matches(element, selector)) ?? null;
+        },
+
+        /**
+         * @param {string} selector - '#id' or tag name
+         * @returns {Array<HeadlessElement>}
+         */
+        querySelectorAll(selector) {
+            return descendants(body).filter(element => matches(element, selector));
+        },
+
+        addEventListener() {},
+
+        removeEventListener() {}
+    };
+}
+
+/**
+ * Install the headless DOM globals
+ * Does nothing where a real DOM exists.
+ * @returns {Object} The document in use
+ */
+export function installHeadlessDOM() {
+    if (typeof globalThis.HTMLElement !== 'undefined') {
+        return globalThis.document;
+    }
+
+    const document = createDocument();
+
+    Object.assign(globalThis, {
+        HTMLElement: HeadlessElement,
+        customElements: customElementRegistry,
+        document,
+        localStorage: new MemoryStorage(),
+        getComputedStyle: () => ({})
+    });
+    globalThis.window = globalThis;
+
+    return document;
+}
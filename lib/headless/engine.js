@@ -0,0 +1,235 @@
+import { midiClock } from '../midi_clock.js';
+import { audioRouter } from '../audio_router.js';
+import { webAudioSynth } from '../web_audio_synth.js';
+import { midiRecorder } from '../midi_recorder.js';
+import { WhipManager } from '../whip_manager.js';
+import { WhipBinding } from '../whip_binding.js';
+import { installHeadlessDOM } from './dom.js';
+import { VirtualTimers } from './virtual_timers.js';
+
+/**
+ * Headless Engine - Sonifies a CSV series to a MIDI file in Node
+ * Singleton pattern: use `headlessEngine` export
+ *
+ * Wires the same components as the page (Conductor, Composer, a
+ * `sonofire-data-source` in place of the XY Plot, and the instrumentalists)
+ * on a headless DOM, binds the data source's playhead to the soloists' note
+ * generation, and runs the MIDI clock offline for one sweep of the data while
+ * the MIDI Recorder captures the performance. Component timers run on a
+ * virtual clock that follows the MIDI clock, so a render takes a fraction of
+ * its playing time.
+ *
+ * Components subscribe for the life of the process, so each process renders
+ * once; batch jobs run one process per series (see scripts/render_headless.js).
+ */
+class HeadlessEngine {
+    // Same ensemble as index.html
+    static DEFAULT_CONDUCTOR = { 'data-pool': '3♭', 'data-tonic': 'C', 'data-tempo': '90', 'data-mode': 'manual' };
+    static DEFAULT_COMPOSER = {
+        'data-progression-style': 'blues',
+        'data-bars-per-chord': '2',
+        'data-progression-length': '8',
+        'data-use-probabilistic': 'true'
+    };
+    static DEFAULT_ENSEMBLE = [
+        { tag: 'sonofire-soloist', attributes: { id: 'soloist-1', 'data-channel': '0', 'data-style': 'melodic', 'data-note-range': 'mid', 'data-max-interval': '7' } },
+        { tag: 'sonofire-keyboardist', attributes: { 'data-channel': '4', 'data-instrument-style': 'piano', 'data-playing-approach': 'comping', 'data-density': '0.5' } },
+        { tag: 'sonofire-drummer', attributes: { 'data-channel': '9', 'data-drum-style': 'rock' } },
+        { tag: 'sonofire-bassist', attributes: { 'data-channel': '1', 'data-bass-style': 'roots', 'data-note-range': 'mid-low', 'data-density': '0.75' } }
+    ];
+    static DEFAULT_BINDINGS = [
+        { target: 'soloist-1', parameter: 'noteGeneration' }
+    ];
+
+    // Virtual idle time before the clock starts (lets startup timers settle, like a page before Play)
+    static SETTLE_MS = 1000;
+
+    constructor() {
+        this.document = null;
+        this.timers = new VirtualTimers();
+        this.isRendering = false;
+        this.hasRendered = false;
+    }
+
+    /**
+     * Install the headless DOM and load the components
+     * Components extend HTMLElement, so they can only be imported afterwards.
+     */
+    async load() {
+        if (this.document) {
+            return;
+        }
+
+        this.document = installHeadlessDOM();
+
+        await Promise.all([
+            import('../../components/controllers/conductor.js'),
+            import('../../components/controllers/composer.js'),
+            import('../../components/visualizers/data_source.js'),
+            import('../../components/instrumentalists/soloist.js'),
+            import('../../components/instrumentalists/keyboardist.js'),
+            import('../../components/instrumentalists/drummer.js'),
+            import('../../components/instrumentalists/bassist.js')
+        ]);
+    }
+
+    /**
+     * Render one sweep of a CSV series to a Standard MIDI File
+     * Attribute maps are the same attributes the components take on a page.
+     * @param {string} csvText - CSV contents with a header row
+     * @param {Object} options
+     * @param {Object} options.conductor - Conductor attributes (e.g. { 'data-tempo': '120' })
+     * @param {Object} options.composer - Composer attributes
+     * @param {Object} options.source - Data source attributes (e.g. { 'data-y-column': 'value' })
+     * @param {Array<Object>} options.ensemble - [{ tag, attributes }] instrumentalists
+     * @param {Array<Object>} options.bindings - [{ target, parameter }] driven by the data source playhead
+     * @param {number|null} options.ticks - Clock ticks to render (defaults to one sweep of the data)
+     * @param {boolean} options.quiet - Silence component logging (errors still print)
+     * @param {BusRecorder|null} options.busRecorder - Records the PubSub session during the render
+     *   (lib/bus_recorder.js); give it `now` on the audio clock so times follow the render
+     * @returns {Promise<Uint8Array>} .mid file bytes
+     */
+    async render(csvText, {
+        conductor = HeadlessEngine.DEFAULT_CONDUCTOR,
+        composer = HeadlessEngine.DEFAULT_COMPOSER,
+        source = {},
+        ensemble = HeadlessEngine.DEFAULT_ENSEMBLE,
+        bindings = HeadlessEngine.DEFAULT_BINDINGS,
+        ticks = null,
+        quiet = false,
+        busRecorder = null
+    } = {}) {
+        if (this.isRendering || this.hasRendered) {
+            throw new Error('Headless render: one render per process');
+        }
+
+        this.isRendering = true;
+        const restoreConsole = quiet ? silenceConsole() : null;
+
+        try {
+            await this.load();
+
+            // Nothing to play through: notes only go to the recorder
+            audioRouter.setMIDIEnabled(false);
+            audioRouter.setWebAudioEnabled(false);
+            webAudioSynth.setVirtualTime(0);
+            this.timers.install();
+            busRecorder?.start();
+
+            WhipManager.initialize();
+
+            const conductorElement = this.createComponent('sonofire-conductor', conductor);
+            this.createComponent('sonofire-composer', composer);
+            const sourceElement = this.createComponent('sonofire-data-source', { id: 'data-source', ...source }, (element) => {
+                element.csvText = csvText;
+            });
+            ensemble.forEach(({ tag, attributes = {} }) => this.createComponent(tag, attributes));
+
+            await sourceElement.ready;
+            const playhead = sourceElement.playheads.find(ph => ph.enabled);
+            if (!playhead) {
+                throw new Error('Headless render: data source has no playhead');
+            }
+
+            bindings.forEach(({ target, parameter, mappingFunction }) => {
+                WhipManager.registerBinding(new WhipBinding({
+                    sourceVisualizerId: sourceElement.getVisualizerId(),
+                    sourcePlayheadId: playhead.id,
+                    targetComponentId: target,
+                    targetParameterId: parameter,
+                    mappingFunction,
+                    color: playhead.color
+                }));
+            });
+
+            this.timers.advanceTo(HeadlessEngine.SETTLE_MS);
+
+            return this.runClock(ticks ?? sourceElement.getSweepTicks(playhead), conductorElement.tempo);
+        } finally {
+            busRecorder?.stop();
+            webAudioSynth.setVirtualTime(null);
+            this.timers.uninstall();
+            if (restoreConsole) {
+                restoreConsole();
+            }
+            this.isRendering = false;
+            this.hasRendered = true;
+        }
+    }
+
+    /**
+     * Run the clock offline while recording
+     * Component timers advance with the clock, offset by the settle time.
+     * @param {number} ticks - Clock ticks to run
+     * @param {number} bpm - Starting tempo
+     * @returns {Uint8Array} .mid file bytes
+     */
+    runClock(ticks, bpm) {
+        midiClock.setBPM(bpm);
+        midiRecorder.start();
+
+        if (!midiClock.beginOffline()) {
+            throw new Error('Headless render: the clock could not start');
+        }
+
+        try {
+            const timerOffset = this.timers.now;
+            const endTime = midiClock.renderTicks(ticks, (time) => {
+                webAudioSynth.setVirtualTime(time);
+                this.timers.advanceTo(timerOffset + time * 1000);
+            });
+
+            console.log(`Headless Engine: rendered ${ticks} ticks (${endTime.toFixed(2)}s)`);
+        } finally {
+            midiClock.endOffline();
+            midiRecorder.stop();
+        }
+
+        return midiRecorder.export();
+    }
+
+    /**
+     * Create a component and add it to the headless document
+     * @param {string} tagName - Custom element tag
+     * @param {Object} attributes - Attribute map
+     * @param {Function} setup - Called with the element before it connects
+     * @returns {HTMLElement}
+     */
+    createComponent(tagName, attributes, setup = null) {
+        const element = this.document.createElement(tagName);
+        Object.entries(attributes).forEach(([name, value]) => element.setAttribute(name, value));
+
+        // There's no UI to draw
+        element.render = () => {};
+        if (setup) {
+            setup(element);
+        }
+
+        this.document.body.appendChild(element);
+        return element;
+    }
+}
+
+/**
+ * Silence console.log/info/debug/warn until the returned function is called
+ * @returns {Function} Restores the console
+ */
+function silenceConsole() {
+    const methods = ['log', 'info', 'debug', 'warn'];
+    const saved = methods.map(method => console[method]);
+    methods.forEach(method => {
+        console[method] = () => {};
+    });
+
+    return () => {
+        methods.forEach((method, i) => {
+            console[method] = saved[i];
+        });
+    };
+}
+
+// Export singleton instance
+export const headlessEngine = new HeadlessEngine();
+
+// Also export class for custom instances
+export { HeadlessEngine };
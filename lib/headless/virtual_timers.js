@@ -0,0 +1,126 @@
+/**
+ * Virtual Timers - Replaces the global timer functions with a virtual clock
+ *
+ * Components defer work with setTimeout (the Soloist waits 150ms for phrase
+ * context, visualizers 100ms before publishing lookahead, ...). In a headless
+ * render the clock runs far faster than real time, so those delays have to
+ * elapse in virtual time too: `advanceTo()` runs every timer that falls due,
+ * in order, as the render moves forward.
+ */
+export class VirtualTimers {
+    // Timer functions swapped in by install()
+    static GLOBALS = ['setTimeout', 'clearTimeout', 'setInterval', 'clearInterval', 'requestAnimationFrame', 'cancelAnimationFrame'];
+
+    // Virtual duration of an animation frame (60fps)
+    static FRAME_MS = 1000 / 60;
+
+    constructor() {
+        this.now = 0;                // Virtual time (milliseconds)
+        this.timers = new Map();     // id -> { time, callback, args, interval }
+        this.nextId = 1;
+        this.savedGlobals = null;
+    }
+
+    /**
+     * Replace the global timer functions
+     */
+    install() {
+        if (this.savedGlobals) {
+            return;
+        }
+
+        this.savedGlobals = {};
+        VirtualTimers.GLOBALS.forEach(name => {
+            this.savedGlobals[name] = globalThis[name];
+        });
+
+        globalThis.setTimeout = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, null);
+        globalThis.setInterval = (callback, delay = 0, ...args) => this.schedule(callback, delay, args, Math.max(1, delay));
+        globalThis.clearTimeout = (id) => this.cancel(id);
+        globalThis.clearInterval = (id) => this.cancel(id);
+        globalThis.requestAnimationFrame = (callback) => this.schedule(() => callback(this.now), VirtualTimers.FRAME_MS, [], null);
+        globalThis.cancelAnimationFrame = (id) => this.cancel(id);
+    }
+
+    /**
+     * Restore the real timer functions (pending virtual timers are dropped)
+     */
+    uninstall() {
+        if (!this.savedGlobals) {
+            return;
+        }
+
+        Object.assign(globalThis, this.savedGlobals);
+        this.savedGlobals = null;
+        this.timers.clear();
+    }
+
+    /**
+     * Schedule a callback
+     * @param {Function} callback - Called when due
+     * @param {number} delay - Delay in milliseconds
+     * @param {Array} args - Arguments for the callback
+     * @param {number|null} interval - Repeat interval in milliseconds (null = once)
+     * @returns {number} Timer id
+     */
+    schedule(callback, delay, args, interval) {
+        const id = this.nextId++;
+        this.timers.set(id, { time: this.now + Math.max(0, Number(delay) || 0), callback, args, interval });
+        return id;
+    }
+
+    /**
+     * Cancel a timer
+     * @param {number} id - Timer id
+     */
+    cancel(id) {
+        this.timers.delete(id);
+    }
+
+    /**
+     * Run every timer due up to a virtual time, in due order
+     * Timers scheduled by callbacks run too if they fall due in time.
+     * @param {number} time - Virtual time to advance to (milliseconds)
+     */
+    advanceTo(time) {
+        let next = this.nextDue(time);
+        while (next) {
+            const [id, timer] = next;
+            this.now = timer.time;
+
+            if (timer.interval !== null) {
+                timer.time += timer.interval;
+            } else {
+                this.timers.delete(id);
+            }
+            timer.callback(...timer.args);
+
+            next = this.nextDue(time);
+        }
+
+        this.now = Math.max(this.now, time);
+    }
+
+    /**
+     * Find the earliest timer due by a virtual time (ties run in scheduling order)
+     * @param {number} time - Virtual time (milliseconds)
+     * @returns {Array|null} [id, timer]
+     */
+    nextDue(time) {
+        let next = null;
+        this.timers.forEach((timer, id) => {
+            if (timer.time <= time && (!next || timer.time < next[1].time)) {
+                next = [id, timer];
+            }
+        });
+        return next;
+    }
+
+    /**
+     * Number of timers still waiting
+     * @returns {number}
+     */
+    getPendingCount() {
+        return this.timers.size;
+    }
+}
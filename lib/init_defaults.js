@@ -1,21 +1,27 @@
 import { PubSub } from './pubsub.js';
+import { MemoryLastValueStore, WebStorageLastValueStore } from './last_value_store.js';
 import { SCALES } from './midi_data.js';
 
-const DEFAULTS_INITIALIZED_KEY = 'sonofire.defaults.initialized';
+let defaultsInitialized = false;
 
 /**
  * Initialize PubSub with default state values.
  * Called once on first component load to ensure all components
  * can discover sensible defaults via PubSub.last()
+ *
+ * Persisted topics (MIDI routes, whip bindings, playheads) are kept in
+ * localStorage unless the page chose a last-value store before components
+ * loaded (see lib/last_value_store.js).
  */
 export function initDefaults() {
-    // Check if defaults have already been initialized
-    const initialized = localStorage.getItem(DEFAULTS_INITIALIZED_KEY);
-
-    if (initialized === 'true') {
-        // Defaults already seeded
+    if (defaultsInitialized) {
         return;
     }
+    defaultsInitialized = true;
+
+    if (PubSub.getLastValueStore() instanceof MemoryLastValueStore && typeof localStorage !== 'undefined') {
+        PubSub.setLastValueStore(new WebStorageLastValueStore(localStorage));
+    }
 
     // Seed default harmonic context (Pool 0, tonic C = C Ionian/major)
     PubSub.publish('context:pool', {
@@ -38,9 +44,6 @@ export function initDefaults() {
         bpm: 120
     });
 
-    // Mark as initialized
-    localStorage.setItem(DEFAULTS_INITIALIZED_KEY, 'true');
-
     console.log('Sonofire: Default state initialized in PubSub (pool 0/C)');
 }
 
@@ -48,7 +51,7 @@ export function initDefaults() {
  * Reset defaults (useful for testing or reset functionality)
  */
 export function resetDefaults() {
-    localStorage.removeItem(DEFAULTS_INITIALIZED_KEY);
+    defaultsInitialized = false;
 
     // Clear all last values for Sonofire topics
     PubSub.clearLast('context:pool');
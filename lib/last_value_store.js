@@ -0,0 +1,221 @@
+/**
+ * Last-value stores - Where PubSub persists the last value of opted-in topics
+ *
+ * The bus keeps every topic's last value in memory; a store only sees the
+ * topics opted in with `PubSub.persist()`, so high-rate topics (clock ticks,
+ * playhead values) never touch storage. Choose one with
+ * `PubSub.setLastValueStore()`:
+ *
+ *   new MemoryLastValueStore()                  // default, works anywhere (Node included)
+ *   new WebStorageLastValueStore(sessionStorage) // survives reloads of the tab
+ *   new WebStorageLastValueStore(localStorage)   // survives closing the browser
+ *   new IndexedDBLastValueStore()               // survives closing the browser, larger quota, async
+ *
+ * Every store has the same shape:
+ *   load(prefix)      - [[key, value], ...] for keys starting with prefix (or a Promise of them)
+ *   save(key, value)  - Keep a value
+ *   remove(key)       - Forget a value
+ *
+ * Keys are `${busId}.lastEvents.${topic}`, so buses sharing a store don't
+ * see each other's values.
+ */
+
+/**
+ * Values kept in a Map (the default store)
+ */
+export class MemoryLastValueStore {
+    constructor() {
+        this.values = new Map();
+    }
+
+    /**
+     * Get the stored values under a key prefix
+     * @param {string} prefix
+     * @returns {Array<Array>} [[key, value], ...]
+     */
+    load(prefix) {
+        return [...this.values].filter(([key]) => key.startsWith(prefix));
+    }
+
+    /**
+     * Keep a value
+     * @param {string} key
+     * @param {*} value
+     */
+    save(key, value) {
+        this.values.set(key, value);
+    }
+
+    /**
+     * Forget a value
+     * @param {string} key
+     */
+    remove(key) {
+        this.values.delete(key);
+    }
+}
+
+/**
+ * Values kept as JSON in a Web Storage area (sessionStorage or localStorage)
+ */
+export class WebStorageLastValueStore {
+    /**
+     * @param {Storage} storage - Web Storage area (default: sessionStorage)
+     * @throws {Error} If there's no storage area (e.g. outside browsers)
+     */
+    constructor(storage = globalThis.sessionStorage) {
+        if (!storage || typeof storage.getItem !== 'function') {
+            throw new Error('WebStorageLastValueStore needs a Web Storage area (sessionStorage or localStorage)');
+        }
+        this.storage = storage;
+    }
+
+    /**
+     * Get the stored values under a key prefix
+     * Entries that aren't valid JSON are skipped.
+     * @param {string} prefix
+     * @returns {Array<Array>} [[key, value], ...]
+     */
+    load(prefix) {
+        const entries = [];
+        for (let i = 0; i < this.storage.length; i++) {
+            const key = this.storage.key(i);
+            if (!key || !key.startsWith(prefix)) {
+                continue;
+            }
+            try {
+                entries.push([key, JSON.parse(this.storage.getItem(key))]);
+            } catch (err) {
+                console.warn(`Skipping unreadable last value ${key}`);
+            }
+        }
+        return entries;
+    }
+
+    /**
+     * Keep a value
+     * A value that doesn't fit (quota exceeded) is dropped on its own;
+     * nothing else in the storage area is touched.
+     * @param {string} key
+     * @param {*} value
+     */
+    save(key, value) {
+        try {
+            this.storage.setItem(key, JSON.stringify(value));
+        } catch (err) {
+            console.error(`Could not persist last value ${key}:`, err);
+            this.storage.removeItem(key); // Better no value than a stale one
+        }
+    }
+
+    /**
+     * Forget a value
+     * @param {string} key
+     */
+    remove(key) {
+        this.storage.removeItem(key);
+    }
+}
+
+/**
+ * Values kept in an IndexedDB object store
+ * Writes are asynchronous and unordered with respect to reads of the store,
+ * which is fine since the bus only reads it once, when the store is set.
+ */
+export class IndexedDBLastValueStore {
+    /**
+     * @param {Object} options
+     * @param {string} options.databaseName - IndexedDB database name
+     * @param {string} options.storeName - Object store name
+     * @param {IDBFactory} options.indexedDB - IndexedDB factory (default: the global one)
+     * @throws {Error} If IndexedDB isn't available
+     */
+    constructor({ databaseName = 'sonofire', storeName = 'lastValues', indexedDB = globalThis.indexedDB } = {}) {
+        if (!indexedDB) {
+            throw new Error('IndexedDBLastValueStore needs IndexedDB');
+        }
+        this.databaseName = databaseName;
+        this.storeName = storeName;
+        this.indexedDB = indexedDB;
+        this.database = null; // Promise of the open IDBDatabase
+    }
+
+    /**
+     * Open the database, creating the object store on first use
+     * @returns {Promise<IDBDatabase>}
+     */
+    open() {
+        if (!this.database) {
+            this.database = new Promise((resolve, reject) => {
+                const request = this.indexedDB.open(this.databaseName, 1);
+                request.onupgradeneeded = () => {
+                    request.result.createObjectStore(this.storeName);
+                };
+                request.onsuccess = () => resolve(request.result);
+                request.onerror = () => reject(request.error);
+            });
+        }
+        return this.database;
+    }
+
+    /**
+     * Run a request in a transaction on the object store
+     * @param {string} mode - 'readonly' or 'readwrite'
+     * @param {Function} makeRequest - (objectStore) => IDBRequest
+     * @returns {Promise<*>} The request's result
+     */
+    async request(mode, makeRequest) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            const request = makeRequest(database.transaction(this.storeName, mode).objectStore(this.storeName));
+            request.onsuccess = () => resolve(request.result);
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Get the stored values under a key prefix
+     * @param {string} prefix
+     * @returns {Promise<Array<Array>>} [[key, value], ...]
+     */
+    async load(prefix) {
+        const database = await this.open();
+        return new Promise((resolve, reject) => {
+            // Every key starting with prefix sorts between prefix and prefix + U+FFFF
+            const range = IDBKeyRange.bound(prefix, `${prefix}\uffff`);
+            const request = database.transaction(this.storeName, 'readonly').objectStore(this.storeName).openCursor(range);
+            const entries = [];
+            request.onsuccess = () => {
+                const cursor = request.result;
+                if (!cursor) {
+                    resolve(entries);
+                    return;
+                }
+                entries.push([cursor.key, cursor.value]);
+                cursor.continue();
+            };
+            request.onerror = () => reject(request.error);
+        });
+    }
+
+    /**
+     * Keep a value (values are stored with the structured clone algorithm)
+     * @param {string} key
+     * @param {*} value
+     */
+    save(key, value) {
+        this.request('readwrite', store => store.put(value, key)).catch(err => {
+            console.error(`Could not persist last value ${key}:`, err);
+        });
+    }
+
+    /**
+     * Forget a value
+     * @param {string} key
+     */
+    remove(key) {
+        this.request('readwrite', store => store.delete(key)).catch(err => {
+            console.error(`Could not remove last value ${key}:`, err);
+        });
+    }
+}
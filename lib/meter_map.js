@@ -0,0 +1,226 @@
+/**
+ * MeterMap - Time signatures by bar for the MIDI Clock
+ *
+ * Tracks which time signature is in effect at every bar so tick positions can
+ * be converted to bar numbers (and back) across mixed meters. Changes always
+ * start on a downbeat. There are scheduled changes (a per-section meter map)
+ * plus changes queued live from the UI, which hold until the next scheduled
+ * change. Queued changes that have already been played stay in place so bar
+ * numbers never shift under the running clock.
+ */
+export class MeterMap {
+    /**
+     * @param {Object} options
+     * @param {number} options.ppqn - Ticks per quarter note
+     * @param {string} options.initial - Time signature at bar 0 before any change
+     */
+    constructor({ ppqn = 24, initial = '4/4' } = {}) {
+        this.ppqn = ppqn;
+        this.initial = this.describe(initial);
+        this.changes = []; // Sorted by bar: { bar, meter }
+        this.queued = [];  // Live changes, sorted by bar: { bar, meter }
+        this.segments = null; // Cached [{ bar, startTick, meter }]
+    }
+
+    /**
+     * Describe a time signature in ticks and sixteenths
+     * @param {string} timeSignature - e.g. '4/4', '6/8'
+     * @returns {Object} { timeSignature, beatsPerBar, noteValue, sixteenthsPerBar, ticksPerBar }
+     */
+    describe(timeSignature) {
+        const [beatsPerBar, noteValue] = timeSignature.split('/').map(n => parseInt(n));
+
+        return {
+            timeSignature,
+            beatsPerBar,
+            noteValue,
+            sixteenthsPerBar: beatsPerBar * 16 / noteValue,
+            ticksPerBar: this.ppqn * beatsPerBar * 4 / noteValue
+        };
+    }
+
+    /**
+     * Check that a time signature can be represented on the tick grid
+     * @param {string} timeSignature - e.g. '4/4', '6/8'
+     * @returns {boolean}
+     */
+    isValid(timeSignature) {
+        if (typeof timeSignature !== 'string' || !/^\d+\/\d+$/.test(timeSignature)) {
+            return false;
+        }
+        const { beatsPerBar, noteValue, sixteenthsPerBar } = this.describe(timeSignature);
+        return beatsPerBar > 0 && [2, 4, 8, 16].includes(noteValue) && Number.isInteger(sixteenthsPerBar);
+    }
+
+    /**
+     * Set the time signature at bar 0
+     * @param {string} timeSignature - e.g. '3/4'
+     */
+    setInitial(timeSignature) {
+        if (!this.isValid(timeSignature)) {
+            console.error('MeterMap: invalid time signature:', timeSignature);
+            return;
+        }
+        this.initial = this.describe(timeSignature);
+        this.segments = null;
+    }
+
+    /**
+     * Schedule a time signature change at a bar (replaces any change at that bar)
+     * @param {number} bar - Bar the new meter starts at (0-based)
+     * @param {string} timeSignature - e.g. '7/8'
+     * @returns {boolean} True if the change was added
+     */
+    addChange(bar, timeSignature) {
+        if (!this.isValid(timeSignature) || !(bar >= 0)) {
+            console.error('MeterMap: invalid change:', bar, timeSignature);
+            return false;
+        }
+
+        this.changes = this.changes.filter(change => change.bar !== bar);
+        this.changes.push({ bar, meter: this.describe(timeSignature) });
+        this.changes.sort((a, b) => a.bar - b.bar);
+        this.segments = null;
+        return true;
+    }
+
+    /**
+     * Replace all scheduled changes
+     * @param {Array<Object>} changes - e.g. [{ bar: 8, timeSignature: '3/4' }]
+     */
+    load(changes) {
+        this.changes = [];
+        changes.forEach(({ bar, timeSignature }) => this.addChange(bar, timeSignature));
+    }
+
+    /**
+     * Remove all scheduled and queued changes
+     */
+    clear() {
+        this.changes = [];
+        this.queued = [];
+        this.segments = null;
+    }
+
+    /**
+     * Get the scheduled changes
+     * @returns {Array<Object>} [{ bar, timeSignature }]
+     */
+    getChanges() {
+        return this.changes.map(({ bar, meter }) => ({ bar, timeSignature: meter.timeSignature }));
+    }
+
+    /**
+     * Queue a live time signature change
+     * Supersedes any queued change at the same or a later bar.
+     * @param {number} bar - Bar the new meter starts at
+     * @param {string} timeSignature - e.g. '5/4'
+     */
+    queue(bar, timeSignature) {
+        if (!this.isValid(timeSignature)) {
+            console.error('MeterMap: invalid time signature:', timeSignature);
+            return;
+        }
+        this.queued = this.queued.filter(change => change.bar < bar);
+        this.queued.push({ bar, meter: this.describe(timeSignature) });
+        this.segments = null;
+    }
+
+    /**
+     * Get the queued live changes
+     * @returns {Array<Object>} [{ bar, timeSignature }]
+     */
+    getQueued() {
+        return this.queued.map(({ bar, meter }) => ({ bar, timeSignature: meter.timeSignature }));
+    }
+
+    /**
+     * Remove all queued live changes
+     */
+    clearQueued() {
+        this.queued = [];
+        this.segments = null;
+    }
+
+    /**
+     * Build the meter segments with their start ticks
+     * @returns {Array<Object>} [{ bar, startTick, meter }]
+     */
+    getSegments() {
+        if (this.segments) {
+            return this.segments;
+        }
+
+        // Queued changes win over a scheduled change at the same bar
+        const queuedBars = new Set(this.queued.map(change => change.bar));
+        const changes = this.changes
+            .filter(change => !queuedBars.has(change.bar))
+            .concat(this.queued)
+            .sort((a, b) => a.bar - b.bar);
+
+        const segments = [{ bar: 0, startTick: 0, meter: this.initial }];
+        for (const change of changes) {
+            const previous = segments[segments.length - 1];
+            const startTick = previous.startTick + (change.bar - previous.bar) * previous.meter.ticksPerBar;
+
+            if (change.bar === previous.bar) {
+                segments[segments.length - 1] = { bar: change.bar, startTick, meter: change.meter };
+            } else {
+                segments.push({ bar: change.bar, startTick, meter: change.meter });
+            }
+        }
+
+        this.segments = segments;
+        return segments;
+    }
+
+    /**
+     * Get the segment in effect at a tick
+     * @param {number} tick - Tick position
+     * @returns {Object} { bar, startTick, meter }
+     */
+    getSegmentAtTick(tick) {
+        const segments = this.getSegments();
+        let segment = segments[0];
+        for (const candidate of segments) {
+            if (candidate.startTick > tick) {
+                break;
+            }
+            segment = candidate;
+        }
+        return segment;
+    }
+
+    /**
+     * Get the bar position of a tick
+     * @param {number} tick - Tick position
+     * @returns {Object} { bar, tickInBar, ticksPerBar, timeSignature, beatsPerBar, noteValue, sixteenthsPerBar }
+     */
+    getPositionAt(tick) {
+        const { bar, startTick, meter } = this.getSegmentAtTick(tick);
+        const ticksIntoSegment = tick - startTick;
+
+        return {
+            ...meter,
+            bar: bar + Math.floor(ticksIntoSegment / meter.ticksPerBar),
+            tickInBar: ticksIntoSegment % meter.ticksPerBar
+        };
+    }
+
+    /**
+     * Get the first tick of a bar
+     * @param {number} bar - Bar number (0-based)
+     * @returns {number}
+     */
+    getTickForBar(bar) {
+        const segments = this.getSegments();
+        let segment = segments[0];
+        for (const candidate of segments) {
+            if (candidate.bar > bar) {
+                break;
+            }
+            segment = candidate;
+        }
+        return segment.startTick + (bar - segment.bar) * segment.meter.ticksPerBar;
+    }
+}
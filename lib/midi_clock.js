@@ -1,21 +1,102 @@
 import { PubSub } from './pubsub.js';
+import { webAudioSynth } from './web_audio_synth.js';
+import { midiOutput } from './midi_output.js';
+import { TempoMap } from './tempo_map.js';
+import { MeterMap } from './meter_map.js';
 
 /**
  * MIDI Clock service - Provides timing/sync for all Sonofire components
  * Singleton pattern: use `midiClock` export
+ *
+ * Lookahead scheduling:
+ * A short timer wakes up every `lookaheadMs` and publishes every tick that
+ * falls within the next `scheduleAheadTime` seconds of the audio clock.
+ * Each `clock:tick` carries the exact audio clock `time` the tick lands on,
+ * so instrumentalists schedule notes at that time instead of "now" and
+ * main-thread stalls no longer show up as timing jitter.
+ *
+ * Slave mode:
+ * Instead of running its own scheduler the clock follows an external Web MIDI
+ * input (e.g. a DAW), publishing one `clock:tick` per incoming 0xF8 pulse and
+ * deriving BPM from the pulse spacing. Start/Stop/Continue and Song Position
+ * Pointer messages drive `clock:start`/`clock:stop` and the tick counter.
+ *
+ * Tempo map:
+ * Tempo is read from `tempoMap` before every tick, so scheduled changes,
+ * accelerando/ritardando ramps and live edits all change the tick spacing
+ * without resetting the tick grid or the bar/beat count.
+ *
+ * Meter:
+ * `meterMap` tracks the time signature of every bar so ticks carry their bar
+ * number and position in the bar across mixed meters. Time signature changes
+ * are queued to the next downbeat, and `context:timeSignature` is published
+ * by the clock exactly as the first tick of the new meter goes out.
+ *
+ * Sync output:
+ * In master mode every tick is also sent as a 0xF8 pulse (timestamped to the
+ * tick's audio clock time) to the outputs enabled with
+ * `midiOutput.setSyncEnabled()`, together with Start/Continue/Stop and Song
+ * Position Pointer, so external synths and drum machines can follow along.
+ *
+ * Offline rendering:
+ * `beginOffline()` / `renderTicks()` / `endOffline()` run the clock in virtual
+ * time as fast as possible, with no timer and no sync output. Ticks start at
+ * time 0 and follow the tempo map exactly as they would live.
  */
 class MIDIClock {
     constructor() {
-        this.mode = 'master'; // 'master' | 'slave' (future: external MIDI sync)
+        this.mode = 'master'; // 'master' | 'slave' (follow external MIDI clock)
         this.bpm = 120;
         this.ppqn = 24; // Pulses per quarter note (MIDI standard)
         this.isRunning = false;
+        this.offline = false; // Running in virtual time for an offline render
         this.currentTick = 0;
         this.intervalHandle = null;
         this.startTimestamp = null;
 
+        // Lookahead scheduler state
+        this.lookaheadMs = 25;          // How often the scheduler wakes up
+        this.scheduleAheadTime = 0.1;   // How far ahead ticks are scheduled (seconds)
+        this.nextTickTime = 0;          // Audio clock time of the next tick (seconds)
+        this.currentTickTime = null;    // Audio clock time of the tick being published
+
+        // Slave mode state
+        this.midiAccess = null;
+        this.slaveInput = null;         // Web MIDI input (or compatible fake) being followed
+        this.slaveListener = null;      // Bound midimessage handler for the slave input
+        this.pulseTimes = [];           // Recent 0xF8 timestamps (ms) for BPM estimation
+        this.pulseWindow = 24;          // Pulse intervals averaged (one quarter note)
+        this.minTempoPulses = 6;        // Pulses needed before a BPM estimate is trusted
+        this.pulseGapMs = 500;          // Gap that discards pulse history (source paused)
+        this.tempoThreshold = 0.5;      // Minimum BPM drift before publishing clock:tempo
+
+        // Time signatures by bar
+        this.meterMap = new MeterMap({ ppqn: this.ppqn });
+        this.publishedTimeSignature = null; // Last meter announced on context:timeSignature
+
+        // Scheduled tempo changes and ramps
+        this.tempoMap = new TempoMap({
+            ppqn: this.ppqn,
+            initialBpm: this.bpm,
+            barToTick: (bar) => this.getTickForBar(bar)
+        });
+
         // Calculate interval in milliseconds
         this.updateInterval();
+
+        // Rewind returns the song position to the top
+        PubSub.subscribe('transport:rewind', () => {
+            this.rewind();
+        }, this);
+    }
+
+    /**
+     * Get the current time on the scheduling clock
+     * Uses the Web Audio clock so scheduled notes line up with audio output
+     * @returns {number} Time in seconds
+     */
+    getCurrentTime() {
+        return webAudioSynth.getCurrentTime();
     }
 
     /**
@@ -27,12 +108,35 @@ class MIDIClock {
     }
 
     /**
-     * Start the MIDI clock in master mode
+     * Start the MIDI clock in master mode from tick 0
      * @param {number} bpm - Beats per minute (optional, uses current BPM if not specified)
      */
     start(bpm = null) {
-        if (this.isRunning) {
-            console.warn('MIDI Clock already running');
+        if (!this.canStart()) {
+            return;
+        }
+
+        this.currentTick = 0;
+        this.foldLiveTempo();
+        this.foldQueuedMeter();
+
+        if (bpm !== null) {
+            this.setBPM(bpm);
+        }
+
+        this.run(0xFA); // MIDI Start
+
+        console.log(`MIDI Clock started at ${this.bpm} BPM (${this.intervalMs.toFixed(2)}ms per tick)`);
+    }
+
+    /**
+     * Resume the MIDI clock in master mode from the current position
+     * The position is rounded up to the next sixteenth so it can be expressed
+     * as a Song Position Pointer for synced devices.
+     * @param {number} bpm - Beats per minute (optional, uses current BPM if not specified)
+     */
+    resume(bpm = null) {
+        if (!this.canStart()) {
             return;
         }
 
@@ -40,23 +144,85 @@ class MIDIClock {
             this.setBPM(bpm);
         }
 
+        const ticksPerSixteenth = this.ppqn / 4;
+        this.currentTick = Math.ceil(this.currentTick / ticksPerSixteenth) * ticksPerSixteenth;
+        this.run(0xFB); // MIDI Continue
+
+        console.log(`MIDI Clock resumed at tick ${this.currentTick} (${this.bpm} BPM)`);
+    }
+
+    /**
+     * Check whether the internal clock may be started
+     * @returns {boolean}
+     */
+    canStart() {
+        if (this.mode === 'slave') {
+            console.warn('MIDI Clock is following an external clock; waiting for Start/Continue');
+            return false;
+        }
+
+        if (this.isRunning) {
+            console.warn('MIDI Clock already running');
+            return false;
+        }
+
+        return true;
+    }
+
+    /**
+     * Begin running the lookahead scheduler from the current tick
+     * @param {number} syncStatus - Realtime message for synced devices (0xFA Start | 0xFB Continue)
+     */
+    run(syncStatus) {
         this.isRunning = true;
-        this.currentTick = 0;
         this.startTimestamp = Date.now();
+        this.nextTickTime = this.getCurrentTime();
+
+        // Tell synced devices where we are before the first pulse goes out
+        const syncTimestamp = this.toPerformanceTime(this.nextTickTime);
+        if (syncStatus === 0xFB) {
+            midiOutput.sendSongPosition(this.currentTick / (this.ppqn / 4), syncTimestamp);
+        }
+        midiOutput.sendRealtime(syncStatus, syncTimestamp);
 
         // Publish start event
         PubSub.publish('clock:start', {
             timestamp: this.startTimestamp,
+            time: this.nextTickTime,
             bpm: this.bpm,
-            ppqn: this.ppqn
+            ppqn: this.ppqn,
+            tick: this.currentTick,
+            source: 'internal'
         });
 
-        // Start interval-based clock
+        // Start lookahead scheduler
         this.intervalHandle = setInterval(() => {
-            this.tick();
-        }, this.intervalMs);
+            this.scheduler();
+        }, this.lookaheadMs);
+        this.scheduler();
+    }
 
-        console.log(`MIDI Clock started at ${this.bpm} BPM (${this.intervalMs.toFixed(2)}ms per tick)`);
+    /**
+     * Lookahead scheduler - publishes every tick due before the lookahead horizon
+     */
+    scheduler() {
+        if (!this.isRunning) {
+            return;
+        }
+
+        const now = this.getCurrentTime();
+
+        // Resync instead of bursting if we fell far behind (throttled tab) or
+        // the time base changed underneath us (audio context created mid-run)
+        if (this.nextTickTime < now - this.scheduleAheadTime || this.nextTickTime > now + 1) {
+            this.nextTickTime = now;
+        }
+
+        while (this.isRunning && this.nextTickTime < now + this.scheduleAheadTime) {
+            this.applyTempoMap();
+            this.tick(this.nextTickTime);
+            this.nextTickTime += this.intervalMs / 1000;
+        }
     }
 
     /**
@@ -68,33 +234,148 @@ class MIDIClock {
         }
 
         this.isRunning = false;
+        this.currentTickTime = null;
 
         if (this.intervalHandle) {
             clearInterval(this.intervalHandle);
             this.intervalHandle = null;
         }
 
+        // Stop synced devices after the pulses already scheduled ahead
+        if (this.mode === 'master' && !this.offline) {
+            midiOutput.sendRealtime(0xFC, this.toPerformanceTime(this.nextTickTime));
+        }
+
         // Publish stop event
         PubSub.publish('clock:stop', {
             timestamp: Date.now(),
-            finalTick: this.currentTick
+            finalTick: this.currentTick,
+            source: this.getSource()
         });
 
         console.log(`MIDI Clock stopped at tick ${this.currentTick}`);
     }
 
+    /**
+     * Get the source reported on clock:start/clock:stop
+     * @returns {string} 'internal' | 'external' | 'offline'
+     */
+    getSource() {
+        if (this.offline) {
+            return 'offline';
+        }
+        return this.mode === 'slave' ? 'external' : 'internal';
+    }
+
+    /**
+     * Start an offline run from tick 0 at time 0
+     * Nothing is sent to synced devices while offline.
+     * @returns {boolean} True if the clock was free to start
+     */
+    beginOffline() {
+        if (!this.canStart()) {
+            return false;
+        }
+
+        this.offline = true;
+        this.currentTick = 0;
+        this.foldLiveTempo();
+        this.foldQueuedMeter();
+
+        this.isRunning = true;
+        this.startTimestamp = Date.now();
+        this.nextTickTime = 0;
+
+        PubSub.publish('clock:start', {
+            timestamp: this.startTimestamp,
+            time: this.nextTickTime,
+            bpm: this.bpm,
+            ppqn: this.ppqn,
+            tick: this.currentTick,
+            source: 'offline'
+        });
+
+        return true;
+    }
+
+    /**
+     * Publish ticks back to back in virtual time
+     * @param {number} count - Number of ticks to publish
+     * @param {Function} onTick - Called with (time, tick) before each tick is published
+     * @returns {number} Virtual time after the last tick (seconds)
+     */
+    renderTicks(count, onTick = null) {
+        for (let i = 0; i < count && this.isRunning && this.offline; i++) {
+            this.applyTempoMap();
+            if (onTick) {
+                onTick(this.nextTickTime, this.currentTick);
+            }
+            this.tick(this.nextTickTime);
+            this.nextTickTime += this.intervalMs / 1000;
+        }
+
+        return this.nextTickTime;
+    }
+
+    /**
+     * Finish an offline run and return the song position to the top
+     */
+    endOffline() {
+        if (!this.offline) {
+            return;
+        }
+
+        this.stop();
+        this.offline = false;
+        this.currentTick = 0;
+        this.foldLiveTempo();
+        this.foldQueuedMeter();
+    }
+
+    /**
+     * Get the playing time of a stretch of ticks from the tempo map
+     * @param {number} fromTick - First tick
+     * @param {number} count - Number of ticks
+     * @returns {number} Duration in seconds
+     */
+    getDurationOfTicks(fromTick, count) {
+        let duration = 0;
+        for (let tick = fromTick; tick < fromTick + count; tick++) {
+            duration += 60 / (this.tempoMap.getBPMAt(tick) * this.ppqn);
+        }
+        return duration;
+    }
+
     /**
      * Internal tick handler
+     * @param {number} time - Audio clock time the tick lands on (defaults to now)
      */
-    tick() {
+    tick(time = this.getCurrentTime()) {
         const timestamp = Date.now();
+        this.currentTickTime = time;
+
+        // Announce a new meter just before its first tick
+        const position = this.meterMap.getPositionAt(this.currentTick);
+        if (position.timeSignature !== this.publishedTimeSignature) {
+            this.publishTimeSignature(position);
+        }
+
+        // Timing pulse for synced devices (slave mode doesn't echo the source)
+        if (this.mode === 'master' && !this.offline) {
+            midiOutput.sendRealtime(0xF8, this.toPerformanceTime(time));
+        }
 
         // Publish tick event
         PubSub.publish('clock:tick', {
             tick: this.currentTick,
             timestamp: timestamp,
+            time: time,
             ppqn: this.ppqn,
-            bpm: this.bpm
+            bpm: this.bpm,
+            bar: position.bar,
+            tickInBar: position.tickInBar,
+            ticksPerBar: position.ticksPerBar,
+            timeSignature: position.timeSignature
         });
 
         this.currentTick++;
@@ -105,11 +386,25 @@ class MIDIClock {
      * @param {number} bpm - Beats per minute
      */
     setBPM(bpm) {
+        if (this.mode === 'slave') {
+            console.warn('MIDI Clock is following an external clock; tempo is set by the source');
+            return;
+        }
+
         if (bpm <= 0 || bpm > 300) {
             console.error('Invalid BPM:', bpm);
             return;
         }
 
+        // Before playback this is the starting tempo; mid-song it holds
+        // until the next scheduled tempo map change
+        if (this.currentTick === 0) {
+            this.tempoMap.initialBpm = bpm;
+            this.tempoMap.clearLive();
+        } else {
+            this.tempoMap.setLive(this.currentTick, bpm);
+        }
+
         const oldBPM = this.bpm;
         this.bpm = bpm;
         this.updateInterval();
@@ -120,20 +415,81 @@ class MIDIClock {
             previousBPM: oldBPM
         });
 
-        // If running, restart interval WITHOUT resetting tick counter
-        if (this.isRunning) {
-            // Clear old interval
-            if (this.intervalHandle) {
-                clearInterval(this.intervalHandle);
-            }
+        // No restart needed: the scheduler picks up the new interval from the
+        // next tick onward, so the tick grid and counter are preserved
+
+        console.log(`MIDI Clock tempo changed: ${oldBPM} → ${this.bpm} BPM`);
+    }
 
-            // Start new interval with updated tempo (preserves currentTick)
-            this.intervalHandle = setInterval(() => {
-                this.tick();
-            }, this.intervalMs);
+    /**
+     * Glide to a new tempo from the current tick
+     * Used for smooth tempo automation (e.g. a whipped tempo parameter).
+     * @param {number} bpm - Target beats per minute
+     * @param {Object} options
+     * @param {number} options.beats - Ramp length in beats
+     * @param {string} options.ramp - 'linear' | 'exponential' | 'step'
+     */
+    rampTo(bpm, { beats = 1, ramp = 'linear' } = {}) {
+        if (this.mode === 'slave') {
+            return;
         }
 
-        console.log(`MIDI Clock tempo changed: ${oldBPM} → ${this.bpm} BPM`);
+        if (bpm <= 0 || bpm > 300) {
+            console.error('Invalid BPM:', bpm);
+            return;
+        }
+
+        this.tempoMap.setLive(this.currentTick, bpm, {
+            ramp,
+            durationTicks: beats * this.ppqn
+        });
+    }
+
+    /**
+     * Update the tempo from the tempo map for the tick about to be published
+     * Publishes clock:tempo whenever the tempo moves by 0.1 BPM or more.
+     */
+    applyTempoMap() {
+        const bpm = this.tempoMap.getBPMAt(this.currentTick);
+        if (bpm === this.bpm) {
+            return;
+        }
+
+        const oldBPM = this.bpm;
+        this.bpm = bpm;
+        this.updateInterval();
+
+        if (Math.round(bpm * 10) !== Math.round(oldBPM * 10)) {
+            PubSub.publish('clock:tempo', {
+                bpm: this.bpm,
+                previousBPM: oldBPM,
+                source: 'tempo-map'
+            });
+        }
+    }
+
+    /**
+     * Carry the last live tempo back to the top of the song
+     * Called when the position returns to tick 0.
+     */
+    foldLiveTempo() {
+        const live = this.tempoMap.getLive();
+        if (live) {
+            this.tempoMap.initialBpm = live.bpm;
+            this.tempoMap.clearLive();
+        }
+    }
+
+    /**
+     * Carry the last queued time signature back to the top of the song
+     * Called when the position returns to tick 0.
+     */
+    foldQueuedMeter() {
+        const queued = this.meterMap.getQueued();
+        if (queued.length > 0) {
+            this.meterMap.setInitial(queued[queued.length - 1].timeSignature);
+            this.meterMap.clearQueued();
+        }
     }
 
     /**
@@ -144,6 +500,15 @@ class MIDIClock {
         return this.currentTick;
     }
 
+    /**
+     * Get the audio clock time of the tick currently being published
+     * Lets listeners schedule notes relative to the tick rather than "now"
+     * @returns {number|null} Time in seconds, or null when the clock is stopped
+     */
+    getCurrentTickTime() {
+        return this.currentTickTime;
+    }
+
     /**
      * Get the tick number for the next beat
      * @returns {number}
@@ -155,29 +520,100 @@ class MIDIClock {
     }
 
     /**
-     * Get the current bar number (assuming 4/4 time)
+     * Get the first tick of a bar, following the meter map
+     * @param {number} bar - Bar number (0-based)
+     * @returns {number}
+     */
+    getTickForBar(bar) {
+        return this.meterMap.getTickForBar(bar);
+    }
+
+    /**
+     * Get the current bar number, following the meter map
      * @returns {number}
      */
     getCurrentBar() {
-        // Bar = 4 beats in 4/4 time
-        const ticksPerBar = this.ppqn * 4;
-        return Math.floor(this.currentTick / ticksPerBar);
+        return this.meterMap.getPositionAt(this.currentTick).bar;
     }
 
     /**
-     * Get the current beat within the bar (0-3 in 4/4 time)
+     * Get the current beat within the bar (counted in the meter's note value,
+     * e.g. 0-3 in 4/4, 0-5 in 6/8)
      * @returns {number}
      */
     getCurrentBeat() {
-        const ticksInBar = this.currentTick % (this.ppqn * 4);
-        return Math.floor(ticksInBar / this.ppqn);
+        const { tickInBar, noteValue } = this.meterMap.getPositionAt(this.currentTick);
+        const ticksPerBeat = this.ppqn * 4 / noteValue;
+        return Math.floor(tickInBar / ticksPerBeat);
+    }
+
+    /**
+     * Change the time signature on the next downbeat
+     * If the position is already on a downbeat the change applies from this bar,
+     * and is announced immediately when the clock is stopped.
+     * @param {string} timeSignature - e.g. '3/4', '6/8'
+     * @returns {number|null} Bar the change takes effect at, or null if invalid
+     */
+    queueTimeSignature(timeSignature) {
+        if (!this.meterMap.isValid(timeSignature)) {
+            console.error('Invalid time signature:', timeSignature);
+            return null;
+        }
+
+        const position = this.meterMap.getPositionAt(this.currentTick);
+        const bar = position.tickInBar === 0 ? position.bar : position.bar + 1;
+
+        if (bar === 0) {
+            this.meterMap.setInitial(timeSignature);
+        } else {
+            this.meterMap.queue(bar, timeSignature);
+        }
+
+        if (!this.isRunning && position.tickInBar === 0) {
+            this.publishTimeSignature(this.meterMap.getPositionAt(this.currentTick));
+        }
+
+        console.log(`MIDI Clock: time signature ${timeSignature} from bar ${bar}`);
+        return bar;
+    }
+
+    /**
+     * Publish the meter in effect on context:timeSignature
+     * @param {Object} position - Bar position from meterMap.getPositionAt()
+     */
+    publishTimeSignature(position) {
+        const { timeSignature, beatsPerBar, noteValue, sixteenthsPerBar, bar } = position;
+        this.publishedTimeSignature = timeSignature;
+
+        PubSub.publish('context:timeSignature', {
+            timeSignature,
+            beatsPerBar,
+            noteValue,
+            sixteenthsPerBar,
+            bar
+        });
+    }
+
+    /**
+     * Rewind the song position to tick 0
+     * Synced devices are sent Song Position Pointer 0.
+     */
+    rewind() {
+        this.currentTick = 0;
+        this.foldLiveTempo();
+        this.foldQueuedMeter();
+
+        if (this.mode === 'master') {
+            midiOutput.sendSongPosition(0);
+        }
     }
 
     /**
      * Reset tick counter to zero
      */
     reset() {
-        const wasRunning = this.isRunning;
+        // In slave mode the external source owns the transport
+        const wasRunning = this.isRunning && this.mode === 'master';
 
         if (wasRunning) {
             this.stop();
@@ -191,7 +627,268 @@ class MIDIClock {
 
         console.log('MIDI Clock reset to tick 0');
     }
+
+    // ========================================
+    // Slave Mode (external MIDI clock)
+    // ========================================
+
+    /**
+     * Switch between internal (master) and external (slave) clocking
+     * Does nothing if the mode and input are unchanged. Otherwise stops the
+     * clock (a followed input no longer drives it, or the internal scheduler
+     * hands over to an input) and detaches any previously followed input.
+     * @param {string} mode - 'master' | 'slave'
+     * @param {MIDIInput|Object} input - Input to follow in slave mode; any object
+     *   with addEventListener('midimessage') or an onmidimessage property works
+     */
+    setMode(mode, input = null) {
+        if (mode !== 'master' && mode !== 'slave') {
+            console.error('Invalid MIDI Clock mode:', mode);
+            return;
+        }
+
+        const slaveInput = mode === 'slave' ? input : null;
+        if (mode === this.mode && slaveInput === this.slaveInput) {
+            return;
+        }
+
+        this.stop();
+        this.detachInput();
+        this.mode = mode;
+
+        if (mode === 'slave' && input) {
+            this.attachInput(input);
+        }
+
+        console.log(`MIDI Clock mode: ${mode}${this.slaveInput ? ` (following "${this.slaveInput.name}")` : ''}`);
+    }
+
+    /**
+     * List available Web MIDI inputs
+     * @returns {Promise<Array<MIDIInput>>}
+     */
+    async getInputs() {
+        if (!this.midiAccess) {
+            if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+                console.error('Web MIDI API not supported in this browser');
+                return [];
+            }
+
+            try {
+                this.midiAccess = await navigator.requestMIDIAccess();
+            } catch (err) {
+                console.error('MIDI input access denied:', err);
+                return [];
+            }
+        }
+
+        return Array.from(this.midiAccess.inputs.values());
+    }
+
+    /**
+     * Switch to slave mode following the Web MIDI input with the given name or id
+     * @param {string} nameOrId - Input name or id
+     * @returns {Promise<boolean>} True if the input was found
+     */
+    async followInput(nameOrId) {
+        const inputs = await this.getInputs();
+        const input = inputs.find(i => i.id === nameOrId || i.name === nameOrId);
+
+        if (!input) {
+            console.warn(`MIDI Clock: input "${nameOrId}" not found`);
+            return false;
+        }
+
+        this.setMode('slave', input);
+        return true;
+    }
+
+    /**
+     * Get the input currently being followed
+     * @returns {MIDIInput|Object|null}
+     */
+    getSlaveInput() {
+        return this.slaveInput;
+    }
+
+    /**
+     * Start listening to an input's MIDI messages
+     * @param {MIDIInput|Object} input - Web MIDI input or compatible fake
+     */
+    attachInput(input) {
+        this.slaveInput = input;
+        this.slaveListener = (event) => this.handleMIDIMessage(event);
+        this.pulseTimes = [];
+
+        if (typeof input.addEventListener === 'function') {
+            input.addEventListener('midimessage', this.slaveListener);
+        } else {
+            input.onmidimessage = this.slaveListener;
+        }
+    }
+
+    /**
+     * Stop listening to the followed input
+     */
+    detachInput() {
+        const input = this.slaveInput;
+        if (!input) {
+            return;
+        }
+
+        if (typeof input.removeEventListener === 'function') {
+            input.removeEventListener('midimessage', this.slaveListener);
+        } else if (input.onmidimessage === this.slaveListener) {
+            input.onmidimessage = null;
+        }
+
+        this.slaveInput = null;
+        this.slaveListener = null;
+        this.pulseTimes = [];
+    }
+
+    /**
+     * Handle a MIDI message from the followed input
+     * @param {Object} event - MIDIMessageEvent-like object ({ data, timeStamp })
+     */
+    handleMIDIMessage(event) {
+        const data = event.data;
+        if (!data || data.length === 0) {
+            return;
+        }
+
+        const timestamp = event.timeStamp ?? performance.now();
+
+        switch (data[0]) {
+            case 0xF8: // Timing Clock
+                this.handleExternalPulse(timestamp);
+                break;
+            case 0xFA: // Start (from the top)
+                this.currentTick = 0;
+                this.foldQueuedMeter();
+                this.startExternal(timestamp);
+                break;
+            case 0xFB: // Continue (from the current song position)
+                this.startExternal(timestamp);
+                break;
+            case 0xFC: // Stop
+                this.stop();
+                break;
+            case 0xF2: // Song Position Pointer (in MIDI beats = sixteenth notes)
+                this.handleSongPosition(data[1] | (data[2] << 7));
+                break;
+        }
+    }
+
+    /**
+     * Begin following external clock pulses (Start or Continue received)
+     * Ticks are published as pulses arrive, starting with the next 0xF8.
+     * @param {number} timestamp - performance.now() time of the message
+     */
+    startExternal(timestamp) {
+        if (this.isRunning) {
+            return;
+        }
+
+        this.isRunning = true;
+        this.startTimestamp = Date.now();
+
+        PubSub.publish('clock:start', {
+            timestamp: this.startTimestamp,
+            time: this.toClockTime(timestamp),
+            bpm: this.bpm,
+            ppqn: this.ppqn,
+            tick: this.currentTick,
+            source: 'external'
+        });
+
+        console.log(`MIDI Clock following external start at tick ${this.currentTick}`);
+    }
+
+    /**
+     * Handle an incoming Timing Clock pulse
+     * @param {number} timestamp - performance.now() time of the pulse
+     */
+    handleExternalPulse(timestamp) {
+        const lastPulse = this.pulseTimes[this.pulseTimes.length - 1];
+        if (lastPulse !== undefined && timestamp - lastPulse > this.pulseGapMs) {
+            this.pulseTimes = [];
+        }
+
+        this.pulseTimes.push(timestamp);
+        if (this.pulseTimes.length > this.pulseWindow + 1) {
+            this.pulseTimes.shift();
+        }
+
+        this.updateExternalTempo();
+
+        if (this.isRunning) {
+            this.tick(this.toClockTime(timestamp));
+        }
+    }
+
+    /**
+     * Derive BPM from the average spacing of recent pulses
+     * Publishes clock:tempo when the estimate drifts past tempoThreshold.
+     */
+    updateExternalTempo() {
+        if (this.pulseTimes.length < this.minTempoPulses) {
+            return;
+        }
+
+        const span = this.pulseTimes[this.pulseTimes.length - 1] - this.pulseTimes[0];
+        const averageInterval = span / (this.pulseTimes.length - 1);
+        const bpm = 60000 / (averageInterval * this.ppqn);
+
+        if (!isFinite(bpm) || bpm <= 0 || bpm > 300) {
+            return;
+        }
+
+        if (Math.abs(bpm - this.bpm) < this.tempoThreshold) {
+            return;
+        }
+
+        const oldBPM = this.bpm;
+        this.bpm = Math.round(bpm * 10) / 10;
+        this.updateInterval();
+
+        PubSub.publish('clock:tempo', {
+            bpm: this.bpm,
+            previousBPM: oldBPM,
+            source: 'external'
+        });
+    }
+
+    /**
+     * Handle Song Position Pointer - reposition the tick counter
+     * @param {number} midiBeats - Position in sixteenth notes since song start
+     */
+    handleSongPosition(midiBeats) {
+        this.currentTick = midiBeats * (this.ppqn / 4);
+        console.log(`MIDI Clock song position: ${midiBeats} sixteenths (tick ${this.currentTick})`);
+    }
+
+    /**
+     * Convert a performance.now() timestamp to the scheduling clock
+     * @param {number} timestamp - Time in milliseconds on the performance.now() clock
+     * @returns {number} Time in seconds on the scheduling clock
+     */
+    toClockTime(timestamp) {
+        return this.getCurrentTime() + (timestamp - performance.now()) / 1000;
+    }
+
+    /**
+     * Convert a scheduling clock time to a performance.now() timestamp
+     * @param {number} time - Time in seconds on the scheduling clock
+     * @returns {number} Timestamp in milliseconds (for Web MIDI send())
+     */
+    toPerformanceTime(time) {
+        return performance.now() + (time - this.getCurrentTime()) * 1000;
+    }
 }
 
 // Export singleton instance
 export const midiClock = new MIDIClock();
+
+// Also export class for custom instances
+export { MIDIClock };
@@ -0,0 +1,155 @@
+/**
+ * Standard MIDI File writer
+ *
+ * Builds Type 1 (multi-track) .mid files from lists of tick-stamped events:
+ *   { tick, type: 'noteOn',  channel, note, velocity }
+ *   { tick, type: 'noteOff', channel, note }
+ *   { tick, type: 'tempo', bpm }
+ *   { tick, type: 'timeSignature', beatsPerBar, noteValue }
+ * Ticks are absolute, in `ppq` ticks per quarter note.
+ */
+
+const META = {
+    trackName: 0x03,
+    endOfTrack: 0x2F,
+    tempo: 0x51,
+    timeSignature: 0x58
+};
+
+// Order of simultaneous events: meta first, then releases before new notes
+const EVENT_ORDER = {
+    tempo: 0,
+    timeSignature: 0,
+    noteOff: 1,
+    noteOn: 2
+};
+
+/**
+ * Encode a number as a MIDI variable-length quantity
+ * @param {number} value - Non-negative integer
+ * @returns {Array<number>} Bytes
+ */
+export function encodeVariableLength(value) {
+    let remaining = Math.max(0, Math.round(value));
+    const bytes = [remaining & 0x7F];
+    remaining >>= 7;
+
+    while (remaining > 0) {
+        bytes.unshift((remaining & 0x7F) | 0x80);
+        remaining >>= 7;
+    }
+
+    return bytes;
+}
+
+/**
+ * Encode a meta event body (without delta time)
+ * @param {number} metaType - Meta event type
+ * @param {Array<number>} data - Payload bytes
+ * @returns {Array<number>}
+ */
+function metaEvent(metaType, data) {
+    return [0xFF, metaType, ...encodeVariableLength(data.length), ...data];
+}
+
+/**
+ * Encode a single event body (without delta time)
+ * @param {Object} event - Event in the format described above
+ * @returns {Array<number>}
+ */
+function encodeEvent(event) {
+    switch (event.type) {
+        case 'noteOn':
+            return [0x90 | (event.channel & 0x0F), event.note & 0x7F, event.velocity & 0x7F];
+        case 'noteOff':
+            return [0x80 | (event.channel & 0x0F), event.note & 0x7F, 0x40];
+        case 'tempo': {
+            const microsecondsPerQuarter = Math.round(60000000 / event.bpm);
+            return metaEvent(META.tempo, [
+                (microsecondsPerQuarter >> 16) & 0xFF,
+                (microsecondsPerQuarter >> 8) & 0xFF,
+                microsecondsPerQuarter & 0xFF
+            ]);
+        }
+        case 'timeSignature':
+            // nn, dd (power of two), MIDI clocks per metronome click, 32nds per quarter
+            return metaEvent(META.timeSignature, [
+                event.beatsPerBar,
+                Math.round(Math.log2(event.noteValue)),
+                24,
+                8
+            ]);
+        default:
+            throw new Error(`Unknown MIDI file event type: ${event.type}`);
+    }
+}
+
+/**
+ * Encode one track chunk
+ * @param {Object} track - { name, events }
+ * @returns {Array<number>} MTrk chunk bytes
+ */
+function encodeTrack({ name = null, events = [] }) {
+    const bytes = [];
+
+    if (name) {
+        bytes.push(0x00, ...metaEvent(META.trackName, Array.from(new TextEncoder().encode(name))));
+    }
+
+    const sorted = events
+        .map((event, index) => ({ event, index }))
+        .sort((a, b) =>
+            (a.event.tick - b.event.tick) ||
+            (EVENT_ORDER[a.event.type] - EVENT_ORDER[b.event.type]) ||
+            (a.index - b.index)
+        )
+        .map(({ event }) => event);
+
+    let lastTick = 0;
+    sorted.forEach(event => {
+        const tick = Math.max(lastTick, Math.round(event.tick));
+        bytes.push(...encodeVariableLength(tick - lastTick), ...encodeEvent(event));
+        lastTick = tick;
+    });
+
+    bytes.push(0x00, ...metaEvent(META.endOfTrack, []));
+
+    return chunkHeader('MTrk', bytes.length).concat(bytes);
+}
+
+/**
+ * Encode a chunk header
+ * @param {string} id - Four-character chunk id
+ * @param {number} length - Chunk length in bytes
+ * @returns {Array<number>}
+ */
+function chunkHeader(id, length) {
+    return [
+        ...Array.from(id, c => c.charCodeAt(0)),
+        (length >>> 24) & 0xFF,
+        (length >>> 16) & 0xFF,
+        (length >>> 8) & 0xFF,
+        length & 0xFF
+    ];
+}
+
+/**
+ * Write a Type 1 Standard MIDI File
+ * @param {Array<Object>} tracks - [{ name, events }]; by convention track 0 holds tempo and meter
+ * @param {Object} options
+ * @param {number} options.ppq - Ticks per quarter note (division)
+ * @returns {Uint8Array} File bytes
+ */
+export function writeMidiFile(tracks, { ppq = 480 } = {}) {
+    const header = [
+        ...chunkHeader('MThd', 6),
+        0x00, 0x01,                                 // Format 1
+        (tracks.length >> 8) & 0xFF, tracks.length & 0xFF,
+        (ppq >> 8) & 0x7F, ppq & 0xFF               // Ticks per quarter note
+    ];
+
+    // Concatenate rather than spread: long performances produce large tracks
+    const bytes = tracks.reduce((all, track) => all.concat(encodeTrack(track)), header);
+
+    return new Uint8Array(bytes);
+}
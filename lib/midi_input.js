@@ -0,0 +1,388 @@
+import { PubSub } from './pubsub.js';
+import { audioRouter } from './audio_router.js';
+import { webAudioSynth } from './web_audio_synth.js';
+import { harmonicContext } from './harmonic_context.js';
+import { identifyChord } from './music_theory.js';
+
+/**
+ * MIDI Input Service - Notes played on MIDI keyboards
+ * Singleton pattern: use `midiInput` export
+ *
+ * Every note from the listened inputs (all connected inputs, or the one
+ * chosen with `setInput()`) is published on `input:note`.
+ *
+ * Chords: held notes are named (lib/music_theory.js `identifyChord()`) once
+ * they settle for `chordDelay` milliseconds and published on `input:chord`.
+ * With chord override on, a played chord is also published as `music:chord`
+ * (and `music:nextChord`, since what comes next is up to the player) and the
+ * Composer holds back its own chords, so a human picks the harmony live while
+ * data drives the melody. The chord stands until another one is played.
+ *
+ * Thru: with a thru channel set, input notes are played on that channel
+ * through the audio router (MIDI outputs and/or Web Audio). Its note
+ * listeners (the MIDI recorder, a WebSocketBridge's `music:note`) hear about
+ * each thru note when it's released.
+ *
+ * Inputs are tracked as they connect and disconnect (`midi:inputs`).
+ */
+class MIDIInputService {
+    constructor() {
+        this.midiAccess = null;
+        this.inputs = []; // Connected inputs
+        this.listeners = new Map(); // input -> midimessage listener
+        this.inputName = null; // Input to listen to (null = every input)
+        this.heldNotes = new Map(); // note -> { note, velocity, channel, input }
+        this.chordDelay = 40; // Milliseconds held notes must settle before they're named
+        this.chordTimer = null;
+        this.heldChord = null; // Chord the held notes spell (null if none)
+        this.chordOverride = false; // Whether played chords replace the Composer's
+        this.overrideChord = null; // Last chord published as music:chord
+        this.thruChannel = null; // Channel input notes are played on (null = thru off)
+        this.thruNotes = new Map(); // note -> { channel, velocity, time } of the sounding note
+        this.initialized = false;
+    }
+
+    /**
+     * Initialize Web MIDI API access and start listening
+     * @returns {Promise<boolean>} True if MIDI access granted
+     */
+    async initialize() {
+        if (this.initialized) {
+            return true;
+        }
+
+        if (typeof navigator === 'undefined' || !navigator.requestMIDIAccess) {
+            console.error('Web MIDI API not supported in this browser');
+            return false;
+        }
+
+        try {
+            this.midiAccess = await navigator.requestMIDIAccess();
+            this.inputs = this.getConnectedInputs();
+            this.inputs.forEach(input => this.attachInput(input));
+
+            // Follow devices being plugged in and out
+            this.midiAccess.onstatechange = (event) => {
+                this.handleStateChange(event);
+            };
+
+            console.log(`MIDI Input initialized: ${this.inputs.length} input(s)`);
+            this.initialized = true;
+
+            PubSub.publish('midi:inputs', {
+                inputs: this.getInputs(),
+                port: null,
+                state: 'initialized'
+            });
+            return true;
+        } catch (err) {
+            console.error('MIDI input access denied:', err);
+            return false;
+        }
+    }
+
+    /**
+     * Get the connected ports from MIDI access
+     * @returns {Array<MIDIInput>}
+     */
+    getConnectedInputs() {
+        return Array.from(this.midiAccess.inputs.values())
+            .filter(input => input.state !== 'disconnected');
+    }
+
+    /**
+     * Handle a MIDI port being connected or disconnected
+     * @param {Object} event - MIDIConnectionEvent-like object ({ port })
+     */
+    handleStateChange(event) {
+        const port = event.port;
+        if (!port || port.type !== 'input') {
+            return;
+        }
+
+        const wasConnected = this.inputs.includes(port);
+        const connected = port.state === 'connected';
+        if (wasConnected === connected) {
+            return; // Opened or closed, not plugged in or out
+        }
+
+        if (connected) {
+            this.inputs.push(port);
+            this.attachInput(port);
+        } else {
+            this.detachInput(port);
+            this.inputs = this.inputs.filter(input => input !== port);
+            this.releaseInputNotes(port.name);
+        }
+
+        console.log(`MIDI input ${connected ? 'connected' : 'disconnected'}: ${port.name}`);
+
+        PubSub.publish('midi:inputs', {
+            inputs: this.getInputs(),
+            port: port.name,
+            state: port.state
+        });
+    }
+
+    /**
+     * Get the names of the connected inputs
+     * @returns {Array<string>}
+     */
+    getInputs() {
+        return this.inputs.map(input => input.name);
+    }
+
+    /**
+     * Start listening to an input's MIDI messages
+     * @param {MIDIInput|Object} input - Web MIDI input or compatible fake
+     */
+    attachInput(input) {
+        if (this.listeners.has(input)) {
+            return;
+        }
+
+        const listener = (event) => this.handleMIDIMessage(event, input.name);
+        this.listeners.set(input, listener);
+
+        // Shares the port with the clock's slave listener, so no onmidimessage
+        if (typeof input.addEventListener === 'function') {
+            input.addEventListener('midimessage', listener);
+        } else {
+            input.onmidimessage = listener;
+        }
+    }
+
+    /**
+     * Stop listening to an input
+     * @param {MIDIInput|Object} input - Input passed to attachInput()
+     */
+    detachInput(input) {
+        const listener = this.listeners.get(input);
+        if (!listener) {
+            return;
+        }
+
+        if (typeof input.removeEventListener === 'function') {
+            input.removeEventListener('midimessage', listener);
+        } else if (input.onmidimessage === listener) {
+            input.onmidimessage = null;
+        }
+
+        this.listeners.delete(input);
+    }
+
+    /**
+     * Listen to one input only
+     * @param {string|null} name - Input name (null = every input)
+     */
+    setInput(name) {
+        this.inputName = name || null;
+
+        // Notes held on inputs no longer listened to would never be released
+        [...this.heldNotes.values()]
+            .filter(held => !this.isListening(held.input))
+            .forEach(held => this.handleNoteOff(held.note, held.channel, held.input));
+    }
+
+    /**
+     * Whether messages from an input are used
+     * @param {string} name - Input name
+     * @returns {boolean}
+     */
+    isListening(name) {
+        return this.inputName === null || this.inputName === name;
+    }
+
+    /**
+     * Handle a MIDI message from an input
+     * @param {Object} event - MIDIMessageEvent-like object ({ data })
+     * @param {string} inputName - Name of the input it came from
+     */
+    handleMIDIMessage(event, inputName = null) {
+        const data = event.data;
+        if (!data || data.length < 3 || !this.isListening(inputName)) {
+            return;
+        }
+
+        const status = data[0] & 0xF0;
+        const channel = data[0] & 0x0F;
+
+        if (status === 0x90 && data[2] > 0) {
+            this.handleNoteOn(data[1], data[2], channel, inputName);
+        } else if (status === 0x80 || status === 0x90) {
+            // Note-on with velocity 0 is a note-off
+            this.handleNoteOff(data[1], channel, inputName);
+        }
+    }
+
+    /**
+     * Handle a played note
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} velocity - Note velocity (1-127)
+     * @param {number} channel - MIDI channel it was played on (0-15)
+     * @param {string|null} inputName - Input it came from
+     */
+    handleNoteOn(note, velocity, channel, inputName) {
+        this.heldNotes.set(note, { note, velocity, channel, input: inputName });
+
+        if (this.thruChannel !== null) {
+            this.stopThruNote(note); // Retriggered before its note-off
+            audioRouter.startNote(this.thruChannel, note, velocity);
+            this.thruNotes.set(note, { channel: this.thruChannel, velocity, time: webAudioSynth.getCurrentTime() });
+        }
+
+        PubSub.publish('input:note', { note, velocity, channel, on: true, input: inputName });
+        this.scheduleChordDetection();
+    }
+
+    /**
+     * Handle a released note
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} channel - MIDI channel it was played on (0-15)
+     * @param {string|null} inputName - Input it came from
+     */
+    handleNoteOff(note, channel, inputName) {
+        this.heldNotes.delete(note);
+        this.stopThruNote(note);
+
+        PubSub.publish('input:note', { note, velocity: 0, channel, on: false, input: inputName });
+        this.scheduleChordDetection();
+    }
+
+    /**
+     * Release the notes held on an input (e.g. when it's unplugged)
+     * @param {string} inputName - Input name
+     */
+    releaseInputNotes(inputName) {
+        [...this.heldNotes.values()]
+            .filter(held => held.input === inputName)
+            .forEach(held => this.handleNoteOff(held.note, held.channel, held.input));
+    }
+
+    /**
+     * Play input notes on a channel
+     * @param {number|null} channel - MIDI channel (0-15), or null to turn thru off
+     */
+    setThruChannel(channel) {
+        if (channel !== null && !(Number.isInteger(channel) && channel >= 0 && channel <= 15)) {
+            console.error('Invalid MIDI thru channel:', channel);
+            return;
+        }
+
+        // Notes sounding on the old channel would otherwise hang
+        [...this.thruNotes.keys()].forEach(note => this.stopThruNote(note));
+        this.thruChannel = channel;
+    }
+
+    /**
+     * Release a note played thru and report it to the router's note listeners
+     * @param {number} note - MIDI note number (0-127)
+     */
+    stopThruNote(note) {
+        const sounding = this.thruNotes.get(note);
+        if (sounding === undefined) {
+            return;
+        }
+
+        const { channel, velocity, time } = sounding;
+        audioRouter.stopNote(channel, note);
+        this.thruNotes.delete(note);
+
+        const duration = (webAudioSynth.getCurrentTime() - time) * 1000;
+        audioRouter.notifyNoteListeners({ channel, note, velocity, duration, time });
+    }
+
+    /**
+     * Name the held notes once they stop changing
+     * Chord notes never land at exactly the same time; waiting keeps the
+     * notes of one chord from being named as several partial ones.
+     */
+    scheduleChordDetection() {
+        clearTimeout(this.chordTimer);
+        this.chordTimer = setTimeout(() => {
+            this.chordTimer = null;
+            this.detectChord();
+        }, this.chordDelay);
+    }
+
+    /**
+     * Name the chord the held notes spell and publish it if it changed
+     */
+    detectChord() {
+        const notes = [...this.heldNotes.keys()].sort((a, b) => a - b);
+        const identified = identifyChord(notes);
+        const chord = identified ? {
+            chord: this.getChordSymbol(identified),
+            root: identified.root,
+            quality: identified.quality,
+            voicing: notes
+        } : null;
+
+        if (chord?.chord === this.heldChord?.chord && chord?.root === this.heldChord?.root) {
+            return;
+        }
+
+        this.heldChord = chord;
+        PubSub.publish('input:chord', chord ?? { chord: null, root: null, quality: null, voicing: notes });
+
+        if (chord && this.chordOverride) {
+            this.publishOverrideChord(chord);
+        }
+    }
+
+    /**
+     * Name a chord with its root's note name (e.g. 'Dmin7', 'G7', 'C')
+     * @param {Object} chord - { root, quality } from identifyChord()
+     * @returns {string}
+     */
+    getChordSymbol({ root, quality }) {
+        return harmonicContext.midiToNoteName(root) + (quality === 'maj' ? '' : quality);
+    }
+
+    /**
+     * Replace the Composer's chords with played ones
+     * Turning it off hands the harmony back to the Composer at its next chord.
+     * @param {boolean} enabled
+     */
+    setChordOverride(enabled) {
+        this.chordOverride = Boolean(enabled);
+        this.overrideChord = null;
+
+        if (this.chordOverride && this.heldChord) {
+            this.publishOverrideChord(this.heldChord);
+        }
+    }
+
+    /**
+     * Whether a played chord currently stands in for the Composer's
+     * @returns {boolean}
+     */
+    isOverridingChord() {
+        return this.chordOverride && this.overrideChord !== null;
+    }
+
+    /**
+     * Publish a played chord as the current harmony
+     * @param {Object} chord - { chord, root, quality, voicing }
+     */
+    publishOverrideChord(chord) {
+        this.overrideChord = chord;
+
+        const pool = PubSub.last('context:pool');
+        const harmony = {
+            ...chord,
+            poolKey: pool?.poolKey,
+            tonicNote: chord.root,
+            source: 'input'
+        };
+
+        PubSub.publish('music:chord', harmony);
+        PubSub.publish('music:nextChord', { ...harmony, ticksUntilChange: null });
+    }
+}
+
+// Export singleton instance
+export const midiInput = new MIDIInputService();
+
+// Also export class for custom instances
+export { MIDIInputService };
@@ -1,20 +1,42 @@
+import { PubSub } from './pubsub.js';
+
 /**
  * MIDI Output Service - Manages Web MIDI API output
  * Singleton pattern: use `midiOutput` export
+ *
+ * Routing:
+ * Channel messages go to every connected output unless the channel is routed
+ * to one output with `setChannelRoute()`, e.g. the bass channel to a hardware
+ * synth and the drums to a drum machine. Routes are kept by device name and
+ * published on `midi:routes`, so they survive reloads and follow a device
+ * that is unplugged and plugged back in. While a routed device is missing,
+ * its channels are silent rather than sent elsewhere.
+ *
+ * Outputs are tracked as they connect and disconnect (`midi:outputs`).
  */
 class MIDIOutputService {
     constructor() {
         this.midiAccess = null;
-        this.outputs = [];
+        this.outputs = []; // Connected outputs
         this.activeNotes = new Map(); // Track note-on events: "channel-note" -> {channel, note, velocity, timestamp}
+        this.noteOutputs = new Map(); // "channel-note" -> outputs its note-on went to (its note-off goes there too)
+        this.syncOutputNames = new Set(); // Names of outputs that receive clock/transport sync
+        this.channelRoutes = new Map(); // channel -> output name (unrouted channels go to every output)
+        this.routesRestored = false; // Whether routes saved in an earlier session were read yet
         this.initialized = false;
+
+        // Routes outlive the page
+        PubSub.persist('midi:routes');
     }
 
     /**
      * Initialize Web MIDI API access
+     * @param {Object} options
+     * @param {boolean} options.sysex - Ask for SysEx too (e.g. MIDI Tuning Standard); without
+     *   permission, MIDI still starts, just without SysEx
      * @returns {Promise<boolean>} True if MIDI access granted
      */
-    async initialize() {
+    async initialize({ sysex = false } = {}) {
         if (this.initialized) {
             return true;
         }
@@ -25,8 +47,18 @@ class MIDIOutputService {
         }
 
         try {
-            this.midiAccess = await navigator.requestMIDIAccess();
-            this.outputs = Array.from(this.midiAccess.outputs.values());
+            this.midiAccess = sysex
+                ? await navigator.requestMIDIAccess({ sysex: true }).catch((err) => {
+                    console.warn('MIDI SysEx access denied, continuing without it:', err);
+                    return navigator.requestMIDIAccess();
+                })
+                : await navigator.requestMIDIAccess();
+            this.outputs = this.getConnectedOutputs();
+
+            // Follow devices being plugged in and out
+            this.midiAccess.onstatechange = (event) => {
+                this.handleStateChange(event);
+            };
 
             console.log('MIDI Output initialized');
             console.log(`Found ${this.outputs.length} MIDI output(s):`);
@@ -35,6 +67,12 @@ class MIDIOutputService {
             });
 
             this.initialized = true;
+
+            PubSub.publish('midi:outputs', {
+                outputs: this.outputs.map(output => output.name),
+                port: null,
+                state: 'initialized'
+            });
             return true;
         } catch (err) {
             console.error('MIDI access denied:', err);
@@ -47,8 +85,9 @@ class MIDIOutputService {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
      */
-    sendNoteOn(channel, note, velocity = 100) {
+    sendNoteOn(channel, note, velocity = 100, timestamp = undefined) {
         if (!this.initialized) {
             console.warn('MIDI Output not initialized. Call initialize() first.');
             return;
@@ -71,13 +110,15 @@ class MIDIOutputService {
         const header = 0x90; // Note On
         const message = [header + channel, note, velocity];
 
-        // Send to all outputs
-        this.outputs.forEach(output => {
-            output.send(message);
+        const outputs = this.getChannelOutputs(channel);
+        outputs.forEach(output => {
+            output.send(message, timestamp);
         });
 
-        // Track active note
+        // Track active note, and where it's sounding in case the route changes before its note-off
         const key = `${channel}-${note}`;
+        const sounding = this.noteOutputs.get(key) || [];
+        this.noteOutputs.set(key, [...new Set([...sounding, ...outputs])]);
         this.activeNotes.set(key, {
             channel,
             note,
@@ -90,8 +131,9 @@ class MIDIOutputService {
      * Send MIDI note-off message
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
      */
-    sendNoteOff(channel, note) {
+    sendNoteOff(channel, note, timestamp = undefined) {
         if (!this.initialized) {
             console.warn('MIDI Output not initialized. Call initialize() first.');
             return;
@@ -110,14 +152,20 @@ class MIDIOutputService {
         const header = 0x80; // Note Off
         const message = [header + channel, note, 0];
 
-        // Send to all outputs
-        this.outputs.forEach(output => {
-            output.send(message);
+        // A note's note-off goes where its note-on went (while connected),
+        // even if the channel was routed elsewhere since
+        const key = `${channel}-${note}`;
+        const sounding = this.noteOutputs.get(key);
+        const outputs = sounding
+            ? sounding.filter(output => this.outputs.includes(output))
+            : this.getChannelOutputs(channel);
+        outputs.forEach(output => {
+            output.send(message, timestamp);
         });
 
         // Remove from active notes
-        const key = `${channel}-${note}`;
         this.activeNotes.delete(key);
+        this.noteOutputs.delete(key);
     }
 
     /**
@@ -125,18 +173,363 @@ class MIDIOutputService {
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} controller - Controller number (0-127)
      * @param {number} value - Controller value (0-127)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendControlChange(channel, controller, value, timestamp = undefined) {
+        const header = 0xB0; // Control Change
+        this.sendChannelMessage(channel, [header + channel, controller, value], timestamp);
+    }
+
+    /**
+     * Send program change message (select a patch, e.g. a General MIDI instrument)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} program - Program number (0-127, GM instrument number - 1)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendProgramChange(channel, program, timestamp = undefined) {
+        const header = 0xC0; // Program Change
+        this.sendChannelMessage(channel, [header + channel, program], timestamp);
+    }
+
+    /**
+     * Send bank select (CC0 MSB + CC32 LSB); takes effect at the next program change
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} bank - Bank number (0-16383)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendBankSelect(channel, bank, timestamp = undefined) {
+        if (!isFourteenBit(bank)) {
+            console.error('Invalid MIDI bank:', bank);
+            return;
+        }
+
+        this.sendControlChange(channel, 0, bank >> 7, timestamp);
+        this.sendControlChange(channel, 32, bank & 0x7F, timestamp);
+    }
+
+    /**
+     * Send pitch bend message
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} value - Bend (-1.0 = full down, 0 = center, 1.0 = full up)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendPitchBend(channel, value, timestamp = undefined) {
+        if (typeof value !== 'number' || !(value >= -1 && value <= 1)) {
+            console.error('Invalid MIDI pitch bend:', value);
+            return;
+        }
+
+        // 14-bit, centered on 8192 (which 0 must hit exactly)
+        const bend = Math.round(8192 + value * (value < 0 ? 8192 : 8191));
+        const header = 0xE0; // Pitch Bend
+        this.sendChannelMessage(channel, [header + channel, bend & 0x7F, bend >> 7], timestamp);
+    }
+
+    /**
+     * Send channel aftertouch (channel pressure) message
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendChannelAftertouch(channel, pressure, timestamp = undefined) {
+        const header = 0xD0; // Channel Pressure
+        this.sendChannelMessage(channel, [header + channel, pressure], timestamp);
+    }
+
+    /**
+     * Send polyphonic aftertouch (key pressure) message
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} pressure - Pressure (0-127)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendPolyAftertouch(channel, note, pressure, timestamp = undefined) {
+        const header = 0xA0; // Polyphonic Key Pressure
+        this.sendChannelMessage(channel, [header + channel, note, pressure], timestamp);
+    }
+
+    /**
+     * Set a Registered Parameter (e.g. 0 = pitch bend range, 1/2 = fine/coarse tuning)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} parameter - Parameter number (0-16383)
+     * @param {number} value - 14-bit value (0-16383: data entry MSB << 7 | LSB)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendRPN(channel, parameter, value, timestamp = undefined) {
+        this.sendParameterNumber(channel, [101, 100], parameter, value, timestamp);
+    }
+
+    /**
+     * Set a Non-Registered (device-specific) Parameter
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} parameter - Parameter number (0-16383)
+     * @param {number} value - 14-bit value (0-16383: data entry MSB << 7 | LSB)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
      */
-    sendControlChange(channel, controller, value) {
+    sendNRPN(channel, parameter, value, timestamp = undefined) {
+        this.sendParameterNumber(channel, [99, 98], parameter, value, timestamp);
+    }
+
+    /**
+     * Select a parameter number, enter its value, then deselect it (RPN null)
+     * so stray data entry messages can't change it afterwards
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {Array<number>} controllers - [parameter MSB, parameter LSB] controller numbers
+     * @param {number} parameter - Parameter number (0-16383)
+     * @param {number} value - 14-bit value (0-16383)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendParameterNumber(channel, [msbController, lsbController], parameter, value, timestamp) {
+        if (!isFourteenBit(parameter) || !isFourteenBit(value)) {
+            console.error('Invalid MIDI parameter number or value:', parameter, value);
+            return;
+        }
+
+        this.sendControlChange(channel, msbController, parameter >> 7, timestamp);
+        this.sendControlChange(channel, lsbController, parameter & 0x7F, timestamp);
+        this.sendControlChange(channel, 6, value >> 7, timestamp);   // Data Entry MSB
+        this.sendControlChange(channel, 38, value & 0x7F, timestamp); // Data Entry LSB
+        this.sendControlChange(channel, 101, 127, timestamp);        // RPN null
+        this.sendControlChange(channel, 100, 127, timestamp);
+    }
+
+    /**
+     * Send a channel message to the channel's outputs
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {Array<number>} message - Status byte and data bytes
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendChannelMessage(channel, message, timestamp = undefined) {
         if (!this.initialized) {
             console.warn('MIDI Output not initialized. Call initialize() first.');
             return;
         }
 
-        const header = 0xB0; // Control Change
-        const message = [header + channel, controller, value];
+        if (!(channel >= 0 && channel <= 15)) {
+            console.error('Invalid MIDI channel:', channel);
+            return;
+        }
+        if (!message.slice(1).every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 127)) {
+            console.error('Invalid MIDI data:', message);
+            return;
+        }
+
+        this.getChannelOutputs(channel).forEach(output => {
+            output.send(message, timestamp);
+        });
+    }
+
+    /**
+     * Send a System Exclusive message to every connected output
+     * Needs SysEx permission (initialize({ sysex: true })).
+     * @param {Array<number>} message - Complete message, F0 ... F7
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendSysEx(message, timestamp = undefined) {
+        if (!this.initialized) {
+            console.warn('MIDI Output not initialized. Call initialize() first.');
+            return;
+        }
+
+        if (!this.midiAccess.sysexEnabled) {
+            console.error('MIDI SysEx not permitted. Call initialize({ sysex: true }) first.');
+            return;
+        }
+
+        const body = message.slice(1, -1);
+        if (message[0] !== 0xF0 || message[message.length - 1] !== 0xF7 ||
+            !body.every(byte => Number.isInteger(byte) && byte >= 0 && byte <= 127)) {
+            console.error('Invalid MIDI SysEx message:', message);
+            return;
+        }
 
         this.outputs.forEach(output => {
-            output.send(message);
+            output.send(message, timestamp);
+        });
+    }
+
+    /**
+     * Get the available MIDI outputs
+     * @returns {Array<MIDIOutput>}
+     */
+    getOutputs() {
+        return this.outputs;
+    }
+
+    /**
+     * Get the outputs of the MIDI access that are currently connected
+     * @returns {Array<MIDIOutput>}
+     */
+    getConnectedOutputs() {
+        return Array.from(this.midiAccess.outputs.values())
+            .filter(output => output.state !== 'disconnected');
+    }
+
+    /**
+     * Track an output being connected or disconnected
+     * @param {MIDIConnectionEvent} event - From midiAccess.onstatechange
+     */
+    handleStateChange(event) {
+        const port = event.port;
+        if (!port || port.type !== 'output') {
+            return;
+        }
+
+        const wasConnected = this.outputs.some(output => output.id === port.id);
+        this.outputs = this.getConnectedOutputs();
+        const isConnected = this.outputs.some(output => output.id === port.id);
+        if (wasConnected === isConnected) {
+            return; // Port opened/closed, not plugged or unplugged
+        }
+
+        console.log(`MIDI Output: "${port.name}" ${isConnected ? 'connected' : 'disconnected'}`);
+
+        const routedChannels = [...this.channelRoutes]
+            .filter(([, name]) => name === port.name)
+            .map(([channel]) => channel + 1);
+        if (!isConnected && routedChannels.length > 0) {
+            console.warn(`MIDI Output: channel(s) ${routedChannels.join(', ')} are silent until "${port.name}" is back`);
+        }
+
+        PubSub.publish('midi:outputs', {
+            outputs: this.outputs.map(output => output.name),
+            port: port.name,
+            state: isConnected ? 'connected' : 'disconnected'
+        });
+    }
+
+    /**
+     * Route a channel to one output
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string|null} outputName - MIDI output name (null = every output)
+     */
+    setChannelRoute(channel, outputName) {
+        if (channel < 0 || channel > 15) {
+            console.error('Invalid MIDI channel:', channel);
+            return;
+        }
+
+        // Keep the other channels' saved routes when this one is published
+        this.restoreRoutes();
+
+        if (outputName) {
+            this.channelRoutes.set(channel, outputName);
+        } else {
+            this.channelRoutes.delete(channel);
+        }
+        console.log(`MIDI Output: channel ${channel + 1} -> ${outputName ? `"${outputName}"` : 'all outputs'}`);
+
+        this.publishRoutes();
+    }
+
+    /**
+     * Get the output a channel is routed to
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string|null} Output name, or null if the channel goes to every output
+     */
+    getChannelRoute(channel) {
+        this.restoreRoutes();
+        return this.channelRoutes.get(channel) ?? null;
+    }
+
+    /**
+     * Get the connected outputs a channel's messages go to
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {Array<MIDIOutput>} Empty while a routed device is disconnected
+     */
+    getChannelOutputs(channel) {
+        this.restoreRoutes();
+        const route = this.channelRoutes.get(channel);
+        if (!route) {
+            return this.outputs;
+        }
+        return this.outputs.filter(output => output.name === route);
+    }
+
+    /**
+     * Publish the channel routes (the last value persists them)
+     */
+    publishRoutes() {
+        PubSub.publish('midi:routes', {
+            routes: Object.fromEntries(this.channelRoutes)
+        });
+    }
+
+    /**
+     * Restore routes saved in an earlier session, once
+     * Read on first use rather than at construction, when storage may not exist yet.
+     */
+    restoreRoutes() {
+        if (this.routesRestored) {
+            return;
+        }
+        this.routesRestored = true;
+
+        const saved = PubSub.last('midi:routes');
+        if (saved && saved.routes) {
+            Object.entries(saved.routes).forEach(([channel, outputName]) => {
+                this.channelRoutes.set(Number(channel), outputName);
+            });
+        }
+    }
+
+    /**
+     * Enable or disable clock/transport sync for an output
+     * Flags are kept by name so they can be set before initialize()
+     * @param {string} outputName - MIDI output name
+     * @param {boolean} enabled - Whether the output receives sync messages
+     */
+    setSyncEnabled(outputName, enabled) {
+        if (enabled) {
+            this.syncOutputNames.add(outputName);
+        } else {
+            this.syncOutputNames.delete(outputName);
+        }
+        console.log(`MIDI Output: sync ${enabled ? 'enabled' : 'disabled'} for "${outputName}"`);
+    }
+
+    /**
+     * Check whether an output receives sync messages
+     * @param {string} outputName - MIDI output name
+     * @returns {boolean}
+     */
+    isSyncEnabled(outputName) {
+        return this.syncOutputNames.has(outputName);
+    }
+
+    /**
+     * Get the connected outputs that receive sync messages
+     * @returns {Array<MIDIOutput>}
+     */
+    getSyncOutputs() {
+        if (!this.initialized || this.syncOutputNames.size === 0) {
+            return [];
+        }
+        return this.outputs.filter(output => this.syncOutputNames.has(output.name));
+    }
+
+    /**
+     * Send a system realtime message to the sync-enabled outputs
+     * @param {number} status - Realtime status byte (0xF8 clock, 0xFA start, 0xFB continue, 0xFC stop)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendRealtime(status, timestamp = undefined) {
+        this.getSyncOutputs().forEach(output => {
+            output.send([status], timestamp);
+        });
+    }
+
+    /**
+     * Send Song Position Pointer to the sync-enabled outputs
+     * @param {number} midiBeats - Position in sixteenth notes since song start (0-16383)
+     * @param {number} timestamp - performance.now() time to send at (optional, immediate if omitted)
+     */
+    sendSongPosition(midiBeats, timestamp = undefined) {
+        const position = Math.max(0, Math.min(16383, Math.floor(midiBeats)));
+        const message = [0xF2, position & 0x7F, (position >> 7) & 0x7F];
+
+        this.getSyncOutputs().forEach(output => {
+            output.send(message, timestamp);
         });
     }
 
@@ -159,17 +552,21 @@ class MIDIOutputService {
         }
 
         // Send note-off for ALL possible notes (0-127) on ALL channels (0-15)
-        // This ensures stuck notes are turned off even if they weren't tracked
+        // This ensures stuck notes are turned off even if they weren't tracked.
+        // Every output gets them, whatever the routing: notes may be stuck on a
+        // device a channel was routed to before.
         if (this.outputs && this.outputs.length > 0) {
-            for (let channel = 0; channel < 16; channel++) {
-                for (let note = 0; note < 128; note++) {
-                    this.sendNoteOff(channel, note);
-                }
+            this.outputs.forEach(output => {
+                for (let channel = 0; channel < 16; channel++) {
+                    for (let note = 0; note < 128; note++) {
+                        output.send([0x80 + channel, note, 0]);
+                    }
 
-                // Also send MIDI CC messages for good measure
-                this.sendControlChange(channel, 121, 0); // All Notes Off
-                this.sendControlChange(channel, 123, 0); // All Sound Off
-            }
+                    // Also send MIDI CC messages for good measure
+                    output.send([0xB0 + channel, 121, 0]); // All Notes Off
+                    output.send([0xB0 + channel, 123, 0]); // All Sound Off
+                }
+            });
             console.log('MIDI Panic: Sent note-off for all 128 notes on all 16 channels');
         } else {
             console.warn('MIDI Panic: No MIDI outputs available after initialization attempt');
@@ -177,6 +574,7 @@ class MIDIOutputService {
 
         // Always clear tracked active notes, even if MIDI isn't connected
         this.activeNotes.clear();
+        this.noteOutputs.clear();
     }
 
     /**
@@ -199,5 +597,17 @@ class MIDIOutputService {
     }
 }
 
+/**
+ * Check a 14-bit MIDI value
+ * @param {number} value
+ * @returns {boolean}
+ */
+function isFourteenBit(value) {
+    return Number.isInteger(value) && value >= 0 && value <= 16383;
+}
+
 // Export singleton instance
 export const midiOutput = new MIDIOutputService();
+
+// Also export class for custom instances
+export { MIDIOutputService };
@@ -0,0 +1,272 @@
+import { PubSub } from './pubsub.js';
+import { audioRouter } from './audio_router.js';
+import { writeMidiFile } from './midi_file.js';
+
+/**
+ * MIDI Recorder - Captures a performance for Standard MIDI File export
+ * Singleton pattern: use `midiRecorder` export
+ *
+ * Every note sent through `audioRouter.sendNote()` is stamped with its
+ * position on the clock (from the most recent `clock:tick` and the note's
+ * audio clock start time), along with tempo and time signature changes.
+ * `export()` writes a Type 1 file with a conductor track for tempo/meter
+ * and one track per MIDI channel.
+ */
+class MIDIRecorder {
+    constructor() {
+        this.ppq = 480;              // File resolution (ticks per quarter note)
+        this.isRecording = false;
+        this.notes = [];             // { tick, durationTicks, channel, note, velocity }
+        this.tempoEvents = [];       // { tick, bpm }
+        this.meterEvents = [];       // { tick, beatsPerBar, noteValue }
+        this.trackNames = new Map(); // channel -> track name
+
+        // Clock position, updated from clock:tick
+        this.originTick = null;      // Clock tick recorded as file tick 0
+        this.lastTick = null;
+        this.lastTickTime = null;
+        this.clockPpqn = 24;
+        this.bpm = 120;
+
+        this.noteListener = (noteEvent) => this.handleNote(noteEvent);
+
+        PubSub.subscribe('clock:tick', (data) => {
+            this.handleTick(data);
+        }, this);
+
+        PubSub.subscribe('clock:tempo', (data) => {
+            this.handleTempo(data);
+        }, this);
+
+        PubSub.subscribe('context:timeSignature', (data) => {
+            this.handleTimeSignature(data);
+        }, this);
+    }
+
+    /**
+     * Start recording (clears any previous recording)
+     * The first clock tick received becomes the start of the file.
+     */
+    start() {
+        if (this.isRecording) {
+            return;
+        }
+
+        this.clear();
+        this.isRecording = true;
+        audioRouter.addNoteListener(this.noteListener);
+
+        PubSub.publish('recorder:state', { recording: true });
+        console.log('MIDI Recorder: recording');
+    }
+
+    /**
+     * Stop recording (keeps the recording for export)
+     */
+    stop() {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.isRecording = false;
+        audioRouter.removeNoteListener(this.noteListener);
+
+        PubSub.publish('recorder:state', { recording: false, notes: this.notes.length });
+        console.log(`MIDI Recorder: stopped (${this.notes.length} notes)`);
+    }
+
+    /**
+     * Discard the current recording
+     */
+    clear() {
+        this.notes = [];
+        this.tempoEvents = [];
+        this.meterEvents = [];
+        this.originTick = null;
+        this.lastTick = null;
+        this.lastTickTime = null;
+    }
+
+    /**
+     * Check whether there is anything to export
+     * @returns {boolean}
+     */
+    hasRecording() {
+        return this.notes.length > 0;
+    }
+
+    /**
+     * Name the track for a channel (e.g. the instrumentalist playing it)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string|null} name - Track name (null = back to the default name)
+     */
+    setTrackName(channel, name) {
+        if (name) {
+            this.trackNames.set(channel, name);
+        } else {
+            this.trackNames.delete(channel);
+        }
+    }
+
+    /**
+     * Get the name given to a channel's track
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string|null} Track name, or null if it has the default name
+     */
+    getTrackName(channel) {
+        return this.trackNames.get(channel) || null;
+    }
+
+    /**
+     * Handle clock:tick - track the clock position
+     * @param {Object} data - clock:tick payload
+     */
+    handleTick(data) {
+        if (!this.isRecording) {
+            return;
+        }
+
+        this.clockPpqn = data.ppqn;
+        this.bpm = data.bpm;
+
+        if (this.originTick === null) {
+            // Capture the tempo and meter in effect when the recording starts
+            this.originTick = data.tick;
+            this.tempoEvents.push({ tick: 0, bpm: data.bpm });
+            if (data.timeSignature) {
+                const [beatsPerBar, noteValue] = data.timeSignature.split('/').map(n => parseInt(n));
+                this.meterEvents.push({ tick: 0, beatsPerBar, noteValue });
+            }
+        }
+
+        this.lastTick = data.tick;
+        this.lastTickTime = data.time;
+    }
+
+    /**
+     * Handle clock:tempo - tempo changes apply from the next tick
+     * @param {Object} data - clock:tempo payload
+     */
+    handleTempo(data) {
+        if (!this.isRecording || this.originTick === null) {
+            return;
+        }
+
+        this.bpm = data.bpm;
+        this.tempoEvents.push({ tick: this.clockTickToFileTick(this.lastTick + 1), bpm: data.bpm });
+    }
+
+    /**
+     * Handle context:timeSignature - published by the clock just before the downbeat tick
+     * @param {Object} data - context:timeSignature payload
+     */
+    handleTimeSignature(data) {
+        if (!this.isRecording || this.originTick === null) {
+            return;
+        }
+
+        this.meterEvents.push({
+            tick: this.clockTickToFileTick(this.lastTick + 1),
+            beatsPerBar: data.beatsPerBar,
+            noteValue: data.noteValue
+        });
+    }
+
+    /**
+     * Handle a note sent through the audio router
+     * @param {Object} noteEvent - { channel, note, velocity, duration, time }
+     *   (time null = at the latest clock tick)
+     */
+    handleNote({ channel, note, velocity, duration, time }) {
+        // Notes before the clock starts have no position
+        if (!this.isRecording || this.originTick === null) {
+            return;
+        }
+
+        const ticksPerSecond = this.bpm / 60 * this.ppq;
+        const elapsed = time === null ? 0 : time - this.lastTickTime;
+        const tick = this.clockTickToFileTick(this.lastTick) + elapsed * ticksPerSecond;
+
+        this.notes.push({
+            tick: Math.max(0, Math.round(tick)),
+            durationTicks: Math.max(1, Math.round(duration / 1000 * ticksPerSecond)),
+            channel,
+            note,
+            velocity
+        });
+    }
+
+    /**
+     * Convert a clock tick to a file tick
+     * @param {number} clockTick - MIDI Clock tick
+     * @returns {number}
+     */
+    clockTickToFileTick(clockTick) {
+        return Math.max(0, (clockTick - this.originTick) * this.ppq / this.clockPpqn);
+    }
+
+    /**
+     * Build the Type 1 track list: conductor track, then one track per channel
+     * @returns {Array<Object>} [{ name, events }]
+     */
+    buildTracks() {
+        const conductorTrack = {
+            name: 'Sonofire',
+            events: [
+                ...this.tempoEvents.map(({ tick, bpm }) => ({ tick, type: 'tempo', bpm })),
+                ...this.meterEvents.map(({ tick, beatsPerBar, noteValue }) => ({
+                    tick, type: 'timeSignature', beatsPerBar, noteValue
+                }))
+            ]
+        };
+
+        const channels = [...new Set(this.notes.map(n => n.channel))].sort((a, b) => a - b);
+        const noteTracks = channels.map(channel => ({
+            name: this.trackNames.get(channel) || (channel === 9 ? 'Drums' : `Channel ${channel + 1}`),
+            events: this.endOverlappingNotes(this.notes.filter(n => n.channel === channel))
+                .flatMap(({ tick, durationTicks, note, velocity }) => [
+                    { tick, type: 'noteOn', channel, note, velocity },
+                    { tick: tick + durationTicks, type: 'noteOff', channel, note }
+                ])
+        }));
+
+        return [conductorTrack, ...noteTracks];
+    }
+
+    /**
+     * End each note no later than the next note at its pitch starts
+     * A MIDI note-off ends the pitch, so an overlapped note's late note-off
+     * would otherwise cut the next one short.
+     * @param {Array<Object>} notes - One channel's recorded notes
+     * @returns {Array<Object>} Notes by start tick, trimmed (same-tick repeats dropped)
+     */
+    endOverlappingNotes(notes) {
+        const nextStarts = new Map(); // note -> start tick of the next note at that pitch
+        return [...notes]
+            .sort((a, b) => a.tick - b.tick)
+            .reverse()
+            .flatMap(n => {
+                const nextStart = nextStarts.get(n.note) ?? Infinity;
+                nextStarts.set(n.note, n.tick);
+                if (nextStart === n.tick) {
+                    return [];
+                }
+                return [{ ...n, durationTicks: Math.min(n.durationTicks, nextStart - n.tick) }];
+            })
+            .reverse();
+    }
+
+    /**
+     * Export the recording as a Standard MIDI File
+     * @returns {Uint8Array} .mid file bytes
+     */
+    export() {
+        return writeMidiFile(this.buildTracks(), { ppq: this.ppq });
+    }
+}
+
+// Export singleton instance
+export const midiRecorder = new MIDIRecorder();
+
+// Also export class for custom instances
+export { MIDIRecorder };
@@ -0,0 +1,185 @@
+import { audioRouter } from './audio_router.js';
+import { midiOutput } from './midi_output.js';
+import { webAudioSynth, WebAudioSynth } from './web_audio_synth.js';
+import { PubSub } from './pubsub.js';
+
+/**
+ * Mixer - Per-channel volume, pan, mute and solo
+ * Singleton pattern: use `mixer` export
+ *
+ * Each MIDI channel has a strip. Web Audio plays each channel through its
+ * strip's gain and panner (see WebAudioSynth.getChannelOutput()); MIDI
+ * devices get the same settings as Channel Volume (CC7) and Pan (CC10).
+ *
+ * Mute and solo fold into the strip level: a muted channel, or any
+ * channel while another is soloed, is sent at zero.
+ *
+ * Strips also set how much of each channel goes to the Web Audio reverb and
+ * delay (lib/effects_bus.js). The reverb send is mirrored as CC91 (General
+ * MIDI Reverb Send); the delay has no standard controller.
+ *
+ * Publishes `mixer:channel` with a strip's state whenever it changes.
+ */
+class Mixer {
+    constructor() {
+        this.strips = Array.from({ length: 16 }, () => ({
+            gain: 1,      // 0.0 - 1.0 (1 = full volume, CC7 127)
+            pan: 0,       // -1 (left) to 1 (right)
+            mute: false,
+            solo: false,
+            sends: { ...WebAudioSynth.DEFAULT_SENDS } // effect -> send level (0.0 - 1.0)
+        }));
+    }
+
+    /**
+     * Set a channel's volume
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} gain - Volume (0.0 - 1.0)
+     */
+    setGain(channel, gain) {
+        this.getStrip(channel).gain = Math.max(0, Math.min(1, gain));
+        this.apply(channel);
+    }
+
+    /**
+     * Set a channel's stereo position
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} pan - -1 (left) to 1 (right)
+     */
+    setPan(channel, pan) {
+        this.getStrip(channel).pan = Math.max(-1, Math.min(1, pan));
+        this.apply(channel);
+    }
+
+    /**
+     * Set how much of a channel goes to an effect
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string} effect - 'reverb' or 'delay'
+     * @param {number} level - Send level (0.0 - 1.0)
+     */
+    setSend(channel, effect, level) {
+        const strip = this.getStrip(channel);
+        if (!(effect in strip.sends)) {
+            throw new Error(`Mixer: Unknown effect send "${effect}"`);
+        }
+
+        strip.sends[effect] = Math.max(0, Math.min(1, level));
+        webAudioSynth.setChannelSend(channel, effect, strip.sends[effect]);
+
+        if (effect === 'reverb' && this.isMirroringMIDI()) {
+            midiOutput.sendControlChange(channel, 91, Math.round(strip.sends.reverb * 127));
+        }
+
+        this.announce(channel);
+    }
+
+    /**
+     * Mute or unmute a channel
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {boolean} mute
+     */
+    setMute(channel, mute) {
+        this.getStrip(channel).mute = Boolean(mute);
+        this.apply(channel);
+    }
+
+    /**
+     * Solo or unsolo a channel
+     * Soloing changes what every other channel sends, so all strips are reapplied.
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {boolean} solo
+     */
+    setSolo(channel, solo) {
+        this.getStrip(channel).solo = Boolean(solo);
+        this.strips.forEach((strip, ch) => this.apply(ch));
+    }
+
+    /**
+     * Get a channel's strip settings
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {Object} { gain, pan, mute, solo, sends }
+     */
+    getStrip(channel) {
+        const strip = this.strips[channel];
+        if (!strip) {
+            throw new Error(`Mixer: Invalid channel ${channel} (must be 0-15)`);
+        }
+        return strip;
+    }
+
+    /**
+     * Whether a channel can be heard (not muted, and soloed if anything is)
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {boolean}
+     */
+    isAudible(channel) {
+        const strip = this.getStrip(channel);
+        const soloing = this.strips.some(s => s.solo);
+        return !strip.mute && (!soloing || strip.solo);
+    }
+
+    /**
+     * Get the volume a channel is actually sent at, after mute and solo
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {number} 0.0 - 1.0
+     */
+    getEffectiveGain(channel) {
+        return this.isAudible(channel) ? this.getStrip(channel).gain : 0;
+    }
+
+    /**
+     * Get a channel's current Web Audio peak level (for meters)
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {number} 0.0 - 1.0
+     */
+    getLevel(channel) {
+        return webAudioSynth.getChannelLevel(channel);
+    }
+
+    /**
+     * Send a channel's strip to Web Audio and MIDI, and announce it
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    apply(channel) {
+        const strip = this.getStrip(channel);
+        const gain = this.getEffectiveGain(channel);
+
+        webAudioSynth.setChannelStrip(channel, { gain, pan: strip.pan });
+
+        if (this.isMirroringMIDI()) {
+            midiOutput.sendControlChange(channel, 7, Math.round(gain * 127));
+            midiOutput.sendControlChange(channel, 10, Math.round((strip.pan + 1) / 2 * 127));
+        }
+
+        this.announce(channel);
+    }
+
+    /**
+     * Whether strip changes go to MIDI devices
+     * MIDI devices aren't part of an offline render.
+     * @returns {boolean}
+     */
+    isMirroringMIDI() {
+        return audioRouter.midiEnabled && !audioRouter.renderMode && midiOutput.initialized;
+    }
+
+    /**
+     * Publish a channel's strip state
+     * @param {number} channel - MIDI channel (0-15)
+     */
+    announce(channel) {
+        const strip = this.getStrip(channel);
+        PubSub.publish('mixer:channel', {
+            channel,
+            ...strip,
+            sends: { ...strip.sends },
+            audible: this.isAudible(channel)
+        });
+    }
+}
+
+// Export singleton instance
+export const mixer = new Mixer();
+
+// Also export class for custom instances
+export { Mixer };
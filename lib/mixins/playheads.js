@@ -20,6 +20,9 @@ import { Playhead } from '../playhead.js';
 
 export const PLAYHEAD_SIDEBAR_WIDTH = 110;
 
+// Playheads outlive the page
+PubSub.persist('visualizer:*:playheads');
+
 export function PlayheadsMixin(BaseClass) {
     return class extends BaseClass {
         constructor() {
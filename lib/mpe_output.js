@@ -0,0 +1,244 @@
+import { audioRouter } from './audio_router.js';
+import { midiOutput } from './midi_output.js';
+import { webAudioSynth } from './web_audio_synth.js';
+
+/**
+ * MPEOutput - MIDI Polyphonic Expression for one instrumentalist
+ *
+ * MPE gives every note its own MIDI channel (a "member" channel of a zone),
+ * so pitch bend, pressure (channel aftertouch) and timbre (CC74) apply to
+ * that note alone. A lower zone is managed on channel 1 with members from
+ * channel 2 up; an upper zone is managed on channel 16 with members from
+ * channel 15 down. Member channels skip `reserved` channels (the ones other
+ * instrumentalists play on), so a zone never bends or retunes another part.
+ *
+ * MPE needs a MIDI output of its own: without `output`, nothing goes to
+ * member channels and MIDI notes play on the instrumentalist's channel as
+ * usual (Web Audio still glides).
+ *
+ * Notes still play on the instrumentalist's own channel in Web Audio, with
+ * per-note bends from `WebAudioSynth.setNoteBend()`; pressure and timbre are
+ * MIDI only. In the 'bend' MIDI tuning mode (see AudioRouter.setTuning()),
+ * member channel bends also carry each note's tuning.
+ *
+ * Glides: a note can start bent to the pitch of the note before it and slide
+ * into its own pitch, so a melody follows a continuous data series instead of
+ * stair-stepping.
+ */
+export class MPEOutput {
+    // Per-note pitch bend range in semitones (the MPE default)
+    static DEFAULT_BEND_RANGE = 48;
+
+    // Time between the pitch bend steps of a glide (MIDI bends are stepwise)
+    static GLIDE_STEP = 0.02;
+
+    /**
+     * @param {Object} options
+     * @param {string} options.zone - 'lower' (manager channel 1) or 'upper' (manager channel 16)
+     * @param {number} options.members - Member channels in the zone (1-15)
+     * @param {number} options.bendRange - Member channel pitch bend range in semitones (1-96)
+     * @param {string|null} options.output - MIDI output dedicated to the zone (null = no MPE over MIDI)
+     * @param {Array<number>} options.reserved - Channels (0-15) the zone must leave alone
+     * @throws {Error} If an option is invalid, or the reserved channels leave no zone
+     */
+    constructor({ zone = 'lower', members = 15, bendRange = MPEOutput.DEFAULT_BEND_RANGE, output = null, reserved = [] } = {}) {
+        if (zone !== 'lower' && zone !== 'upper') {
+            throw new Error(`MPE: Invalid zone "${zone}" (must be 'lower' or 'upper')`);
+        }
+        if (!Number.isInteger(members) || members < 1 || members > 15) {
+            throw new Error(`MPE: Invalid member count ${members} (must be 1-15)`);
+        }
+        if (!Number.isInteger(bendRange) || bendRange < 1 || bendRange > 96) {
+            throw new Error(`MPE: Invalid bend range ${bendRange} (must be 1-96 semitones)`);
+        }
+
+        this.zone = zone;
+        this.bendRange = bendRange;
+        this.output = output || null;
+        this.managerChannel = zone === 'lower' ? 0 : 15;
+        if (reserved.includes(this.managerChannel)) {
+            throw new Error(`MPE: Manager channel ${this.managerChannel + 1} is in use`);
+        }
+        this.memberChannels = Array.from({ length: 15 }, (_, i) => zone === 'lower' ? 1 + i : 14 - i)
+            .filter(channel => !reserved.includes(channel))
+            .slice(0, members);
+        if (this.memberChannels.length === 0) {
+            throw new Error('MPE: No free member channels');
+        }
+
+        // member channel -> { busyUntil } (audio clock seconds its last note releases)
+        this.memberState = new Map(this.memberChannels.map(ch => [ch, { busyUntil: -Infinity }]));
+        this.sounding = []; // Notes not yet released: { channel, note, member, start, release, tuning }
+    }
+
+    /**
+     * Announce the zone to MIDI devices (MPE Configuration Message, RPN 6) and
+     * set the member channels' bend range (RPN 0)
+     */
+    configure() {
+        if (!this.isSendingMIDI()) {
+            return;
+        }
+
+        midiOutput.sendRPN(this.managerChannel, 6, this.memberChannels.length << 7);
+        this.memberChannels.forEach(member => {
+            midiOutput.sendRPN(member, 0, this.bendRange << 7);
+        });
+    }
+
+    /**
+     * Play a note on its own member channel
+     * @param {number} channel - Instrumentalist's channel (Web Audio plays the note here)
+     * @param {number} note - MIDI note number (0-127)
+     * @param {number} velocity - Note velocity (0-127)
+     * @param {number} duration - Duration in milliseconds
+     * @param {number|null} time - Audio clock start time in seconds (null = now)
+     * @param {Object} expression
+     * @param {number|null} expression.from - Pitch (MIDI note, may be fractional) to glide in from (null = no glide)
+     * @param {number} expression.glide - Glide time in milliseconds
+     * @param {number|null} expression.pressure - Initial pressure (0-127, null = none sent)
+     * @param {number|null} expression.timbre - Initial timbre, CC74 (0-127, null = none sent)
+     * @returns {Object} The sounding note { channel, note, member, start, release, tuning }
+     */
+    playNote(channel, note, velocity, duration, time = null, { from = null, glide = 0, pressure = null, timbre = null } = {}) {
+        const now = webAudioSynth.getCurrentTime();
+        const start = time !== null ? Math.max(time, now) : now;
+        const release = start + duration / 1000;
+        this.sounding = this.sounding.filter(s => s.release > now);
+
+        const member = this.isSendingMIDI() ? this.allocate(start, release) : null;
+        const tuning = (audioRouter.getMIDITuningCents(channel, note) ?? 0) / 100; // Semitones, MIDI only
+        const sounding = { channel, note, member, start, release, tuning };
+
+        // A member channel's expression is set before its note starts
+        const offset = from !== null && glide > 0 ? this.clampBend(from - note) : 0;
+        if (member !== null) {
+            const timestamp = audioRouter.toMIDITimestamp(start);
+            midiOutput.sendPitchBend(member, this.toBendValue(offset + tuning), timestamp);
+            if (timbre !== null) {
+                midiOutput.sendControlChange(member, 74, timbre, timestamp);
+            }
+            if (pressure !== null) {
+                midiOutput.sendChannelAftertouch(member, pressure, timestamp);
+            }
+        }
+
+        audioRouter.sendNote(channel, note, velocity, duration, start, member !== null ? { midiChannel: member, retune: false } : {});
+        this.sounding.push(sounding);
+
+        if (offset !== 0) {
+            this.glide(sounding, offset, Math.min(glide / 1000, release - start));
+        }
+
+        return sounding;
+    }
+
+    /**
+     * Slide a note from a bend back to its own pitch
+     * @param {Object} sounding - Note from playNote()
+     * @param {number} offset - Starting bend in semitones
+     * @param {number} glideTime - Seconds to reach the note's pitch
+     */
+    glide(sounding, offset, glideTime) {
+        const steps = Math.max(1, Math.round(glideTime / MPEOutput.GLIDE_STEP));
+        for (let step = 0; step <= steps; step++) {
+            // The note starts at the previous pitch, then eases along the steps
+            this.bend(sounding, offset - offset * step / steps, sounding.start + glideTime * step / steps, { immediate: step === 0 });
+        }
+    }
+
+    /**
+     * Bend one sounding note
+     * @param {Object} sounding - Note from playNote()
+     * @param {number} semitones - Bend from the note's pitch
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     * @param {Object} options
+     * @param {boolean} options.immediate - Jump to the bend in Web Audio instead of easing into it
+     */
+    bend(sounding, semitones, time = null, { immediate = false } = {}) {
+        const bend = this.clampBend(semitones);
+
+        if (sounding.member !== null && this.isSendingMIDI()) {
+            midiOutput.sendPitchBend(sounding.member, this.toBendValue(bend + sounding.tuning), audioRouter.toMIDITimestamp(time));
+        }
+
+        if (audioRouter.webAudioEnabled) {
+            webAudioSynth.setNoteBend(sounding.channel, sounding.note, bend * 100, time, { immediate });
+        }
+    }
+
+    /**
+     * Change the pressure of every sounding note
+     * @param {number} pressure - Pressure (0-127)
+     */
+    setPressure(pressure) {
+        this.forEachSoundingMember(member => midiOutput.sendChannelAftertouch(member, pressure));
+    }
+
+    /**
+     * Change the timbre (CC74) of every sounding note
+     * @param {number} timbre - Timbre (0-127)
+     */
+    setTimbre(timbre) {
+        this.forEachSoundingMember(member => midiOutput.sendControlChange(member, 74, timbre));
+    }
+
+    /**
+     * Call back with the member channel of each note still sounding
+     * @param {Function} callback - Called with the member channel
+     */
+    forEachSoundingMember(callback) {
+        if (!this.isSendingMIDI()) {
+            return;
+        }
+
+        const now = webAudioSynth.getCurrentTime();
+        this.sounding = this.sounding.filter(s => s.release > now);
+        new Set(this.sounding.map(s => s.member).filter(member => member !== null)).forEach(callback);
+    }
+
+    /**
+     * Pick a member channel for a note
+     * The free channel released longest ago, so release tails aren't bent by
+     * the next note; with none free, the one that frees up first.
+     * @param {number} start - Note start (audio clock seconds)
+     * @param {number} release - Note release (audio clock seconds)
+     * @returns {number} Member channel
+     */
+    allocate(start, release) {
+        const states = [...this.memberState.entries()];
+        const free = states.filter(([, state]) => state.busyUntil <= start);
+        const [member, state] = free.length > 0
+            ? free.reduce((best, entry) => entry[1].busyUntil < best[1].busyUntil ? entry : best)
+            : states.reduce((best, entry) => entry[1].busyUntil < best[1].busyUntil ? entry : best);
+
+        state.busyUntil = Math.max(state.busyUntil, release);
+        return member;
+    }
+
+    /**
+     * Limit a bend to the member channel bend range
+     * @param {number} semitones
+     * @returns {number}
+     */
+    clampBend(semitones) {
+        return Math.max(-this.bendRange, Math.min(this.bendRange, semitones));
+    }
+
+    /**
+     * Convert a bend in semitones to a member channel pitch bend value
+     * @param {number} semitones
+     * @returns {number} -1.0 - 1.0
+     */
+    toBendValue(semitones) {
+        return this.clampBend(semitones) / this.bendRange;
+    }
+
+    /**
+     * Whether notes go to the zone's MIDI device (there is one, and they aren't part of a render)
+     * @returns {boolean}
+     */
+    isSendingMIDI() {
+        return this.output !== null && audioRouter.isSendingMIDI();
+    }
+}
@@ -5,6 +5,7 @@
 
 import { SCALES } from './midi_data.js';
 import { weightedRandomSelect, normalizeWeights, applyStyleModifiers } from './generative_algorithms.js';
+import { random } from './random.js';
 
 /**
  * Generate a chord progression based on key, scale, and style
@@ -111,6 +112,38 @@ export function generateProgression(key, scale, style = 'jazz') {
     return progression;
 }
 
+/**
+ * Chord quality -> intervals above the root (semitones)
+ */
+export const CHORD_QUALITIES = {
+    // Triads
+    'maj': [0, 4, 7],
+    'min': [0, 3, 7],
+    'dim': [0, 3, 6],
+    'aug': [0, 4, 8],
+    'sus2': [0, 2, 7],
+    'sus4': [0, 5, 7],
+
+    // Seventh chords
+    'maj7': [0, 4, 7, 11],
+    'min7': [0, 3, 7, 10],
+    '7': [0, 4, 7, 10],         // Dominant 7
+    'min7b5': [0, 3, 6, 10],    // Half-diminished
+    'dim7': [0, 3, 6, 9],
+
+    // Extended chords
+    'maj9': [0, 4, 7, 11, 14],
+    'min9': [0, 3, 7, 10, 14],
+    '9': [0, 4, 7, 10, 14],
+    '11': [0, 4, 7, 10, 14, 17],
+    '13': [0, 4, 7, 10, 14, 17, 21],
+
+    // Alterations
+    '7b9': [0, 4, 7, 10, 13],
+    '7#9': [0, 4, 7, 10, 15],
+    '7#11': [0, 4, 7, 10, 18]
+};
+
 /**
  * Voice a chord (convert chord quality to specific MIDI notes)
  * @param {Object} chord - Chord object {symbol, root, quality}
@@ -120,38 +153,8 @@ export function generateProgression(key, scale, style = 'jazz') {
 export function voiceChord(chord, voicingType = 'close') {
     const { root, quality } = chord;
 
-    // Chord quality to intervals
-    const chordQualities = {
-        // Triads
-        'maj': [0, 4, 7],
-        'min': [0, 3, 7],
-        'dim': [0, 3, 6],
-        'aug': [0, 4, 8],
-        'sus2': [0, 2, 7],
-        'sus4': [0, 5, 7],
-
-        // Seventh chords
-        'maj7': [0, 4, 7, 11],
-        'min7': [0, 3, 7, 10],
-        '7': [0, 4, 7, 10],         // Dominant 7
-        'min7b5': [0, 3, 6, 10],    // Half-diminished
-        'dim7': [0, 3, 6, 9],
-
-        // Extended chords
-        'maj9': [0, 4, 7, 11, 14],
-        'min9': [0, 3, 7, 10, 14],
-        '9': [0, 4, 7, 10, 14],
-        '11': [0, 4, 7, 10, 14, 17],
-        '13': [0, 4, 7, 10, 14, 17, 21],
-
-        // Alterations
-        '7b9': [0, 4, 7, 10, 13],
-        '7#9': [0, 4, 7, 10, 15],
-        '7#11': [0, 4, 7, 10, 18]
-    };
-
     // Get intervals for this chord quality
-    const intervals = chordQualities[quality] || chordQualities['maj'];
+    const intervals = CHORD_QUALITIES[quality] || CHORD_QUALITIES['maj'];
 
     // Generate basic voicing
     let voicing = intervals.map(interval => root + interval);
@@ -180,6 +183,35 @@ export function voiceChord(chord, voicingType = 'close') {
     return voicing;
 }
 
+/**
+ * Name the chord a set of notes spells (e.g. notes held on a keyboard)
+ * The bass note is tried as the root first, so inversions keep their root
+ * and ambiguous sets (C-D-G as Csus2 or Gsus4) follow the bass.
+ * @param {Array<number>} notes - MIDI note numbers (any order, doubled notes allowed)
+ * @returns {Object|null} { root, quality } with root the lowest held note of the root's
+ *   pitch class, or null if fewer than three pitch classes or no quality matches
+ */
+export function identifyChord(notes) {
+    const sorted = [...notes].sort((a, b) => a - b);
+    const pitchClasses = [...new Set(sorted.map(note => note % 12))];
+    if (pitchClasses.length < 3) {
+        return null;
+    }
+
+    for (const rootClass of pitchClasses) {
+        const intervals = pitchClasses.map(pc => (pc - rootClass + 12) % 12).sort((a, b) => a - b);
+
+        for (const [quality, qualityIntervals] of Object.entries(CHORD_QUALITIES)) {
+            const expected = [...new Set(qualityIntervals.map(interval => interval % 12))].sort((a, b) => a - b);
+            if (expected.length === intervals.length && expected.every((interval, i) => interval === intervals[i])) {
+                return { root: sorted.find(note => note % 12 === rootClass), quality };
+            }
+        }
+    }
+
+    return null;
+}
+
 /**
  * Get the next chord in a progression with smooth voice leading
  * @param {Array} voicing - Current chord voicing
@@ -366,9 +398,10 @@ export const PROGRESSION_STYLE_MODIFIERS = {
  * @param {number} referenceTonic - Reference tonic MIDI note (defines degree 1)
  * @param {string} poolKey - Pool key (e.g., "3♯", "0", "2♭")
  * @param {string} style - Style name (jazz, pop, blues, etc.)
+ * @param {RandomStream} rng - Random stream to draw from (see lib/random.js)
  * @returns {Object} {degree: number, tonicNote: number, pitchClass: number}
  */
-export function selectNextTonicByFunction(currentDegree, referenceTonic, poolKey, style = 'default') {
+export function selectNextTonicByFunction(currentDegree, referenceTonic, poolKey, style = 'default', rng = random) {
     // 1. Get pool pitch classes
     const pool = SCALES[poolKey] || SCALES['0'];
     const poolPitchClasses = [...new Set(pool.map(n => n % 12))];
@@ -405,7 +438,7 @@ export function selectNextTonicByFunction(currentDegree, referenceTonic, poolKey
     const weightsArray = availableDegrees.map(deg => weights[deg] || 0.01);
 
     // 7. Weighted random selection
-    const selectedDegree = weightedRandomSelect(availableDegrees, weightsArray);
+    const selectedDegree = weightedRandomSelect(availableDegrees, weightsArray, rng);
 
     // 8. Convert degree to MIDI note (relative to reference tonic)
     const selectedItem = intervalsFromTonic[selectedDegree - 1];
@@ -563,9 +596,10 @@ export const MELODIC_INTERVAL_WEIGHTS = {
  * @param {Array<number>} chordTones - Current chord tones (higher weight)
  * @param {number} dataValue - Normalized data value (0-1) to bias upward/downward
  * @param {string} mood - Mood affecting interval weights ('tense', 'relaxed', etc.)
+ * @param {RandomStream} rng - Random stream to draw from (see lib/random.js)
  * @returns {number} Selected MIDI note
  */
-export function selectNextMelodicNote(currentNote, scaleNotes, chordTones = [], dataValue = 0.5, mood = 'relaxed') {
+export function selectNextMelodicNote(currentNote, scaleNotes, chordTones = [], dataValue = 0.5, mood = 'relaxed', rng = random) {
     if (scaleNotes.length === 0) {
         return currentNote; // Safety fallback
     }
@@ -611,5 +645,5 @@ export function selectNextMelodicNote(currentNote, scaleNotes, chordTones = [],
     });
 
     // Select weighted random note
-    return weightedRandomSelect(candidates, weights);
+    return weightedRandomSelect(candidates, weights, rng);
 }
@@ -0,0 +1,167 @@
+import { PubSub } from './pubsub.js';
+import { midiClock } from './midi_clock.js';
+import { webAudioSynth } from './web_audio_synth.js';
+import { audioRouter } from './audio_router.js';
+import { writeWavFile } from './wav_file.js';
+
+/**
+ * Offline Renderer - Renders one playhead sweep to a WAV file
+ * Singleton pattern: use `offlineRenderer` export
+ *
+ * The MIDI clock runs in virtual time as fast as possible while the live
+ * components (visualizer playhead, composer, instrumentalists) respond to its
+ * ticks as usual. Their notes go through the audio router into the
+ * `webAudioSynth` voice functions, which are pointed at an OfflineAudioContext
+ * for the duration of the run, so the render matches live playback.
+ *
+ * Components that defer work with setTimeout still see wall-clock delays,
+ * which are effectively zero ticks long during a render.
+ */
+class OfflineRenderer {
+    constructor() {
+        this.sampleRate = 44100;
+        this.channels = 2;
+        this.tailSeconds = 2;        // Rendered after the last tick so releases ring out
+        this.lengthHeadroom = 1.25;  // Extra buffer in case live tempo automation slows the sweep
+        this.isRendering = false;
+    }
+
+    /**
+     * Render one sweep of a visualizer playhead across the data domain
+     * Only the chosen playhead advances; the others are paused for the render.
+     * @param {HTMLElement} visualizer - Visualizer with playheads (e.g. sonofire-xy-plot)
+     * @param {Object} options
+     * @param {string} options.playheadId - Playhead to sweep (defaults to the first enabled one)
+     * @param {number} options.sampleRate - Output sample rate
+     * @param {number} options.tailSeconds - Silence rendered after the last tick
+     * @returns {Promise<Blob>} WAV file
+     */
+    async renderSweep(visualizer, { playheadId = null, sampleRate = this.sampleRate, tailSeconds = this.tailSeconds } = {}) {
+        const playhead = playheadId
+            ? visualizer.getPlayhead(playheadId)
+            : visualizer.playheads.find(ph => ph.enabled);
+
+        if (!playhead) {
+            throw new Error('Offline render: no playhead to sweep');
+        }
+
+        const bytes = await this.render(visualizer.getSweepTicks(playhead), {
+            sampleRate,
+            tailSeconds,
+            setup: () => this.isolatePlayhead(visualizer, playhead)
+        });
+
+        return new Blob([bytes], { type: 'audio/wav' });
+    }
+
+    /**
+     * Render a number of clock ticks from the top of the song
+     * @param {number} ticks - Number of ticks to run
+     * @param {Object} options
+     * @param {number} options.sampleRate - Output sample rate
+     * @param {number} options.tailSeconds - Silence rendered after the last tick
+     * @param {Function} options.setup - Called before the clock starts; may return a cleanup function
+     * @returns {Promise<Uint8Array>} WAV file bytes
+     */
+    async render(ticks, { sampleRate = this.sampleRate, tailSeconds = this.tailSeconds, setup = null } = {}) {
+        if (this.isRendering) {
+            throw new Error('Offline render already in progress');
+        }
+        if (typeof OfflineAudioContext === 'undefined') {
+            throw new Error('Offline render: OfflineAudioContext is not supported');
+        }
+        if (!midiClock.beginOffline()) {
+            throw new Error('Offline render: stop the clock before rendering');
+        }
+
+        this.isRendering = true;
+        PubSub.publish('renderer:state', { rendering: true, ticks });
+        console.log(`Offline Renderer: rendering ${ticks} ticks`);
+
+        try {
+            const { context, endTime } = this.runClock(ticks, { sampleRate, tailSeconds, setup });
+
+            const audioBuffer = await context.startRendering();
+            const frames = Math.ceil((endTime + tailSeconds) * sampleRate);
+            if (frames > audioBuffer.length) {
+                console.warn('Offline Renderer: sweep ran past the rendered length; the end is cut short');
+            }
+
+            const bytes = writeWavFile(audioBuffer, { length: frames });
+            PubSub.publish('renderer:state', { rendering: false, duration: Math.min(frames, audioBuffer.length) / sampleRate });
+            console.log(`Offline Renderer: rendered ${endTime.toFixed(2)}s (+${tailSeconds}s tail)`);
+            return bytes;
+        } catch (err) {
+            PubSub.publish('renderer:state', { rendering: false, error: err.message });
+            throw err;
+        } finally {
+            this.isRendering = false;
+        }
+    }
+
+    /**
+     * Run the clock offline, scheduling every voice into a new OfflineAudioContext
+     * The live audio context, router and clock are restored before returning.
+     * @param {number} ticks - Number of ticks to run
+     * @param {Object} options - See render()
+     * @returns {Object} { context, endTime } - Context ready to render, virtual time of the end of the last tick
+     */
+    runClock(ticks, { sampleRate, tailSeconds, setup }) {
+        let cleanup = null;
+
+        try {
+            const estimate = midiClock.getDurationOfTicks(0, ticks);
+            const length = Math.ceil((estimate * this.lengthHeadroom + tailSeconds) * sampleRate);
+            const context = new OfflineAudioContext(this.channels, length, sampleRate);
+
+            webAudioSynth.beginOfflineRender(context);
+            audioRouter.setRenderMode(true);
+            cleanup = setup ? setup() : null;
+
+            const endTime = midiClock.renderTicks(ticks, (time) => {
+                webAudioSynth.setVirtualTime(time);
+                audioRouter.releaseDueNotes(time);
+            });
+
+            return { context, endTime };
+        } finally {
+            midiClock.endOffline();
+            audioRouter.setRenderMode(false);
+            webAudioSynth.endOfflineRender();
+            if (cleanup) {
+                cleanup();
+            }
+        }
+    }
+
+    /**
+     * Start the chosen playhead from the beginning and pause the others
+     * @param {HTMLElement} visualizer - Visualizer owning the playhead
+     * @param {Playhead} playhead - Playhead to sweep
+     * @returns {Function} Restores the playheads to how they were
+     */
+    isolatePlayhead(visualizer, playhead) {
+        const saved = visualizer.playheads.map(ph => ({ ph, enabled: ph.enabled, position: ph.position }));
+
+        visualizer.playheads.forEach(ph => {
+            ph.enabled = ph === playhead;
+        });
+        playhead.setPosition(0);
+        playhead.tickCounter = 0;
+        visualizer.sampler?.forget(playhead.id);
+
+        return () => {
+            saved.forEach(({ ph, enabled, position }) => {
+                ph.enabled = enabled;
+                ph.setPosition(position);
+            });
+            visualizer.onPlayheadsAdvanced();
+        };
+    }
+}
+
+// Export singleton instance
+export const offlineRenderer = new OfflineRenderer();
+
+// Also export class for custom instances
+export { OfflineRenderer };
@@ -1,4 +1,5 @@
 import { PubSub } from './pubsub.js';
+import { random } from './random.js';
 
 /**
  * Playhead - Independent marker that advances through visualizer data
@@ -11,7 +12,7 @@ import { PubSub } from './pubsub.js';
  */
 export class Playhead {
     constructor(visualizerId, config = {}) {
-        this.id = config.id || `ph-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `ph-${random.stream('ids').next().toString(36).substr(2, 9)}`;
         this.visualizerId = visualizerId;
         this.color = config.color || this.generateColor();
         this.speed = config.speed !== undefined ? config.speed : 1;  // Speed multiplier
@@ -1,3 +1,5 @@
+import { MemoryLastValueStore } from './last_value_store.js';
+
 function sumChars(s) {
   var acc = 0;
   for (var i = 0; i < s.length; i++) {
@@ -22,6 +24,127 @@ function discoverBusAbove(context, defaultBus){
     return messageBus;
 }
 
+// Topic patterns: `*` matches within one segment (`context:*`, `playhead:*:*:value`),
+// `**` matches across segments (`playhead:main-xy-plot:**`). Pattern subscribers
+// get the published topic as a second argument.
+const isPattern = (topic) => typeof topic === 'string' && topic.includes('*');
+
+const compilePattern = (pattern) => {
+    var source = pattern
+        .split('**')
+        .map(part => part
+            .split('*')
+            .map(text => text.replace(/[.+?^${}()|[\]\\]/g, '\\$&'))
+            .join('[^:]*'))
+        .join('.*');
+    return new RegExp(`^${source}$`);
+}
+
+// Patterns matching a topic, cached until the set of patterns changes so
+// repeated topics don't test every pattern on every publish
+const getMatchingPatterns = (topic, messageBus) => {
+    var matches = messageBus.patternMatches.get(topic);
+    if (!matches) {
+        matches = Object.keys(messageBus.patterns)
+            .filter(pattern => messageBus.patterns[pattern].matcher.test(topic));
+        messageBus.patternMatches.set(topic, matches);
+    }
+    return matches;
+}
+
+// Subscriptions live in `topics` (exact topics, one lookup per publish) or `patterns`
+const getSubscriberTable = (topic, messageBus, create) => {
+    if (!isPattern(topic)) {
+        if (!messageBus.topics[topic] && create) {
+            messageBus.topics[topic] = {};
+        }
+        return messageBus.topics[topic];
+    }
+    if (!messageBus.patterns[topic] && create) {
+        messageBus.patterns[topic] = { matcher: compilePattern(topic), subscribers: {} };
+        messageBus.patternMatches.clear();
+    }
+    return messageBus.patterns[topic]?.subscribers;
+}
+
+const removePattern = (pattern, messageBus) => {
+    delete messageBus.patterns[pattern];
+    messageBus.patternMatches.clear();
+}
+
+// Topics with a last value, for last()/clearLast() on patterns
+const getStoredTopics = (pattern, messageBus) => {
+    var matcher = compilePattern(pattern);
+    return [...messageBus.lastValues.keys()].filter(topic => matcher.test(topic));
+}
+
+// Last values live in memory; only topics opted in with persist() reach the
+// last-value store, so high-rate topics never touch storage
+const getStoreKey = (topic, messageBus) => `${messageBus.instanceId}.lastEvents.${topic}`;
+
+const isPersisted = (topic, messageBus) => {
+    var persisted = messageBus.persistMatches.get(topic);
+    if (persisted === undefined) {
+        persisted = [...messageBus.persisted].some(([rule, matcher]) => matcher ? matcher.test(topic) : rule === topic);
+        messageBus.persistMatches.set(topic, persisted);
+    }
+    return persisted;
+}
+
+// Last values are handed out as copies (JSON round trip, as when they lived
+// in localStorage), so callers can't change what the next caller sees
+const copyValue = (value) => {
+    if (value === undefined || value === null) {
+        return value;
+    }
+    try {
+        return JSON.parse(JSON.stringify(value));
+    } catch(e) {
+        return value;
+    }
+}
+
+// Take persisted values the store had when it was set, unless this session
+// has published the topic since
+const restoreStoredValues = (messageBus) => {
+    var prefix = getStoreKey('', messageBus);
+    messageBus.storedValues.forEach((value, key) => {
+        var topic = key.substring(prefix.length);
+        if (key.startsWith(prefix) && !messageBus.lastValues.has(topic) && isPersisted(topic, messageBus)) {
+            messageBus.lastValues.set(topic, value);
+        }
+    });
+}
+
+const doSetLastValueStore = (store, messageBus) => {
+    messageBus.lastValueStore = store;
+    messageBus.storedValues = new Map();
+
+    var loaded = store.load(getStoreKey('', messageBus));
+    var keep = (entries) => {
+        if (messageBus.lastValueStore !== store) {
+            return; // Replaced while loading
+        }
+        messageBus.storedValues = new Map(entries);
+        restoreStoredValues(messageBus);
+    };
+
+    // Synchronous stores restore right away, so components can read last values as they load
+    if (loaded && typeof loaded.then === 'function') {
+        return loaded.then(keep).catch(err => {
+            console.error('Failed to load persisted last values:', err);
+        });
+    }
+    keep(loaded || []);
+    return Promise.resolve();
+}
+
+const doPersist = (topic, messageBus) => {
+    messageBus.persisted.set(topic, isPattern(topic) ? compilePattern(topic) : null);
+    messageBus.persistMatches.clear();
+    restoreStoredValues(messageBus);
+}
+
 const doSubscription = function(topic, callback, context, messageBus) {
     if(!context){
         context = this;
@@ -54,14 +177,10 @@ const doSubscription = function(topic, callback, context, messageBus) {
         console.debug("Received subscription to topic", topic, scopeMessage);
     }
 
-    if(!messageBus.topics[topic]){
-        messageBus.topics[topic] = {[hash]: {"callback": callback, "context":context }};
-        messageBus.debug && console.debug(`[PubSub] Created new topic "${topic}", subscriber count: 1`);
-    } else {
-        messageBus.topics[topic][hash] = {"callback": callback, "context":context };
-        const count = Object.keys(messageBus.topics[topic]).length;
-        messageBus.debug && console.debug(`[PubSub] Added to existing topic "${topic}", subscriber count: ${count}`);
-    }
+    const subscribers = getSubscriberTable(topic, messageBus, true);
+    subscribers[hash] = {"callback": callback, "context":context };
+    const count = Object.keys(subscribers).length;
+    messageBus.debug && console.debug(`[PubSub] Subscribed to ${isPattern(topic) ? 'pattern' : 'topic'} "${topic}", subscriber count: ${count}`);
 }
 
 const doPublish = function(topic, eventData, messageBus) {
@@ -69,20 +188,23 @@ const doPublish = function(topic, eventData, messageBus) {
         var scopeMessage = "scoped to bus with id #" + messageBus.instanceId;
         console.debug("publishing event on topic", topic, scopeMessage);
     }
-    var accessor = `${messageBus.instanceId}.lastEvents.${topic}`;
-    try {
-        localStorage.setItem(accessor, JSON.stringify(eventData));
-    } catch(e) {
-        console.error(e);
-        console.log("received error saving to localStorage. clearing localStorage.");
-        localStorage.clear();
+    messageBus.lastValues.set(topic, eventData);
+    if (messageBus.persisted.size > 0 && isPersisted(topic, messageBus)) {
+        messageBus.lastValueStore.save(getStoreKey(topic, messageBus), eventData);
+    }
+    // Observers see each publish before its subscribers run, so anything a
+    // subscriber publishes in response comes after it
+    var observers = messageBus.observers.length > 0 ? [...messageBus.observers] : [];
+    for(var k=0; k<observers.length; k++){
+        observers[k]["callback"].call(observers[k]["context"], eventData, topic);
     }
     var subscriberData = messageBus.topics[topic];
-    if (!subscriberData) {
+    var patterns = Object.keys(messageBus.patterns).length > 0 ? getMatchingPatterns(topic, messageBus) : [];
+    if (!subscriberData && patterns.length === 0) {
         messageBus.debug && console.log(`[PubSub] Publishing "${topic}" - no subscribers`);
         return;
     }
-    var subscribers = Object.values(subscriberData);
+    var subscribers = subscriberData ? Object.values(subscriberData) : [];
     messageBus.debug && console.debug(`[PubSub] Publishing "${topic}" to ${subscribers.length} subscriber(s):`);
     for(var i=0; subscribers && i<subscribers.length; i++){
         const contextName = subscribers[i]["context"]?.constructor?.name || 'unknown';
@@ -91,6 +213,26 @@ const doPublish = function(topic, eventData, messageBus) {
         subscribers[i]["callback"].call(subscribers[i]["context"], eventData);
     }
 
+    // Pattern subscribers after exact ones, in the order the patterns were first subscribed
+    var patternSubscribers = patterns
+        .filter(pattern => messageBus.patterns[pattern])
+        .flatMap(pattern => Object.values(messageBus.patterns[pattern].subscribers));
+    messageBus.debug && patternSubscribers.length > 0 && console.debug(`[PubSub] Publishing "${topic}" to ${patternSubscribers.length} pattern subscriber(s)`);
+    for(var j=0; j<patternSubscribers.length; j++){
+        patternSubscribers[j]["callback"].call(patternSubscribers[j]["context"], eventData, topic);
+    }
+}
+
+const doObserve = (callback, context, messageBus) => {
+    if (!messageBus.observers.some(observer => observer.callback === callback)) {
+        messageBus.observers.push({ "callback": callback, "context": context });
+    }
+}
+
+const doUnobserve = (callback, messageBus) => {
+    var count = messageBus.observers.length;
+    messageBus.observers = messageBus.observers.filter(observer => observer.callback !== callback);
+    return messageBus.observers.length < count;
 }
 
 const doClearAllCallbacks = (messageBus)=>{
@@ -101,13 +243,18 @@ const doClearAllCallbacks = (messageBus)=>{
     for(var i=0; i<keys.length; i++){
         messageBus.topics[keys[i]] = {};
     }
+    messageBus.patterns = {};
+    messageBus.patternMatches.clear();
 }
 
 const doClearTopicCallbacks = (topic, messageBus)=>{
     if(messageBus.debug){
         console.debug("destroying callbacks on topic '"+topic+"'");
     }
-    if(messageBus.topics[topic]) messageBus.topics[topic] = {};
+    if(isPattern(topic)){
+        // Only the pattern's own subscribers, not those of the topics it matches
+        removePattern(topic, messageBus);
+    } else if(messageBus.topics[topic]) messageBus.topics[topic] = {};
 }
 
 const doUnsubscribe = (topic, callback, context, messageBus) => {
@@ -128,12 +275,18 @@ const doUnsubscribe = (topic, callback, context, messageBus) => {
     const contextId = messageBus.contextIds.get(context);
     const hash = `${callbackHash}_ctx${contextId}`;
 
-    if (messageBus.topics[topic] && messageBus.topics[topic][hash]) {
-        delete messageBus.topics[topic][hash];
+    // A pattern unsubscribes only what was subscribed with that same pattern
+    const subscribers = getSubscriberTable(topic, messageBus, false);
+    if (subscribers && subscribers[hash]) {
+        delete subscribers[hash];
 
         // Clean up empty topic
-        if (Object.keys(messageBus.topics[topic]).length === 0) {
-            delete messageBus.topics[topic];
+        if (Object.keys(subscribers).length === 0) {
+            if (isPattern(topic)) {
+                removePattern(topic, messageBus);
+            } else {
+                delete messageBus.topics[topic];
+            }
         }
 
         if (messageBus.debug) {
@@ -150,23 +303,33 @@ const doUnsubscribe = (topic, callback, context, messageBus) => {
 }
 
 const getLastValue = (topic, messageBus)=>{
-    var accessor = `${messageBus.instanceId}.lastEvents.${topic}`
     if(messageBus.debug){
         console.debug("returning last value for", topic, "from bus with id #", messageBus.instanceId);
     }
-    try {
-        return JSON.parse(localStorage.getItem(`${messageBus.instanceId}.lastEvents.${topic}`));
-    } catch(e) {
-        return undefined;
+    // Patterns return every matching topic's last value: { topic: value }
+    if(isPattern(topic)){
+        var values = {};
+        getStoredTopics(topic, messageBus).forEach(match => {
+            values[match] = getLastValue(match, messageBus);
+        });
+        return values;
     }
+    return messageBus.lastValues.has(topic) ? copyValue(messageBus.lastValues.get(topic)) : null;
 }
 
 const clearLastValue = (topic, messageBus)=>{
     if(messageBus.debug){
         console.debug("clearing last value for", topic, "from bus with id #", messageBus.instanceId);
     }
-    var accessor = `${messageBus.instanceId}.lastEvents.${topic}`;
-    localStorage.removeItem(accessor);
+    if(isPattern(topic)){
+        getStoredTopics(topic, messageBus).forEach(match => clearLastValue(match, messageBus));
+        return;
+    }
+    messageBus.lastValues.delete(topic);
+    if (isPersisted(topic, messageBus)) {
+        messageBus.lastValueStore.remove(getStoreKey(topic, messageBus));
+        messageBus.storedValues.delete(getStoreKey(topic, messageBus));
+    }
 }
 
 export class PrivateMessageBus {
@@ -185,6 +348,12 @@ export class PrivateMessageBus {
             publish: function(topic, data){
                 doPublish.call(self, topic, data, self);
             },
+            observe: function(callback, context){
+                doObserve(callback, context, self);
+            },
+            unobserve: function(callback){
+                return doUnobserve(callback, self);
+            },
             clearAllCallbacks: function(){
                 doClearAllCallbacks(self);
             },
@@ -197,12 +366,28 @@ export class PrivateMessageBus {
             clearLast: function(topic){
                 return clearLastValue(topic, self);
             },
+            persist: function(topic){
+                doPersist(topic, self);
+            },
+            setLastValueStore: function(store){
+                return doSetLastValueStore(store, self);
+            },
+            getLastValueStore: function(){
+                return self.lastValueStore;
+            },
             setDebug: function(debug){
                 self.debug = debug;
             }
         };
         this.topics = {};
-        this.lastEvents = {};
+        this.patterns = {}; // pattern -> { matcher, subscribers }
+        this.patternMatches = new Map(); // topic -> patterns matching it
+        this.observers = []; // { callback, context } called with every publish, before subscribers
+        this.lastValues = new Map(); // topic -> last published value
+        this.lastValueStore = new MemoryLastValueStore(); // Where persisted topics' last values go
+        this.storedValues = new Map(); // store key -> value, as loaded from the store
+        this.persisted = new Map(); // topic or pattern -> matcher (null for exact topics)
+        this.persistMatches = new Map(); // topic -> whether it's persisted
         if(busScope){
             busScope.__privatemessagebus__ = this;
             busScope.addEventListener("$SCOPE.DISCOVERY$", (event)=>{
@@ -237,6 +422,19 @@ PrivateMessageBus.prototype.publish = function(topic, eventData, context){
     doPublish.call(messageBus, topic, eventData, messageBus);
 }
 
+// calls back with (eventData, topic) for every publish, before the topic's
+// subscribers run (e.g. to record the bus in publish order); not removed by
+// clearAllCallbacks()
+PrivateMessageBus.prototype.observe = function(callback, context){
+    var messageBus = discoverBusAbove(context, this);
+    doObserve(callback, context, messageBus);
+}
+
+PrivateMessageBus.prototype.unobserve = function(callback, context){
+    var messageBus = discoverBusAbove(context, this);
+    return doUnobserve(callback, messageBus);
+}
+
 PrivateMessageBus.prototype.clearAllCallbacks = function(context) {
     var messageBus = discoverBusAbove(context, this);
     doClearAllCallbacks(messageBus);
@@ -257,6 +455,23 @@ PrivateMessageBus.prototype.clearLast = function(topic, context){
     var messageBus = discoverBusAbove(context, this);
     return clearLastValue(topic, messageBus);
 }
+// keeps a topic's (or every topic matching a pattern's) last value in the
+// last-value store, so it survives reloads with a persistent store
+PrivateMessageBus.prototype.persist = function(topic, context){
+    var messageBus = discoverBusAbove(context, this);
+    doPersist(topic, messageBus);
+}
+// sets where persisted last values are kept (see lib/last_value_store.js);
+// resolves once the store's values are restored
+PrivateMessageBus.prototype.setLastValueStore = function(store, context){
+    var messageBus = discoverBusAbove(context, this);
+    return doSetLastValueStore(store, messageBus);
+}
+// returns the store persisted last values are kept in
+PrivateMessageBus.prototype.getLastValueStore = function(context){
+    var messageBus = discoverBusAbove(context, this);
+    return messageBus.lastValueStore;
+}
 PrivateMessageBus.prototype.setDebug = function(debug, context){
     var messageBus = discoverBusAbove(context, this);
     messageBus.debug = debug;
@@ -264,6 +479,11 @@ PrivateMessageBus.prototype.setDebug = function(debug, context){
 
 var messageBus = null;
 
+// whether a topic matches a topic or pattern (see the pattern rules above)
+export function topicMatches(pattern, topic) {
+    return isPattern(pattern) ? compilePattern(pattern).test(topic) : pattern === topic;
+}
+
 export function getInstance() {
     if(!messageBus){
         messageBus = new PrivateMessageBus();
@@ -0,0 +1,133 @@
+import { perlinNoise } from './unit_noise.js';
+
+/**
+ * Random - Seedable random numbers for every generative path
+ * Singleton pattern: use `random` export
+ *
+ * Generators draw from here instead of Math.random(), so the same dataset and
+ * seed reproduce the same performance (the Conductor's `data-seed`). Each
+ * component draws from its own named stream, derived from the seed, so one
+ * instrumentalist's choices don't shift another's.
+ *
+ * Streams use mulberry32: fast, 32 bits of state, good enough for music.
+ */
+class RandomStream {
+    /**
+     * @param {number} state - 32-bit initial state
+     */
+    constructor(state = 0) {
+        this.state = state >>> 0;
+    }
+
+    /**
+     * Next random number
+     * @returns {number} 0 <= n < 1
+     */
+    next() {
+        this.state = (this.state + 0x6D2B79F5) >>> 0;
+        let t = this.state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
+    /**
+     * Random integer
+     * @param {number} max - Exclusive upper bound
+     * @returns {number} 0 <= n < max
+     */
+    int(max) {
+        return Math.floor(this.next() * max);
+    }
+
+    /**
+     * Random element of an array
+     * @param {Array} array - Options
+     * @returns {*} Selected element (undefined if empty)
+     */
+    pick(array) {
+        return array[this.int(array.length)];
+    }
+
+    /**
+     * True with the given probability
+     * @param {number} probability - 0.0-1.0
+     * @returns {boolean}
+     */
+    chance(probability) {
+        return this.next() < probability;
+    }
+}
+
+class SeededRandom extends RandomStream {
+    constructor() {
+        super();
+
+        this.seed = null;
+        this.streams = new Map(); // name -> RandomStream
+
+        this.setSeed(null);
+    }
+
+    /**
+     * Seed the generator and every stream derived from it
+     * Humanization noise follows the seed too.
+     * @param {number|string|null} seed - Any number or string; null picks one at random
+     * @returns {number|string} The seed in use (share it to reproduce a take)
+     */
+    setSeed(seed) {
+        if (seed === null || seed === undefined || seed === '') {
+            // The one place entropy comes in: a fresh take, but still reproducible from its seed
+            seed = Math.floor(Math.random() * 4294967296);
+        }
+
+        this.seed = seed;
+        this.state = hashSeed(String(seed));
+        this.streams.forEach((stream, name) => {
+            stream.state = hashSeed(`${seed}:${name}`);
+        });
+        perlinNoise.setSeed(this.state);
+
+        return seed;
+    }
+
+    /**
+     * Get the seed in use
+     * @returns {number|string}
+     */
+    getSeed() {
+        return this.seed;
+    }
+
+    /**
+     * Get a named stream derived from the seed
+     * @param {string} name - Stream name (e.g. a component id)
+     * @returns {RandomStream}
+     */
+    stream(name) {
+        if (!this.streams.has(name)) {
+            this.streams.set(name, new RandomStream(hashSeed(`${this.seed}:${name}`)));
+        }
+        return this.streams.get(name);
+    }
+}
+
+/**
+ * Hash a string to 32 bits (FNV-1a)
+ * @param {string} text
+ * @returns {number}
+ */
+function hashSeed(text) {
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Export singleton instance
+export const random = new SeededRandom();
+
+// Also export classes for custom instances
+export { SeededRandom, RandomStream };
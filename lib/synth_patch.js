@@ -0,0 +1,420 @@
+/**
+ * SynthPatch - Declarative Web Audio voices
+ *
+ * A patch is JSON describing operators (oscillators or noise), FM routing,
+ * filters and envelopes. `play()` builds the node graph for one note, so new
+ * timbres need no JavaScript. Register patches with
+ * `webAudioSynth.registerPatch()` / `loadPatch(url)` and they become voices
+ * like the built-in ones.
+ *
+ * {
+ *   "name": "fm-bell",                 // Voice name
+ *   "label": "FM Bell (patch)",        // Voice dropdown label (default: name)
+ *   "level": 0.35,                     // Peak output at full velocity
+ *   "velocityCurve": 2.2,              // Velocity → level gamma (1 = linear)
+ *   "operators": [
+ *     { "id": "mod", "wave": "sine", "ratio": 1.4, "modulates": "carrier",
+ *       "index": [10, 18], "envelope": { "points": [[0, 1], [0.3, 0.1], [2, 0.01]] } },
+ *     { "id": "carrier", "wave": "sine", "ratio": 1 }
+ *   ],
+ *   "filter": { "type": "lowpass", "cutoff": 8, "q": 0.7 },
+ *   "envelope": { "points": [[0, 0], [0.01, 1], [0.5, 0.7], [2, 0.3], [5, 0]] }
+ * }
+ *
+ * Operators:
+ * - `wave`: sine | square | sawtooth | triangle | noise
+ * - `ratio` × note frequency (default 1), or a `fixed` frequency in Hz; `detune` in cents
+ * - With `modulates`, the operator frequency-modulates another (non-noise)
+ *   operator with depth `index` × its own frequency (noise: × note frequency).
+ *   Otherwise it is heard at `level` (default 1), through its own `filter` if given.
+ *
+ * Filters: `type` (any BiquadFilter type), `cutoff` × note frequency
+ * (`"keyTrack": false` for Hz), `q`, optional `envelope`.
+ *
+ * Envelopes scale the value they're attached to (amplitude, modulation index,
+ * filter cutoff or operator level). Either ADSR,
+ *   { "attack": 0.01, "decay": 0.3, "sustain": 0.6, "release": 0.2 }
+ * or breakpoints, [seconds, value] from note on; rises are linear, falls exponential:
+ *   { "points": [[0, 0], [0.003, 1], [0.5, 0.5], [1.8, 0]], "release": 0.05 }
+ * An amplitude envelope that falls to 0 ends the note by itself.
+ *
+ * Any number (level, index, cutoff, q) can be a [soft, hard] pair,
+ * interpolated by velocity.
+ */
+export class SynthPatch {
+    static WAVES = ['sine', 'square', 'sawtooth', 'triangle', 'noise'];
+    static FILTER_TYPES = ['lowpass', 'highpass', 'bandpass', 'lowshelf', 'highshelf', 'peaking', 'notch', 'allpass'];
+
+    // Default amplitude envelope: on while held, short release (like the built-in voices' note-off)
+    static DEFAULT_ENVELOPE = { attack: 0.005, decay: 0, sustain: 1, release: 0.05 };
+
+    // Exponential ramps can't reach 0; levels at or below this count as silence
+    static SILENCE = 0.001;
+
+    /**
+     * @param {Object} definition - Patch JSON (see above)
+     * @throws {Error} If the patch is invalid
+     */
+    constructor(definition) {
+        if (!definition || typeof definition !== 'object') {
+            throw new Error('Invalid patch: expected an object');
+        }
+
+        this.name = definition.name;
+        if (typeof this.name !== 'string' || !this.name) {
+            throw new Error('Invalid patch: missing name');
+        }
+
+        this.label = definition.label || this.name;
+        this.level = checkValue(this.name, 'level', definition.level ?? 0.3);
+        this.velocityCurve = checkValue(this.name, 'velocityCurve', definition.velocityCurve ?? 2.2);
+        this.envelope = checkEnvelope(this.name, 'envelope', definition.envelope || SynthPatch.DEFAULT_ENVELOPE);
+        this.filter = definition.filter ? checkFilter(this.name, 'filter', definition.filter) : null;
+        this.operators = checkOperators(this.name, definition.operators);
+    }
+
+    /**
+     * Seconds from note on until the amplitude envelope falls silent
+     * @returns {number|null} null if the note sustains until note off
+     */
+    getDuration() {
+        return envelopeEnd(this.envelope);
+    }
+
+    /**
+     * Seconds the note takes to fade out after note off
+     * @returns {number}
+     */
+    getRelease() {
+        return this.envelope.release ?? SynthPatch.DEFAULT_ENVELOPE.release;
+    }
+
+    /**
+     * Build and start the node graph for one note
+     * @param {BaseAudioContext} context - Audio context
+     * @param {AudioNode} destination - Node to play into
+     * @param {Object} note
+     * @param {number} note.frequency - Note frequency in Hz
+     * @param {number} note.velocity - Note velocity (0-127)
+     * @param {number} note.startTime - Start time in the context
+     * @param {Function} note.random - Returns 0-1, fills noise buffers
+     * @returns {Object} { sources, gainNode } - Sources to stop and the amplitude gain for note off
+     */
+    play(context, destination, { frequency, velocity, startTime, random }) {
+        const velocityNormalized = velocity / 127;
+        const at = (value) => atVelocity(value, velocityNormalized);
+
+        // Amplitude
+        const gainNode = context.createGain();
+        const peak = Math.pow(velocityNormalized, at(this.velocityCurve)) * at(this.level);
+        applyEnvelope(gainNode.gain, this.envelope, peak, startTime);
+        gainNode.connect(destination);
+
+        let output = gainNode;
+        if (this.filter) {
+            output = this.createFilter(context, this.filter, frequency, at, startTime);
+            output.connect(gainNode);
+        }
+
+        // Sources first, so modulators can find their targets' frequency params
+        const nodes = new Map(); // operator id -> { source, frequency }
+        this.operators.forEach(op => {
+            const opFrequency = op.fixed ?? frequency * op.ratio;
+            const source = op.wave === 'noise'
+                ? createNoise(context, random)
+                : context.createOscillator();
+
+            if (op.wave !== 'noise') {
+                source.type = op.wave;
+                source.frequency.value = opFrequency;
+                source.detune.value = op.detune;
+            }
+
+            nodes.set(op.id, { source, frequency: op.wave === 'noise' ? frequency : opFrequency });
+        });
+
+        this.operators.forEach(op => {
+            const { source, frequency: opFrequency } = nodes.get(op.id);
+            const opGain = context.createGain();
+
+            if (op.modulates) {
+                applyEnvelope(opGain.gain, op.envelope, at(op.index) * opFrequency, startTime);
+                opGain.connect(nodes.get(op.modulates).source.frequency);
+                source.connect(opGain);
+            } else {
+                applyEnvelope(opGain.gain, op.envelope, at(op.level), startTime);
+                opGain.connect(output);
+                if (op.filter) {
+                    const filter = this.createFilter(context, op.filter, frequency, at, startTime);
+                    source.connect(filter);
+                    filter.connect(opGain);
+                } else {
+                    source.connect(opGain);
+                }
+            }
+        });
+
+        const sources = [...nodes.values()].map(node => node.source);
+        const duration = this.getDuration();
+        sources.forEach(source => {
+            source.start(startTime);
+            if (duration !== null) {
+                source.stop(startTime + duration);
+            }
+        });
+
+        return { sources, gainNode };
+    }
+
+    /**
+     * Create a filter node
+     * @param {BaseAudioContext} context
+     * @param {Object} filter - Checked filter definition
+     * @param {number} frequency - Note frequency in Hz
+     * @param {Function} at - Resolves velocity-dependent values
+     * @param {number} startTime
+     * @returns {BiquadFilterNode}
+     */
+    createFilter(context, filter, frequency, at, startTime) {
+        const node = context.createBiquadFilter();
+        node.type = filter.type;
+        node.Q.value = at(filter.q);
+
+        const cutoff = filter.keyTrack ? at(filter.cutoff) * frequency : at(filter.cutoff);
+        applyEnvelope(node.frequency, filter.envelope, cutoff, startTime);
+        return node;
+    }
+}
+
+/**
+ * Resolve a number or [soft, hard] pair at a velocity
+ * @param {number|Array<number>} value
+ * @param {number} velocityNormalized - 0-1
+ * @returns {number}
+ */
+function atVelocity(value, velocityNormalized) {
+    if (Array.isArray(value)) {
+        return value[0] + (value[1] - value[0]) * velocityNormalized;
+    }
+    return value;
+}
+
+/**
+ * Schedule an envelope (or a constant value) on an AudioParam
+ * @param {AudioParam} param
+ * @param {Object|null} envelope - Checked envelope (null = constant)
+ * @param {number} base - Value the envelope scales
+ * @param {number} startTime
+ */
+function applyEnvelope(param, envelope, base, startTime) {
+    param.setValueAtTime(envelope ? envelopePoints(envelope)[0][1] * base : base, startTime);
+    if (!envelope || base <= 0) {
+        return;
+    }
+
+    const points = envelopePoints(envelope);
+    for (let i = 1; i < points.length; i++) {
+        const [time, value] = points[i];
+        const target = value * base;
+        if (value >= points[i - 1][1] || points[i - 1][1] * base <= 0) {
+            param.linearRampToValueAtTime(target, startTime + time);
+        } else {
+            param.exponentialRampToValueAtTime(Math.max(target, SynthPatch.SILENCE), startTime + time);
+        }
+    }
+}
+
+/**
+ * Envelope as [seconds, value] breakpoints
+ * ADSR sustains at its last point until note off.
+ * @param {Object} envelope - Checked envelope
+ * @returns {Array<Array<number>>}
+ */
+function envelopePoints(envelope) {
+    if (envelope.points) {
+        return envelope.points;
+    }
+
+    const { attack, decay, sustain } = envelope;
+    return [[0, 0], [attack, 1], [attack + decay, sustain]];
+}
+
+/**
+ * Time an amplitude envelope falls silent by itself
+ * @param {Object} envelope - Checked envelope
+ * @returns {number|null} Seconds from note on, or null if it sustains
+ */
+function envelopeEnd(envelope) {
+    const points = envelopePoints(envelope);
+    const [time, value] = points[points.length - 1];
+    return value <= SynthPatch.SILENCE ? time : null;
+}
+
+/**
+ * Create a looping white noise source
+ * @param {BaseAudioContext} context
+ * @param {Function} random - Returns 0-1
+ * @returns {AudioBufferSourceNode}
+ */
+function createNoise(context, random) {
+    const buffer = context.createBuffer(1, context.sampleRate * 2, context.sampleRate);
+    const data = buffer.getChannelData(0);
+    for (let i = 0; i < data.length; i++) {
+        data[i] = random() * 2 - 1;
+    }
+
+    const noise = context.createBufferSource();
+    noise.buffer = buffer;
+    noise.loop = true;
+    return noise;
+}
+
+/**
+ * Check a number or [soft, hard] pair
+ * @returns {number|Array<number>}
+ */
+function checkValue(patchName, path, value) {
+    const valid = Array.isArray(value)
+        ? value.length === 2 && value.every(Number.isFinite)
+        : Number.isFinite(value);
+
+    if (!valid) {
+        throw new Error(`Invalid patch "${patchName}": ${path} must be a number or [soft, hard] pair`);
+    }
+    return value;
+}
+
+/**
+ * Check an ADSR or breakpoint envelope
+ * @returns {Object}
+ */
+function checkEnvelope(patchName, path, envelope) {
+    const fail = (reason) => {
+        throw new Error(`Invalid patch "${patchName}": ${path} ${reason}`);
+    };
+
+    if (typeof envelope !== 'object' || envelope === null) {
+        fail('must be an object');
+    }
+    if (envelope.release !== undefined && !(envelope.release >= 0)) {
+        fail('release must be >= 0');
+    }
+
+    if (envelope.points) {
+        const points = envelope.points;
+        if (!Array.isArray(points) || points.length === 0) {
+            fail('points must be a non-empty array');
+        }
+        points.forEach((point, i) => {
+            if (!Array.isArray(point) || point.length !== 2 || !point.every(n => Number.isFinite(n) && n >= 0)) {
+                fail('points must be [seconds, value] pairs >= 0');
+            }
+            if (i === 0 && point[0] !== 0) {
+                fail('must start at 0 seconds');
+            }
+            if (i > 0 && point[0] <= points[i - 1][0]) {
+                fail('points must be in time order');
+            }
+        });
+        return envelope;
+    }
+
+    const { attack = 0.005, decay = 0, sustain = 1, release = 0.05 } = envelope;
+    if (![attack, decay, sustain].every(n => Number.isFinite(n) && n >= 0)) {
+        fail('attack, decay and sustain must be numbers >= 0');
+    }
+    return { attack, decay, sustain, release };
+}
+
+/**
+ * Check a filter
+ * @returns {Object}
+ */
+function checkFilter(patchName, path, filter) {
+    if (!SynthPatch.FILTER_TYPES.includes(filter.type)) {
+        throw new Error(`Invalid patch "${patchName}": ${path}.type must be one of ${SynthPatch.FILTER_TYPES.join(', ')}`);
+    }
+
+    return {
+        type: filter.type,
+        cutoff: checkValue(patchName, `${path}.cutoff`, filter.cutoff ?? 4),
+        keyTrack: filter.keyTrack !== false,
+        q: checkValue(patchName, `${path}.q`, filter.q ?? 1),
+        envelope: filter.envelope ? checkEnvelope(patchName, `${path}.envelope`, filter.envelope) : null
+    };
+}
+
+/**
+ * Check the operators and their FM routing
+ * @returns {Array<Object>}
+ */
+function checkOperators(patchName, operators) {
+    const fail = (reason) => {
+        throw new Error(`Invalid patch "${patchName}": ${reason}`);
+    };
+
+    if (!Array.isArray(operators) || operators.length === 0) {
+        fail('needs at least one operator');
+    }
+
+    const checked = operators.map((op, i) => {
+        const path = `operators[${i}]`;
+        const wave = op.wave || 'sine';
+        if (!SynthPatch.WAVES.includes(wave)) {
+            fail(`${path}.wave must be one of ${SynthPatch.WAVES.join(', ')}`);
+        }
+
+        return {
+            id: op.id ?? `op${i}`,
+            wave,
+            ratio: checkValue(patchName, `${path}.ratio`, op.ratio ?? 1),
+            fixed: op.fixed === undefined ? null : checkValue(patchName, `${path}.fixed`, op.fixed),
+            detune: checkValue(patchName, `${path}.detune`, op.detune ?? 0),
+            modulates: op.modulates ?? null,
+            index: checkValue(patchName, `${path}.index`, op.index ?? 1),
+            level: checkValue(patchName, `${path}.level`, op.level ?? 1),
+            filter: op.filter ? checkFilter(patchName, `${path}.filter`, op.filter) : null,
+            envelope: op.envelope ? checkEnvelope(patchName, `${path}.envelope`, op.envelope) : null
+        };
+    });
+
+    const byId = new Map();
+    checked.forEach(op => {
+        if (byId.has(op.id)) {
+            fail(`duplicate operator id "${op.id}"`);
+        }
+        byId.set(op.id, op);
+    });
+
+    checked.forEach(op => {
+        if (Array.isArray(op.ratio) || Array.isArray(op.fixed) || Array.isArray(op.detune)) {
+            fail(`operator "${op.id}" ratio, fixed and detune can't depend on velocity`);
+        }
+        if (op.modulates === null) {
+            return;
+        }
+
+        const target = byId.get(op.modulates);
+        if (!target) {
+            fail(`operator "${op.id}" modulates unknown operator "${op.modulates}"`);
+        }
+        if (target.wave === 'noise') {
+            fail(`operator "${op.id}" can't modulate noise operator "${op.modulates}"`);
+        }
+
+        // A modulation loop would need a delay to be playable
+        const seen = new Set([op.id]);
+        for (let next = target; next; next = byId.get(next.modulates)) {
+            if (seen.has(next.id)) {
+                fail(`operator "${op.id}" is part of a modulation loop`);
+            }
+            seen.add(next.id);
+        }
+    });
+
+    if (!checked.some(op => op.modulates === null)) {
+        fail('needs at least one operator that is heard (without "modulates")');
+    }
+
+    return checked;
+}
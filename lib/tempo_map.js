@@ -0,0 +1,205 @@
+/**
+ * TempoMap - Scheduled tempo changes and ramps for the MIDI Clock
+ *
+ * A tempo map is a list of changes, each starting at a tick (usually given
+ * as a bar) and either jumping to a new tempo ('step') or gliding to it over
+ * a number of ticks ('linear' or 'exponential' accelerando/ritardando).
+ * A ramp always starts from whatever tempo is in effect at its start tick.
+ * Bars are converted to ticks whenever the map is read, so changes stay on
+ * their bars when the meter map changes.
+ *
+ * Besides the scheduled changes there is a single "live" change, written by
+ * manual tempo edits and whip automation. It holds until the next scheduled
+ * change starts, and is replaced by every new live edit. A live ramp starts
+ * from the tempo in effect when it's set, including one a previous live edit
+ * left behind.
+ */
+export class TempoMap {
+    /**
+     * @param {Object} options
+     * @param {number} options.ppqn - Ticks per quarter note
+     * @param {number} options.initialBpm - Tempo at tick 0 before any change
+     * @param {Function} options.barToTick - Converts a bar number to a tick (defaults to 4/4)
+     */
+    constructor({ ppqn = 24, initialBpm = 120, barToTick = null } = {}) {
+        this.ppqn = ppqn;
+        this.initialBpm = initialBpm;
+        this.barToTick = barToTick || ((bar) => bar * ppqn * 4);
+        this.changes = []; // As added: { bar, tick, bpm, ramp, bars, beats }
+        this.live = null;
+    }
+
+    static RAMPS = ['step', 'linear', 'exponential'];
+
+    /**
+     * Schedule a tempo change
+     * @param {Object} change
+     * @param {number} change.bar - Bar the change starts at (or use `tick`)
+     * @param {number} change.tick - Tick the change starts at
+     * @param {number} change.bpm - Target tempo
+     * @param {string} change.ramp - 'step' | 'linear' | 'exponential'
+     * @param {number} change.bars - Ramp length in bars (or use `beats`)
+     * @param {number} change.beats - Ramp length in beats
+     * @returns {Object|null} The change resolved to ticks, or null if invalid
+     */
+    addChange({ bar = null, tick = null, bpm, ramp = 'step', bars = 0, beats = 0 }) {
+        if (!this.isValidChange(bpm, ramp)) {
+            return null;
+        }
+
+        const change = { bar, tick, bpm, ramp, bars, beats };
+        this.changes.push(change);
+        return this.resolveChange(change);
+    }
+
+    /**
+     * Replace all scheduled changes
+     * @param {Array<Object>} changes - Changes in addChange() format
+     */
+    load(changes) {
+        this.changes = [];
+        changes.forEach(change => this.addChange(change));
+    }
+
+    /**
+     * Remove all scheduled changes and the live change
+     */
+    clear() {
+        this.changes = [];
+        this.live = null;
+    }
+
+    /**
+     * Get the scheduled changes, resolved to ticks with the current bar-to-tick conversion
+     * @returns {Array<Object>} Sorted by tick: { tick, bpm, ramp, durationTicks }
+     */
+    getChanges() {
+        return this.changes
+            .map(change => this.resolveChange(change))
+            .sort((a, b) => a.tick - b.tick);
+    }
+
+    /**
+     * Set the live tempo change (manual edits, whip automation)
+     * @param {number} tick - Tick the change starts at
+     * @param {number} bpm - Target tempo
+     * @param {Object} options
+     * @param {string} options.ramp - 'step' | 'linear' | 'exponential'
+     * @param {number} options.durationTicks - Ramp length in ticks
+     */
+    setLive(tick, bpm, { ramp = 'step', durationTicks = 0 } = {}) {
+        if (!this.isValidChange(bpm, ramp)) {
+            this.live = null;
+            return;
+        }
+
+        // Read before replacing, so the previous live edit's tempo isn't lost
+        const from = this.getBPMAt(tick);
+        this.live = {
+            ...this.resolveChange({ tick, bpm, ramp, beats: durationTicks / this.ppqn }),
+            from
+        };
+    }
+
+    /**
+     * Get the live tempo change
+     * @returns {Object|null} { tick, bpm, ramp, durationTicks, from }
+     */
+    getLive() {
+        return this.live;
+    }
+
+    /**
+     * Remove the live tempo change
+     */
+    clearLive() {
+        this.live = null;
+    }
+
+    /**
+     * Get the tempo in effect at a tick
+     * @param {number} tick - Tick position
+     * @returns {number} BPM
+     */
+    getBPMAt(tick) {
+        const active = this.getChanges().filter(change => change.tick <= tick);
+        if (this.live && this.live.tick <= tick) {
+            // Live edits win over scheduled changes at the same tick
+            const index = active.findIndex(change => change.tick > this.live.tick);
+            active.splice(index === -1 ? active.length : index, 0, this.live);
+        }
+
+        let segment = null;
+        for (const change of active) {
+            segment = {
+                from: change.from ?? this.evaluate(segment, change.tick),
+                to: change.bpm,
+                startTick: change.tick,
+                durationTicks: change.durationTicks,
+                ramp: change.ramp
+            };
+        }
+
+        return this.evaluate(segment, tick);
+    }
+
+    /**
+     * Evaluate a tempo segment at a tick
+     * @param {Object|null} segment - { from, to, startTick, durationTicks, ramp }
+     * @param {number} tick - Tick position
+     * @returns {number} BPM
+     */
+    evaluate(segment, tick) {
+        if (!segment) {
+            return this.initialBpm;
+        }
+
+        const { from, to, startTick, durationTicks, ramp } = segment;
+        if (ramp === 'step' || durationTicks <= 0 || tick >= startTick + durationTicks) {
+            return to;
+        }
+
+        const progress = (tick - startTick) / durationTicks;
+        if (ramp === 'exponential') {
+            return from * Math.pow(to / from, progress);
+        }
+        return from + (to - from) * progress;
+    }
+
+    /**
+     * Check a change's tempo and ramp type
+     * @param {number} bpm - Target tempo
+     * @param {string} ramp - Ramp type
+     * @returns {boolean}
+     */
+    isValidChange(bpm, ramp) {
+        if (!(bpm > 0 && bpm <= 300)) {
+            console.error('TempoMap: invalid BPM:', bpm);
+            return false;
+        }
+        if (!TempoMap.RAMPS.includes(ramp)) {
+            console.error('TempoMap: invalid ramp:', ramp);
+            return false;
+        }
+        return true;
+    }
+
+    /**
+     * Resolve a change's position and length to ticks
+     * @param {Object} change - Change in addChange() format
+     * @returns {Object} { tick, bpm, ramp, durationTicks }
+     */
+    resolveChange({ bar = null, tick = null, bpm, ramp = 'step', bars = 0, beats = 0 }) {
+        const startTick = tick !== null ? tick : this.barToTick(bar ?? 0);
+        const durationTicks = bars > 0
+            ? this.barToTick((bar ?? 0) + bars) - this.barToTick(bar ?? 0)
+            : beats * this.ppqn;
+
+        return {
+            tick: startTick,
+            bpm,
+            ramp,
+            durationTicks: Math.max(0, Math.round(durationTicks))
+        };
+    }
+}
@@ -0,0 +1,339 @@
+/**
+ * Tuning - Microtonal tunings for Web Audio voices and MIDI devices
+ *
+ * A tuning is a scale (pitches in cents above its 1/1, the last one being the
+ * period, usually the 1200 cent octave) laid out on the MIDI keys by a
+ * keyboard mapping. Both come from Scala files:
+ *
+ *   Tuning.fromScala(sclText)           // .scl scale, default mapping
+ *   Tuning.fromScala(sclText, kbmText)  // .scl scale, .kbm keyboard mapping
+ *   Tuning.fromCents([50, 100, ..., 1200], { referenceFrequency: 432 })
+ *
+ * The default mapping is Scala's: scale degrees on consecutive keys, the 1/1
+ * on middle C (60), and A (69) at 440 Hz. So 24-EDO puts quarter tones on
+ * neighbouring keys around middle C, and a data-to-pitch mapping over a key
+ * range gets twice the resolution; 12-note scales (just intonation, historical
+ * temperaments) keep every key where it was, slightly retuned.
+ *
+ * Keyboard mapping (the .kbm fields):
+ *   size               - Keys in the mapping pattern (0 = every key in scale order)
+ *   firstNote/lastNote - Keys outside this range are unmapped
+ *   middleNote         - Key that plays the 1/1 (the first entry of the pattern)
+ *   referenceNote      - Key tuned to referenceFrequency
+ *   referenceFrequency - Hz
+ *   octaveDegree       - Scale degree the pattern repeats at (default: the period)
+ *   degrees            - Scale degree of each key in the pattern (null = unmapped)
+ *
+ * Unmapped keys don't sound.
+ */
+export class Tuning {
+    // Notes per MIDI Tuning Standard message (some devices choke on long SysEx)
+    static MTS_NOTES_PER_MESSAGE = 64;
+
+    /**
+     * @param {Object} definition
+     * @param {string} definition.name - Display name
+     * @param {Array<number>} definition.cents - Scale pitches above the 1/1 in cents, period last
+     * @param {Object} definition.mapping - Keyboard mapping (see above; every field optional)
+     * @throws {Error} If the scale or mapping is invalid
+     */
+    constructor({ name = 'Tuning', cents, mapping = {} }) {
+        if (!Array.isArray(cents) || cents.length === 0 || !cents.every(c => typeof c === 'number' && isFinite(c))) {
+            throw new Error(`Invalid tuning "${name}": needs at least one pitch in cents`);
+        }
+        if (!(cents[cents.length - 1] > 0)) {
+            throw new Error(`Invalid tuning "${name}": the period (last pitch) must be above the 1/1`);
+        }
+
+        this.name = name;
+        this.cents = [0, ...cents.slice(0, -1)]; // Degree -> cents (degree 0 is the 1/1)
+        this.period = cents[cents.length - 1];
+        this.mapping = checkMapping(name, {
+            size: 0,
+            firstNote: 0,
+            lastNote: 127,
+            middleNote: 60,
+            referenceNote: 69,
+            referenceFrequency: 440,
+            octaveDegree: cents.length,
+            degrees: [],
+            ...mapping
+        });
+
+        const referenceCents = this.getScaleCents(this.mapping.referenceNote, false);
+        if (referenceCents === null) {
+            throw new Error(`Invalid tuning "${name}": reference note ${this.mapping.referenceNote} is unmapped`);
+        }
+
+        // Every key's frequency, worked out once
+        this.frequencies = Array.from({ length: 128 }, (_, note) => {
+            const noteCents = this.getScaleCents(note);
+            return noteCents === null
+                ? null
+                : this.mapping.referenceFrequency * Math.pow(2, (noteCents - referenceCents) / 1200);
+        });
+    }
+
+    /**
+     * Twelve-tone equal temperament at A440 (the standard tuning)
+     * @returns {Tuning}
+     */
+    static equal() {
+        return new Tuning({ name: '12-TET', cents: Array.from({ length: 12 }, (_, i) => (i + 1) * 100) });
+    }
+
+    /**
+     * Build a tuning from Scala files
+     * @param {string} scl - .scl file contents
+     * @param {string|null} kbm - .kbm file contents (null = default mapping)
+     * @param {string} name - Display name (default: the .scl description)
+     * @returns {Tuning}
+     * @throws {Error} If either file is invalid
+     */
+    static fromScala(scl, kbm = null, name = null) {
+        const { description, cents } = Tuning.parseScala(scl);
+        return new Tuning({
+            name: name || description || 'Scala tuning',
+            cents,
+            mapping: kbm ? Tuning.parseKeyboardMapping(kbm) : {}
+        });
+    }
+
+    /**
+     * Build a tuning from a cents table
+     * @param {Array<number>} cents - Scale pitches above the 1/1, period last (e.g. [100, 200, ..., 1200])
+     * @param {Object} mapping - Keyboard mapping fields (see above)
+     * @param {string} name - Display name
+     * @returns {Tuning}
+     */
+    static fromCents(cents, mapping = {}, name = 'Cents table') {
+        return new Tuning({ name, cents, mapping });
+    }
+
+    /**
+     * Parse a Scala scale (.scl)
+     * Pitches with a period are cents; others are ratios ("3/2") or whole numbers ("2").
+     * @param {string} text - File contents
+     * @returns {Object} { description, cents }
+     * @throws {Error} If the file is malformed
+     */
+    static parseScala(text) {
+        const lines = scalaLines(text);
+        if (lines.length < 2) {
+            throw new Error('Invalid Scala file: missing description or note count');
+        }
+
+        const description = lines[0].trim();
+        const count = parseInt(lines[1]);
+        if (!(count >= 0) || lines.length - 2 < count) {
+            throw new Error(`Invalid Scala file: expected ${lines[1].trim()} pitches, found ${lines.length - 2}`);
+        }
+
+        const cents = lines.slice(2, 2 + count).map(line => {
+            const value = line.trim().split(/\s+/)[0];
+            if (value.includes('.')) {
+                const parsed = parseFloat(value);
+                if (isNaN(parsed)) {
+                    throw new Error(`Invalid Scala file: bad cents value "${value}"`);
+                }
+                return parsed;
+            }
+
+            const [numerator, denominator = '1'] = value.split('/');
+            const ratio = parseInt(numerator) / parseInt(denominator);
+            if (!(ratio > 0) || !/^\d+(\/\d+)?$/.test(value)) {
+                throw new Error(`Invalid Scala file: bad ratio "${value}"`);
+            }
+            return 1200 * Math.log2(ratio);
+        });
+
+        return { description, cents };
+    }
+
+    /**
+     * Parse a Scala keyboard mapping (.kbm)
+     * @param {string} text - File contents
+     * @returns {Object} Keyboard mapping fields (see above)
+     * @throws {Error} If the file is malformed
+     */
+    static parseKeyboardMapping(text) {
+        const lines = scalaLines(text).map(line => line.trim().split(/\s+/)[0]);
+        if (lines.length < 7) {
+            throw new Error('Invalid keyboard mapping: needs 7 header lines');
+        }
+
+        const [size, firstNote, lastNote, middleNote, referenceNote] = lines.slice(0, 5).map(value => parseInt(value));
+        const referenceFrequency = parseFloat(lines[5]);
+        const octaveDegree = parseInt(lines[6]);
+        if ([size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree].some(isNaN)) {
+            throw new Error('Invalid keyboard mapping: header values must be numbers');
+        }
+
+        // Missing entries at the end of the pattern are unmapped
+        const degrees = Array.from({ length: size }, (_, i) => {
+            const entry = lines[7 + i];
+            if (entry === undefined || entry.toLowerCase() === 'x') {
+                return null;
+            }
+            const degree = parseInt(entry);
+            if (isNaN(degree)) {
+                throw new Error(`Invalid keyboard mapping: bad scale degree "${entry}"`);
+            }
+            return degree;
+        });
+
+        return { size, firstNote, lastNote, middleNote, referenceNote, referenceFrequency, octaveDegree, degrees };
+    }
+
+    /**
+     * Get a key's pitch above the 1/1 at the middle note
+     * @param {number} note - MIDI note number
+     * @param {boolean} checkRange - Whether keys outside firstNote-lastNote are unmapped
+     * @returns {number|null} Cents, or null if the key is unmapped
+     */
+    getScaleCents(note, checkRange = true) {
+        const { size, firstNote, lastNote, middleNote, octaveDegree, degrees } = this.mapping;
+        if (checkRange && (note < firstNote || note > lastNote)) {
+            return null;
+        }
+
+        const offset = note - middleNote;
+        if (size === 0) {
+            return this.getDegreeCents(offset);
+        }
+
+        const degree = degrees[mod(offset, size)];
+        if (degree === null) {
+            return null;
+        }
+
+        const repeats = Math.floor(offset / size);
+        return this.getDegreeCents(degree) + repeats * this.getDegreeCents(octaveDegree);
+    }
+
+    /**
+     * Get a scale degree's pitch above the 1/1 (degrees past the period wrap up a period)
+     * @param {number} degree - Scale degree (any integer)
+     * @returns {number} Cents
+     */
+    getDegreeCents(degree) {
+        const steps = this.cents.length;
+        return this.cents[mod(degree, steps)] + Math.floor(degree / steps) * this.period;
+    }
+
+    /**
+     * Get a key's frequency
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {number|null} Hz, or null if the key is unmapped
+     */
+    getFrequency(note) {
+        return this.frequencies[note] ?? null;
+    }
+
+    /**
+     * Whether a key sounds
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {boolean}
+     */
+    isMapped(note) {
+        return this.getFrequency(note) !== null;
+    }
+
+    /**
+     * Get how far a key is from its standard (12-TET, A440) pitch
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {number|null} Cents (e.g. -13.7 for a just major third on E), or null if unmapped
+     */
+    getDeviation(note) {
+        const frequency = this.getFrequency(note);
+        return frequency === null ? null : 1200 * Math.log2(frequency / 440) - (note - 69) * 100;
+    }
+
+    /**
+     * Encode a key's frequency for the MIDI Tuning Standard
+     * @param {number} note - MIDI note number (0-127)
+     * @returns {Array<number>} [semitone, fraction MSB, fraction LSB]; 7F 7F 7F (no change) if
+     *   unmapped or out of the standard's range
+     */
+    getMTSData(note) {
+        const frequency = this.getFrequency(note);
+        const pitch = frequency === null ? -1 : 69 + 12 * Math.log2(frequency / 440);
+        let semitone = Math.floor(pitch);
+        let fraction = Math.round((pitch - semitone) * 16384);
+        if (fraction === 16384) {
+            semitone++;
+            fraction = 0;
+        }
+
+        if (semitone < 0 || semitone > 127 || (semitone === 127 && fraction === 16383)) {
+            return [0x7F, 0x7F, 0x7F];
+        }
+        return [semitone, fraction >> 7, fraction & 0x7F];
+    }
+
+    /**
+     * Build MIDI Tuning Standard Single Note Tuning Change messages (real-time
+     * SysEx) that retune every key of a device's tuning program
+     * @param {Object} options
+     * @param {number} options.deviceId - SysEx device ID (0x7F = every device)
+     * @param {number} options.program - Tuning program to change (0-127)
+     * @returns {Array<Array<number>>} SysEx messages
+     */
+    toMTSMessages({ deviceId = 0x7F, program = 0 } = {}) {
+        const messages = [];
+        for (let first = 0; first < 128; first += Tuning.MTS_NOTES_PER_MESSAGE) {
+            const notes = Array.from({ length: Tuning.MTS_NOTES_PER_MESSAGE }, (_, i) => first + i);
+            messages.push([
+                0xF0, 0x7F, deviceId, 0x08, 0x02, program, notes.length,
+                ...notes.flatMap(note => [note, ...this.getMTSData(note)]),
+                0xF7
+            ]);
+        }
+        return messages;
+    }
+}
+
+/**
+ * Split a Scala file into its non-comment lines
+ * @param {string} text
+ * @returns {Array<string>}
+ */
+function scalaLines(text) {
+    return String(text).split(/\r?\n/).filter(line => !line.startsWith('!'));
+}
+
+/**
+ * Check a keyboard mapping
+ * @param {string} name - Tuning name
+ * @param {Object} mapping
+ * @returns {Object}
+ */
+function checkMapping(name, mapping) {
+    ['size', 'firstNote', 'lastNote', 'middleNote', 'referenceNote', 'octaveDegree'].forEach(field => {
+        if (!Number.isInteger(mapping[field])) {
+            throw new Error(`Invalid tuning "${name}": ${field} must be a whole number`);
+        }
+    });
+    ['firstNote', 'lastNote', 'middleNote', 'referenceNote'].forEach(field => {
+        if (mapping[field] < 0 || mapping[field] > 127) {
+            throw new Error(`Invalid tuning "${name}": ${field} must be a MIDI note (0-127)`);
+        }
+    });
+    if (!(mapping.referenceFrequency > 0)) {
+        throw new Error(`Invalid tuning "${name}": referenceFrequency must be above 0 Hz`);
+    }
+    if (mapping.size < 0 || (mapping.size > 0 && mapping.degrees.length !== mapping.size)) {
+        throw new Error(`Invalid tuning "${name}": the mapping needs a degree (or null) for each of its ${mapping.size} keys`);
+    }
+    return { ...mapping, degrees: [...mapping.degrees] };
+}
+
+/**
+ * Modulo that stays positive for negative numbers
+ * @param {number} n
+ * @param {number} m
+ * @returns {number}
+ */
+function mod(n, m) {
+    return ((n % m) + m) % m;
+}
@@ -12,6 +12,15 @@ class PerlinNoise1D {
         this.permutation = this.generatePermutation();
     }
 
+    /**
+     * Reseed and regenerate the permutation table
+     * @param {number} seed - Random seed
+     */
+    setSeed(seed) {
+        this.seed = seed;
+        this.permutation = this.generatePermutation();
+    }
+
     /**
      * Generate permutation table for Perlin noise
      * @returns {number[]} Permutation array
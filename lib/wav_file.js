@@ -0,0 +1,78 @@
+/**
+ * WAV file writer
+ *
+ * Encodes an AudioBuffer (or anything with numberOfChannels, sampleRate,
+ * length and getChannelData()) as a 16-bit PCM RIFF/WAVE file with the
+ * channels interleaved.
+ */
+
+const BYTES_PER_SAMPLE = 2;
+
+/**
+ * Write an ASCII chunk id into a DataView
+ * @param {DataView} view - Target view
+ * @param {number} offset - Byte offset
+ * @param {string} id - Four-character id
+ */
+function writeId(view, offset, id) {
+    for (let i = 0; i < id.length; i++) {
+        view.setUint8(offset + i, id.charCodeAt(i));
+    }
+}
+
+/**
+ * Convert a float sample (-1..1) to a signed 16-bit integer
+ * @param {number} sample - Float sample
+ * @returns {number}
+ */
+export function floatToInt16(sample) {
+    const clamped = Math.max(-1, Math.min(1, sample));
+    return clamped < 0 ? Math.round(clamped * 0x8000) : Math.round(clamped * 0x7FFF);
+}
+
+/**
+ * Write a 16-bit PCM WAV file
+ * @param {AudioBuffer|Object} audioBuffer - Rendered audio
+ * @param {Object} options
+ * @param {number} options.length - Number of frames to write (defaults to the whole buffer)
+ * @returns {Uint8Array} File bytes
+ */
+export function writeWavFile(audioBuffer, { length = audioBuffer.length } = {}) {
+    const { numberOfChannels, sampleRate } = audioBuffer;
+    const frames = Math.max(0, Math.min(Math.floor(length), audioBuffer.length));
+    const blockAlign = numberOfChannels * BYTES_PER_SAMPLE;
+    const dataLength = frames * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataLength);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeId(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataLength, true);
+    writeId(view, 8, 'WAVE');
+
+    // Format chunk: PCM
+    writeId(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numberOfChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, BYTES_PER_SAMPLE * 8, true);
+
+    // Data chunk: interleaved samples
+    writeId(view, 36, 'data');
+    view.setUint32(40, dataLength, true);
+
+    const channels = Array.from({ length: numberOfChannels }, (_, c) => audioBuffer.getChannelData(c));
+    let offset = 44;
+    for (let frame = 0; frame < frames; frame++) {
+        for (let c = 0; c < numberOfChannels; c++) {
+            view.setInt16(offset, floatToInt16(channels[c][frame]), true);
+            offset += BYTES_PER_SAMPLE;
+        }
+    }
+
+    return new Uint8Array(buffer);
+}
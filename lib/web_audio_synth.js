@@ -1,25 +1,151 @@
+import { PubSub } from './pubsub.js';
+import { random } from './random.js';
+import { SynthPatch } from './synth_patch.js';
+import { EffectsBus } from './effects_bus.js';
+import { DrumKit } from './drum_kit.js';
+import { Tuning } from './tuning.js';
+
 /**
  * Web Audio Synth - Built-in audio synthesis using Web Audio API
  * Singleton pattern: use `webAudioSynth` export
  *
- * Channel Routing:
+ * Channel Routing (default voices, change with `setChannelVoice()`):
  * - Channel 0: Soloist → FM Glockenspiel (bright, clear, metallic pitched percussion)
- *              Alternatives: FM Flute, FM Xylophone, FM Bell (see playNote method)
  * - Channel 1: Bassist → Plucked String (sawtooth with filter envelope)
  * - Channel 2-8: Default synthesis (simple filtered oscillator)
  * - Channel 9: Drummer → Percussion sounds (noise-based synthesis)
  * - Channel 10-15: Default synthesis
  *
+ * Any channel can play any voice in VOICES, e.g. a flute soloist and a bell
+ * keyboardist. Patches (JSON voices, see lib/synth_patch.js) registered with
+ * `registerPatch()` or `loadPatch(url)` become voices too. The drums voice
+ * plays samples from a drum kit (see lib/drum_kit.js) loaded with
+ * `loadDrumKit(url)`, and synthesizes any drum the kit lacks.
+ *
  * All channels respond to velocity for both amplitude and timbral brightness.
+ *
+ * Polyphony:
+ * Sustaining voices are capped per channel and in total (`setPolyphony()`,
+ * `setChannelPolyphony()`); drum hits and samples count too until they've
+ * rung out. A note over a limit steals a playing voice or hit, picked by the
+ * steal strategy ('oldest', 'quietest' or 'same-note'), which is faded out
+ * over STEAL_RELEASE. `getActiveNotes()` lists the sustaining voices and
+ * `getVoiceStats()` counts everything sounding and how much was stolen.
+ *
+ * Mixing:
+ * Each channel plays into its own strip (gain → stereo pan, metered) before
+ * the master gain. The Mixer (lib/mixer.js) sets strip levels; strips are
+ * created on a channel's first note. Each strip also sends to the reverb and
+ * tempo-synced delay of the effects bus (lib/effects_bus.js), and the master
+ * runs through its compressor; `setEffect()` changes effect settings.
+ *
+ * Pitch bend:
+ * `setPitchBend()` detunes a channel's sounding oscillators, and notes
+ * started while the channel is bent, by up to the channel's bend range
+ * (2 semitones unless set with `setPitchBendRange()`, the Web Audio side of
+ * MIDI RPN 0). `setNoteBend()` bends a single note on top of that, the way
+ * MPE does with a channel per note. Noise and sampled drums aren't bent.
+ *
+ * Tuning:
+ * Pitched voices play 12-TET at A440 unless `setTuning()` gives a Tuning
+ * (lib/tuning.js, e.g. from a Scala file). Keys the tuning leaves unmapped
+ * don't sound; drums aren't tuned. Sounding notes keep the tuning they
+ * started with.
+ *
+ * Offline rendering:
+ * `beginOfflineRender()` swaps an OfflineAudioContext in behind the same voice
+ * functions, so a render sounds exactly like live playback. While rendering,
+ * `getCurrentTime()` returns the virtual time set by the renderer instead of
+ * the (not yet running) offline context clock. Headless runs without any audio
+ * context set a virtual time the same way.
  */
 class WebAudioSynth {
+    // Voice name -> label
+    static VOICES = {
+        'glockenspiel': 'FM Glockenspiel',
+        'flute': 'FM Flute',
+        'xylophone': 'FM Xylophone',
+        'bell': 'FM Bell',
+        'plucked-string': 'Plucked String',
+        'synth': 'Synth',
+        'drums': 'Drums'
+    };
+
+    // Channels not listed play 'synth'
+    static DEFAULT_CHANNEL_VOICES = {
+        0: 'glockenspiel',
+        1: 'plucked-string',
+        9: 'drums'
+    };
+
+    // Effect send levels for channels not set with setChannelSend()
+    static DEFAULT_SENDS = {
+        reverb: 0.2,
+        delay: 0
+    };
+
+    // Voice stealing strategies (see stealVoice())
+    static STEAL_STRATEGIES = ['oldest', 'quietest', 'same-note'];
+
+    // Fade for stolen voices: short enough to make room, long enough not to click
+    static STEAL_RELEASE = 0.015;
+
+    // Pitch bend range in semitones for channels not set with setPitchBendRange() (the GM default)
+    static DEFAULT_BEND_RANGE = 2;
+
     constructor() {
         this.audioContext = null;
         this.masterGain = null;
-        this.activeOscillators = new Map(); // "channel-note" -> {oscillator, gainNode, timestamp}
+        this.activeOscillators = new Map(); // "channel-note" -> {oscillator, gainNode, timestamp, channel, note, velocity, startTime}
+        this.drumHits = []; // Sounding drum hits and samples: {channel, note, velocity, startTime, endTime, sources, gains, drum}
         this.waveform = 'sine'; // 'sine', 'square', 'sawtooth', 'triangle'
         this.masterVolume = 0.3; // 0.0 - 1.0
         this.initialized = false;
+        this.channelVoices = new Map(); // channel -> voice name (overrides DEFAULT_CHANNEL_VOICES)
+        this.patches = new Map(); // voice name -> SynthPatch
+        this.drumKit = null; // Sampled DrumKit for the drums voice (null = synthesized drums)
+        this.channelStrips = new Map(); // channel -> { input, panner, analyser } in the current context
+        this.stripSettings = new Map(); // channel -> { gain, pan } (applied to strips in any context)
+        this.sendSettings = new Map(); // channel -> { reverb, delay } send levels (overrides DEFAULT_SENDS)
+        this.effects = null; // EffectsBus in the current context
+        this.effectSettings = EffectsBus.defaults(); // Applied to the effects bus in any context
+        this.bpm = 120; // Tempo the delay is synced to
+        this.tuning = null; // Tuning for pitched voices (null = 12-TET at A440)
+
+        // Polyphony limits (sustaining voices and drum hits until they've rung out)
+        this.polyphony = {
+            global: 64,         // Voices across all channels
+            channel: 16,        // Voices per channel (unless set in channelPolyphony)
+            strategy: 'oldest'  // See STEAL_STRATEGIES
+        };
+        this.channelPolyphony = new Map(); // channel -> voice limit
+        this.pitchBends = new Map(); // channel -> bend (-1.0 - 1.0)
+        this.bendRanges = new Map(); // channel -> bend range in semitones (overrides DEFAULT_BEND_RANGE)
+        this.voiceStats = {
+            peak: 0,                                 // Most voices at once
+            stolen: 0,                               // Voices stolen in total
+            stolenByChannel: new Array(16).fill(0),  // Voices stolen from each channel
+            lastSteal: null                          // { channel, note, for: { channel, note }, limit, time }
+        };
+
+        // Offline rendering state
+        this.offline = false;
+        this.virtualTime = null; // Virtual time in seconds (offline renders, headless runs); null = audio clock
+        this.liveState = null;   // Live context/master/voices saved during an offline render
+
+        // Noise draws from the seed too, so a seeded render is byte-for-byte repeatable
+        this.rng = random.stream('web-audio-synth');
+        this.reverbRng = random.stream('reverb');
+
+        // Keep the delay on its note division as the tempo changes
+        PubSub.subscribe('clock:tick', (data) => {
+            if (data.bpm && data.bpm !== this.bpm) {
+                this.bpm = data.bpm;
+                if (this.effects) {
+                    this.effects.setTempo(data.bpm, this.getCurrentTime());
+                }
+            }
+        }, this);
     }
 
     /**
@@ -36,10 +162,10 @@ class WebAudioSynth {
             const AudioContext = window.AudioContext || window.webkitAudioContext;
             this.audioContext = new AudioContext();
 
-            // Create master gain node
+            // Create master gain node (the effects bus routes it to the speakers)
             this.masterGain = this.audioContext.createGain();
             this.masterGain.gain.value = this.masterVolume;
-            this.masterGain.connect(this.audioContext.destination);
+            this.effects = this.createEffectsBus();
 
             this.initialized = true;
             console.log('Web Audio Synth initialized');
@@ -52,29 +178,159 @@ class WebAudioSynth {
      * Resume audio context if suspended (e.g., due to browser autoplay policy)
      */
     async resume() {
+        // Offline contexts are started by startRendering(), not resume()
+        if (this.offline) {
+            return;
+        }
+
         if (this.audioContext && this.audioContext.state === 'suspended') {
             await this.audioContext.resume();
             console.log('Web Audio context resumed');
         }
     }
 
+    /**
+     * Get the current audio clock time
+     * Falls back to performance.now() before the audio context exists so the
+     * MIDI clock can schedule against a single time base either way
+     * @returns {number} Time in seconds
+     */
+    getCurrentTime() {
+        if (this.virtualTime !== null) {
+            return this.virtualTime;
+        }
+        if (this.audioContext) {
+            return this.audioContext.currentTime;
+        }
+        return performance.now() / 1000;
+    }
+
+    /**
+     * Route all voices into an OfflineAudioContext until endOfflineRender()
+     * @param {OfflineAudioContext} context - Context to render into
+     */
+    beginOfflineRender(context) {
+        if (this.offline) {
+            console.warn('Web Audio Synth is already rendering offline');
+            return;
+        }
+
+        this.liveState = {
+            audioContext: this.audioContext,
+            masterGain: this.masterGain,
+            activeOscillators: this.activeOscillators,
+            drumHits: this.drumHits,
+            channelStrips: this.channelStrips,
+            effects: this.effects,
+            initialized: this.initialized
+        };
+
+        this.audioContext = context;
+        this.masterGain = context.createGain();
+        this.masterGain.gain.value = this.masterVolume;
+        this.effects = this.createEffectsBus();
+        this.activeOscillators = new Map();
+        this.drumHits = [];
+        this.channelStrips = new Map();
+        this.initialized = true;
+        this.offline = true;
+        this.virtualTime = 0;
+    }
+
+    /**
+     * Set the virtual time reported by getCurrentTime()
+     * @param {number|null} time - Virtual time in seconds (null = back to the audio clock)
+     */
+    setVirtualTime(time) {
+        this.virtualTime = time;
+    }
+
+    /**
+     * Return to the live audio context
+     * Voices already scheduled on the offline context are kept for rendering.
+     */
+    endOfflineRender() {
+        if (!this.offline) {
+            return;
+        }
+
+        Object.assign(this, this.liveState);
+        this.liveState = null;
+        this.offline = false;
+        this.virtualTime = null;
+    }
+
+    /**
+     * Convert an audio clock time to a DOMHighResTimeStamp (for Web MIDI send())
+     * @param {number} time - Time in seconds on the audio clock
+     * @returns {number} Timestamp in milliseconds on the performance.now() clock
+     */
+    toPerformanceTime(time) {
+        return performance.now() + (time - this.getCurrentTime()) * 1000;
+    }
+
     /**
      * Convert MIDI note number to frequency in Hz
      * @param {number} midiNote - MIDI note number (0-127)
      * @returns {number} Frequency in Hz
      */
     midiNoteToFrequency(midiNote) {
+        const tuned = this.tuning?.getFrequency(midiNote);
+        if (tuned) {
+            return tuned;
+        }
+
         // A4 (MIDI note 69) = 440 Hz
         return 440 * Math.pow(2, (midiNote - 69) / 12);
     }
 
+    /**
+     * Tune pitched voices
+     * @param {Tuning|null} tuning - Tuning (null = 12-TET at A440)
+     */
+    setTuning(tuning) {
+        if (tuning !== null && !(tuning instanceof Tuning)) {
+            console.error('Invalid tuning:', tuning);
+            return;
+        }
+
+        this.tuning = tuning;
+        PubSub.publish('synth:tuning', { name: tuning ? tuning.name : null });
+    }
+
+    /**
+     * Fetch a tuning: Scala files (.scl, with an optional .kbm keyboard mapping)
+     * or a JSON cents table ({ "name", "cents": [...], "mapping": {...} })
+     * @param {string} url - .scl or .json URL
+     * @param {string|null} mappingUrl - .kbm URL (Scala scales only)
+     * @returns {Promise<Tuning>}
+     */
+    async loadTuning(url, mappingUrl = null) {
+        const fetchText = async (fileUrl) => {
+            const response = await fetch(fileUrl);
+            if (!response.ok) {
+                throw new Error(`Failed to load tuning ${fileUrl}: ${response.status} ${response.statusText}`);
+            }
+            return response.text();
+        };
+
+        const text = await fetchText(url);
+        const tuning = /\.json$/i.test(url)
+            ? new Tuning(JSON.parse(text))
+            : Tuning.fromScala(text, mappingUrl ? await fetchText(mappingUrl) : null);
+
+        this.setTuning(tuning);
+        return tuning;
+    }
+
     /**
      * Play a note
      * @param {number} channel - MIDI channel (0-15) - channel 9 is drums
      * @param {number} note - MIDI note number (0-127)
      * @param {number} velocity - Note velocity (0-127)
+     * @param {number|null} time - Audio clock start time in seconds (null = now)
      */
-    playNote(channel, note, velocity = 100) {
+    playNote(channel, note, velocity = 100, time = null) {
         if (!this.initialized) {
             console.warn('Web Audio Synth not initialized. Call initialize() first.');
             return;
@@ -83,9 +339,25 @@ class WebAudioSynth {
         // Ensure context is running
         this.resume();
 
-        // Channel 9 (MIDI channel 10, 0-indexed = 9) is drums
-        if (channel === 9) {
-            this.playDrumSound(note, velocity);
+        // Never schedule in the past
+        const now = time !== null ? Math.max(time, this.getCurrentTime()) : this.getCurrentTime();
+
+        const voice = this.getChannelVoice(channel);
+        const output = this.getChannelOutput(channel);
+
+        // Drum hits play out by themselves; they count toward the limits until they end
+        if (voice === 'drums') {
+            this.enforcePolyphony(channel, note, now);
+            const hit = this.playDrumSound(note, velocity, now, output);
+            if (hit) {
+                this.drumHits.push({ channel, note, velocity, startTime: now, ...hit, drum: true });
+                this.voiceStats.peak = Math.max(this.voiceStats.peak, this.activeOscillators.size + this.drumHits.length);
+            }
+            return;
+        }
+
+        // Keys the tuning leaves unmapped are silent
+        if (this.tuning && !this.tuning.isMapped(note)) {
             return;
         }
 
@@ -93,37 +365,555 @@ class WebAudioSynth {
 
         // Stop existing note if already playing
         if (this.activeOscillators.has(key)) {
-            this.stopNote(channel, note);
-        }
-
-        const now = this.audioContext.currentTime;
-
-        // Route to channel-specific synthesis
-        // Channel 0: Soloist (glockenspiel, xylophone, flute, or bell)
-        // Channel 1: Bassist (plucked string)
-        // Channel 2+: Default synthesis
-        if (channel === 0) {
-            this.playFMGlockenspiel(key, note, velocity, now);
-            // Alternatives:
-            // this.playFMXylophone(key, note, velocity, now);
-            // this.playFMFlute(key, note, velocity, now);
-            // this.playFMBell(key, note, velocity, now);
-        } else if (channel === 1) {
-            this.playPluckedString(key, note, velocity, now);
+            this.stopNote(channel, note, now);
+        }
+
+        this.enforcePolyphony(channel, note, now);
+
+        // Route to the channel's voice
+        switch (voice) {
+            case 'glockenspiel':
+                this.playFMGlockenspiel(key, note, velocity, now, output);
+                break;
+            case 'flute':
+                this.playFMFlute(key, note, velocity, now, output);
+                break;
+            case 'xylophone':
+                this.playFMXylophone(key, note, velocity, now, output);
+                break;
+            case 'bell':
+                this.playFMBell(key, note, velocity, now, output);
+                break;
+            case 'plucked-string':
+                this.playPluckedString(key, note, velocity, now, output);
+                break;
+            default:
+                if (this.patches.has(voice)) {
+                    this.playPatch(this.patches.get(voice), key, note, velocity, now, output);
+                } else {
+                    this.playDefault(key, note, velocity, now, output);
+                }
+        }
+
+        // What voice stealing and pitch bend need to know (voices only store their nodes)
+        const voiceData = this.activeOscillators.get(key);
+        if (voiceData) {
+            Object.assign(voiceData, { channel, note, velocity, startTime: now, bendTargets: this.getBendTargets(voiceData), noteBend: 0 });
+            this.voiceStats.peak = Math.max(this.voiceStats.peak, this.activeOscillators.size + this.drumHits.length);
+
+            // Start in tune with the rest of a bent channel
+            const cents = this.getBendCents(channel);
+            if (cents !== 0) {
+                voiceData.bendTargets.forEach(({ param, base }) => param.setValueAtTime(base + cents, now));
+            }
+        }
+    }
+
+    /**
+     * Find the oscillator detune params of a voice, with their unbent values
+     * (patch operators can be detuned on their own)
+     * @param {Object} voiceData - activeOscillators entry
+     * @returns {Array<Object>} [{ param, base }]
+     */
+    getBendTargets(voiceData) {
+        return [voiceData.oscillator, voiceData.modulator, ...(voiceData.sources || [])]
+            .filter(node => node && node.frequency && node.detune) // Oscillators (not noise buffers)
+            .map(node => ({ param: node.detune, base: node.detune.value }));
+    }
+
+    /**
+     * Bend a channel's pitch
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} value - Bend (-1.0 = full down, 0 = center, 1.0 = full up)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    setPitchBend(channel, value, time = null) {
+        if (typeof value !== 'number' || !(value >= -1 && value <= 1)) {
+            console.error('Invalid pitch bend:', value);
+            return;
+        }
+
+        this.pitchBends.set(channel, value);
+        this.applyPitchBend(channel, time);
+    }
+
+    /**
+     * Set how far a full pitch bend goes
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} semitones - Bend range (0-24)
+     */
+    setPitchBendRange(channel, semitones) {
+        if (typeof semitones !== 'number' || !(semitones >= 0 && semitones <= 24)) {
+            console.error('Invalid pitch bend range:', semitones);
+            return;
+        }
+
+        this.bendRanges.set(channel, semitones);
+        this.applyPitchBend(channel, null);
+    }
+
+    /**
+     * Bend one sounding note (on top of its channel's bend)
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number} note - MIDI note number the note was started with
+     * @param {number} cents - Bend in cents (any amount)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     * @param {Object} options
+     * @param {boolean} options.immediate - Jump to the bend at `time` instead of easing into it
+     *   (e.g. a glide's starting pitch, which must be there as the note starts)
+     */
+    setNoteBend(channel, note, cents, time = null, { immediate = false } = {}) {
+        const voiceData = this.activeOscillators.get(`${channel}-${note}`);
+        if (!voiceData) {
+            return; // Note not playing (or a drum hit)
+        }
+
+        voiceData.noteBend = cents;
+        const now = time !== null ? Math.max(time, this.getCurrentTime()) : this.getCurrentTime();
+        const total = this.getBendCents(channel) + cents;
+        voiceData.bendTargets.forEach(({ param, base }) => {
+            if (immediate) {
+                param.setValueAtTime(base + total, now);
+            } else {
+                param.setTargetAtTime(base + total, now, 0.005);
+            }
+        });
+    }
+
+    /**
+     * Get a channel's current bend in cents
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {number}
+     */
+    getBendCents(channel) {
+        const range = this.bendRanges.get(channel) ?? WebAudioSynth.DEFAULT_BEND_RANGE;
+        return (this.pitchBends.get(channel) || 0) * range * 100;
+    }
+
+    /**
+     * Retune a channel's sounding voices to its current bend
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number|null} time - Audio clock time in seconds (null = now)
+     */
+    applyPitchBend(channel, time) {
+        const now = time !== null ? Math.max(time, this.getCurrentTime()) : this.getCurrentTime();
+        const cents = this.getBendCents(channel);
+
+        this.activeOscillators.forEach(voiceData => {
+            if (voiceData.channel === channel) {
+                // Glide a few milliseconds so bend streams don't zipper
+                const total = cents + voiceData.noteBend;
+                voiceData.bendTargets.forEach(({ param, base }) => param.setTargetAtTime(base + total, now, 0.005));
+            }
+        });
+    }
+
+    /**
+     * Make room for a new note within the channel and global polyphony limits
+     * @param {number} channel - MIDI channel of the new note
+     * @param {number} note - MIDI note number of the new note
+     * @param {number} time - Audio clock time the new note starts
+     */
+    enforcePolyphony(channel, note, time) {
+        const channelLimit = this.getChannelPolyphony(channel);
+        let channelVoices = this.getSoundingVoices(time).filter(v => v.channel === channel);
+        while (channelVoices.length >= channelLimit) {
+            const stolen = this.stealVoice(channelVoices, channel, note, time, 'channel');
+            channelVoices = channelVoices.filter(v => v !== stolen);
+        }
+
+        while (this.activeOscillators.size + this.drumHits.length >= this.polyphony.global) {
+            this.stealVoice(this.getSoundingVoices(time), channel, note, time, 'global');
+        }
+    }
+
+    /**
+     * Get the sustaining voices and the drum hits still ringing
+     * Drum hits that have ended by `time` are forgotten.
+     * @param {number} time - Audio clock time in seconds
+     * @returns {Array<Object>} activeOscillators entries and drumHits entries
+     */
+    getSoundingVoices(time) {
+        this.drumHits = this.drumHits.filter(hit => hit.endTime > time);
+        return [...this.activeOscillators.values(), ...this.drumHits];
+    }
+
+    /**
+     * Release one of the given voices to make room for a new note
+     * - 'oldest': the voice that started first
+     * - 'quietest': the voice played at the lowest velocity (oldest first on ties)
+     * - 'same-note': a voice on the new note's pitch, else the oldest
+     * @param {Array<Object>} voices - Candidate voices (activeOscillators and drumHits entries)
+     * @param {number} channel - MIDI channel of the new note
+     * @param {number} note - MIDI note number of the new note
+     * @param {number} time - Audio clock time to release at
+     * @param {string} limit - Which limit was hit ('channel' or 'global')
+     * @returns {Object} The stolen voice
+     */
+    stealVoice(voices, channel, note, time, limit) {
+        const byAge = [...voices].sort((a, b) => a.startTime - b.startTime);
+
+        let victim = byAge[0];
+        if (this.polyphony.strategy === 'quietest') {
+            victim = byAge.reduce((quietest, v) => v.velocity < quietest.velocity ? v : quietest);
+        } else if (this.polyphony.strategy === 'same-note') {
+            victim = byAge.find(v => v.note === note) || victim;
+        }
+
+        if (victim.drum) {
+            this.releaseDrumHit(victim, time, WebAudioSynth.STEAL_RELEASE);
         } else {
-            this.playDefault(key, note, velocity, now);
+            this.releaseVoice(`${victim.channel}-${victim.note}`, time, WebAudioSynth.STEAL_RELEASE);
+        }
+
+        this.voiceStats.stolen++;
+        this.voiceStats.stolenByChannel[victim.channel]++;
+        this.voiceStats.lastSteal = {
+            channel: victim.channel,
+            note: victim.note,
+            for: { channel, note },
+            limit,
+            time
+        };
+
+        return victim;
+    }
+
+    /**
+     * Set the polyphony limits and steal strategy
+     * @param {Object} options - Any of:
+     * @param {number} options.global - Voices across all channels (1 or more)
+     * @param {number} options.channel - Voices per channel, for channels without their own limit
+     * @param {string} options.strategy - 'oldest', 'quietest' or 'same-note'
+     */
+    setPolyphony({ global, channel, strategy } = {}) {
+        if ([global, channel].some(limit => limit !== undefined && !(Number.isInteger(limit) && limit >= 1))) {
+            console.error('Invalid polyphony limit:', { global, channel });
+            return;
+        }
+        if (strategy !== undefined && !WebAudioSynth.STEAL_STRATEGIES.includes(strategy)) {
+            console.error('Invalid voice steal strategy:', strategy);
+            return;
+        }
+
+        Object.assign(this.polyphony, Object.fromEntries(
+            Object.entries({ global, channel, strategy }).filter(([, value]) => value !== undefined)
+        ));
+        console.log('Web Audio polyphony set to:', this.polyphony);
+    }
+
+    /**
+     * Set a channel's own polyphony limit
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {number|null} limit - Voices (1 or more), or null for the default
+     */
+    setChannelPolyphony(channel, limit) {
+        if (limit === null) {
+            this.channelPolyphony.delete(channel);
+            return;
+        }
+        if (!Number.isInteger(limit) || limit < 1) {
+            console.error('Invalid polyphony limit:', limit);
+            return;
         }
+
+        this.channelPolyphony.set(channel, limit);
+    }
+
+    /**
+     * Get a channel's polyphony limit
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {number}
+     */
+    getChannelPolyphony(channel) {
+        return this.channelPolyphony.get(channel) ?? this.polyphony.channel;
     }
 
     /**
-     * FM Flute Synthesis (for Soloist - Channel 0)
+     * Get a channel's strip input, creating the strip on first use
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {AudioNode} Node the channel's voices play into
+     */
+    getChannelOutput(channel) {
+        if (!this.channelStrips.has(channel)) {
+            const { gain = 1, pan = 0 } = this.stripSettings.get(channel) || {};
+
+            const input = this.audioContext.createGain();
+            input.gain.value = gain;
+
+            const panner = this.audioContext.createStereoPanner();
+            panner.pan.value = pan;
+
+            // Meter taps the strip output
+            const analyser = this.audioContext.createAnalyser();
+            analyser.fftSize = 256;
+
+            input.connect(panner);
+            panner.connect(this.masterGain);
+            panner.connect(analyser);
+
+            // Post-fader sends to the effects bus
+            const sends = {};
+            if (this.effects) {
+                const levels = this.getChannelSends(channel);
+                EffectsBus.SENDS.forEach(effect => {
+                    sends[effect] = this.audioContext.createGain();
+                    sends[effect].gain.value = levels[effect];
+                    panner.connect(sends[effect]);
+                    sends[effect].connect(this.effects.getSendInput(effect));
+                });
+            }
+
+            this.channelStrips.set(channel, { input, panner, analyser, sends });
+        }
+
+        return this.channelStrips.get(channel).input;
+    }
+
+    /**
+     * Set a channel strip's level and pan
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {Object} settings
+     * @param {number} settings.gain - Linear gain (0 silences the channel)
+     * @param {number} settings.pan - Stereo position (-1 left to 1 right)
+     */
+    setChannelStrip(channel, { gain, pan }) {
+        this.stripSettings.set(channel, { gain, pan });
+
+        const strip = this.channelStrips.get(channel);
+        if (strip) {
+            // Short glide so fader moves don't click
+            const now = this.getCurrentTime();
+            strip.input.gain.setTargetAtTime(gain, now, 0.01);
+            strip.panner.pan.setTargetAtTime(pan, now, 0.01);
+        }
+    }
+
+    /**
+     * Set how much of a channel goes to an effect
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string} effect - 'reverb' or 'delay'
+     * @param {number} level - Send level (0.0 - 1.0)
+     */
+    setChannelSend(channel, effect, level) {
+        if (!EffectsBus.SENDS.includes(effect)) {
+            console.error('Invalid effect send:', effect);
+            return;
+        }
+
+        this.sendSettings.set(channel, { ...this.getChannelSends(channel), [effect]: level });
+
+        const strip = this.channelStrips.get(channel);
+        if (strip && strip.sends[effect]) {
+            strip.sends[effect].gain.setTargetAtTime(level, this.getCurrentTime(), 0.01);
+        }
+    }
+
+    /**
+     * Get a channel's effect send levels
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {Object} { reverb, delay } (0.0 - 1.0)
+     */
+    getChannelSends(channel) {
+        return this.sendSettings.get(channel) || { ...WebAudioSynth.DEFAULT_SENDS };
+    }
+
+    /**
+     * Build the effects bus for the current context, routing the master gain through it
+     * @returns {EffectsBus}
+     */
+    createEffectsBus() {
+        return new EffectsBus(this.audioContext, this.masterGain, {
+            settings: this.effectSettings,
+            bpm: this.bpm,
+            random: () => this.reverbRng.next()
+        });
+    }
+
+    /**
+     * Change an effect setting
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS), e.g. 'reverbWet'
+     * @param {number|string} value - New value
+     */
+    setEffect(name, value) {
+        try {
+            EffectsBus.check(name, value);
+        } catch (err) {
+            console.error(err.message);
+            return;
+        }
+
+        this.effectSettings[name] = value;
+
+        if (this.effects) {
+            this.effects.set(name, value, this.getCurrentTime());
+        }
+
+        PubSub.publish('synth:effect', { name, value });
+    }
+
+    /**
+     * Get an effect setting
+     * @param {string} name - Setting name (see EffectsBus.PARAMETERS)
+     * @returns {number|string}
+     */
+    getEffect(name) {
+        return this.effectSettings[name];
+    }
+
+    /**
+     * Get a channel's current peak level
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {number} Peak amplitude (0 = silent, 1 = full scale)
+     */
+    getChannelLevel(channel) {
+        const strip = this.channelStrips.get(channel);
+        if (!strip) {
+            return 0;
+        }
+
+        const samples = new Float32Array(strip.analyser.fftSize);
+        strip.analyser.getFloatTimeDomainData(samples);
+        return samples.reduce((peak, sample) => Math.max(peak, Math.abs(sample)), 0);
+    }
+
+    /**
+     * Play a note with a patch
+     * @param {SynthPatch} patch - Patch to play
+     * @param {string} key - Oscillator key (channel-note)
+     * @param {number} note - MIDI note number
+     * @param {number} velocity - Note velocity (0-127)
+     * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
+     */
+    playPatch(patch, key, note, velocity, startTime, destination = this.masterGain) {
+        const { sources, gainNode } = patch.play(this.audioContext, destination, {
+            frequency: this.midiNoteToFrequency(note),
+            velocity,
+            startTime,
+            random: () => this.rng.next()
+        });
+
+        // Store references for note-off
+        this.activeOscillators.set(key, {
+            oscillator: sources[0],
+            sources: sources.slice(1),
+            gainNode,
+            release: patch.getRelease(),
+            timestamp: Date.now()
+        });
+    }
+
+    /**
+     * Add a patch as a voice (replaces a patch of the same name)
+     * @param {Object|SynthPatch} definition - Patch JSON (see lib/synth_patch.js)
+     * @returns {SynthPatch}
+     * @throws {Error} If the patch is invalid or named like a built-in voice
+     */
+    registerPatch(definition) {
+        const patch = definition instanceof SynthPatch ? definition : new SynthPatch(definition);
+        if (WebAudioSynth.VOICES[patch.name]) {
+            throw new Error(`Patch "${patch.name}" would replace the built-in voice`);
+        }
+
+        this.patches.set(patch.name, patch);
+        console.log('Web Audio patch registered:', patch.name);
+
+        PubSub.publish('synth:patch', { name: patch.name, label: patch.label });
+        return patch;
+    }
+
+    /**
+     * Fetch a patch JSON file and register it
+     * @param {string} url - Patch URL
+     * @returns {Promise<SynthPatch>}
+     */
+    async loadPatch(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load patch ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        return this.registerPatch(await response.json());
+    }
+
+    /**
+     * Fetch a drum kit manifest and its samples, and play the drums voice with it
+     * @param {string} url - Kit manifest URL (sample paths are relative to it)
+     * @returns {Promise<DrumKit>}
+     */
+    async loadDrumKit(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`Failed to load drum kit ${url}: ${response.status} ${response.statusText}`);
+        }
+
+        const kit = new DrumKit(await response.json(), url);
+
+        // Decoded buffers play in any context, so decode before audio is initialized if need be
+        const decoder = this.audioContext || new OfflineAudioContext(2, 1, 44100);
+        const loaded = await kit.load(decoder);
+
+        this.drumKit = kit;
+        console.log(`Web Audio drum kit loaded: ${kit.name} (${loaded}/${kit.getSampleUrls().length} samples)`);
+
+        PubSub.publish('synth:drumKit', { name: kit.name, label: kit.label });
+        return kit;
+    }
+
+    /**
+     * Get every playable voice: built-ins, then patches
+     * @returns {Object} voice name -> label
+     */
+    getVoices() {
+        const voices = { ...WebAudioSynth.VOICES };
+        this.patches.forEach((patch, name) => {
+            voices[name] = patch.label;
+        });
+        return voices;
+    }
+
+    /**
+     * Set the voice a channel plays
+     * @param {number} channel - MIDI channel (0-15)
+     * @param {string|null} voiceName - Key of VOICES (e.g. 'flute') or a patch name
+     *   (null = the channel's default voice)
+     */
+    setChannelVoice(channel, voiceName) {
+        if (voiceName === null) {
+            this.channelVoices.delete(channel);
+        } else if (!WebAudioSynth.VOICES[voiceName] && !this.patches.has(voiceName)) {
+            console.error('Invalid voice:', voiceName);
+            return;
+        } else {
+            this.channelVoices.set(channel, voiceName);
+        }
+
+        const voice = this.getChannelVoice(channel);
+        console.log(`Web Audio channel ${channel + 1} voice set to:`, voice);
+
+        PubSub.publish('synth:voice', { channel, voice });
+    }
+
+    /**
+     * Get the voice a channel plays
+     * @param {number} channel - MIDI channel (0-15)
+     * @returns {string} Key of VOICES or a patch name
+     */
+    getChannelVoice(channel) {
+        return this.channelVoices.get(channel) || WebAudioSynth.DEFAULT_CHANNEL_VOICES[channel] || 'synth';
+    }
+
+    /**
+     * FM Flute Synthesis (voice 'flute')
      * Breathy, harmonic-rich tone using frequency modulation
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playFMFlute(key, note, velocity, startTime) {
+    playFMFlute(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -163,7 +953,7 @@ class WebAudioSynth {
         const noiseBuffer = this.audioContext.createBuffer(1, this.audioContext.sampleRate * 2, this.audioContext.sampleRate);
         const noiseData = noiseBuffer.getChannelData(0);
         for (let i = 0; i < noiseData.length; i++) {
-            noiseData[i] = (Math.random() * 2 - 1) * 0.02; // Very quiet noise
+            noiseData[i] = (this.rng.next() * 2 - 1) * 0.02; // Very quiet noise
         }
         const noise = this.audioContext.createBufferSource();
         noise.buffer = noiseBuffer;
@@ -190,7 +980,7 @@ class WebAudioSynth {
         // Connect carrier and noise to output
         carrier.connect(gainNode);
         noiseGain.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillators
         carrier.start(startTime);
@@ -208,14 +998,15 @@ class WebAudioSynth {
     }
 
     /**
-     * FM Glockenspiel Synthesis (for Soloist - Channel 0)
+     * FM Glockenspiel Synthesis (voice 'glockenspiel', Soloist default)
      * Bright, clear, metallic pitched percussion
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playFMGlockenspiel(key, note, velocity, startTime) {
+    playFMGlockenspiel(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -271,7 +1062,7 @@ class WebAudioSynth {
         // Connect carrier → filter → gain → master
         carrier.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillators
         carrier.start(startTime);
@@ -291,14 +1082,15 @@ class WebAudioSynth {
     }
 
     /**
-     * FM Xylophone Synthesis (for Soloist - Channel 0)
+     * FM Xylophone Synthesis (voice 'xylophone')
      * Bright, percussive, metallic tone using frequency modulation
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playFMXylophone(key, note, velocity, startTime) {
+    playFMXylophone(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -351,7 +1143,7 @@ class WebAudioSynth {
         // Connect carrier → filter → gain → master
         carrier.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillators
         carrier.start(startTime);
@@ -371,14 +1163,15 @@ class WebAudioSynth {
     }
 
     /**
-     * FM Bell Synthesis (for Soloist - Channel 0)
+     * FM Bell Synthesis (voice 'bell')
      * Resonant, sustained tone with slow decay using frequency modulation
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playFMBell(key, note, velocity, startTime) {
+    playFMBell(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -434,7 +1227,7 @@ class WebAudioSynth {
         // Connect carrier → filter → gain → master
         carrier.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillators
         carrier.start(startTime);
@@ -454,14 +1247,15 @@ class WebAudioSynth {
     }
 
     /**
-     * Plucked String Synthesis (for Bassist - Channel 1)
+     * Plucked String Synthesis (voice 'plucked-string', Bassist default)
      * Sharp attack with resonant decay
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playPluckedString(key, note, velocity, startTime) {
+    playPluckedString(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -495,7 +1289,7 @@ class WebAudioSynth {
         // Connect: oscillator → filter → gain → master
         oscillator.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillator
         oscillator.start(startTime);
@@ -509,14 +1303,15 @@ class WebAudioSynth {
     }
 
     /**
-     * Default Synthesis (for other channels)
+     * Default Synthesis (voice 'synth')
      * Simple oscillator with velocity-controlled amplitude and brightness
      * @param {string} key - Oscillator key (channel-note)
      * @param {number} note - MIDI note number
      * @param {number} velocity - Note velocity (0-127)
      * @param {number} startTime - Start time in audio context
+     * @param {AudioNode} destination - Node to play into (default: master bus)
      */
-    playDefault(key, note, velocity, startTime) {
+    playDefault(key, note, velocity, startTime, destination = this.masterGain) {
         const frequency = this.midiNoteToFrequency(note);
 
         // Non-linear velocity curve for more dynamic range
@@ -546,7 +1341,7 @@ class WebAudioSynth {
         // Connect: oscillator → filter → gain → master
         oscillator.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         // Start oscillator
         oscillator.start(startTime);
@@ -560,12 +1355,21 @@ class WebAudioSynth {
     }
 
     /**
-     * Play drum sound (for channel 9)
+     * Play drum sound (sampled if the drum kit has the note, else synthesized)
      * @param {number} note - MIDI note number (drum type)
      * @param {number} velocity - Note velocity (0-127)
+     * @param {number} startTime - Start time in audio context (defaults to now)
+     * @param {AudioNode} destination - Node to play into (default: master bus)
+     * @returns {Object} The hit's { sources, gains, endTime }
      */
-    playDrumSound(note, velocity) {
-        const now = this.audioContext.currentTime;
+    playDrumSound(note, velocity, startTime = null, destination = this.masterGain) {
+        const now = startTime !== null ? startTime : this.getCurrentTime();
+
+        // Sampled kit first; synthesize what it doesn't have
+        const sample = this.drumKit ? this.drumKit.select(note, velocity) : null;
+        if (sample) {
+            return this.playSample(sample, now, this.drumKit.getGain(velocity), destination);
+        }
 
         // Non-linear velocity curve for more dynamic range
         const velocityNormalized = velocity / 127;
@@ -574,35 +1378,52 @@ class WebAudioSynth {
         // Different drum sounds based on MIDI note number (General MIDI standard)
         switch (note) {
             case 36: // Kick drum
-                this.playKick(now, velocityGain);
-                break;
+                return this.playKick(now, velocityGain, destination);
             case 38: // Snare
-                this.playSnare(now, velocityGain);
-                break;
+                return this.playSnare(now, velocityGain, destination);
             case 42: // Closed hi-hat
-                this.playHiHat(now, velocityGain, 0.05);
-                break;
+                return this.playHiHat(now, velocityGain, 0.05, destination);
             case 46: // Open hi-hat
-                this.playHiHat(now, velocityGain, 0.15);
-                break;
+                return this.playHiHat(now, velocityGain, 0.15, destination);
             case 49: // Crash cymbal
             case 51: // Ride cymbal
-                this.playCymbal(now, velocityGain);
-                break;
+                return this.playCymbal(now, velocityGain, destination);
             case 45: // Low tom
             case 48: // High tom
-                this.playTom(now, velocityGain, note === 48 ? 200 : 120);
-                break;
+                return this.playTom(now, velocityGain, note === 48 ? 200 : 120, destination);
             default:
                 // Generic percussion sound for unknown drums
-                this.playSnare(now, velocityGain * 0.5);
+                return this.playSnare(now, velocityGain * 0.5, destination);
         }
     }
 
+    /**
+     * Play a drum sample once
+     * @param {AudioBuffer} buffer - Decoded sample
+     * @param {number} startTime - Start time in seconds
+     * @param {number} gain - Output level
+     * @param {AudioNode} destination - Node to play into (default: master bus)
+     * @returns {Object} { sources, gains, endTime }
+     */
+    playSample(buffer, startTime, gain, destination = this.masterGain) {
+        const source = this.audioContext.createBufferSource();
+        const gainNode = this.audioContext.createGain();
+
+        source.buffer = buffer;
+        gainNode.gain.value = gain;
+
+        source.connect(gainNode);
+        gainNode.connect(destination);
+
+        source.start(startTime);
+        return { sources: [source], gains: [gainNode], endTime: startTime + buffer.duration };
+    }
+
     /**
      * Synthesize kick drum sound
+     * @returns {Object} { sources, gains, endTime }
      */
-    playKick(startTime, gain) {
+    playKick(startTime, gain, destination = this.masterGain) {
         const osc = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
 
@@ -613,23 +1434,25 @@ class WebAudioSynth {
         gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.3);
 
         osc.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         osc.start(startTime);
         osc.stop(startTime + 0.3);
+        return { sources: [osc], gains: [gainNode], endTime: startTime + 0.3 };
     }
 
     /**
      * Synthesize snare drum sound
+     * @returns {Object} { sources, gains, endTime }
      */
-    playSnare(startTime, gain) {
+    playSnare(startTime, gain, destination = this.masterGain) {
         // Noise component
         const bufferSize = this.audioContext.sampleRate * 0.15;
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
 
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.rng.next() * 2 - 1;
         }
 
         const noise = this.audioContext.createBufferSource();
@@ -645,7 +1468,7 @@ class WebAudioSynth {
 
         noise.connect(noiseFilter);
         noiseFilter.connect(noiseGain);
-        noiseGain.connect(this.masterGain);
+        noiseGain.connect(destination);
 
         noise.start(startTime);
 
@@ -658,22 +1481,24 @@ class WebAudioSynth {
         oscGain.gain.exponentialRampToValueAtTime(0.01, startTime + 0.1);
 
         osc.connect(oscGain);
-        oscGain.connect(this.masterGain);
+        oscGain.connect(destination);
 
         osc.start(startTime);
         osc.stop(startTime + 0.1);
+        return { sources: [noise, osc], gains: [noiseGain, oscGain], endTime: startTime + 0.15 };
     }
 
     /**
      * Synthesize hi-hat sound
+     * @returns {Object} { sources, gains, endTime }
      */
-    playHiHat(startTime, gain, duration) {
+    playHiHat(startTime, gain, duration, destination = this.masterGain) {
         const bufferSize = this.audioContext.sampleRate * duration;
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
 
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.rng.next() * 2 - 1;
         }
 
         const noise = this.audioContext.createBufferSource();
@@ -689,21 +1514,23 @@ class WebAudioSynth {
 
         noise.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         noise.start(startTime);
+        return { sources: [noise], gains: [gainNode], endTime: startTime + duration };
     }
 
     /**
      * Synthesize cymbal sound
+     * @returns {Object} { sources, gains, endTime }
      */
-    playCymbal(startTime, gain) {
+    playCymbal(startTime, gain, destination = this.masterGain) {
         const bufferSize = this.audioContext.sampleRate * 0.5;
         const buffer = this.audioContext.createBuffer(1, bufferSize, this.audioContext.sampleRate);
         const data = buffer.getChannelData(0);
 
         for (let i = 0; i < bufferSize; i++) {
-            data[i] = Math.random() * 2 - 1;
+            data[i] = this.rng.next() * 2 - 1;
         }
 
         const noise = this.audioContext.createBufferSource();
@@ -720,15 +1547,17 @@ class WebAudioSynth {
 
         noise.connect(filter);
         filter.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         noise.start(startTime);
+        return { sources: [noise], gains: [gainNode], endTime: startTime + 0.5 };
     }
 
     /**
      * Synthesize tom drum sound
+     * @returns {Object} { sources, gains, endTime }
      */
-    playTom(startTime, gain, frequency) {
+    playTom(startTime, gain, frequency, destination = this.masterGain) {
         const osc = this.audioContext.createOscillator();
         const gainNode = this.audioContext.createGain();
 
@@ -739,23 +1568,35 @@ class WebAudioSynth {
         gainNode.gain.exponentialRampToValueAtTime(0.01, startTime + 0.2);
 
         osc.connect(gainNode);
-        gainNode.connect(this.masterGain);
+        gainNode.connect(destination);
 
         osc.start(startTime);
         osc.stop(startTime + 0.2);
+        return { sources: [osc], gains: [gainNode], endTime: startTime + 0.2 };
     }
 
     /**
      * Stop a note
      * @param {number} channel - MIDI channel (0-15)
      * @param {number} note - MIDI note number (0-127)
+     * @param {number|null} time - Audio clock release time in seconds (null = now)
      */
-    stopNote(channel, note) {
+    stopNote(channel, note, time = null) {
         if (!this.initialized) {
             return;
         }
 
-        const key = `${channel}-${note}`;
+        const now = time !== null ? Math.max(time, this.getCurrentTime()) : this.getCurrentTime();
+        this.releaseVoice(`${channel}-${note}`, now);
+    }
+
+    /**
+     * Fade out and stop a voice
+     * @param {string} key - Oscillator key (channel-note)
+     * @param {number} now - Audio clock release time in seconds
+     * @param {number|null} releaseTime - Fade length (null = the voice's own release)
+     */
+    releaseVoice(key, now, releaseTime = null) {
         const oscData = this.activeOscillators.get(key);
 
         if (!oscData) {
@@ -763,27 +1604,59 @@ class WebAudioSynth {
         }
 
         // Apply envelope (quick fade out to avoid clicks)
-        const now = this.audioContext.currentTime;
-        oscData.gainNode.gain.setValueAtTime(oscData.gainNode.gain.value, now);
-        oscData.gainNode.gain.exponentialRampToValueAtTime(0.001, now + 0.05);
+        const release = releaseTime ?? oscData.release ?? 0.05; // Patches set their own release
+        this.fadeOut(oscData.gainNode.gain, now, release);
 
         // Stop main oscillator after fade
-        oscData.oscillator.stop(now + 0.05);
+        oscData.oscillator.stop(now + release);
 
         // Stop modulator if present (FM synthesis)
         if (oscData.modulator) {
-            oscData.modulator.stop(now + 0.05);
+            oscData.modulator.stop(now + release);
         }
 
         // Stop noise source if present (FM synthesis)
         if (oscData.noise) {
-            oscData.noise.stop(now + 0.05);
+            oscData.noise.stop(now + release);
+        }
+
+        // Stop other sources if present (patches)
+        if (oscData.sources) {
+            oscData.sources.forEach(source => source.stop(now + release));
         }
 
         // Remove from active oscillators
         this.activeOscillators.delete(key);
     }
 
+    /**
+     * Cut a drum hit short (e.g. stolen to make room for a new note)
+     * @param {Object} hit - drumHits entry
+     * @param {number} now - Audio clock time to release at
+     * @param {number} release - Fade length in seconds
+     */
+    releaseDrumHit(hit, now, release) {
+        hit.gains.forEach(gainNode => this.fadeOut(gainNode.gain, now, release));
+        hit.sources.forEach(source => source.stop(now + release));
+        this.drumHits = this.drumHits.filter(other => other !== hit);
+    }
+
+    /**
+     * Fade a gain out from wherever its automation has it
+     * (gain.value is only the live value, and meaningless before an offline render)
+     * @param {AudioParam} gain
+     * @param {number} now - Audio clock time the fade starts
+     * @param {number} release - Fade length in seconds
+     */
+    fadeOut(gain, now, release) {
+        if (typeof gain.cancelAndHoldAtTime === 'function') {
+            gain.cancelAndHoldAtTime(now);
+        } else {
+            gain.setValueAtTime(gain.value, now);
+        }
+        gain.exponentialRampToValueAtTime(0.001, now + release);
+    }
+
     /**
      * Set waveform type
      * @param {string} waveform - 'sine', 'square', 'sawtooth', 'triangle'
@@ -838,6 +1711,11 @@ class WebAudioSynth {
                 if (oscData.noise) {
                     oscData.noise.stop();
                 }
+
+                // Stop other sources if present (patches)
+                if (oscData.sources) {
+                    oscData.sources.forEach(source => source.stop());
+                }
             } catch (e) {
                 // Ignore errors if oscillator already stopped
             }
@@ -845,6 +1723,17 @@ class WebAudioSynth {
 
         this.activeOscillators.clear();
 
+        this.drumHits.forEach(hit => {
+            hit.sources.forEach(source => {
+                try {
+                    source.stop();
+                } catch (e) {
+                    // Ignore errors if already stopped
+                }
+            });
+        });
+        this.drumHits = [];
+
         // NUCLEAR OPTION: Disconnect and reconnect master gain
         // This will kill ANY audio going through, even stuck notes
         if (this.initialized && this.masterGain) {
@@ -853,8 +1742,12 @@ class WebAudioSynth {
             // Disconnect master from destination
             this.masterGain.disconnect();
 
-            // Immediately reconnect it (but all old oscillators will be gone)
-            this.masterGain.connect(this.audioContext.destination);
+            // Immediately reconnect it through the compressor (but all old oscillators will be gone)
+            if (this.effects) {
+                this.effects.connectMaster();
+            } else {
+                this.masterGain.connect(this.audioContext.destination);
+            }
 
             // Set gain to zero briefly, then restore
             const currentGain = this.masterGain.gain.value;
@@ -867,17 +1760,36 @@ class WebAudioSynth {
 
     /**
      * Get list of active notes
-     * @returns {Array} Array of {channel, note, timestamp}
+     * @returns {Array} Array of {channel, note, velocity, startTime, timestamp}
      */
     getActiveNotes() {
         const notes = [];
         this.activeOscillators.forEach((oscData, key) => {
             const [channel, note] = key.split('-').map(Number);
-            notes.push({ channel, note, timestamp: oscData.timestamp });
+            notes.push({ channel, note, velocity: oscData.velocity, startTime: oscData.startTime, timestamp: oscData.timestamp });
         });
         return notes;
     }
 
+    /**
+     * Get polyphony stats (sustaining voices and ringing drum hits)
+     * @returns {Object} { active, byChannel, peak, stolen, stolenByChannel, lastSteal }
+     */
+    getVoiceStats() {
+        const voices = this.getSoundingVoices(this.getCurrentTime());
+        const byChannel = new Array(16).fill(0);
+        voices.forEach(voice => {
+            byChannel[voice.channel]++;
+        });
+
+        return {
+            active: voices.length,
+            byChannel,
+            ...this.voiceStats,
+            stolenByChannel: [...this.voiceStats.stolenByChannel]
+        };
+    }
+
     /**
      * Check if a specific note is currently active
      * @param {number} channel - MIDI channel
@@ -892,3 +1804,6 @@ class WebAudioSynth {
 
 // Export singleton instance
 export const webAudioSynth = new WebAudioSynth();
+
+// Also export class for voice names
+export { WebAudioSynth };
@@ -1,4 +1,5 @@
 import { PubSub } from './pubsub.js';
+import { random } from './random.js';
 
 /**
  * WhipBinding - Connects a playhead to a parameter target
@@ -14,7 +15,7 @@ import { PubSub } from './pubsub.js';
  */
 export class WhipBinding {
     constructor(config = {}) {
-        this.id = config.id || `whip-${Date.now()}-${Math.random().toString(36).substr(2, 9)}`;
+        this.id = config.id || `whip-${random.stream('ids').next().toString(36).substr(2, 9)}`;
 
         // Source: playhead that provides values
         this.sourcePlayheadId = config.sourcePlayheadId;
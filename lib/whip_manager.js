@@ -6,7 +6,7 @@ import { WhipBinding } from './whip_binding.js';
  *
  * Responsibilities:
  * - Register and remove whip bindings
- * - Persist bindings to PubSub/localStorage
+ * - Persist bindings to PubSub (a persisted topic, see lib/last_value_store.js)
  * - Restore bindings on page load
  * - Coordinate between playheads and parameters
  * - Handle cleanup when playheads or parameters are removed
@@ -15,6 +15,9 @@ class WhipManagerClass {
     constructor() {
         this.bindings = new Map(); // bindingId -> WhipBinding
         this.initialized = false;
+
+        // Bindings outlive the page
+        PubSub.persist('whip:bindings:state');
     }
 
     /**
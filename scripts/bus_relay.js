@@ -0,0 +1,44 @@
+#!/usr/bin/env node
+
+/**
+ * Relay PubSub messages between WebSocketBridges and other WebSocket clients
+ * Usage: node scripts/bus_relay.js [--port <port>] [--host <host>]
+ * Example: node scripts/bus_relay.js --port 8765
+ *
+ * Options:
+ *   --port <port>   Port to listen on (default: 8765)
+ *   --host <host>   Interface to listen on (default: 127.0.0.1, this machine only)
+ *
+ * Pages connect with a WebSocketBridge (lib/bus_bridge.js); other programs
+ * send and receive its JSON envelopes, one per text message.
+ */
+
+import { parseArgs } from 'node:util';
+import { BusRelay } from '../lib/headless/bus_relay.js';
+
+const { values } = parseArgs({
+    options: {
+        port: { type: 'string', default: '8765' },
+        host: { type: 'string', default: '127.0.0.1' }
+    }
+});
+
+const port = Number(values.port);
+if (!Number.isInteger(port) || port < 0 || port > 65535) {
+    console.error(`Invalid port: ${values.port}`);
+    process.exit(1);
+}
+
+const relay = new BusRelay({ port, host: values.host });
+try {
+    await relay.start();
+} catch (err) {
+    console.error(`Could not listen on ${values.host}:${port}: ${err.message}`);
+    process.exit(1);
+}
+console.log(`Bus relay listening on ws://${values.host}:${relay.port}`);
+
+process.on('SIGINT', async () => {
+    await relay.stop();
+    process.exit(0);
+});
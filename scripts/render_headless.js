@@ -0,0 +1,106 @@
+#!/usr/bin/env node
+
+/**
+ * Render a CSV series to a MIDI file without a browser
+ * Usage: node scripts/render_headless.js <input.csv> [-o <output.mid>] [options]
+ * Example: node scripts/render_headless.js beer_production.csv -o beer_production.mid --tempo 100
+ *
+ * Options:
+ *   -o, --output <file>       Output file (default: input name with .mid)
+ *   --pool <key>              Conductor note pool, e.g. 3♭, 0, 2♯ (default: 3♭)
+ *   --tonic <name>            Conductor tonic, e.g. C, A (default: C)
+ *   --tempo <bpm>             Tempo (default: 90)
+ *   --time-signature <sig>    e.g. 3/4 (default: 4/4)
+ *   --style <style>           Composer progression style (default: blues)
+ *   --seed <seed>             Random seed; the same data and seed render the same file
+ *                             (default: a fresh seed, printed so the take can be repeated)
+ *   --x-column <name>         Date column (default: date)
+ *   --y-column <name>         Value column (default: production)
+ *   --ticks <n>               Clock ticks to render (default: one sweep of the data)
+ *   --record-bus <file>       Also write every PubSub event of the render as NDJSON
+ *                             (replay with BusReplayer from lib/bus_recorder.js)
+ *   --verbose                 Show component logging
+ *
+ * Renders one series per process; batch jobs run it once per file.
+ */
+
+import { readFileSync, writeFileSync } from 'node:fs';
+import { basename, extname, join, dirname } from 'node:path';
+import { parseArgs } from 'node:util';
+import { headlessEngine, HeadlessEngine } from '../lib/headless/engine.js';
+import { random } from '../lib/random.js';
+import { BusRecorder } from '../lib/bus_recorder.js';
+import { webAudioSynth } from '../lib/web_audio_synth.js';
+
+const { values, positionals } = parseArgs({
+    allowPositionals: true,
+    options: {
+        output: { type: 'string', short: 'o' },
+        pool: { type: 'string' },
+        tonic: { type: 'string' },
+        tempo: { type: 'string' },
+        'time-signature': { type: 'string' },
+        style: { type: 'string' },
+        seed: { type: 'string' },
+        'x-column': { type: 'string' },
+        'y-column': { type: 'string' },
+        ticks: { type: 'string' },
+        'record-bus': { type: 'string' },
+        verbose: { type: 'boolean', default: false }
+    }
+});
+
+if (positionals.length !== 1) {
+    console.error('Usage: node scripts/render_headless.js <input.csv> [-o <output.mid>] [options]');
+    process.exit(1);
+}
+
+const input = positionals[0];
+const output = values.output || join(dirname(input), `${basename(input, extname(input))}.mid`);
+
+/**
+ * Copy the options that were given into an attribute map
+ * @param {Object} defaults - Default attributes
+ * @param {Object} mapping - attribute name -> option value
+ * @returns {Object}
+ */
+function withOptions(defaults, mapping) {
+    const attributes = { ...defaults };
+    Object.entries(mapping).forEach(([name, value]) => {
+        if (value !== undefined) {
+            attributes[name] = value;
+        }
+    });
+    return attributes;
+}
+
+// Times on the render's audio clock, not the wall clock
+const busRecorder = values['record-bus'] ? new BusRecorder({ now: () => webAudioSynth.getCurrentTime() * 1000 }) : null;
+
+const midi = await headlessEngine.render(readFileSync(input, 'utf8'), {
+    conductor: withOptions(HeadlessEngine.DEFAULT_CONDUCTOR, {
+        'data-pool': values.pool,
+        'data-tonic': values.tonic,
+        'data-tempo': values.tempo,
+        'data-time-signature': values['time-signature'],
+        'data-seed': values.seed
+    }),
+    composer: withOptions(HeadlessEngine.DEFAULT_COMPOSER, {
+        'data-progression-style': values.style
+    }),
+    source: withOptions({}, {
+        'data-x-column': values['x-column'],
+        'data-y-column': values['y-column']
+    }),
+    ticks: values.ticks ? parseInt(values.ticks) : null,
+    quiet: !values.verbose,
+    busRecorder
+});
+
+writeFileSync(output, midi);
+console.log(`Wrote ${output} (${midi.length} bytes, seed ${random.getSeed()})`);
+
+if (busRecorder) {
+    writeFileSync(values['record-bus'], busRecorder.export());
+    console.log(`Wrote ${values['record-bus']} (${busRecorder.events.length} events)`);
+}
@@ -0,0 +1,212 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { audioRouter } from '../../lib/audio_router.js';
+import { webAudioSynth } from '../../lib/web_audio_synth.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { Tuning } from '../../lib/tuning.js';
+
+describe('AudioRouter', () => {
+    describe('Render Mode', () => {
+        let renderTime;
+
+        beforeEach(() => {
+            renderTime = 0;
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => renderTime);
+            vi.spyOn(webAudioSynth, 'playNote').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'stopNote').mockImplementation(() => {});
+            vi.spyOn(midiOutput, 'sendNoteOn').mockImplementation(() => {});
+            vi.spyOn(midiOutput, 'sendNoteOff').mockImplementation(() => {});
+            audioRouter.setRenderMode(true);
+        });
+
+        afterEach(() => {
+            audioRouter.setRenderMode(false);
+            vi.restoreAllMocks();
+        });
+
+        it('should play notes on Web Audio only', () => {
+            audioRouter.sendNote(0, 60, 100, 500, 1);
+
+            expect(webAudioSynth.playNote).toHaveBeenCalledWith(0, 60, 100, 1);
+            expect(midiOutput.sendNoteOn).not.toHaveBeenCalled();
+            expect(audioRouter.getScheduledNoteCount()).toBe(0);
+        });
+
+        it('should release notes as render time reaches them', () => {
+            audioRouter.sendNote(0, 60, 100, 500, 1);   // Releases at 1.5s
+            audioRouter.sendNote(1, 40, 100, 250, 1);   // Releases at 1.25s
+
+            audioRouter.releaseDueNotes(1.1);
+            expect(webAudioSynth.stopNote).not.toHaveBeenCalled();
+
+            audioRouter.releaseDueNotes(1.22);
+            expect(webAudioSynth.stopNote).toHaveBeenCalledTimes(1);
+            expect(webAudioSynth.stopNote).toHaveBeenLastCalledWith(1, 40, 1.25);
+
+            audioRouter.releaseDueNotes(1.5);
+            expect(webAudioSynth.stopNote).toHaveBeenLastCalledWith(0, 60, 1.5);
+            expect(midiOutput.sendNoteOff).not.toHaveBeenCalled();
+        });
+
+        it('should release every queued note when render mode ends', () => {
+            audioRouter.sendNote(0, 60, 100, 5000, 1);
+
+            audioRouter.setRenderMode(false);
+
+            expect(webAudioSynth.stopNote).toHaveBeenCalledWith(0, 60, 6);
+            expect(audioRouter.pendingReleases).toEqual([]);
+        });
+    });
+
+    describe('Channel Messages', () => {
+        beforeEach(() => {
+            vi.spyOn(webAudioSynth, 'toPerformanceTime').mockImplementation((time) => time * 1000);
+            vi.spyOn(webAudioSynth, 'setPitchBend').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'setPitchBendRange').mockImplementation(() => {});
+            ['sendPitchBend', 'sendProgramChange', 'sendBankSelect', 'sendRPN'].forEach(method => {
+                vi.spyOn(midiOutput, method).mockImplementation(() => {});
+            });
+        });
+
+        afterEach(() => {
+            audioRouter.setRenderMode(false);
+            vi.restoreAllMocks();
+        });
+
+        it('should bend MIDI and Web Audio', () => {
+            audioRouter.sendPitchBend(3, -0.25, 2);
+
+            expect(midiOutput.sendPitchBend).toHaveBeenCalledWith(3, -0.25, 2000);
+            expect(webAudioSynth.setPitchBend).toHaveBeenCalledWith(3, -0.25, 2);
+        });
+
+        it('should send the bend range as RPN 0', () => {
+            audioRouter.setPitchBendRange(3, 2.5);
+
+            expect(midiOutput.sendRPN).toHaveBeenCalledWith(3, 0, (2 << 7) | 50);
+            expect(webAudioSynth.setPitchBendRange).toHaveBeenCalledWith(3, 2.5);
+        });
+
+        it('should select the bank before the program', () => {
+            audioRouter.sendProgramChange(3, 73, 1);
+
+            expect(midiOutput.sendBankSelect).toHaveBeenCalledWith(3, 1, undefined);
+            expect(midiOutput.sendProgramChange).toHaveBeenCalledWith(3, 73, undefined);
+            expect(midiOutput.sendBankSelect.mock.invocationCallOrder[0])
+                .toBeLessThan(midiOutput.sendProgramChange.mock.invocationCallOrder[0]);
+        });
+
+        it('should send MIDI notes on their own channel when asked', () => {
+            vi.useFakeTimers();
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 1);
+            vi.spyOn(webAudioSynth, 'playNote').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'stopNote').mockImplementation(() => {});
+            vi.spyOn(midiOutput, 'sendNoteOn').mockImplementation(() => {});
+            vi.spyOn(midiOutput, 'sendNoteOff').mockImplementation(() => {});
+
+            audioRouter.sendNote(0, 60, 100, 500, 1, { midiChannel: 4 });
+            vi.runAllTimers();
+            vi.useRealTimers();
+
+            expect(midiOutput.sendNoteOn).toHaveBeenCalledWith(4, 60, 100, 1000);
+            expect(midiOutput.sendNoteOff).toHaveBeenCalledWith(4, 60, 1500);
+            expect(webAudioSynth.playNote).toHaveBeenCalledWith(0, 60, 100, 1);
+            expect(webAudioSynth.stopNote).toHaveBeenCalledWith(0, 60, 1.5);
+        });
+
+        it('should keep MIDI messages out of renders', () => {
+            audioRouter.setRenderMode(true);
+
+            audioRouter.sendPitchBend(3, 1, 2);
+            audioRouter.sendProgramChange(3, 0);
+
+            expect(midiOutput.sendPitchBend).not.toHaveBeenCalled();
+            expect(midiOutput.sendProgramChange).not.toHaveBeenCalled();
+            expect(webAudioSynth.setPitchBend).toHaveBeenCalledWith(3, 1, 2);
+        });
+    });
+
+    describe('Tuning', () => {
+        const quarterTones = Tuning.fromCents(Array.from({ length: 24 }, (_, i) => (i + 1) * 50), { referenceNote: 60, referenceFrequency: 261.6255653005986 });
+
+        beforeEach(() => {
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 1);
+            vi.spyOn(webAudioSynth, 'playNote').mockImplementation(() => {});
+            ['sendNoteOn', 'sendPitchBend', 'sendSysEx'].forEach(method => {
+                vi.spyOn(midiOutput, method).mockImplementation(() => {});
+            });
+        });
+
+        afterEach(() => {
+            audioRouter.setTuning(null, { midi: 'none' });
+            vi.restoreAllMocks();
+        });
+
+        it('should bend MIDI notes onto the tuning before they start', () => {
+            audioRouter.setTuning(quarterTones, { midi: 'bend' });
+
+            audioRouter.startNote(0, 61, 100);    // A quarter tone above middle C: 50 cents below C#
+
+            const [bendChannel, bend] = midiOutput.sendPitchBend.mock.calls[0];
+            expect(bendChannel).toBe(0);
+            expect(bend).toBeCloseTo(-50 / 200, 9);
+            expect(midiOutput.sendNoteOn).toHaveBeenCalledWith(0, 61, 100, undefined);
+            expect(midiOutput.sendPitchBend.mock.invocationCallOrder[0])
+                .toBeLessThan(midiOutput.sendNoteOn.mock.invocationCallOrder[0]);
+        });
+
+        it('should not bend drums or notes that retune themselves', () => {
+            audioRouter.setTuning(quarterTones, { midi: 'bend' });
+
+            audioRouter.startNote(9, 61, 100);
+            audioRouter.startNote(0, 61, 100, null, { retune: false });
+
+            expect(midiOutput.sendPitchBend).not.toHaveBeenCalled();
+            expect(midiOutput.sendNoteOn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should recentre bent channels on their own bend when bending stops', () => {
+            audioRouter.setTuning(quarterTones, { midi: 'bend' });
+            audioRouter.startNote(0, 61, 100);
+            audioRouter.startNote(1, 61, 100);
+            vi.spyOn(webAudioSynth, 'getBendCents').mockImplementation(channel => (channel === 1 ? 100 : 0));
+            midiOutput.sendPitchBend.mockClear();
+
+            audioRouter.setMIDITuning('none');
+
+            expect(midiOutput.sendPitchBend.mock.calls).toEqual([[0, 0, undefined], [1, 0.5, undefined]]);
+
+            midiOutput.sendPitchBend.mockClear();
+            audioRouter.setMIDITuning('bend');
+            audioRouter.startNote(0, 61, 100);
+            audioRouter.setTuning(null);
+
+            expect(midiOutput.sendPitchBend.mock.calls).toEqual([[0, expect.any(Number), undefined], [0, 0, undefined]]);
+        });
+
+        it('should not send MIDI notes for unmapped keys', () => {
+            audioRouter.setTuning(Tuning.fromCents([1200], { size: 2, referenceNote: 60, referenceFrequency: 261.6, degrees: [0, null] }), { midi: 'bend' });
+
+            audioRouter.startNote(0, 61, 100);
+            audioRouter.startNote(0, 62, 100);
+
+            expect(midiOutput.sendNoteOn).toHaveBeenCalledTimes(1);
+            expect(midiOutput.sendNoteOn).toHaveBeenCalledWith(0, 62, 100, undefined);
+        });
+
+        it('should retune devices with MIDI Tuning Standard and back', () => {
+            midiOutput.initialized = true;
+            audioRouter.setTuning(quarterTones, { midi: 'mts' });
+
+            expect(midiOutput.sendSysEx.mock.calls.map(([message]) => message))
+                .toEqual(quarterTones.toMTSMessages());
+            expect(midiOutput.sendPitchBend).not.toHaveBeenCalled();
+
+            midiOutput.sendSysEx.mockClear();
+            audioRouter.setMIDITuning('none');
+
+            expect(midiOutput.sendSysEx.mock.calls.map(([message]) => message))
+                .toEqual(Tuning.equal().toMTSMessages());
+            midiOutput.initialized = false;
+        });
+    });
+});
@@ -0,0 +1,481 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BroadcastChannelBridge, BusBridge, WebSocketBridge } from '../../lib/bus_bridge.js';
+import { PrivateMessageBus } from '../../lib/pubsub.js';
+
+/**
+ * BroadcastChannel stand-in: delivers structured clones to the other
+ * channels with the same name, synchronously
+ */
+class FakeBroadcastChannel {
+    static channels = new Set();
+
+    constructor(name) {
+        this.name = name;
+        this.onmessage = null;
+        FakeBroadcastChannel.channels.add(this);
+    }
+
+    postMessage(message) {
+        const data = structuredClone(message);
+        [...FakeBroadcastChannel.channels]
+            .filter(channel => channel !== this && channel.name === this.name)
+            .forEach(channel => channel.onmessage?.({ data }));
+    }
+
+    close() {
+        FakeBroadcastChannel.channels.delete(this);
+    }
+}
+
+/**
+ * WebSocket stand-in: records what's sent; tests play the server side
+ */
+class FakeWebSocket {
+    static sockets = [];
+
+    constructor(url) {
+        this.url = url;
+        this.readyState = 0;
+        this.sent = [];
+        FakeWebSocket.sockets.push(this);
+    }
+
+    send(text) {
+        this.sent.push(JSON.parse(text));
+    }
+
+    close() {
+        this.readyState = 3;
+    }
+
+    serverOpen() {
+        this.readyState = 1;
+        this.onopen?.();
+    }
+
+    serverSend(message) {
+        this.onmessage?.({ data: typeof message === 'string' ? message : JSON.stringify(message) });
+    }
+
+    serverClose() {
+        this.readyState = 3;
+        this.onclose?.();
+    }
+}
+
+/**
+ * Clock stand-in with its own audio clock time
+ */
+function fakeClock(now) {
+    return { now, isRunning: false, getCurrentTime() { return this.now; }, stop: vi.fn(function() { this.isRunning = false; }) };
+}
+
+describe('BroadcastChannelBridge', () => {
+    let tabs;
+
+    /**
+     * Open a tab: its own bus, clock and bridge
+     */
+    function openTab(options = {}) {
+        const bus = new PrivateMessageBus();
+        const clock = fakeClock(options.now ?? 0);
+        const bridge = new BroadcastChannelBridge({
+            bus,
+            clock,
+            topics: ['context:*', 'clock:*'],
+            BroadcastChannel: FakeBroadcastChannel,
+            ...options
+        });
+        const received = [];
+        bus.subscribe('**', (data, topic) => received.push([topic, data]));
+        bridge.start();
+        const tab = { bus, clock, bridge, received };
+        tabs.push(tab);
+        return tab;
+    }
+
+    /**
+     * What a tab heard on a topic
+     */
+    function heard(tab, topic) {
+        return tab.received.filter(([t]) => t === topic).map(([, data]) => data);
+    }
+
+    beforeEach(() => {
+        tabs = [];
+    });
+
+    afterEach(() => {
+        tabs.forEach(tab => tab.bridge.stop());
+        FakeBroadcastChannel.channels.clear();
+        vi.restoreAllMocks();
+    });
+
+    describe('Mirroring', () => {
+        it('should mirror allowed topics to every other tab', () => {
+            const conductor = openTab();
+            const projector = openTab();
+            const third = openTab();
+
+            conductor.bus.publish('context:pool', { poolKey: '2#' });
+
+            expect(heard(projector, 'context:pool')).toEqual([{ poolKey: '2#' }]);
+            expect(heard(third, 'context:pool')).toEqual([{ poolKey: '2#' }]);
+            expect(heard(conductor, 'context:pool')).toEqual([{ poolKey: '2#' }]); // Not echoed back
+        });
+
+        it('should keep topics off the allow-list local, both ways', () => {
+            const conductor = openTab();
+            const projector = openTab({ topics: ['music:*', 'context:*'] });
+
+            conductor.bus.publish('music:chord', { chord: 'G' });
+            projector.bus.publish('music:chord', { chord: 'C' });
+
+            expect(heard(projector, 'music:chord')).toEqual([{ chord: 'C' }]);
+            expect(heard(conductor, 'music:chord')).toEqual([{ chord: 'G' }]);
+        });
+
+        it('should not send mirrored messages back', () => {
+            const conductor = openTab();
+            const projector = openTab();
+            const post = vi.spyOn(FakeBroadcastChannel.prototype, 'postMessage');
+
+            conductor.bus.publish('context:mood', { mood: 'tense' });
+
+            expect(post).toHaveBeenCalledTimes(1);
+            expect(heard(projector, 'context:mood').length).toBe(1);
+        });
+
+        it('should skip data that cannot be cloned', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const conductor = openTab();
+            const projector = openTab();
+
+            conductor.bus.publish('context:callback', { fn: () => {} });
+
+            expect(heard(projector, 'context:callback')).toEqual([]);
+            expect(console.error).toHaveBeenCalled();
+        });
+
+        it('should stop mirroring when stopped', () => {
+            const conductor = openTab();
+            const projector = openTab();
+
+            projector.bridge.stop();
+            conductor.bus.publish('context:pool', { poolKey: '0' });
+
+            expect(heard(projector, 'context:pool')).toEqual([]);
+        });
+
+        it('should mirror inbound and outbound topics one way only', () => {
+            const conductor = openTab({ topics: [], outbound: ['music:chord'], inbound: ['data:*'] });
+            const projector = openTab({ topics: [], outbound: ['data:point'], inbound: ['music:*'] });
+
+            conductor.bus.publish('music:chord', { chord: 'G' });
+            conductor.bus.publish('data:point', { value: 1 });
+            projector.bus.publish('data:point', { value: 2 });
+            projector.bus.publish('music:chord', { chord: 'C' });
+
+            expect(heard(projector, 'music:chord')).toEqual([{ chord: 'G' }, { chord: 'C' }]);
+            expect(heard(projector, 'data:point')).toEqual([{ value: 2 }]);
+            expect(heard(conductor, 'data:point')).toEqual([{ value: 1 }, { value: 2 }]);
+            expect(heard(conductor, 'music:chord')).toEqual([{ chord: 'G' }]);
+        });
+
+        it('should forward topics matched by overlapping patterns once', () => {
+            const conductor = openTab({ topics: ['context:*'], outbound: ['context:pool', 'context:**'] });
+            const projector = openTab();
+
+            conductor.bus.publish('context:pool', { poolKey: '1#' });
+
+            expect(heard(projector, 'context:pool')).toEqual([{ poolKey: '1#' }]);
+        });
+
+        it('should bring joining tabs up to date', () => {
+            const conductor = openTab();
+            conductor.bus.publish('context:pool', { poolKey: '3b' });
+            conductor.bus.publish('clock:tick', { tick: 5 });
+
+            const projector = openTab();
+
+            expect(heard(projector, 'context:pool')).toEqual([{ poolKey: '3b' }]);
+            expect(heard(projector, 'clock:tick')).toEqual([]);
+        });
+    });
+
+    describe('Clock', () => {
+        it('should only mirror the clock master', () => {
+            const conductor = openTab();
+            const projector = openTab();
+
+            conductor.bus.publish('clock:start', { tick: 0 });
+            conductor.bus.publish('clock:tick', { tick: 0 });
+            projector.bus.publish('clock:tick', { tick: 99 });  // Not the master
+
+            expect(conductor.bridge.isClockMaster()).toBe(true);
+            expect(projector.bridge.masterId).toBe(conductor.bridge.id);
+            expect(heard(projector, 'clock:tick')).toEqual([{ tick: 0 }, { tick: 99 }]);
+            expect(heard(conductor, 'clock:tick')).toEqual([{ tick: 0 }]);
+        });
+
+        it('should hand the clock to the tab that starts last and stop the old one', () => {
+            const conductor = openTab();
+            const projector = openTab();
+            conductor.bus.publish('clock:start', {});
+            conductor.clock.isRunning = true;
+
+            projector.bus.publish('clock:start', {});
+            conductor.bus.publish('clock:tick', { tick: 1 });
+
+            expect(projector.bridge.isClockMaster()).toBe(true);
+            expect(conductor.clock.stop).toHaveBeenCalled();
+            expect(heard(projector, 'clock:tick')).toEqual([]);
+        });
+
+        it('should never claim the clock when told not to', () => {
+            const projector = openTab({ clockMaster: false });
+
+            projector.bus.publish('clock:start', {});
+
+            expect(projector.bridge.isClockMaster()).toBe(false);
+        });
+
+        it('should tell joining tabs who the clock master is', () => {
+            const conductor = openTab({ clockMaster: true });
+            const projector = openTab();
+
+            conductor.bus.publish('clock:tick', { tick: 3 });
+
+            expect(projector.bridge.masterId).toBe(conductor.bridge.id);
+            expect(heard(projector, 'clock:tick')).toEqual([{ tick: 3 }]);
+        });
+
+        it('should move tick times onto the local audio clock', () => {
+            const conductor = openTab({ clockMaster: true, now: 10 });
+            const projector = openTab({ now: 250 });
+
+            conductor.bus.publish('clock:tick', { tick: 0, time: 10.08 });
+
+            expect(heard(projector, 'clock:tick')[0].time).toBeCloseTo(250.08, 9);
+        });
+    });
+
+    describe('Setup', () => {
+        it('should reject invalid options', () => {
+            expect(() => new BroadcastChannelBridge({ topics: 'context:*', BroadcastChannel: FakeBroadcastChannel })).toThrow(/topics/);
+            expect(() => new BroadcastChannelBridge({ inbound: [''], BroadcastChannel: FakeBroadcastChannel })).toThrow(/inbound/);
+            expect(() => new BroadcastChannelBridge({ clockMaster: 'yes', BroadcastChannel: FakeBroadcastChannel })).toThrow(/clock master/);
+            expect(() => new BroadcastChannelBridge({ BroadcastChannel: null })).toThrow(/needs BroadcastChannel/);
+        });
+
+        it('should leave the transport to subclasses', () => {
+            expect(() => new BusBridge({ bus: new PrivateMessageBus() }).start()).toThrow(/must implement connect/);
+        });
+    });
+});
+
+describe('WebSocketBridge', () => {
+    let bus;
+    let bridge;
+    let received;
+
+    /**
+     * Start a bridge on a fresh bus, like a page fed by a data pipeline
+     */
+    function startBridge(options = {}) {
+        bridge = new WebSocketBridge({
+            bus,
+            url: 'ws://localhost:8765',
+            inbound: ['data:*'],
+            outbound: ['music:chord'],
+            WebSocket: FakeWebSocket,
+            id: 'page',
+            ...options
+        });
+        bridge.start();
+        return FakeWebSocket.sockets.at(-1);
+    }
+
+    /**
+     * Publish envelopes the bridge sent
+     */
+    function published(socket) {
+        return socket.sent.filter(message => message.type === 'publish');
+    }
+
+    beforeEach(() => {
+        bus = new PrivateMessageBus();
+        received = [];
+        bus.subscribe('**', (data, topic) => received.push([topic, data]));
+    });
+
+    afterEach(() => {
+        bridge?.stop();
+        FakeWebSocket.sockets = [];
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('Envelopes', () => {
+        it('should publish inbound envelopes on the local bus', () => {
+            const socket = startBridge();
+            socket.serverOpen();
+
+            socket.serverSend({ type: 'publish', topic: 'data:point', data: { x: 3, y: 0.5 } });
+            socket.serverSend({ type: 'publish', topic: 'music:chord', data: { chord: 'F' } }); // Outbound only
+
+            expect(received).toEqual([['data:point', { x: 3, y: 0.5 }]]);
+        });
+
+        it('should send outbound topics as JSON envelopes', () => {
+            const socket = startBridge();
+            socket.serverOpen();
+
+            bus.publish('music:chord', { chord: 'G7' });
+            bus.publish('data:point', { x: 1 }); // Inbound only
+
+            expect(socket.url).toBe('ws://localhost:8765');
+            expect(socket.sent).toEqual([
+                { type: 'hello', origin: 'page' },
+                { type: 'publish', origin: 'page', topic: 'music:chord', data: { chord: 'G7' } }
+            ]);
+        });
+
+        it('should send what subscribers publish in response to an inbound message', () => {
+            const listeners = new Set();
+            const notes = {
+                addNoteListener: (listener) => listeners.add(listener),
+                removeNoteListener: (listener) => listeners.delete(listener)
+            };
+            const socket = startBridge({ notes, inbound: ['data:*', 'music:chord'] });
+            socket.serverOpen();
+            const noteEvent = { channel: 0, note: 65, velocity: 90, duration: 250, time: 2 };
+            bus.subscribe('data:point', () => {
+                bus.publish('music:chord', { chord: 'F' });
+                listeners.forEach(listener => listener(noteEvent));
+            });
+
+            socket.serverSend({ type: 'publish', topic: 'data:point', data: { x: 4, y: 0.9 } });
+            socket.serverSend({ type: 'publish', topic: 'music:chord', data: { chord: 'Bb' } });
+
+            expect(published(socket).map(({ topic, data }) => [topic, data])).toEqual([
+                ['music:chord', { chord: 'F' }],
+                ['music:note', noteEvent]
+            ]);
+        });
+
+        it('should ignore messages that are not JSON objects', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const socket = startBridge();
+            socket.serverOpen();
+
+            socket.serverSend('not json');
+            socket.serverSend('[1, 2]');
+            socket.serverSend({ type: 'publish', topic: 'data:region', data: { start: 2 } });
+
+            expect(received).toEqual([['data:region', { start: 2 }]]);
+            expect(console.warn).toHaveBeenCalledTimes(2);
+        });
+
+        it('should forward sent notes as music:note', () => {
+            const listeners = new Set();
+            const notes = {
+                addNoteListener: (listener) => listeners.add(listener),
+                removeNoteListener: (listener) => listeners.delete(listener)
+            };
+            const socket = startBridge({ notes });
+            socket.serverOpen();
+
+            const noteEvent = { channel: 0, note: 60, velocity: 90, duration: 250, time: 1.5 };
+            listeners.forEach(listener => listener(noteEvent));
+            bridge.stop();
+
+            expect(published(socket)).toEqual([{ type: 'publish', origin: 'page', topic: 'music:note', data: noteEvent }]);
+            expect(listeners.size).toBe(0);
+        });
+    });
+
+    describe('Connection', () => {
+        it('should queue publishes until connected, except clock topics', () => {
+            const socket = startBridge({ outbound: ['music:chord', 'clock:*'], clockMaster: true });
+
+            bus.publish('music:chord', { chord: 'C' });
+            bus.publish('clock:tick', { tick: 0 });
+            expect(socket.sent).toEqual([]);
+
+            socket.serverOpen();
+
+            expect(socket.sent).toEqual([
+                { type: 'hello', origin: 'page' },
+                { type: 'clock', origin: 'page' },
+                { type: 'publish', origin: 'page', topic: 'music:chord', data: { chord: 'C' } }
+            ]);
+        });
+
+        it('should keep only the newest queued publishes', () => {
+            const socket = startBridge();
+
+            for (let i = 0; i < WebSocketBridge.OUTBOX_SIZE + 5; i++) {
+                bus.publish('music:chord', { index: i });
+            }
+            socket.serverOpen();
+
+            const chords = published(socket);
+            expect(chords.length).toBe(WebSocketBridge.OUTBOX_SIZE);
+            expect(chords[0].data).toEqual({ index: 5 });
+        });
+
+        it('should reconnect with a growing delay and say hello again', () => {
+            vi.useFakeTimers();
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            const first = startBridge();
+            first.serverOpen();
+
+            first.serverClose();
+            vi.advanceTimersByTime(WebSocketBridge.RECONNECT_DELAY - 1);
+            expect(FakeWebSocket.sockets.length).toBe(1);
+            vi.advanceTimersByTime(1);
+            expect(FakeWebSocket.sockets.length).toBe(2);
+
+            FakeWebSocket.sockets[1].serverClose(); // Relay still down
+            vi.advanceTimersByTime(WebSocketBridge.RECONNECT_DELAY * 2 - 1);
+            expect(FakeWebSocket.sockets.length).toBe(2);
+            vi.advanceTimersByTime(1);
+
+            const third = FakeWebSocket.sockets[2];
+            third.serverOpen();
+            expect(third.sent).toEqual([{ type: 'hello', origin: 'page' }]);
+            expect(bridge.reconnectDelay).toBe(WebSocketBridge.RECONNECT_DELAY);
+        });
+
+        it('should cap the reconnection delay', () => {
+            vi.useFakeTimers();
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            startBridge();
+
+            for (let i = 0; i < 10; i++) {
+                FakeWebSocket.sockets.at(-1).serverClose();
+                vi.runOnlyPendingTimers();
+            }
+
+            expect(bridge.reconnectDelay).toBe(WebSocketBridge.MAX_RECONNECT_DELAY);
+        });
+
+        it('should not reconnect once stopped', () => {
+            vi.useFakeTimers();
+            const socket = startBridge();
+            socket.serverOpen();
+
+            bridge.stop();
+            socket.serverClose();
+            vi.runAllTimers();
+
+            expect(FakeWebSocket.sockets.length).toBe(1);
+            expect(socket.readyState).toBe(3);
+        });
+
+        it('should need WebSocket', () => {
+            expect(() => new WebSocketBridge({ WebSocket: undefined })).toThrow(/needs WebSocket/);
+        });
+    });
+});
@@ -0,0 +1,227 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { BusRecorder, BusReplayer, parseSession } from '../../lib/bus_recorder.js';
+import { PrivateMessageBus } from '../../lib/pubsub.js';
+
+describe('Bus Sessions', () => {
+    let bus;
+    let clock;
+
+    /**
+     * Recorder on the test bus with a hand-driven clock (ms)
+     */
+    function startRecorder(options = {}) {
+        const recorder = new BusRecorder({ bus, now: () => clock, ...options });
+        recorder.start();
+        return recorder;
+    }
+
+    /**
+     * Everything published on a bus, in order
+     */
+    function listen(target) {
+        const heard = [];
+        target.subscribe('**', (data, topic) => heard.push([topic, data]));
+        return heard;
+    }
+
+    beforeEach(() => {
+        bus = new PrivateMessageBus();
+        clock = 1000;
+    });
+
+    afterEach(() => {
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('BusRecorder', () => {
+        it('should record every topic with its time and the clock tick', () => {
+            const recorder = startRecorder();
+
+            bus.publish('context:pool', { poolKey: '0' });
+            clock = 1250.5;
+            bus.publish('clock:tick', { tick: 24 });
+            bus.publish('music:chord', { chord: 'F' });
+            recorder.stop();
+            bus.publish('music:chord', { chord: 'G' });
+
+            expect(recorder.events).toEqual([
+                { t: 0, tick: null, topic: 'context:pool', data: { poolKey: '0' } },
+                { t: 250.5, tick: 24, topic: 'clock:tick', data: { tick: 24 } },
+                { t: 250.5, tick: 24, topic: 'music:chord', data: { chord: 'F' } }
+            ]);
+        });
+
+        it('should record what a tick handler publishes after that tick', () => {
+            bus.subscribe('clock:tick', (data) => {
+                if (data.tick === 96) {
+                    bus.publish('music:chord', { chord: 'Bb' });
+                }
+            });
+            const recorder = startRecorder();
+
+            bus.publish('clock:tick', { tick: 95 });
+            bus.publish('clock:tick', { tick: 96 });
+
+            expect(recorder.events.map(event => [event.topic, event.tick])).toEqual([
+                ['clock:tick', 95],
+                ['clock:tick', 96],
+                ['music:chord', 96]
+            ]);
+        });
+
+        it('should record only the chosen topics', () => {
+            const recorder = startRecorder({ topics: ['music:*', 'clock:*'], exclude: ['clock:tick'] });
+
+            bus.publish('clock:tick', { tick: 48 });
+            bus.publish('music:chord', { chord: 'C' });
+            bus.publish('data:point', { y: 1 });
+
+            expect(recorder.events.map(event => [event.topic, event.tick])).toEqual([['music:chord', 48]]);
+        });
+
+        it('should record data as it was when published', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const recorder = startRecorder();
+            const chord = { chord: 'Am', voicing: [57, 60, 64] };
+            const cyclic = {};
+            cyclic.self = cyclic;
+
+            bus.publish('music:chord', chord);
+            chord.voicing.push(67);
+            bus.publish('debug:cycle', cyclic);
+            bus.publish('clock:stop');
+
+            expect(recorder.events.map(event => event.data)).toEqual([{ chord: 'Am', voicing: [57, 60, 64] }, null]);
+            expect(console.error).toHaveBeenCalledTimes(1);
+        });
+
+        it('should clear the previous recording when started again', () => {
+            const recorder = startRecorder();
+            bus.publish('music:chord', { chord: 'C' });
+            recorder.stop();
+
+            recorder.start();
+
+            expect(recorder.events).toEqual([]);
+            expect(recorder.tick).toBeNull();
+        });
+    });
+
+    describe('NDJSON', () => {
+        it('should export a header and one event per line, and read it back', () => {
+            const recorder = startRecorder();
+            bus.publish('clock:tick', { tick: 0 });
+            clock = 1500;
+            bus.publish('music:chord', { chord: 'G7' });
+
+            const text = recorder.export();
+            const lines = text.trim().split('\n').map(line => JSON.parse(line));
+
+            expect(lines.length).toBe(3);
+            expect(lines[0]).toMatchObject({ format: 'sonofire-bus-session', version: 1 });
+            expect(parseSession(text)).toEqual(recorder.events);
+        });
+
+        it('should read hand-written fixtures without a header', () => {
+            const text = [
+                '{"t":500,"topic":"music:chord","data":{"chord":"C"}}',
+                '',
+                '{"topic":"context:pool","data":{"poolKey":"0"}}'
+            ].join('\n');
+
+            expect(parseSession(text)).toEqual([
+                { t: 0, tick: null, topic: 'context:pool', data: { poolKey: '0' } },
+                { t: 500, tick: null, topic: 'music:chord', data: { chord: 'C' } }
+            ]);
+        });
+
+        it('should reject invalid sessions', () => {
+            expect(() => parseSession('{"topic":"a"}\n{oops')).toThrow(/line 2 is not JSON/);
+            expect(() => parseSession('{"t":0,"data":1}')).toThrow(/line 1 has no topic/);
+            expect(() => parseSession('{"format":"sonofire-bus-session","version":9}')).toThrow(/version: 9/);
+        });
+    });
+
+    describe('BusReplayer', () => {
+        const session = [
+            { t: 0, tick: null, topic: 'context:pool', data: { poolKey: '3b' } },
+            { t: 1000, tick: 24, topic: 'music:chord', data: { chord: 'Eb' } },
+            { t: 3000, tick: 72, topic: 'music:chord', data: { chord: 'Ab' } }
+        ];
+
+        it('should publish everything at once into a fresh bus', async () => {
+            const fresh = new PrivateMessageBus();
+            const heard = listen(fresh);
+
+            const published = await new BusReplayer(session, { bus: fresh, speed: Infinity }).play();
+
+            expect(published).toBe(3);
+            expect(heard).toEqual(session.map(({ topic, data }) => [topic, data]));
+            expect(fresh.last('music:chord')).toEqual({ chord: 'Ab' });
+        });
+
+        it('should keep the recorded timing, scaled by the speed', async () => {
+            vi.useFakeTimers();
+            const heard = listen(bus);
+            const replayer = new BusReplayer(session, { bus, speed: 2, now: () => Date.now() });
+
+            const finished = replayer.play();
+            expect(heard.length).toBe(1);
+            vi.advanceTimersByTime(499);
+            expect(heard.length).toBe(1);
+            vi.advanceTimersByTime(1);
+            expect(heard.length).toBe(2);
+            vi.advanceTimersByTime(1000);
+
+            expect(await finished).toBe(3);
+            expect(replayer.isPlaying).toBe(false);
+        });
+
+        it('should stop where it is', async () => {
+            vi.useFakeTimers();
+            const heard = listen(bus);
+            const replayer = new BusReplayer(session, { bus, now: () => Date.now() });
+
+            const finished = replayer.play();
+            vi.advanceTimersByTime(1000);
+            replayer.stop();
+            vi.runAllTimers();
+
+            expect(await finished).toBe(2);
+            expect(heard.map(([, data]) => data.chord ?? data.poolKey)).toEqual(['3b', 'Eb']);
+        });
+
+        it('should replay only the chosen topics, unchanged by subscribers', async () => {
+            const heard = listen(bus);
+            bus.subscribe('music:chord', (data) => { data.chord = 'changed'; });
+            const replayer = new BusReplayer(session, { bus, speed: Infinity, topics: ['music:*'] });
+
+            await replayer.play();
+            await replayer.play();
+
+            expect(heard.length).toBe(4);
+            expect(replayer.events[0].data).toEqual({ chord: 'Eb' });
+        });
+
+        it('should replay what it recorded', async () => {
+            const recorder = startRecorder();
+            bus.publish('context:pool', { poolKey: '1#' });
+            clock = 1100;
+            bus.publish('music:chord', { chord: 'D' });
+            recorder.stop();
+
+            const fresh = new PrivateMessageBus();
+            const heard = listen(fresh);
+            await new BusReplayer(parseSession(recorder.export()), { bus: fresh, speed: Infinity }).play();
+
+            expect(heard).toEqual([['context:pool', { poolKey: '1#' }], ['music:chord', { chord: 'D' }]]);
+        });
+
+        it('should reject invalid options', () => {
+            expect(() => new BusReplayer(session, { speed: 0 })).toThrow(/speed/);
+            expect(() => new BusReplayer(session, { speed: -1 })).toThrow(/speed/);
+            expect(() => new BusReplayer('{"topic":"a"}')).toThrow(/array of events/);
+        });
+    });
+});
@@ -0,0 +1,31 @@
+import { describe, it, expect } from 'vitest';
+import { parseCSV } from '../../lib/csv.js';
+
+describe('CSV parser', () => {
+    it('should key rows by the header and keep values as strings', () => {
+        const rows = parseCSV('date,production\n1956-01-01T00:00:00Z,93.2\n1956-02-01T00:00:00Z,96\n');
+
+        expect(rows.columns).toEqual(['date', 'production']);
+        expect([...rows]).toEqual([
+            { date: '1956-01-01T00:00:00Z', production: '93.2' },
+            { date: '1956-02-01T00:00:00Z', production: '96' }
+        ]);
+    });
+
+    it('should handle quoted fields with commas, quotes and newlines', () => {
+        const rows = parseCSV('name,note\n"Smith, J.","said ""hi""\nthen left"\n');
+
+        expect([...rows]).toEqual([{ name: 'Smith, J.', note: 'said "hi"\nthen left' }]);
+    });
+
+    it('should handle CRLF, a byte order mark, blank lines and a missing final newline', () => {
+        const rows = parseCSV('﻿x,y\r\n1,2\r\n\r\n3,4');
+
+        expect(rows.columns).toEqual(['x', 'y']);
+        expect([...rows]).toEqual([{ x: '1', y: '2' }, { x: '3', y: '4' }]);
+    });
+
+    it('should fill missing trailing fields with empty strings', () => {
+        expect([...parseCSV('a,b,c\n1,2\n')]).toEqual([{ a: '1', b: '2', c: '' }]);
+    });
+});
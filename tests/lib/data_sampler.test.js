@@ -0,0 +1,85 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { DataSampler } from '../../lib/data_sampler.js';
+
+// 101 evenly spaced points: x = 0..100, y = x
+const series = Array.from({ length: 101 }, (_, i) => ({ x: i, y: i }));
+const accessors = { getX: d => d.x, getY: d => d.y };
+
+describe('DataSampler', () => {
+    let sampler;
+
+    beforeEach(() => {
+        sampler = new DataSampler();
+        sampler.setData(series, accessors);
+    });
+
+    it('should detect the X domain and pad the Y domain by 5%', () => {
+        expect(sampler.xDomain).toEqual([0, 100]);
+        expect(sampler.yDomain).toEqual([-5, 105]);
+    });
+
+    it('should use domain overrides', () => {
+        sampler.setData(series, { ...accessors, xDomain: [0, 200], yDomain: [0, 100] });
+
+        expect(sampler.positions[100]).toBe(0.5);
+        expect(sampler.normalize(25)).toBe(0.25);
+    });
+
+    it('should sample the points in the window around a position once', () => {
+        const sample = sampler.sample('ph', 0.5);
+
+        expect(sample.indices).toEqual([50]);
+        expect(sample.value).toBe(50);
+        expect(sample.normalizedValue).toBeCloseTo(55 / 110);
+
+        // Still in the window: already sampled
+        expect(sampler.sample('ph', 0.501)).toBeNull();
+    });
+
+    it('should average the points crossed in one step', () => {
+        sampler.setData(series, { ...accessors, xDomain: [0, 1000] });
+
+        // Positions 0.040-0.050 are within 0.8% behind / 0.2% ahead of 0.048
+        const sample = sampler.sample('ph', 0.048);
+
+        expect(sample.indices).toEqual([40, 41, 42, 43, 44, 45, 46, 47, 48, 49, 50]);
+        expect(sample.value).toBe(45);
+    });
+
+    it('should track each playhead separately', () => {
+        expect(sampler.sample('a', 0.5)).not.toBeNull();
+        expect(sampler.sample('b', 0.5)).not.toBeNull();
+    });
+
+    it('should sample every point once per sweep', () => {
+        const counts = new Array(series.length).fill(0);
+        let position = 0;
+
+        // Two sweeps: the next step would start a third
+        for (let step = 0; step < 2 * 960 - 1; step++) {
+            position = sampler.advance(position, 960);
+            sampler.sample('ph', position)?.indices.forEach(i => counts[i]++);
+        }
+
+        expect(counts.every(count => count === 2)).toBe(true);
+    });
+
+    it('should wrap advanced positions back to the start', () => {
+        expect(sampler.advance(0.5, 4)).toBe(0.75);
+        expect(sampler.advance(0.75, 4)).toBe(0);
+    });
+
+    it('should forget what a playhead sampled', () => {
+        sampler.sample('ph', 0.5);
+        sampler.forget('ph');
+
+        expect(sampler.sample('ph', 0.5).indices).toEqual([50]);
+    });
+
+    it('should list the points between two positions in X order', () => {
+        const points = sampler.getPointsBetween(0.1, 0.12);
+
+        expect(points.map(p => p.index)).toEqual([10, 11, 12]);
+        expect(points[0]).toEqual({ index: 10, position: 0.1, value: 10, normalizedValue: 15 / 110 });
+    });
+});
@@ -0,0 +1,114 @@
+import { describe, it, expect, afterEach, vi } from 'vitest';
+import { DrumKit } from '../../lib/drum_kit.js';
+
+const manifest = {
+    name: 'test-kit',
+    notes: {
+        36: 'kick.wav',
+        42: ['hat_1.wav', 'hat_2.wav'],
+        38: [
+            { velocity: [0, 79], samples: ['snare_soft.wav'] },
+            { velocity: [80, 127], samples: ['snare_hard_1.wav', 'snare_hard_2.wav'] }
+        ],
+        49: 'https://example.com/crash.wav'
+    },
+    drumNotes: { hihat: 44 }
+};
+
+/**
+ * A kit whose samples have "loaded" as their file names
+ */
+function loadedKit(definition = manifest, missing = []) {
+    const kit = new DrumKit(definition, 'kits/test/kit.json');
+    kit.getSampleUrls()
+        .filter(url => !missing.some(name => url.endsWith(name)))
+        .forEach(url => kit.buffers.set(url, url.split('/').pop()));
+    return kit;
+}
+
+describe('DrumKit', () => {
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    describe('Manifest', () => {
+        it('should resolve sample paths against the manifest', () => {
+            const kit = new DrumKit(manifest, 'kits/test/kit.json');
+
+            expect(kit.label).toBe('test-kit');
+            expect(kit.drumNotes).toEqual({ hihat: 44 });
+            expect(kit.getSampleUrls()).toEqual([
+                'kits/test/kick.wav',
+                'kits/test/snare_soft.wav',
+                'kits/test/snare_hard_1.wav',
+                'kits/test/snare_hard_2.wav',
+                'kits/test/hat_1.wav',
+                'kits/test/hat_2.wav',
+                'https://example.com/crash.wav'
+            ]);
+        });
+
+        it.each([
+            [{ notes: { 36: 'kick.wav' } }, /missing name/],
+            [{ name: 'x', notes: {} }, /at least one note/],
+            [{ name: 'x', notes: { 128: 'a.wav' } }, /"128" is not a MIDI note/],
+            [{ name: 'x', notes: { 36: [] } }, /note 36 layer 0 needs sample file names/],
+            [{ name: 'x', notes: { 36: [{ velocity: [90, 10], samples: ['a.wav'] }] } }, /velocity must be/],
+            [{ name: 'x', notes: { 36: [{ samples: [] }] } }, /needs sample file names/],
+            [{ name: 'x', notes: { 36: 'a.wav' }, level: -1 }, /level must be/],
+            [{ name: 'x', notes: { 36: 'a.wav' }, drumNotes: { kick: 200 } }, /drumNotes.kick must be a MIDI note/]
+        ])('should reject %j', (definition, message) => {
+            expect(() => new DrumKit(definition)).toThrow(message);
+        });
+    });
+
+    describe('Selection', () => {
+        it('should pick the velocity layer for a hit', () => {
+            const kit = loadedKit();
+
+            expect(kit.select(38, 40)).toBe('snare_soft.wav');
+            expect(kit.select(38, 80)).toBe('snare_hard_1.wav');
+            expect(kit.select(36, 127)).toBe('kick.wav');
+        });
+
+        it('should cycle through round robin samples', () => {
+            const kit = loadedKit();
+
+            expect([1, 2, 3].map(() => kit.select(42, 100))).toEqual(['hat_1.wav', 'hat_2.wav', 'hat_1.wav']);
+        });
+
+        it('should leave missing samples to the synthesized drums', () => {
+            const kit = loadedKit(manifest, ['kick.wav', 'hat_2.wav']);
+
+            expect(kit.select(36, 100)).toBeNull();
+            expect(kit.select(46, 100)).toBeNull();
+            expect([1, 2].map(() => kit.select(42, 100))).toEqual(['hat_1.wav', 'hat_1.wav']);
+        });
+
+        it('should scale level by velocity', () => {
+            const kit = new DrumKit({ name: 'x', notes: { 36: 'a.wav' }, level: 0.5, velocityCurve: 1 });
+
+            expect(kit.getGain(127)).toBe(0.5);
+            expect(kit.getGain(0)).toBe(0);
+        });
+    });
+
+    describe('Loading', () => {
+        it('should decode the samples it can fetch', async () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            vi.stubGlobal('fetch', vi.fn(async (url) => url.endsWith('kick.wav')
+                ? { ok: true, arrayBuffer: async () => `data:${url}` }
+                : { ok: false, status: 404, statusText: 'Not Found' }));
+            const context = { decodeAudioData: vi.fn(async (data) => ({ decoded: data })) };
+
+            const kit = new DrumKit({ name: 'x', notes: { 36: 'kick.wav', 38: 'snare.wav' } }, 'kits/kit.json');
+            const loaded = await kit.load(context);
+
+            expect(loaded).toBe(1);
+            expect(kit.select(36, 100)).toEqual({ decoded: 'data:kits/kick.wav' });
+            expect(kit.select(38, 100)).toBeNull();
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('kits/snare.wav (404 Not Found)'));
+        });
+    });
+});
@@ -0,0 +1,153 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { EffectsBus } from '../../lib/effects_bus.js';
+
+/**
+ * Minimal AudioContext stand-in that records the graph and automation
+ */
+class FakeParam {
+    constructor() {
+        this.value = 0;
+        this.events = [];
+    }
+
+    setTargetAtTime(value, time) {
+        this.events.push([value, time]);
+    }
+}
+
+class FakeNode {
+    constructor(kind, params = []) {
+        this.kind = kind;
+        this.connections = [];
+        params.forEach(param => {
+            this[param] = new FakeParam();
+        });
+    }
+
+    connect(destination) {
+        this.connections.push(destination);
+    }
+
+    disconnect() {
+        this.connections = [];
+    }
+}
+
+class FakeContext {
+    constructor() {
+        this.sampleRate = 100;
+        this.destination = new FakeNode('destination');
+    }
+
+    createGain() {
+        return new FakeNode('gain', ['gain']);
+    }
+
+    createConvolver() {
+        return new FakeNode('convolver');
+    }
+
+    createDelay() {
+        return new FakeNode('delay', ['delayTime']);
+    }
+
+    createDynamicsCompressor() {
+        return new FakeNode('compressor', ['threshold', 'ratio', 'knee', 'attack', 'release']);
+    }
+
+    createBuffer(channels, length) {
+        const data = Array.from({ length: channels }, () => new Float32Array(length));
+        return { length, getChannelData: (channel) => data[channel] };
+    }
+}
+
+describe('EffectsBus', () => {
+    let context;
+    let master;
+    let bus;
+
+    beforeEach(() => {
+        context = new FakeContext();
+        master = new FakeNode('master');
+        bus = new EffectsBus(context, master, {
+            settings: EffectsBus.defaults(),
+            bpm: 120,
+            random: () => 1
+        });
+    });
+
+    it('should route the master through the compressor and the effects back into the master', () => {
+        expect(master.connections).toEqual([bus.compressor]);
+        expect(bus.compressor.connections).toEqual([context.destination]);
+
+        expect(bus.getSendInput('reverb').connections).toEqual([bus.convolver]);
+        expect(bus.reverbReturn.connections).toEqual([master]);
+
+        expect(bus.getSendInput('delay').connections).toEqual([bus.delay]);
+        expect(bus.delay.connections).toEqual([bus.feedback, bus.delayReturn]);
+        expect(bus.feedback.connections).toEqual([bus.delay]);
+        expect(bus.delayReturn.connections).toEqual([master]);
+    });
+
+    it('should route the master through the compressor again after a disconnect', () => {
+        master.disconnect();
+        bus.connectMaster();
+
+        expect(master.connections).toEqual([bus.compressor]);
+    });
+
+    it('should start from the settings given', () => {
+        expect(bus.reverbReturn.gain.value).toBe(0.3);
+        expect(bus.feedback.gain.value).toBe(0.35);
+        expect(bus.compressor.threshold.value).toBe(-12);
+        expect(bus.compressor.ratio.value).toBe(4);
+    });
+
+    it('should build a decaying stereo impulse as long as the decay', () => {
+        const impulse = bus.convolver.buffer;
+
+        expect(impulse.length).toBe(200); // 2 s at 100 Hz
+        [0, 1].forEach(channel => {
+            const data = impulse.getChannelData(channel);
+            expect(data[0]).toBe(1);
+            expect(data[100]).toBeCloseTo(0.125);
+            expect(data[199]).toBeLessThan(0.001);
+        });
+
+        bus.set('reverbDecay', 0.5, 0);
+        expect(bus.convolver.buffer.length).toBe(50);
+    });
+
+    it('should sync the delay to the tempo', () => {
+        expect(bus.delay.delayTime.value).toBe(0.375); // Dotted eighth at 120 BPM
+
+        bus.setTempo(60, 3);
+        expect(bus.delay.delayTime.events).toEqual([[0.75, 3]]);
+
+        bus.set('delayDivision', '1/4', 4);
+        expect(bus.delay.delayTime.events[1]).toEqual([1, 4]);
+
+        bus.setTempo(6, 5);
+        expect(bus.getDelayTime()).toBe(5); // Capped at the delay line length
+    });
+
+    it('should glide wet levels and dynamics to new settings', () => {
+        bus.set('reverbWet', 0.8, 2);
+        bus.set('delayWet', 0.1, 2);
+        bus.set('compressorThreshold', -24, 2);
+
+        expect(bus.reverbReturn.gain.events).toEqual([[0.8, 2]]);
+        expect(bus.delayReturn.gain.events).toEqual([[0.1, 2]]);
+        expect(bus.compressor.threshold.events).toEqual([[-24, 2]]);
+        expect(bus.settings.reverbWet).toBe(0.8);
+    });
+
+    it.each([
+        ['chorusWet', 0.5, /Unknown effect setting "chorusWet"/],
+        ['reverbWet', 1.5, /reverbWet must be a number from 0 to 1/],
+        ['delayFeedback', '0.5', /must be a number/],
+        ['delayDivision', '1/3', /delayDivision must be one of/]
+    ])('should reject %s = %j', (name, value, message) => {
+        expect(() => EffectsBus.check(name, value)).toThrow(message);
+    });
+});
@@ -0,0 +1,197 @@
+import { describe, it, expect, beforeAll, beforeEach, afterEach } from 'vitest';
+import { WebSocketBridge } from '../../../lib/bus_bridge.js';
+import { PrivateMessageBus } from '../../../lib/pubsub.js';
+
+// The relay runs in Node; browser runs skip it
+const inNode = typeof process !== 'undefined' && Boolean(process.versions?.node);
+
+describe.skipIf(!inNode)('BusRelay', () => {
+    let BusRelay;
+    let encodeFrame;
+    let FrameReader;
+    let connect;
+    let relay;
+    let port;
+    let clients;
+
+    /**
+     * Minimal WebSocket client over a TCP socket, with the browser API
+     * WebSocketBridge uses (what a page or a Python pipeline would do)
+     */
+    function makeClientClass() {
+        return class TestWebSocket {
+            constructor(url) {
+                const { hostname, port } = new URL(url);
+                this.readyState = 0;
+                this.received = [];
+                this.reader = new FrameReader();
+                this.socket = connect({ host: hostname, port: Number(port) });
+                this.socket.on('connect', () => {
+                    this.socket.write([
+                        'GET / HTTP/1.1',
+                        `Host: ${hostname}:${port}`,
+                        'Upgrade: websocket',
+                        'Connection: Upgrade',
+                        'Sec-WebSocket-Key: dGhlIHNhbXBsZSBub25jZQ==',
+                        'Sec-WebSocket-Version: 13',
+                        '',
+                        ''
+                    ].join('\r\n'));
+                });
+                let handshake = '';
+                this.socket.on('data', (chunk) => {
+                    if (this.readyState === 0) {
+                        handshake += chunk.toString('latin1');
+                        const end = handshake.indexOf('\r\n\r\n');
+                        if (end < 0) {
+                            return;
+                        }
+                        this.handshake = handshake.slice(0, end);
+                        this.readyState = 1;
+                        this.onopen?.();
+                        chunk = Buffer.from(handshake.slice(end + 4), 'latin1');
+                    }
+                    this.reader.push(chunk).forEach(({ opcode, payload }) => {
+                        if (opcode === 1) {
+                            this.received.push(payload.toString('utf8'));
+                            this.onmessage?.({ data: payload.toString('utf8') });
+                        }
+                    });
+                });
+                this.socket.on('close', () => {
+                    this.readyState = 3;
+                    this.onclose?.();
+                });
+                clients.push(this);
+            }
+
+            send(text) {
+                this.socket.write(encodeFrame(text, { mask: Buffer.from([1, 2, 3, 4]) }));
+            }
+
+            close() {
+                this.readyState = 3;
+                this.socket.destroy();
+            }
+        };
+    }
+
+    /**
+     * Wait until a condition holds (real sockets deliver asynchronously)
+     */
+    async function until(condition, timeout = 2000) {
+        const deadline = Date.now() + timeout;
+        while (!condition()) {
+            if (Date.now() > deadline) {
+                throw new Error('Timed out');
+            }
+            await new Promise(resolve => setTimeout(resolve, 5));
+        }
+    }
+
+    beforeAll(async () => {
+        ({ BusRelay, encodeFrame, FrameReader } = await import('../../../lib/headless/bus_relay.js'));
+        ({ connect } = await import('node:net'));
+    });
+
+    beforeEach(async () => {
+        clients = [];
+        relay = new BusRelay({ port: 0 });
+        port = await relay.start();
+    });
+
+    afterEach(async () => {
+        clients.forEach(client => client.close());
+        await relay.stop();
+    });
+
+    it('should complete the WebSocket handshake', async () => {
+        const TestWebSocket = makeClientClass();
+        const client = new TestWebSocket(`ws://127.0.0.1:${port}`);
+
+        await until(() => client.readyState === 1);
+
+        expect(client.handshake).toContain('101 Switching Protocols');
+        expect(client.handshake).toContain('Sec-WebSocket-Accept: s3pPLMBiTxaQ9kYGzzhZRbK+xOo=');
+    });
+
+    it('should pass text messages to every other client', async () => {
+        const TestWebSocket = makeClientClass();
+        const pipeline = new TestWebSocket(`ws://127.0.0.1:${port}`);
+        const pageA = new TestWebSocket(`ws://127.0.0.1:${port}`);
+        const pageB = new TestWebSocket(`ws://127.0.0.1:${port}`);
+        await until(() => relay.clients.size === 3);
+
+        const long = JSON.stringify({ type: 'publish', topic: 'data:forecast', data: 'x'.repeat(70000) });
+        pipeline.send('{"type":"publish","topic":"data:point","data":{"y":1}}');
+        pipeline.send(long);
+
+        await until(() => pageA.received.length === 2 && pageB.received.length === 2);
+        expect(pageA.received[0]).toBe('{"type":"publish","topic":"data:point","data":{"y":1}}');
+        expect(pageB.received[1]).toBe(long);
+        expect(pipeline.received).toEqual([]);
+    });
+
+    it('should answer plain HTTP requests with 426', async () => {
+        const response = await new Promise((resolve, reject) => {
+            const socket = connect({ host: '127.0.0.1', port }, () => {
+                socket.write('GET / HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n');
+            });
+            let text = '';
+            socket.on('data', (chunk) => { text += chunk; });
+            socket.on('end', () => resolve(text));
+            socket.on('error', reject);
+        });
+
+        expect(response).toMatch(/^HTTP\/1\.1 426/);
+    });
+
+    it('should connect two pages through WebSocketBridges', async () => {
+        const TestWebSocket = makeClientClass();
+        const conductorBus = new PrivateMessageBus();
+        const projectorBus = new PrivateMessageBus();
+        const conductor = new WebSocketBridge({ bus: conductorBus, url: `ws://127.0.0.1:${port}`, topics: ['context:*'], WebSocket: TestWebSocket });
+        const projector = new WebSocketBridge({ bus: projectorBus, url: `ws://127.0.0.1:${port}`, topics: ['context:*'], WebSocket: TestWebSocket });
+        conductorBus.publish('context:pool', { poolKey: '2#' });
+
+        try {
+            conductor.start();
+            await until(() => conductor.isConnected());
+            projector.start();
+
+            // The projector's hello brings it up to date
+            await until(() => projectorBus.last('context:pool') !== null);
+            expect(projectorBus.last('context:pool')).toEqual({ poolKey: '2#' });
+
+            projectorBus.publish('context:mood', { mood: 'tense' });
+            await until(() => conductorBus.last('context:mood') !== null);
+            expect(conductorBus.last('context:mood')).toEqual({ mood: 'tense' });
+        } finally {
+            conductor.stop();
+            projector.stop();
+        }
+    });
+
+    it('should read split, joined and fragmented frames', () => {
+        const reader = new FrameReader();
+        const mask = Buffer.from([9, 8, 7, 6]);
+        const first = encodeFrame('hello', { mask });
+        const second = encodeFrame('world');
+
+        expect(reader.push(first.subarray(0, 3))).toEqual([]);
+        const frames = reader.push(Buffer.concat([first.subarray(3), second]));
+        expect(frames.map(({ opcode, payload }) => [opcode, payload.toString()])).toEqual([[1, 'hello'], [1, 'world']]);
+
+        const start = encodeFrame('frag');
+        start[0] &= 0x7F; // Not the final frame
+        const rest = encodeFrame('ment', { opcode: 0 });
+        expect(reader.push(start)).toEqual([]);
+        expect(reader.push(rest)[0].payload.toString()).toBe('fragment');
+    });
+
+    it('should refuse messages over the size limit', () => {
+        const reader = new FrameReader({ maxSize: 10 });
+
+        expect(() => reader.push(encodeFrame('x'.repeat(11)))).toThrow(/too large/);
+    });
+});
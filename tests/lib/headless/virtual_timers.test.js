@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, afterEach } from 'vitest';
+import { VirtualTimers } from '../../../lib/headless/virtual_timers.js';
+
+describe('VirtualTimers', () => {
+    let timers;
+    let realSetTimeout;
+
+    beforeEach(() => {
+        realSetTimeout = globalThis.setTimeout;
+        timers = new VirtualTimers();
+        timers.install();
+    });
+
+    afterEach(() => {
+        timers.uninstall();
+    });
+
+    it('should replace and restore the global timers', () => {
+        expect(globalThis.setTimeout).not.toBe(realSetTimeout);
+
+        timers.uninstall();
+
+        expect(globalThis.setTimeout).toBe(realSetTimeout);
+    });
+
+    it('should run timeouts only once virtual time reaches them', () => {
+        const calls = [];
+        setTimeout(() => calls.push('b'), 200);
+        setTimeout((name) => calls.push(name), 100, 'a');
+
+        timers.advanceTo(150);
+        expect(calls).toEqual(['a']);
+
+        timers.advanceTo(200);
+        expect(calls).toEqual(['a', 'b']);
+        expect(timers.getPendingCount()).toBe(0);
+    });
+
+    it('should run timers at their own virtual time, including ones they schedule', () => {
+        const seen = [];
+        setTimeout(() => {
+            seen.push(timers.now);
+            setTimeout(() => seen.push(timers.now), 50);
+        }, 100);
+
+        timers.advanceTo(1000);
+
+        expect(seen).toEqual([100, 150]);
+        expect(timers.now).toBe(1000);
+    });
+
+    it('should run simultaneous timers in scheduling order', () => {
+        const calls = [];
+        setTimeout(() => calls.push(1), 10);
+        setTimeout(() => calls.push(2), 10);
+
+        timers.advanceTo(10);
+
+        expect(calls).toEqual([1, 2]);
+    });
+
+    it('should cancel timeouts', () => {
+        let fired = false;
+        const id = setTimeout(() => { fired = true; }, 10);
+        clearTimeout(id);
+
+        timers.advanceTo(100);
+
+        expect(fired).toBe(false);
+    });
+
+    it('should repeat intervals until cleared', () => {
+        let count = 0;
+        const id = setInterval(() => {
+            count++;
+            if (count === 3) {
+                clearInterval(id);
+            }
+        }, 10);
+
+        timers.advanceTo(100);
+
+        expect(count).toBe(3);
+    });
+
+    it('should run animation frames on the next virtual frame', () => {
+        let frameTime = null;
+        requestAnimationFrame((time) => { frameTime = time; });
+
+        timers.advanceTo(10);
+        expect(frameTime).toBeNull();
+
+        timers.advanceTo(20);
+        expect(frameTime).toBeCloseTo(VirtualTimers.FRAME_MS);
+    });
+});
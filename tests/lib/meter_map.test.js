@@ -0,0 +1,96 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { MeterMap } from '../../lib/meter_map.js';
+
+describe('MeterMap', () => {
+    let map;
+
+    beforeEach(() => {
+        map = new MeterMap({ ppqn: 24 });
+    });
+
+    describe('Time Signatures', () => {
+        it('should describe common meters in ticks and sixteenths', () => {
+            expect(map.describe('4/4')).toMatchObject({ ticksPerBar: 96, sixteenthsPerBar: 16 });
+            expect(map.describe('3/4')).toMatchObject({ ticksPerBar: 72, sixteenthsPerBar: 12 });
+            expect(map.describe('6/8')).toMatchObject({ ticksPerBar: 72, sixteenthsPerBar: 12 });
+            expect(map.describe('7/8')).toMatchObject({ ticksPerBar: 84, sixteenthsPerBar: 14 });
+        });
+
+        it('should reject meters that do not fit the tick grid', () => {
+            expect(map.isValid('4/4')).toBe(true);
+            expect(map.isValid('4/3')).toBe(false);
+            expect(map.isValid('four')).toBe(false);
+        });
+    });
+
+    describe('Positions', () => {
+        it('should count bars in a single meter', () => {
+            expect(map.getPositionAt(96 * 3 + 10)).toMatchObject({ bar: 3, tickInBar: 10, timeSignature: '4/4' });
+        });
+
+        it('should count bars across mixed meters', () => {
+            map.load([
+                { bar: 2, timeSignature: '3/4' },
+                { bar: 4, timeSignature: '5/4' }
+            ]);
+
+            // Bars 0-1: 4/4 (96), bars 2-3: 3/4 (72), bar 4+: 5/4 (120)
+            expect(map.getTickForBar(2)).toBe(192);
+            expect(map.getTickForBar(4)).toBe(336);
+            expect(map.getTickForBar(5)).toBe(456);
+
+            expect(map.getPositionAt(191)).toMatchObject({ bar: 1, tickInBar: 95, timeSignature: '4/4' });
+            expect(map.getPositionAt(192 + 72 + 5)).toMatchObject({ bar: 3, tickInBar: 5, timeSignature: '3/4' });
+            expect(map.getPositionAt(456)).toMatchObject({ bar: 5, tickInBar: 0, timeSignature: '5/4' });
+        });
+
+        it('should round-trip bars and ticks', () => {
+            map.load([{ bar: 1, timeSignature: '6/8' }, { bar: 3, timeSignature: '7/8' }]);
+
+            for (let bar = 0; bar < 8; bar++) {
+                expect(map.getPositionAt(map.getTickForBar(bar))).toMatchObject({ bar, tickInBar: 0 });
+            }
+        });
+    });
+
+    describe('Queued Changes', () => {
+        it('should let a queued change override a scheduled one at the same bar', () => {
+            map.addChange(2, '3/4');
+            map.queue(2, '5/4');
+
+            expect(map.getPositionAt(map.getTickForBar(2)).timeSignature).toBe('5/4');
+        });
+
+        it('should keep earlier queued changes so past bars do not shift', () => {
+            map.queue(1, '3/4');
+            const bar3Tick = map.getTickForBar(3);
+
+            map.queue(4, '6/8');
+
+            expect(map.getTickForBar(3)).toBe(bar3Tick);
+            expect(map.getQueued()).toEqual([
+                { bar: 1, timeSignature: '3/4' },
+                { bar: 4, timeSignature: '6/8' }
+            ]);
+        });
+
+        it('should replace queued changes at the same or later bars', () => {
+            map.queue(4, '3/4');
+            map.queue(4, '5/4');
+
+            expect(map.getQueued()).toEqual([{ bar: 4, timeSignature: '5/4' }]);
+        });
+
+        it('should ignore invalid changes', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(map.addChange(1, '4/3')).toBe(false);
+            map.queue(1, 'bogus');
+
+            expect(map.getChanges()).toHaveLength(0);
+            expect(map.getQueued()).toHaveLength(0);
+
+            vi.restoreAllMocks();
+        });
+    });
+});
@@ -0,0 +1,629 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MIDIClock } from '../../lib/midi_clock.js';
+import { PubSub } from '../../lib/pubsub.js';
+import { midiOutput } from '../../lib/midi_output.js';
+
+describe('MIDIClock', () => {
+    let clock;
+    let audioTime;
+    let ticks;
+
+    beforeEach(() => {
+        PubSub.clearAllCallbacks();
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        // Drive the scheduler from a controllable audio clock
+        audioTime = 10;
+        clock = new MIDIClock();
+        clock.getCurrentTime = () => audioTime;
+
+        ticks = [];
+        PubSub.subscribe('clock:tick', (data) => {
+            ticks.push(data);
+        }, { name: 'midi-clock-test' });
+    });
+
+    afterEach(() => {
+        clock.stop();
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('Lookahead Scheduling', () => {
+        it('should publish ticks that fall inside the lookahead window on start', () => {
+            clock.start(120);
+
+            // 120 BPM @ 24 PPQN = 1/48 s per tick; 0.1 s lookahead covers 5 ticks
+            expect(ticks.length).toBe(5);
+            expect(ticks[0].tick).toBe(0);
+            expect(ticks[0].time).toBeCloseTo(10);
+        });
+
+        it('should stamp each tick with its exact audio clock time', () => {
+            clock.start(120);
+
+            const secondsPerTick = 60 / (120 * 24);
+            ticks.forEach((data, i) => {
+                expect(data.time).toBeCloseTo(10 + i * secondsPerTick, 6);
+            });
+        });
+
+        it('should keep tick times evenly spaced when the scheduler wakes up late', () => {
+            clock.start(120);
+
+            // Simulate a 60ms main-thread stall before the next wake-up
+            audioTime += 0.06;
+            vi.advanceTimersByTime(clock.lookaheadMs);
+
+            const secondsPerTick = 60 / (120 * 24);
+            for (let i = 1; i < ticks.length; i++) {
+                expect(ticks[i].time - ticks[i - 1].time).toBeCloseTo(secondsPerTick, 6);
+            }
+        });
+
+        it('should resync instead of bursting after falling far behind', () => {
+            clock.start(120);
+            const ticksBefore = ticks.length;
+
+            // Tab was throttled for 5 seconds
+            audioTime += 5;
+            vi.advanceTimersByTime(clock.lookaheadMs);
+
+            // Only one lookahead window worth of ticks, starting from "now"
+            expect(ticks.length - ticksBefore).toBeLessThanOrEqual(6);
+            expect(ticks[ticksBefore].time).toBeCloseTo(audioTime);
+        });
+
+        it('should expose the current tick time to listeners during dispatch', () => {
+            let seenTime = null;
+            PubSub.subscribe('clock:tick', () => {
+                seenTime = clock.getCurrentTickTime();
+            }, { name: 'tick-time-listener' });
+
+            clock.start(120);
+
+            expect(seenTime).toBeCloseTo(ticks[ticks.length - 1].time);
+        });
+
+        it('should clear the current tick time when stopped', () => {
+            clock.start(120);
+            clock.stop();
+
+            expect(clock.getCurrentTickTime()).toBeNull();
+        });
+    });
+
+    describe('Tempo Changes', () => {
+        it('should not reset the tick counter or grid when BPM changes', () => {
+            clock.start(120);
+            const lastTick = ticks[ticks.length - 1];
+
+            clock.setBPM(60);
+            audioTime += 0.1;
+            vi.advanceTimersByTime(clock.lookaheadMs);
+
+            const next = ticks.find(t => t.tick === lastTick.tick + 1);
+            expect(next).toBeDefined();
+
+            // The first tick after the change still lands one old interval later
+            expect(next.time - lastTick.time).toBeCloseTo(60 / (120 * 24), 6);
+        });
+
+        it('should space ticks at the new interval after a BPM change', () => {
+            clock.start(120);
+            clock.setBPM(60);
+            const changeIndex = ticks.length;
+
+            audioTime += 0.2;
+            vi.advanceTimersByTime(clock.lookaheadMs);
+
+            const secondsPerTick = 60 / (60 * 24);
+            expect(ticks[changeIndex + 1].time - ticks[changeIndex].time).toBeCloseTo(secondsPerTick, 6);
+        });
+    });
+
+    describe('Tempo Map', () => {
+        const ticksPerBar = 24 * 4;
+
+        const advance = (seconds) => {
+            for (let elapsed = 0; elapsed < seconds; elapsed += clock.lookaheadMs / 1000) {
+                audioTime += clock.lookaheadMs / 1000;
+                vi.advanceTimersByTime(clock.lookaheadMs);
+            }
+        };
+
+        it('should apply a scheduled step change at its bar', () => {
+            clock.tempoMap.addChange({ bar: 1, bpm: 60 });
+            clock.start(120);
+            advance(2.5);
+
+            const barStart = ticks.find(t => t.tick === ticksPerBar);
+            const next = ticks.find(t => t.tick === ticksPerBar + 1);
+            const before = ticks.find(t => t.tick === ticksPerBar - 1);
+
+            expect(barStart.time - before.time).toBeCloseTo(60 / (120 * 24), 6);
+            expect(next.time - barStart.time).toBeCloseTo(60 / (60 * 24), 6);
+            expect(barStart.bpm).toBe(60);
+        });
+
+        it('should spread a ramp across ticks', () => {
+            clock.tempoMap.addChange({ bar: 0, bpm: 240, ramp: 'linear', bars: 1 });
+            clock.start(120);
+            advance(2);
+
+            const intervals = ticks.slice(1, ticksPerBar).map((t, i) => t.time - ticks[i].time);
+            for (let i = 1; i < intervals.length; i++) {
+                expect(intervals[i]).toBeLessThan(intervals[i - 1]);
+            }
+            expect(ticks.find(t => t.tick === ticksPerBar).bpm).toBe(240);
+        });
+
+        it('should keep bar and beat accounting across tempo changes', () => {
+            clock.tempoMap.addChange({ bar: 1, bpm: 200, ramp: 'exponential', bars: 1 });
+            clock.start(120);
+            advance(3);
+
+            clock.currentTick = 2 * ticksPerBar + 24 * 3;
+            expect(clock.getCurrentBar()).toBe(2);
+            expect(clock.getCurrentBeat()).toBe(3);
+
+            ticks.forEach((t, i) => expect(t.tick).toBe(i));
+        });
+
+        it('should glide to a new tempo with rampTo() without resetting the grid', () => {
+            clock.start(120);
+            advance(0.5);
+            const tickAtRamp = clock.getCurrentTick();
+
+            clock.rampTo(60, { beats: 1 });
+            advance(2);
+
+            const rampEnd = ticks.find(t => t.tick === tickAtRamp + 24);
+            const midRamp = ticks.find(t => t.tick === tickAtRamp + 12);
+
+            expect(midRamp.bpm).toBeCloseTo(90);
+            expect(rampEnd.bpm).toBe(60);
+            ticks.forEach((t, i) => expect(t.tick).toBe(i));
+        });
+
+        it('should carry a live tempo back to the top on rewind', () => {
+            clock.start(120);
+            advance(0.5);
+            clock.setBPM(90);
+            clock.stop();
+
+            clock.rewind();
+
+            expect(clock.tempoMap.getBPMAt(0)).toBe(90);
+        });
+    });
+
+    describe('Time Signature Changes', () => {
+        let meters;
+
+        const runUntilTick = (tick) => {
+            while (clock.getCurrentTick() <= tick) {
+                audioTime += clock.lookaheadMs / 1000;
+                vi.advanceTimersByTime(clock.lookaheadMs);
+            }
+        };
+
+        beforeEach(() => {
+            meters = [];
+            PubSub.subscribe('context:timeSignature', (data) => {
+                meters.push({ ...data, atTick: clock.getCurrentTick() });
+            }, { name: 'meter-listener' });
+        });
+
+        it('should apply a change immediately when stopped on a downbeat', () => {
+            const bar = clock.queueTimeSignature('3/4');
+
+            expect(bar).toBe(0);
+            expect(meters).toHaveLength(1);
+            expect(meters[0]).toMatchObject({ timeSignature: '3/4', sixteenthsPerBar: 12 });
+        });
+
+        it('should defer a mid-bar change to the next downbeat', () => {
+            clock.start(120);
+            runUntilTick(30);
+
+            const bar = clock.queueTimeSignature('3/4');
+            expect(bar).toBe(1);
+            expect(meters.filter(m => m.timeSignature === '3/4')).toHaveLength(0);
+
+            runUntilTick(100);
+
+            const change = meters.find(m => m.timeSignature === '3/4');
+            expect(change).toMatchObject({ bar: 1, atTick: 96 });
+        });
+
+        it('should publish the meter before the first tick of the new bar', () => {
+            let meterAtDownbeat = null;
+            PubSub.subscribe('clock:tick', (data) => {
+                if (data.tick === 96) {
+                    meterAtDownbeat = meters[meters.length - 1]?.timeSignature;
+                }
+            }, { name: 'downbeat-listener' });
+
+            clock.start(120);
+            runUntilTick(10);
+            clock.queueTimeSignature('5/4');
+            runUntilTick(100);
+
+            expect(meterAtDownbeat).toBe('5/4');
+        });
+
+        it('should carry bar numbers across mixed meters in tick payloads', () => {
+            clock.meterMap.load([{ bar: 1, timeSignature: '3/4' }]);
+            clock.start(120);
+            runUntilTick(96 + 72 + 1);
+
+            expect(ticks[95]).toMatchObject({ bar: 0, tickInBar: 95, ticksPerBar: 96 });
+            expect(ticks[96]).toMatchObject({ bar: 1, tickInBar: 0, ticksPerBar: 72, timeSignature: '3/4' });
+            expect(ticks[96 + 72]).toMatchObject({ bar: 2, tickInBar: 0 });
+
+            clock.currentTick = 96 + 72 + 30;
+            expect(clock.getCurrentBar()).toBe(2);
+            expect(clock.getCurrentBeat()).toBe(1);
+        });
+
+        it('should resolve tempo map bars through the meter map', () => {
+            clock.meterMap.load([{ bar: 1, timeSignature: '3/4' }]);
+            const change = clock.tempoMap.addChange({ bar: 2, bpm: 90 });
+
+            expect(change.tick).toBe(96 + 72);
+        });
+
+        it('should keep tempo changes on their bars when the meter changes later', () => {
+            clock.tempoMap.load([{ bar: 8, bpm: 140 }]);
+
+            clock.queueTimeSignature('3/4');
+
+            expect(clock.getTickForBar(8)).toBe(576);
+            expect(clock.tempoMap.getBPMAt(575)).toBe(120);
+            expect(clock.tempoMap.getBPMAt(576)).toBe(140);
+        });
+
+        it('should move tempo changes with meter changes queued live', () => {
+            clock.tempoMap.load([{ bar: 8, bpm: 140, ramp: 'linear', bars: 2 }]);
+            clock.currentTick = 2 * 96;
+
+            clock.queueTimeSignature('3/4');
+
+            const [change] = clock.tempoMap.getChanges();
+            expect(change.tick).toBe(2 * 96 + 6 * 72);
+            expect(change.durationTicks).toBe(2 * 72);
+        });
+
+        it('should reject invalid time signatures', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(clock.queueTimeSignature('4/3')).toBeNull();
+            expect(meters).toHaveLength(0);
+        });
+    });
+
+    describe('Slave Mode', () => {
+        let input;
+        let starts;
+        let stops;
+        let tempos;
+
+        // 120 BPM @ 24 PPQN
+        const pulseMs = 60000 / (120 * 24);
+
+        const send = (bytes, timeStamp = performance.now()) => {
+            input.onmidimessage({ data: new Uint8Array(bytes), timeStamp });
+        };
+
+        const sendPulses = (count, intervalMs = pulseMs) => {
+            const base = performance.now();
+            for (let i = 0; i < count; i++) {
+                send([0xF8], base + i * intervalMs);
+            }
+        };
+
+        beforeEach(() => {
+            // Fake MIDI input: only an onmidimessage property
+            input = { name: 'Fake DAW', onmidimessage: null };
+            clock.setMode('slave', input);
+
+            starts = [];
+            stops = [];
+            tempos = [];
+            PubSub.subscribe('clock:start', (data) => starts.push(data), { name: 'slave-start' });
+            PubSub.subscribe('clock:stop', (data) => stops.push(data), { name: 'slave-stop' });
+            PubSub.subscribe('clock:tempo', (data) => tempos.push(data), { name: 'slave-tempo' });
+        });
+
+        afterEach(() => {
+            clock.setMode('master');
+        });
+
+        it('should attach to a fake input and detach when switching back to master', () => {
+            expect(clock.getSlaveInput()).toBe(input);
+            expect(typeof input.onmidimessage).toBe('function');
+
+            clock.setMode('master');
+
+            expect(clock.getSlaveInput()).toBeNull();
+            expect(input.onmidimessage).toBeNull();
+        });
+
+        it('should keep the internal clock running when it is chosen again', () => {
+            clock.setMode('master');
+            clock.start(120);
+
+            clock.setMode('master');
+
+            expect(clock.isRunning).toBe(true);
+            expect(stops.length).toBe(0);
+        });
+
+        it('should keep following the same input', () => {
+            send([0xFA]);
+
+            clock.setMode('slave', input);
+
+            expect(stops.length).toBe(0);
+            expect(clock.getSlaveInput()).toBe(input);
+            expect(clock.isRunning).toBe(true);
+        });
+
+        it('should stop when leaving slave mode', () => {
+            send([0xFA]);
+
+            clock.setMode('master');
+
+            expect(stops.length).toBe(1);
+            expect(clock.isRunning).toBe(false);
+        });
+
+        it('should not publish ticks before Start is received', () => {
+            sendPulses(10);
+
+            expect(ticks.length).toBe(0);
+        });
+
+        it('should publish one tick per pulse after Start', () => {
+            send([0xFA]);
+            sendPulses(5);
+
+            expect(starts.length).toBe(1);
+            expect(starts[0].source).toBe('external');
+            expect(ticks.map(t => t.tick)).toEqual([0, 1, 2, 3, 4]);
+        });
+
+        it('should stop on Stop and resume from the same tick on Continue', () => {
+            send([0xFA]);
+            sendPulses(3);
+            send([0xFC]);
+            sendPulses(3);
+
+            expect(stops.length).toBe(1);
+            expect(ticks.length).toBe(3);
+
+            send([0xFB]);
+            sendPulses(2);
+
+            expect(ticks.map(t => t.tick)).toEqual([0, 1, 2, 3, 4]);
+        });
+
+        it('should restart from tick 0 on Start', () => {
+            send([0xFA]);
+            sendPulses(4);
+            send([0xFC]);
+            send([0xFA]);
+            sendPulses(1);
+
+            expect(ticks[ticks.length - 1].tick).toBe(0);
+        });
+
+        it('should reposition on Song Position Pointer', () => {
+            // 0x0102 = 130 sixteenths → tick 780
+            send([0xF2, 0x02, 0x01]);
+            send([0xFB]);
+            sendPulses(1);
+
+            expect(ticks[0].tick).toBe(130 * 6);
+        });
+
+        it('should derive BPM from pulse spacing', () => {
+            const interval = 60000 / (90 * 24);
+            sendPulses(25, interval);
+
+            expect(clock.bpm).toBeCloseTo(90, 1);
+            expect(tempos[tempos.length - 1]).toMatchObject({ bpm: 90, source: 'external' });
+        });
+
+        it('should stamp ticks with the audio clock time of the pulse', () => {
+            const base = performance.now();
+            send([0xFA], base);
+            send([0xF8], base - 20);
+
+            expect(ticks[0].time).toBeCloseTo(audioTime - 0.02, 3);
+        });
+
+        it('should ignore start() and setBPM() while following an external clock', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+            clock.start(140);
+            clock.setBPM(140);
+
+            expect(clock.isRunning).toBe(false);
+            expect(clock.bpm).toBe(120);
+        });
+    });
+
+    describe('Sync Output', () => {
+        let synced;
+        let other;
+
+        const statuses = (output) => output.send.mock.calls.map(([message]) => message[0]);
+
+        beforeEach(() => {
+            synced = { name: 'Drum Machine', send: vi.fn() };
+            other = { name: 'Synth', send: vi.fn() };
+            midiOutput.outputs = [synced, other];
+            midiOutput.initialized = true;
+            midiOutput.setSyncEnabled('Drum Machine', true);
+        });
+
+        afterEach(() => {
+            midiOutput.setSyncEnabled('Drum Machine', false);
+            midiOutput.outputs = [];
+            midiOutput.initialized = false;
+        });
+
+        it('should send Start followed by one timing pulse per tick', () => {
+            clock.start(120);
+
+            expect(statuses(synced)).toEqual([0xFA, ...ticks.map(() => 0xF8)]);
+        });
+
+        it('should only send sync to enabled outputs', () => {
+            clock.start(120);
+            clock.stop();
+
+            expect(other.send).not.toHaveBeenCalled();
+        });
+
+        it('should timestamp pulses to their tick times', () => {
+            clock.start(120);
+
+            const pulses = synced.send.mock.calls.filter(([message]) => message[0] === 0xF8);
+            const [, firstTimestamp] = pulses[0];
+            pulses.forEach(([, timestamp], i) => {
+                expect(timestamp - firstTimestamp).toBeCloseTo((ticks[i].time - ticks[0].time) * 1000, 0);
+            });
+        });
+
+        it('should send Stop after the pulses already scheduled', () => {
+            clock.start(120);
+            clock.stop();
+
+            const calls = synced.send.mock.calls;
+            const [stopMessage, stopTimestamp] = calls[calls.length - 1];
+            const [, lastPulseTimestamp] = calls[calls.length - 2];
+
+            expect(stopMessage).toEqual([0xFC]);
+            expect(stopTimestamp).toBeGreaterThan(lastPulseTimestamp);
+        });
+
+        it('should send Song Position Pointer and Continue on resume', () => {
+            clock.start(120);
+            clock.stop();
+            synced.send.mockClear();
+
+            // 5 ticks played → resumes at the next sixteenth (tick 6 = 1 sixteenth)
+            clock.resume();
+
+            const calls = synced.send.mock.calls;
+            expect(calls[0][0]).toEqual([0xF2, 1, 0]);
+            expect(calls[1][0]).toEqual([0xFB]);
+            expect(ticks[ticks.length - 1].tick).toBeGreaterThanOrEqual(6);
+        });
+
+        it('should send Song Position Pointer 0 on transport:rewind', () => {
+            clock.start(120);
+            clock.stop();
+            synced.send.mockClear();
+
+            PubSub.publish('transport:rewind', { timestamp: Date.now() });
+
+            expect(synced.send.mock.calls[0][0]).toEqual([0xF2, 0, 0]);
+            expect(clock.getCurrentTick()).toBe(0);
+        });
+
+        it('should not echo pulses while following an external clock', () => {
+            const input = { name: 'Fake DAW', onmidimessage: null };
+            clock.setMode('slave', input);
+
+            input.onmidimessage({ data: [0xFA], timeStamp: performance.now() });
+            input.onmidimessage({ data: [0xF8], timeStamp: performance.now() });
+
+            expect(ticks.length).toBe(1);
+            expect(synced.send).not.toHaveBeenCalled();
+
+            clock.setMode('master');
+        });
+    });
+
+    describe('Offline Rendering', () => {
+        it('should publish ticks back to back from time 0', () => {
+            clock.beginOffline();
+            const endTime = clock.renderTicks(96);
+            clock.endOffline();
+
+            const secondsPerTick = 60 / (120 * 24);
+            expect(ticks.length).toBe(96);
+            expect(ticks[0].time).toBe(0);
+            expect(ticks[95].time).toBeCloseTo(95 * secondsPerTick, 6);
+            expect(endTime).toBeCloseTo(96 * secondsPerTick, 6);
+        });
+
+        it('should follow the tempo map in virtual time', () => {
+            clock.tempoMap.load([{ bar: 1, bpm: 60 }]);
+
+            clock.beginOffline();
+            clock.renderTicks(192);
+            clock.endOffline();
+
+            // Bar 0 at 120 BPM (2s) then bar 1 at 60 BPM
+            expect(ticks[96].time).toBeCloseTo(2, 6);
+            expect(ticks[97].time - ticks[96].time).toBeCloseTo(60 / (60 * 24), 6);
+            expect(clock.getDurationOfTicks(0, 192)).toBeCloseTo(6, 6);
+        });
+
+        it('should call onTick with the time of each tick before it is published', () => {
+            const seen = [];
+            clock.beginOffline();
+            clock.renderTicks(3, (time, tick) => seen.push({ time, tick, published: ticks.length }));
+            clock.endOffline();
+
+            expect(seen.map(s => s.tick)).toEqual([0, 1, 2]);
+            expect(seen.map(s => s.published)).toEqual([0, 1, 2]);
+            expect(seen[1].time).toBe(ticks[1].time);
+        });
+
+        it('should report an offline source and return to the top when done', () => {
+            const events = [];
+            PubSub.subscribe('clock:start', (data) => events.push(['start', data.source]), { name: 'offline-test' });
+            PubSub.subscribe('clock:stop', (data) => events.push(['stop', data.source]), { name: 'offline-test' });
+
+            clock.beginOffline();
+            clock.renderTicks(10);
+            clock.endOffline();
+
+            expect(events).toEqual([['start', 'offline'], ['stop', 'offline']]);
+            expect(clock.isRunning).toBe(false);
+            expect(clock.getCurrentTick()).toBe(0);
+        });
+
+        it('should refuse to start offline while running live', () => {
+            vi.spyOn(console, 'warn').mockImplementation(() => {});
+            clock.start(120);
+
+            expect(clock.beginOffline()).toBe(false);
+            expect(clock.offline).toBe(false);
+        });
+
+        it('should not send sync to synced devices', () => {
+            const synced = { name: 'Drum Machine', send: vi.fn() };
+            midiOutput.outputs = [synced];
+            midiOutput.initialized = true;
+            midiOutput.setSyncEnabled('Drum Machine', true);
+
+            clock.beginOffline();
+            clock.renderTicks(24);
+            clock.endOffline();
+
+            expect(synced.send).not.toHaveBeenCalled();
+
+            midiOutput.setSyncEnabled('Drum Machine', false);
+            midiOutput.outputs = [];
+            midiOutput.initialized = false;
+        });
+    });
+});
@@ -0,0 +1,134 @@
+import { describe, it, expect } from 'vitest';
+import { writeMidiFile, encodeVariableLength } from '../../lib/midi_file.js';
+
+/**
+ * Minimal SMF reader for verifying writer output
+ */
+function readMidiFile(bytes) {
+    const view = new DataView(bytes.buffer);
+    const text = (offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+    const header = {
+        id: text(0),
+        format: view.getUint16(8),
+        trackCount: view.getUint16(10),
+        division: view.getUint16(12)
+    };
+
+    const tracks = [];
+    let offset = 14;
+    while (offset < bytes.length) {
+        const id = text(offset);
+        const length = view.getUint32(offset + 4);
+        const data = bytes.slice(offset + 8, offset + 8 + length);
+        tracks.push({ id, events: readEvents(data) });
+        offset += 8 + length;
+    }
+
+    return { header, tracks };
+}
+
+function readEvents(data) {
+    const events = [];
+    let i = 0;
+    let tick = 0;
+
+    const readVLQ = () => {
+        let value = 0;
+        let byte;
+        do {
+            byte = data[i++];
+            value = (value << 7) | (byte & 0x7F);
+        } while (byte & 0x80);
+        return value;
+    };
+
+    while (i < data.length) {
+        tick += readVLQ();
+        const status = data[i++];
+        if (status === 0xFF) {
+            const type = data[i++];
+            const length = readVLQ();
+            events.push({ tick, meta: type, data: Array.from(data.slice(i, i + length)) });
+            i += length;
+        } else {
+            events.push({ tick, status, data: [data[i], data[i + 1]] });
+            i += 2;
+        }
+    }
+
+    return events;
+}
+
+describe('MIDI File Writer', () => {
+    describe('Variable-Length Quantities', () => {
+        it('should encode values per the SMF spec', () => {
+            expect(encodeVariableLength(0)).toEqual([0x00]);
+            expect(encodeVariableLength(0x7F)).toEqual([0x7F]);
+            expect(encodeVariableLength(0x80)).toEqual([0x81, 0x00]);
+            expect(encodeVariableLength(0x2000)).toEqual([0xC0, 0x00]);
+            expect(encodeVariableLength(0x0FFFFFFF)).toEqual([0xFF, 0xFF, 0xFF, 0x7F]);
+        });
+    });
+
+    describe('File Structure', () => {
+        it('should write a Type 1 header with one chunk per track', () => {
+            const bytes = writeMidiFile([{ name: 'Conductor', events: [] }, { name: 'Bass', events: [] }], { ppq: 480 });
+            const { header, tracks } = readMidiFile(bytes);
+
+            expect(header).toEqual({ id: 'MThd', format: 1, trackCount: 2, division: 480 });
+            expect(tracks.map(t => t.id)).toEqual(['MTrk', 'MTrk']);
+        });
+
+        it('should start tracks with a name and end them with End of Track', () => {
+            const { tracks } = readMidiFile(writeMidiFile([{ name: 'Drums', events: [] }]));
+            const events = tracks[0].events;
+
+            expect(events[0]).toMatchObject({ meta: 0x03, data: Array.from(new TextEncoder().encode('Drums')) });
+            expect(events[events.length - 1]).toMatchObject({ meta: 0x2F, data: [] });
+        });
+    });
+
+    describe('Events', () => {
+        it('should encode tempo as microseconds per quarter note', () => {
+            const { tracks } = readMidiFile(writeMidiFile([{ events: [{ tick: 0, type: 'tempo', bpm: 120 }] }]));
+
+            // 500000 µs = 0x07A120
+            expect(tracks[0].events[0]).toMatchObject({ meta: 0x51, data: [0x07, 0xA1, 0x20] });
+        });
+
+        it('should encode time signatures with a power-of-two denominator', () => {
+            const { tracks } = readMidiFile(writeMidiFile([{
+                events: [{ tick: 0, type: 'timeSignature', beatsPerBar: 6, noteValue: 8 }]
+            }]));
+
+            expect(tracks[0].events[0]).toMatchObject({ meta: 0x58, data: [6, 3, 24, 8] });
+        });
+
+        it('should write notes with delta times in tick order', () => {
+            const { tracks } = readMidiFile(writeMidiFile([{
+                events: [
+                    { tick: 480, type: 'noteOff', channel: 1, note: 40 },
+                    { tick: 0, type: 'noteOn', channel: 1, note: 40, velocity: 90 }
+                ]
+            }]));
+
+            expect(tracks[0].events.slice(0, 2)).toEqual([
+                { tick: 0, status: 0x91, data: [40, 90] },
+                { tick: 480, status: 0x81, data: [40, 0x40] }
+            ]);
+        });
+
+        it('should place note-offs before note-ons at the same tick', () => {
+            const { tracks } = readMidiFile(writeMidiFile([{
+                events: [
+                    { tick: 0, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+                    { tick: 240, type: 'noteOn', channel: 0, note: 60, velocity: 100 },
+                    { tick: 240, type: 'noteOff', channel: 0, note: 60 }
+                ]
+            }]));
+
+            expect(tracks[0].events.slice(1, 3).map(e => e.status)).toEqual([0x80, 0x90]);
+        });
+    });
+});
@@ -0,0 +1,241 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MIDIInputService } from '../../lib/midi_input.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { webAudioSynth } from '../../lib/web_audio_synth.js';
+import { identifyChord } from '../../lib/music_theory.js';
+import { PubSub } from '../../lib/pubsub.js';
+
+/**
+ * MIDIInput stand-in that delivers messages to its listeners
+ */
+function fakeInput(id, name) {
+    return {
+        id,
+        name,
+        type: 'input',
+        state: 'connected',
+        listeners: [],
+        addEventListener(type, listener) { this.listeners.push(listener); },
+        removeEventListener(type, listener) { this.listeners = this.listeners.filter(l => l !== listener); },
+        play(...data) { this.listeners.forEach(listener => listener({ data })); }
+    };
+}
+
+describe('identifyChord', () => {
+    it('should name triads and sevenths in any voicing', () => {
+        expect(identifyChord([60, 64, 67])).toEqual({ root: 60, quality: 'maj' });
+        expect(identifyChord([62, 65, 69, 72])).toEqual({ root: 62, quality: 'min7' });
+        expect(identifyChord([55, 59, 62, 65, 67])).toEqual({ root: 55, quality: '7' });
+    });
+
+    it('should keep the root of inversions', () => {
+        expect(identifyChord([64, 67, 72])).toEqual({ root: 72, quality: 'maj' });
+    });
+
+    it('should follow the bass for ambiguous sets', () => {
+        expect(identifyChord([60, 62, 67])).toEqual({ root: 60, quality: 'sus2' });
+        expect(identifyChord([55, 60, 62])).toEqual({ root: 55, quality: 'sus4' });
+    });
+
+    it('should not name intervals or clusters', () => {
+        expect(identifyChord([60, 67, 72])).toBeNull();
+        expect(identifyChord([60, 61, 62])).toBeNull();
+    });
+});
+
+describe('MIDIInputService', () => {
+    let service;
+    let keyboard;
+    let pads;
+    let access;
+    let published;
+
+    beforeEach(async () => {
+        // Chord override reads the pool from its PubSub last value
+        PubSub.clearLast('context:pool');
+        PubSub.clearAllCallbacks();
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(audioRouter, 'startNote').mockImplementation(() => {});
+        vi.spyOn(audioRouter, 'stopNote').mockImplementation(() => {});
+
+        published = [];
+        ['input:note', 'input:chord', 'music:chord', 'music:nextChord', 'midi:inputs'].forEach(topic => {
+            PubSub.subscribe(topic, (data) => published.push([topic, data]));
+        });
+
+        keyboard = fakeInput('a', 'Keyboard');
+        pads = fakeInput('b', 'Pads');
+        access = { inputs: new Map([['a', keyboard], ['b', pads]]), onstatechange: null };
+        vi.stubGlobal('navigator', { requestMIDIAccess: async () => access });
+
+        service = new MIDIInputService();
+        await service.initialize();
+    });
+
+    afterEach(() => {
+        PubSub.clearAllCallbacks();
+        vi.useRealTimers();
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    /**
+     * Messages published on a topic
+     */
+    function messages(topic) {
+        return published.filter(([t]) => t === topic).map(([, data]) => data);
+    }
+
+    describe('Notes', () => {
+        it('should publish notes from every input', () => {
+            keyboard.play(0x90, 60, 100);
+            pads.play(0x93, 36, 80);
+            keyboard.play(0x80, 60, 0);
+            pads.play(0x93, 36, 0); // Note-on at velocity 0 is a note-off
+
+            expect(messages('input:note')).toEqual([
+                { note: 60, velocity: 100, channel: 0, on: true, input: 'Keyboard' },
+                { note: 36, velocity: 80, channel: 3, on: true, input: 'Pads' },
+                { note: 60, velocity: 0, channel: 0, on: false, input: 'Keyboard' },
+                { note: 36, velocity: 0, channel: 3, on: false, input: 'Pads' }
+            ]);
+        });
+
+        it('should listen to the chosen input only', () => {
+            service.setInput('Pads');
+
+            keyboard.play(0x90, 60, 100);
+            pads.play(0x90, 36, 80);
+
+            expect(messages('input:note').map(msg => msg.input)).toEqual(['Pads']);
+        });
+
+        it('should follow inputs being plugged in and out', () => {
+            keyboard.play(0x90, 60, 100);
+            keyboard.state = 'disconnected';
+            service.handleStateChange({ port: keyboard });
+
+            expect(service.getInputs()).toEqual(['Pads']);
+            expect(keyboard.listeners).toEqual([]);
+            expect(service.heldNotes.size).toBe(0); // Released, not stuck
+            expect(messages('midi:inputs').at(-1)).toEqual({ inputs: ['Pads'], port: 'Keyboard', state: 'disconnected' });
+
+            keyboard.state = 'connected';
+            service.handleStateChange({ port: keyboard });
+            keyboard.play(0x90, 62, 100);
+
+            expect(service.getInputs()).toEqual(['Pads', 'Keyboard']);
+            expect(messages('input:note').at(-1).note).toBe(62);
+        });
+    });
+
+    describe('Thru', () => {
+        it('should play input notes on the thru channel', () => {
+            service.setThruChannel(5);
+
+            keyboard.play(0x90, 60, 100);
+            keyboard.play(0x80, 60, 0);
+
+            expect(audioRouter.startNote).toHaveBeenCalledWith(5, 60, 100);
+            expect(audioRouter.stopNote).toHaveBeenCalledWith(5, 60);
+        });
+
+        it('should release sounding notes when the thru channel changes', () => {
+            service.setThruChannel(5);
+            keyboard.play(0x90, 60, 100);
+
+            service.setThruChannel(null);
+            keyboard.play(0x80, 60, 0);
+
+            expect(audioRouter.stopNote).toHaveBeenCalledTimes(1);
+            expect(audioRouter.stopNote).toHaveBeenCalledWith(5, 60);
+        });
+
+        it('should report released thru notes to the note listeners', () => {
+            let audioTime = 4;
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => audioTime);
+            const heard = [];
+            const listener = (noteEvent) => heard.push(noteEvent);
+            audioRouter.addNoteListener(listener);
+            service.setThruChannel(5);
+
+            try {
+                keyboard.play(0x90, 60, 100);
+                expect(heard).toEqual([]);
+                audioTime = 4.5;
+                keyboard.play(0x80, 60, 0);
+            } finally {
+                audioRouter.removeNoteListener(listener);
+            }
+
+            expect(heard).toEqual([{ channel: 5, note: 60, velocity: 100, duration: 500, time: 4 }]);
+        });
+
+        it('should stay quiet with thru off', () => {
+            keyboard.play(0x90, 60, 100);
+
+            expect(audioRouter.startNote).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Chords', () => {
+        it('should name held notes once they settle', () => {
+            keyboard.play(0x90, 62, 100);
+            keyboard.play(0x90, 65, 100);
+            vi.advanceTimersByTime(10);
+            keyboard.play(0x90, 69, 100);
+
+            expect(messages('input:chord')).toEqual([]);
+
+            vi.advanceTimersByTime(40);
+
+            expect(messages('input:chord')).toEqual([{ chord: 'Dmin', root: 62, quality: 'min', voicing: [62, 65, 69] }]);
+        });
+
+        it('should announce when held notes stop spelling a chord', () => {
+            [60, 64, 67].forEach(note => keyboard.play(0x90, note, 100));
+            vi.advanceTimersByTime(40);
+            [60, 64, 67].forEach(note => keyboard.play(0x80, note, 0));
+            vi.advanceTimersByTime(40);
+
+            expect(messages('input:chord').at(-1)).toEqual({ chord: null, root: null, quality: null, voicing: [] });
+            expect(service.heldChord).toBeNull();
+        });
+
+        it('should leave the harmony alone without chord override', () => {
+            [60, 64, 67].forEach(note => keyboard.play(0x90, note, 100));
+            vi.advanceTimersByTime(40);
+
+            expect(messages('music:chord')).toEqual([]);
+            expect(service.isOverridingChord()).toBe(false);
+        });
+
+        it('should publish played chords as the harmony with chord override', () => {
+            PubSub.publish('context:pool', { poolKey: '1#', tonicNote: 67 });
+            service.setChordOverride(true);
+
+            [55, 59, 62, 65].forEach(note => keyboard.play(0x90, note, 100));
+            vi.advanceTimersByTime(40);
+
+            const harmony = { chord: 'G7', root: 55, quality: '7', voicing: [55, 59, 62, 65], poolKey: '1#', tonicNote: 55, source: 'input' };
+            expect(messages('music:chord')).toEqual([harmony]);
+            expect(messages('music:nextChord')).toEqual([{ ...harmony, ticksUntilChange: null }]);
+            expect(service.isOverridingChord()).toBe(true);
+        });
+
+        it('should keep the played chord after it is released', () => {
+            service.setChordOverride(true);
+            [60, 64, 67].forEach(note => keyboard.play(0x90, note, 100));
+            vi.advanceTimersByTime(40);
+            [60, 64, 67].forEach(note => keyboard.play(0x80, note, 0));
+            vi.advanceTimersByTime(40);
+
+            expect(messages('music:chord').length).toBe(1);
+            expect(service.isOverridingChord()).toBe(true);
+
+            service.setChordOverride(false);
+            expect(service.isOverridingChord()).toBe(false);
+        });
+    });
+});
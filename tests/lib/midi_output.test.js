@@ -0,0 +1,253 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MIDIOutputService } from '../../lib/midi_output.js';
+import { PubSub } from '../../lib/pubsub.js';
+
+/**
+ * MIDIOutput stand-in that records sent messages
+ */
+function fakeOutput(id, name) {
+    return { id, name, type: 'output', state: 'connected', sent: [], send(message) { this.sent.push(message); } };
+}
+
+describe('MIDIOutputService', () => {
+    let service;
+    let synth;
+    let drumMachine;
+    let access;
+
+    beforeEach(async () => {
+        // Routes persist through the PubSub last value
+        PubSub.clearLast('midi:routes');
+        PubSub.clearAllCallbacks();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+        vi.spyOn(console, 'warn').mockImplementation(() => {});
+
+        synth = fakeOutput('a', 'Bass Synth');
+        drumMachine = fakeOutput('b', 'Drum Machine');
+        access = { outputs: new Map([['a', synth], ['b', drumMachine]]), onstatechange: null };
+        vi.stubGlobal('navigator', { requestMIDIAccess: async () => access });
+
+        service = new MIDIOutputService();
+        await service.initialize();
+    });
+
+    afterEach(() => {
+        vi.unstubAllGlobals();
+        vi.restoreAllMocks();
+    });
+
+    describe('Routing', () => {
+        it('should send unrouted channels to every output', () => {
+            service.sendNoteOn(0, 60, 100);
+
+            expect(synth.sent).toEqual([[0x90, 60, 100]]);
+            expect(drumMachine.sent).toEqual([[0x90, 60, 100]]);
+        });
+
+        it('should send routed channels to their output only', () => {
+            service.setChannelRoute(1, 'Bass Synth');
+            service.setChannelRoute(9, 'Drum Machine');
+
+            service.sendNoteOn(1, 40, 90);
+            service.sendNoteOff(9, 36);
+            service.sendControlChange(9, 7, 100);
+
+            expect(synth.sent).toEqual([[0x91, 40, 90]]);
+            expect(drumMachine.sent).toEqual([[0x89, 36, 0], [0xB9, 7, 100]]);
+        });
+
+        it('should send note-offs where their note-ons went when the route changes', () => {
+            service.setChannelRoute(1, 'Bass Synth');
+            service.sendNoteOn(1, 40, 90);
+
+            service.setChannelRoute(1, 'Drum Machine');
+            service.sendNoteOff(1, 40);
+            service.sendNoteOn(1, 43, 90);
+            service.sendNoteOff(1, 43);
+
+            expect(synth.sent).toEqual([[0x91, 40, 90], [0x81, 40, 0]]);
+            expect(drumMachine.sent).toEqual([[0x91, 43, 90], [0x81, 43, 0]]);
+        });
+
+        it('should unroute a channel', () => {
+            service.setChannelRoute(1, 'Bass Synth');
+            service.setChannelRoute(1, null);
+
+            expect(service.getChannelRoute(1)).toBeNull();
+            expect(service.getChannelOutputs(1)).toEqual([synth, drumMachine]);
+        });
+
+        it('should panic on every output whatever the routing', async () => {
+            service.setChannelRoute(9, 'Drum Machine');
+
+            await service.panic();
+
+            expect(synth.sent).toContainEqual([0x89, 36, 0]);
+            expect(drumMachine.sent).toContainEqual([0x80, 60, 0]);
+        });
+    });
+
+    describe('Messages', () => {
+        beforeEach(() => {
+            service.setChannelRoute(2, 'Bass Synth');
+        });
+
+        it('should send program and bank changes', () => {
+            service.sendBankSelect(2, 130);
+            service.sendProgramChange(2, 33);
+
+            expect(synth.sent).toEqual([[0xB2, 0, 1], [0xB2, 32, 2], [0xC2, 33]]);
+        });
+
+        it('should send 14-bit pitch bend centered on 8192', () => {
+            service.sendPitchBend(2, 0);
+            service.sendPitchBend(2, -1);
+            service.sendPitchBend(2, 1);
+            service.sendPitchBend(2, 0.5);
+
+            expect(synth.sent).toEqual([
+                [0xE2, 0, 64],
+                [0xE2, 0, 0],
+                [0xE2, 127, 127],
+                [0xE2, 0x7F & 12288, 12288 >> 7]
+            ]);
+        });
+
+        it('should send channel and poly aftertouch', () => {
+            service.sendChannelAftertouch(2, 90);
+            service.sendPolyAftertouch(2, 60, 45);
+
+            expect(synth.sent).toEqual([[0xD2, 90], [0xA2, 60, 45]]);
+        });
+
+        it('should set RPNs and NRPNs, then deselect them', () => {
+            service.sendRPN(2, 0, 12 << 7);  // Pitch bend range: 12 semitones
+            service.sendNRPN(2, 0x0123, 0x3FFF);
+
+            expect(synth.sent).toEqual([
+                [0xB2, 101, 0], [0xB2, 100, 0], [0xB2, 6, 12], [0xB2, 38, 0], [0xB2, 101, 127], [0xB2, 100, 127],
+                [0xB2, 99, 2], [0xB2, 98, 0x23], [0xB2, 6, 127], [0xB2, 38, 127], [0xB2, 101, 127], [0xB2, 100, 127]
+            ]);
+        });
+
+        it('should reject out of range values', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            service.sendProgramChange(2, 128);
+            service.sendPitchBend(2, 1.5);
+            service.sendChannelAftertouch(16, 10);
+            service.sendBankSelect(2, 16384);
+            service.sendNRPN(2, 1, -1);
+
+            expect(synth.sent).toEqual([]);
+            expect(console.error).toHaveBeenCalledTimes(5);
+        });
+    });
+
+    describe('SysEx', () => {
+        it('should send SysEx to every output whatever the routing', () => {
+            const message = [0xF0, 0x7F, 0x7F, 0x08, 0x02, 0, 1, 60, 60, 0, 0, 0xF7];
+            access.sysexEnabled = true;
+
+            service.setChannelRoute(2, 'Bass Synth');
+            service.sendSysEx(message);
+
+            expect(synth.sent).toEqual([message]);
+            expect(drumMachine.sent).toEqual([message]);
+        });
+
+        it('should refuse SysEx without permission or framing', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            service.sendSysEx([0xF0, 0x7E, 0xF7]);
+            access.sysexEnabled = true;
+            service.sendSysEx([0x7E, 0x00, 0xF7]);
+            service.sendSysEx([0xF0, 0x80, 0xF7]);
+
+            expect(synth.sent).toEqual([]);
+            expect(console.error).toHaveBeenCalledTimes(3);
+        });
+
+        it('should fall back to no SysEx when permission is refused', async () => {
+            const requestMIDIAccess = vi.fn(async (options) => {
+                if (options?.sysex) {
+                    throw new Error('SecurityError');
+                }
+                return access;
+            });
+            vi.stubGlobal('navigator', { requestMIDIAccess });
+
+            const fallback = new MIDIOutputService();
+
+            expect(await fallback.initialize({ sysex: true })).toBe(true);
+            expect(requestMIDIAccess).toHaveBeenCalledTimes(2);
+            expect(fallback.getOutputs()).toEqual([synth, drumMachine]);
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should publish routes by device name', () => {
+            service.setChannelRoute(9, 'Drum Machine');
+
+            expect(PubSub.last('midi:routes')).toEqual({ routes: { 9: 'Drum Machine' } });
+        });
+
+        it('should restore saved routes in the next session', () => {
+            service.setChannelRoute(9, 'Drum Machine');
+            service.setChannelRoute(1, 'Bass Synth');
+
+            const next = new MIDIOutputService();
+            next.setChannelRoute(1, 'Drum Machine');
+
+            expect(next.getChannelRoute(9)).toBe('Drum Machine');
+            expect(next.getChannelRoute(1)).toBe('Drum Machine');
+            expect(PubSub.last('midi:routes')).toEqual({ routes: { 1: 'Drum Machine', 9: 'Drum Machine' } });
+        });
+    });
+
+    describe('Hot-plug', () => {
+        /**
+         * Change a port's state and fire the MIDI access statechange handler
+         */
+        function plug(port, state) {
+            port.state = state;
+            access.onstatechange({ port });
+        }
+
+        it('should silence a routed channel while its device is unplugged', () => {
+            service.setChannelRoute(9, 'Drum Machine');
+
+            plug(drumMachine, 'disconnected');
+            service.sendNoteOn(9, 36, 100);
+
+            expect(service.getOutputs()).toEqual([synth]);
+            expect(drumMachine.sent).toEqual([]);
+            expect(synth.sent).toEqual([]);
+            expect(console.warn).toHaveBeenCalledWith(expect.stringContaining('channel(s) 10'));
+
+            plug(drumMachine, 'connected');
+            service.sendNoteOn(9, 36, 100);
+
+            expect(drumMachine.sent).toEqual([[0x99, 36, 100]]);
+        });
+
+        it('should pick up newly connected devices', () => {
+            const outputs = [];
+            PubSub.subscribe('midi:outputs', (msg) => outputs.push(msg), this);
+
+            const keys = fakeOutput('c', 'Keys');
+            access.outputs.set('c', keys);
+            access.onstatechange({ port: keys });
+            access.onstatechange({ port: keys }); // Port opened: no change
+
+            expect(service.getOutputs()).toEqual([synth, drumMachine, keys]);
+            expect(outputs).toEqual([{ outputs: ['Bass Synth', 'Drum Machine', 'Keys'], port: 'Keys', state: 'connected' }]);
+        });
+
+        it('should ignore input ports', () => {
+            access.onstatechange({ port: { id: 'x', name: 'Controller', type: 'input', state: 'connected' } });
+
+            expect(service.getOutputs()).toEqual([synth, drumMachine]);
+        });
+    });
+});
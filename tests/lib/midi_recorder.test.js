@@ -0,0 +1,180 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MIDIRecorder } from '../../lib/midi_recorder.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { MIDIInputService } from '../../lib/midi_input.js';
+import { webAudioSynth } from '../../lib/web_audio_synth.js';
+import { PubSub } from '../../lib/pubsub.js';
+
+describe('MIDIRecorder', () => {
+    let recorder;
+    let audioTime;
+
+    // 120 BPM @ 24 PPQN
+    const secondsPerTick = 60 / (120 * 24);
+
+    const tick = (n, extra = {}) => {
+        PubSub.publish('clock:tick', {
+            tick: n,
+            time: 10 + n * secondsPerTick,
+            ppqn: 24,
+            bpm: 120,
+            timeSignature: '4/4',
+            ...extra
+        });
+    };
+
+    beforeEach(() => {
+        PubSub.clearAllCallbacks();
+        vi.useFakeTimers();
+        vi.spyOn(console, 'log').mockImplementation(() => {});
+
+        audioTime = 10;
+        vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => audioTime);
+        audioRouter.setMIDIEnabled(false);
+        audioRouter.setWebAudioEnabled(false);
+
+        recorder = new MIDIRecorder();
+    });
+
+    afterEach(() => {
+        recorder.stop();
+        audioRouter.setMIDIEnabled(true);
+        audioRouter.setWebAudioEnabled(true);
+        vi.useRealTimers();
+        vi.restoreAllMocks();
+    });
+
+    describe('Capturing', () => {
+        it('should ignore notes while not recording', () => {
+            tick(0);
+            audioRouter.sendNote(0, 60, 100, 250, 10);
+
+            expect(recorder.hasRecording()).toBe(false);
+        });
+
+        it('should stamp notes with their position relative to the first tick', () => {
+            recorder.start();
+            tick(48);
+            tick(49);
+
+            // Half a beat (12 clock ticks) after tick 48
+            audioRouter.sendNote(2, 45, 90, 250, 10 + 60 * secondsPerTick);
+
+            expect(recorder.notes).toEqual([
+                { tick: 240, durationTicks: 240, channel: 2, note: 45, velocity: 90 }
+            ]);
+        });
+
+        it('should stamp untimed notes at the latest tick', () => {
+            recorder.start();
+            tick(48);
+            tick(72);
+
+            audioRouter.notifyNoteListeners({ channel: 0, note: 60, velocity: 100, duration: 250, time: null });
+
+            expect(recorder.notes[0].tick).toBe(480);
+        });
+
+        it('should record the starting tempo and meter', () => {
+            recorder.start();
+            tick(0);
+
+            expect(recorder.tempoEvents).toEqual([{ tick: 0, bpm: 120 }]);
+            expect(recorder.meterEvents).toEqual([{ tick: 0, beatsPerBar: 4, noteValue: 4 }]);
+        });
+
+        it('should record tempo and time signature changes at the next tick', () => {
+            recorder.start();
+            tick(0);
+            tick(95);
+            PubSub.publish('context:timeSignature', { timeSignature: '3/4', beatsPerBar: 3, noteValue: 4 });
+            PubSub.publish('clock:tempo', { bpm: 90 });
+
+            expect(recorder.meterEvents[1]).toEqual({ tick: 1920, beatsPerBar: 3, noteValue: 4 });
+            expect(recorder.tempoEvents[1]).toEqual({ tick: 1920, bpm: 90 });
+        });
+
+        it('should record notes played thru from a MIDI keyboard', () => {
+            const input = new MIDIInputService();
+            input.chordDelay = Infinity;
+            input.setThruChannel(3);
+            recorder.start();
+            tick(0);
+
+            audioTime = 10 + 24 * secondsPerTick;
+            input.handleNoteOn(64, 70, 0, 'Keyboard');
+            audioTime = 10 + 72 * secondsPerTick;
+            input.handleNoteOff(64, 0, 'Keyboard');
+
+            expect(recorder.notes).toEqual([
+                { tick: 480, durationTicks: 960, channel: 3, note: 64, velocity: 70 }
+            ]);
+        });
+
+        it('should stop capturing after stop()', () => {
+            recorder.start();
+            tick(0);
+            recorder.stop();
+            audioRouter.sendNote(0, 60, 100, 250, 10);
+
+            expect(recorder.hasRecording()).toBe(false);
+        });
+    });
+
+    describe('Export', () => {
+        it('should export a conductor track plus one track per channel', () => {
+            recorder.setTrackName(9, 'drummer');
+            recorder.start();
+            tick(0);
+            audioRouter.sendNote(9, 36, 100, 100, 10);
+            audioRouter.sendNote(1, 40, 80, 500, 10);
+            audioRouter.sendNote(9, 38, 100, 100, 10.5);
+
+            const tracks = recorder.buildTracks();
+
+            expect(tracks.map(t => t.name)).toEqual(['Sonofire', 'Channel 2', 'drummer']);
+            expect(tracks[2].events.filter(e => e.type === 'noteOn').map(e => e.note)).toEqual([36, 38]);
+        });
+
+        it('should end overlapped notes when their pitch starts again', () => {
+            recorder.start();
+            tick(0);
+            audioRouter.sendNote(0, 60, 100, 1000, 10);         // 960 ticks
+            audioRouter.sendNote(0, 60, 100, 250, 10.25);       // Starts 240 ticks in
+            audioRouter.sendNote(0, 64, 100, 250, 10.25);
+            audioRouter.sendNote(0, 64, 100, 500, 10.25);       // Same tick: only this one is kept
+
+            const events = recorder.buildTracks()[1].events.map(({ tick, type, note }) => [tick, type, note]);
+
+            expect(events).toEqual([
+                [0, 'noteOn', 60], [240, 'noteOff', 60],
+                [240, 'noteOn', 60], [480, 'noteOff', 60],
+                [240, 'noteOn', 64], [720, 'noteOff', 64]
+            ]);
+        });
+
+        it('should give a cleared track its default name back', () => {
+            recorder.setTrackName(1, 'bassist');
+            recorder.setTrackName(1, null);
+            recorder.start();
+            tick(0);
+            audioRouter.sendNote(1, 40, 80, 500, 10);
+
+            expect(recorder.getTrackName(1)).toBeNull();
+            expect(recorder.buildTracks()[1].name).toBe('Channel 2');
+        });
+
+        it('should write a Type 1 MIDI file', () => {
+            recorder.start();
+            tick(0);
+            audioRouter.sendNote(0, 60, 100, 250, 10);
+
+            const bytes = recorder.export();
+            const text = String.fromCharCode(...bytes.slice(0, 4));
+
+            expect(text).toBe('MThd');
+            expect(bytes[9]).toBe(1);   // Format 1
+            expect(bytes[11]).toBe(2);  // Conductor track + 1 channel
+        });
+    });
+});
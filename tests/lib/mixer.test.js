@@ -0,0 +1,108 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { Mixer } from '../../lib/mixer.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { webAudioSynth } from '../../lib/web_audio_synth.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { PubSub } from '../../lib/pubsub.js';
+
+describe('Mixer', () => {
+    let mixer;
+
+    beforeEach(() => {
+        mixer = new Mixer();
+        midiOutput.initialized = true;
+        vi.spyOn(webAudioSynth, 'setChannelStrip').mockImplementation(() => {});
+        vi.spyOn(midiOutput, 'sendControlChange').mockImplementation(() => {});
+        vi.spyOn(PubSub, 'publish').mockImplementation(() => {});
+    });
+
+    afterEach(() => {
+        midiOutput.initialized = false;
+        audioRouter.setRenderMode(false);
+        vi.restoreAllMocks();
+    });
+
+    it('should set Web Audio strips and mirror them as CC7/CC10', () => {
+        mixer.setGain(2, 0.5);
+        mixer.setPan(2, -1);
+
+        expect(webAudioSynth.setChannelStrip).toHaveBeenLastCalledWith(2, { gain: 0.5, pan: -1 });
+        expect(midiOutput.sendControlChange).toHaveBeenCalledWith(2, 7, 64);
+        expect(midiOutput.sendControlChange).toHaveBeenLastCalledWith(2, 10, 0);
+    });
+
+    it('should clamp gain and pan', () => {
+        mixer.setGain(0, 2);
+        mixer.setPan(0, 5);
+
+        expect(mixer.getStrip(0)).toMatchObject({ gain: 1, pan: 1 });
+        expect(midiOutput.sendControlChange).toHaveBeenCalledWith(0, 7, 127);
+        expect(midiOutput.sendControlChange).toHaveBeenLastCalledWith(0, 10, 127);
+    });
+
+    it('should silence muted channels but keep their level', () => {
+        mixer.setGain(1, 0.8);
+        mixer.setMute(1, true);
+
+        expect(mixer.getEffectiveGain(1)).toBe(0);
+        expect(webAudioSynth.setChannelStrip).toHaveBeenLastCalledWith(1, { gain: 0, pan: 0 });
+        expect(midiOutput.sendControlChange).toHaveBeenCalledWith(1, 7, 0);
+
+        mixer.setMute(1, false);
+        expect(webAudioSynth.setChannelStrip).toHaveBeenLastCalledWith(1, { gain: 0.8, pan: 0 });
+    });
+
+    it('should silence every other channel while one is soloed', () => {
+        mixer.setSolo(9, true);
+
+        expect(mixer.isAudible(9)).toBe(true);
+        expect(mixer.isAudible(0)).toBe(false);
+        expect(webAudioSynth.setChannelStrip).toHaveBeenCalledTimes(16);
+        expect(webAudioSynth.setChannelStrip).toHaveBeenCalledWith(0, { gain: 0, pan: 0 });
+
+        mixer.setSolo(0, true);
+        expect(mixer.isAudible(0)).toBe(true);
+
+        mixer.setSolo(9, false);
+        mixer.setSolo(0, false);
+        expect(mixer.isAudible(9)).toBe(true);
+        expect(mixer.isAudible(5)).toBe(true);
+    });
+
+    it('should not send MIDI when MIDI is off or rendering', () => {
+        audioRouter.setRenderMode(true);
+        mixer.setGain(0, 0.5);
+        audioRouter.setRenderMode(false);
+
+        midiOutput.initialized = false;
+        mixer.setGain(0, 0.25);
+
+        expect(midiOutput.sendControlChange).not.toHaveBeenCalled();
+        expect(webAudioSynth.setChannelStrip).toHaveBeenCalledTimes(2);
+    });
+
+    it('should announce strip changes', () => {
+        mixer.setMute(3, true);
+
+        expect(PubSub.publish).toHaveBeenCalledWith('mixer:channel', {
+            channel: 3, gain: 1, pan: 0, mute: true, solo: false, sends: { reverb: 0.2, delay: 0 }, audible: false
+        });
+    });
+
+    it('should set effect sends and mirror the reverb send as CC91', () => {
+        vi.spyOn(webAudioSynth, 'setChannelSend').mockImplementation(() => {});
+
+        mixer.setSend(4, 'reverb', 0.5);
+        mixer.setSend(4, 'delay', 1.5);
+
+        expect(mixer.getStrip(4).sends).toEqual({ reverb: 0.5, delay: 1 });
+        expect(webAudioSynth.setChannelSend).toHaveBeenCalledWith(4, 'delay', 1);
+        expect(midiOutput.sendControlChange).toHaveBeenCalledTimes(1);
+        expect(midiOutput.sendControlChange).toHaveBeenCalledWith(4, 91, 64);
+        expect(() => mixer.setSend(4, 'chorus', 1)).toThrow(/Unknown effect send "chorus"/);
+    });
+
+    it('should reject invalid channels', () => {
+        expect(() => mixer.setGain(16, 1)).toThrow(/Invalid channel 16/);
+    });
+});
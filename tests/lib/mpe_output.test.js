@@ -0,0 +1,209 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { MPEOutput } from '../../lib/mpe_output.js';
+import { audioRouter } from '../../lib/audio_router.js';
+import { midiOutput } from '../../lib/midi_output.js';
+import { webAudioSynth } from '../../lib/web_audio_synth.js';
+
+describe('MPEOutput', () => {
+    let time;
+
+    beforeEach(() => {
+        time = 1;
+        vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => time);
+        vi.spyOn(webAudioSynth, 'setNoteBend').mockImplementation(() => {});
+        vi.spyOn(audioRouter, 'toMIDITimestamp').mockImplementation((t) => t === null ? undefined : t * 1000);
+        vi.spyOn(audioRouter, 'sendNote').mockImplementation(() => 'note-0');
+        ['sendPitchBend', 'sendControlChange', 'sendChannelAftertouch', 'sendRPN'].forEach(method => {
+            vi.spyOn(midiOutput, method).mockImplementation(() => {});
+        });
+    });
+
+    afterEach(() => {
+        audioRouter.setRenderMode(false);
+        vi.restoreAllMocks();
+    });
+
+    describe('Zones', () => {
+        it('should lay out a lower zone from channel 2 up', () => {
+            const mpe = new MPEOutput({ members: 3 });
+
+            expect(mpe.managerChannel).toBe(0);
+            expect(mpe.memberChannels).toEqual([1, 2, 3]);
+        });
+
+        it('should lay out an upper zone from channel 15 down', () => {
+            const mpe = new MPEOutput({ zone: 'upper', members: 3 });
+
+            expect(mpe.managerChannel).toBe(15);
+            expect(mpe.memberChannels).toEqual([14, 13, 12]);
+        });
+
+        it('should skip channels other instrumentalists play on', () => {
+            const mpe = new MPEOutput({ members: 4, reserved: [1, 9, 2] });
+
+            expect(mpe.memberChannels).toEqual([3, 4, 5, 6]);
+        });
+
+        it('should not take a manager channel in use', () => {
+            expect(() => new MPEOutput({ reserved: [0] })).toThrow(/Manager channel 1 is in use/);
+            expect(() => new MPEOutput({ zone: 'upper', members: 1, reserved: Array.from({ length: 15 }, (_, i) => i) }))
+                .toThrow(/No free member channels/);
+        });
+
+        it('should reject invalid zones', () => {
+            expect(() => new MPEOutput({ zone: 'middle' })).toThrow(/Invalid zone/);
+            expect(() => new MPEOutput({ members: 0 })).toThrow(/member count/);
+            expect(() => new MPEOutput({ bendRange: 100 })).toThrow(/bend range/);
+        });
+
+        it('should announce the zone and member bend range', () => {
+            new MPEOutput({ output: 'MPE Synth', members: 2, bendRange: 24 }).configure();
+
+            expect(midiOutput.sendRPN.mock.calls).toEqual([
+                [0, 6, 2 << 7],
+                [1, 0, 24 << 7],
+                [2, 0, 24 << 7]
+            ]);
+        });
+
+        it('should not configure devices without an output of its own', () => {
+            new MPEOutput().configure();
+
+            expect(midiOutput.sendRPN).not.toHaveBeenCalled();
+        });
+
+        it('should not configure devices during renders', () => {
+            audioRouter.setRenderMode(true);
+
+            new MPEOutput({ output: 'MPE Synth' }).configure();
+
+            expect(midiOutput.sendRPN).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Member Channels', () => {
+        it('should give overlapping notes their own channels', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 3 });
+
+            const first = mpe.playNote(0, 60, 100, 1000, 1);
+            const second = mpe.playNote(0, 64, 100, 1000, 1.5);
+
+            expect(first.member).toBe(1);
+            expect(second.member).toBe(2);
+            expect(audioRouter.sendNote).toHaveBeenCalledWith(0, 64, 100, 1000, 1.5, { midiChannel: 2, retune: false });
+        });
+
+        it('should reuse the channel released longest ago', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 3 });
+
+            mpe.playNote(0, 60, 100, 100, 1);   // Channel 1, free at 1.1
+            mpe.playNote(0, 62, 100, 200, 1);   // Channel 2, free at 1.2
+            mpe.playNote(0, 64, 100, 300, 1);   // Channel 3, free at 1.3
+
+            expect(mpe.playNote(0, 65, 100, 100, 2).member).toBe(1);
+            expect(mpe.playNote(0, 67, 100, 100, 2).member).toBe(2);
+        });
+
+        it('should steal the channel that frees up first when all are busy', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2 });
+
+            mpe.playNote(0, 60, 100, 500, 1);
+            mpe.playNote(0, 62, 100, 200, 1);
+
+            expect(mpe.playNote(0, 64, 100, 500, 1.1).member).toBe(2);
+        });
+
+        it('should set expression before the note starts', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2 });
+
+            mpe.playNote(0, 60, 100, 500, 2, { pressure: 90, timbre: 30 });
+
+            expect(midiOutput.sendPitchBend).toHaveBeenCalledWith(1, 0, 2000);
+            expect(midiOutput.sendControlChange).toHaveBeenCalledWith(1, 74, 30, 2000);
+            expect(midiOutput.sendChannelAftertouch).toHaveBeenCalledWith(1, 90, 2000);
+            const noteOn = audioRouter.sendNote.mock.invocationCallOrder[0];
+            [midiOutput.sendPitchBend, midiOutput.sendControlChange, midiOutput.sendChannelAftertouch].forEach(send => {
+                expect(send.mock.invocationCallOrder[0]).toBeLessThan(noteOn);
+            });
+        });
+
+        it('should play on the instrumentalist channel alone without an output of its own', () => {
+            const mpe = new MPEOutput();
+
+            const sounding = mpe.playNote(0, 60, 100, 500, 1, { pressure: 90 });
+
+            expect(sounding.member).toBeNull();
+            expect(audioRouter.sendNote).toHaveBeenCalledWith(0, 60, 100, 500, 1, {});
+            expect(midiOutput.sendChannelAftertouch).not.toHaveBeenCalled();
+        });
+
+        it('should play on the instrumentalist channel alone during renders', () => {
+            audioRouter.setRenderMode(true);
+            const mpe = new MPEOutput();
+
+            const sounding = mpe.playNote(0, 60, 100, 500, 1);
+
+            expect(sounding.member).toBeNull();
+            expect(audioRouter.sendNote).toHaveBeenCalledWith(0, 60, 100, 500, 1, {});
+            expect(midiOutput.sendPitchBend).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Glides', () => {
+        it('should glide in from the previous note', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2, bendRange: 48 });
+
+            mpe.playNote(0, 64, 100, 500, 1, { from: 60, glide: 40 });
+
+            // Starts 4 semitones down, reaches the note 40ms in (two 20ms steps)
+            const bends = midiOutput.sendPitchBend.mock.calls.slice(1);
+            expect(bends).toEqual([[1, -4 / 48, 1000], [1, -2 / 48, 1020], [1, 0, 1040]]);
+            expect(midiOutput.sendPitchBend.mock.calls[0]).toEqual([1, -4 / 48, 1000]);
+            expect(webAudioSynth.setNoteBend.mock.calls).toEqual([
+                [0, 64, -400, 1, { immediate: true }],
+                [0, 64, -200, 1.02, { immediate: false }],
+                [0, 64, 0, 1.04, { immediate: false }]
+            ]);
+        });
+
+        it('should finish a glide within the note', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2 });
+
+            mpe.playNote(0, 60, 100, 20, 1, { from: 62, glide: 200 });
+
+            expect(webAudioSynth.setNoteBend).toHaveBeenLastCalledWith(0, 60, 0, 1.02, { immediate: false });
+        });
+
+        it('should limit glides to the bend range', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2, bendRange: 12 });
+
+            mpe.playNote(0, 40, 100, 500, 1, { from: 80, glide: 20 });
+
+            expect(midiOutput.sendPitchBend.mock.calls[0]).toEqual([1, 1, 1000]);
+        });
+
+        it('should not glide without a previous note', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 2 });
+
+            mpe.playNote(0, 60, 100, 500, 1, { from: null, glide: 80 });
+
+            expect(midiOutput.sendPitchBend).toHaveBeenCalledTimes(1);
+            expect(webAudioSynth.setNoteBend).not.toHaveBeenCalled();
+        });
+    });
+
+    describe('Expression', () => {
+        it('should update sounding notes only', () => {
+            const mpe = new MPEOutput({ output: 'MPE Synth', members: 3 });
+            mpe.playNote(0, 60, 100, 100, 1);   // Over at 1.1
+            mpe.playNote(0, 64, 100, 1000, 1);
+
+            time = 1.5;
+            mpe.setPressure(70);
+            mpe.setTimbre(20);
+
+            expect(midiOutput.sendChannelAftertouch.mock.calls).toEqual([[2, 70]]);
+            expect(midiOutput.sendControlChange.mock.calls).toEqual([[2, 74, 20]]);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, vi } from 'vitest';
 import { Playhead } from '../../lib/playhead.js';
 import { PubSub } from '../../lib/pubsub.js';
+import { random } from '../../lib/random.js';
 
 describe('Playhead', () => {
     let playhead;
@@ -27,7 +28,16 @@ describe('Playhead', () => {
             expect(ph.enabled).toBe(true);
             expect(ph.position).toBe(0);
             expect(ph.tickCounter).toBe(0);
-            expect(ph.id).toMatch(/^ph-\d+-[a-z0-9]+$/);
+            expect(ph.id).toMatch(/^ph-[a-z0-9]+$/);
+        });
+
+        it('should give the same ids for the same seed', () => {
+            random.setSeed(7);
+            const ids = [new Playhead(visualizerId).id, new Playhead(visualizerId).id];
+            random.setSeed(7);
+
+            expect([new Playhead(visualizerId).id, new Playhead(visualizerId).id]).toEqual(ids);
+            expect(ids[0]).not.toBe(ids[1]);
         });
 
         it('should create a playhead with custom config', () => {
@@ -0,0 +1,331 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { PrivateMessageBus } from '../../lib/pubsub.js';
+import { MemoryLastValueStore, WebStorageLastValueStore } from '../../lib/last_value_store.js';
+
+/**
+ * Web Storage stand-in backed by a Map
+ */
+function fakeStorage(quota = Infinity) {
+    const items = new Map();
+    return {
+        items,
+        get length() { return items.size; },
+        key: (index) => [...items.keys()][index] ?? null,
+        getItem: (key) => items.get(key) ?? null,
+        setItem(key, value) {
+            if (String(value).length > quota) {
+                throw new Error('QuotaExceededError');
+            }
+            items.set(key, String(value));
+        },
+        removeItem: (key) => items.delete(key),
+        clear: () => items.clear()
+    };
+}
+
+describe('PubSub', () => {
+    let bus;
+    let received;
+
+    beforeEach(() => {
+        bus = new PrivateMessageBus();
+        received = [];
+    });
+
+    /**
+     * Subscriber that records what it receives, tagged with a label
+     */
+    function recorder(label) {
+        return (data, topic) => received.push([label, data, topic]);
+    }
+
+    describe('Patterns', () => {
+        it('should match one segment with *', () => {
+            bus.subscribe('context:*', recorder('context'));
+
+            bus.publish('context:pool', { poolKey: '1#' });
+            bus.publish('context:mood', { mood: 'tense' });
+            bus.publish('music:chord', { chord: 'G' });
+            bus.publish('context:pool:extra', {});
+
+            expect(received).toEqual([
+                ['context', { poolKey: '1#' }, 'context:pool'],
+                ['context', { mood: 'tense' }, 'context:mood']
+            ]);
+        });
+
+        it('should match several segments with **', () => {
+            bus.subscribe('playhead:main-xy-plot:**', recorder('plot'));
+            bus.subscribe('playhead:*:*:value', recorder('values'));
+
+            bus.publish('playhead:main-xy-plot:p1:value', 0.5);
+            bus.publish('playhead:other-plot:p1:value', 0.7);
+            bus.publish('playhead:main-xy-plot:p1:state', 'on');
+
+            expect(received).toEqual([
+                ['plot', 0.5, 'playhead:main-xy-plot:p1:value'],
+                ['values', 0.5, 'playhead:main-xy-plot:p1:value'],
+                ['values', 0.7, 'playhead:other-plot:p1:value'],
+                ['plot', 'on', 'playhead:main-xy-plot:p1:state']
+            ]);
+        });
+
+        it('should treat other characters literally', () => {
+            bus.subscribe('data.set:*', recorder('literal'));
+
+            bus.publish('dataXset:a', 1);
+            bus.publish('data.set:a', 2);
+
+            expect(received.map(([, data]) => data)).toEqual([2]);
+        });
+
+        it('should call exact subscribers first with the data only', () => {
+            bus.subscribe('context:*', recorder('pattern'));
+            bus.subscribe('context:pool', (...args) => received.push(['exact', ...args]));
+
+            bus.publish('context:pool', 1);
+
+            expect(received).toEqual([['exact', 1], ['pattern', 1, 'context:pool']]);
+        });
+
+        it('should pick up patterns subscribed after a topic was published', () => {
+            bus.publish('context:pool', 1);
+            bus.subscribe('context:*', recorder('late'));
+
+            bus.publish('context:pool', 2);
+
+            expect(received).toEqual([['late', 2, 'context:pool']]);
+        });
+    });
+
+    describe('Observers', () => {
+        it('should see every publish before its subscribers run', () => {
+            const observer = recorder('observer');
+            bus.subscribe('clock:tick', (data) => {
+                received.push(['tick', data]);
+                bus.publish('music:chord', { chord: 'C' });
+            });
+            bus.subscribe('**', recorder('pattern'));
+            bus.observe(observer);
+
+            bus.publish('clock:tick', { tick: 1 });
+            bus.publish('data:point', { y: 2 }); // No exact subscribers
+
+            expect(received.map(([label, , topic]) => [label, topic])).toEqual([
+                ['observer', 'clock:tick'],
+                ['tick', undefined],
+                ['observer', 'music:chord'],
+                ['pattern', 'music:chord'],
+                ['pattern', 'clock:tick'],
+                ['observer', 'data:point'],
+                ['pattern', 'data:point']
+            ]);
+        });
+
+        it('should stop observing', () => {
+            const observer = recorder('observer');
+            bus.observe(observer);
+            bus.observe(observer);
+            bus.clearAllCallbacks();
+            bus.publish('music:chord', { chord: 'C' });
+
+            expect(bus.unobserve(observer)).toBe(true);
+            bus.publish('music:chord', { chord: 'D' });
+
+            expect(received.length).toBe(1);
+            expect(bus.unobserve(observer)).toBe(false);
+        });
+    });
+
+    describe('Unsubscribing', () => {
+        it('should unsubscribe a pattern without touching exact subscriptions', () => {
+            const context = {};
+            const callback = recorder('same');
+            bus.subscribe('context:*', callback, context);
+            bus.subscribe('context:pool', callback, context);
+
+            expect(bus.unsubscribe('context:*', callback, context)).toBe(true);
+            bus.publish('context:pool', 1);
+
+            expect(received).toEqual([['same', 1, undefined]]);
+            expect(bus.unsubscribe('context:*', callback, context)).toBe(false);
+        });
+
+        it('should not unsubscribe a pattern through a topic it matches', () => {
+            const context = {};
+            const callback = recorder('pattern');
+            bus.subscribe('context:*', callback, context);
+
+            expect(bus.unsubscribe('context:pool', callback, context)).toBe(false);
+            bus.publish('context:pool', 1);
+
+            expect(received.length).toBe(1);
+        });
+
+        it('should clear pattern callbacks', () => {
+            bus.subscribe('context:*', recorder('a'));
+            bus.subscribe('music:*', recorder('b'));
+
+            bus.clearTopicCallbacks('context:*');
+            bus.publish('context:pool', 1);
+            bus.publish('music:chord', 2);
+            bus.clearAllCallbacks();
+            bus.publish('music:chord', 3);
+
+            expect(received).toEqual([['b', 2, 'music:chord']]);
+        });
+    });
+
+    describe('Last Values', () => {
+        it('should return the last value of every matching topic', () => {
+            bus.publish('context:pool', { poolKey: '1#' });
+            bus.publish('context:mood', { mood: 'tense' });
+            bus.publish('music:chord', { chord: 'G' });
+
+            expect(bus.last('context:*')).toEqual({
+                'context:pool': { poolKey: '1#' },
+                'context:mood': { mood: 'tense' }
+            });
+            expect(bus.last('transport:*')).toEqual({});
+            expect(bus.last('context:pool')).toEqual({ poolKey: '1#' });
+        });
+
+        it('should keep other buses out of pattern last values', () => {
+            const other = new PrivateMessageBus();
+            other.publish('context:pool', 'other');
+            bus.publish('context:mood', 'mine');
+
+            expect(bus.last('context:*')).toEqual({ 'context:mood': 'mine' });
+        });
+
+        it('should clear the last value of every matching topic', () => {
+            bus.publish('context:pool', 1);
+            bus.publish('context:mood', 2);
+            bus.publish('music:chord', 3);
+
+            bus.clearLast('context:*');
+
+            expect(bus.last('context:pool')).toBeNull();
+            expect(bus.last('context:mood')).toBeNull();
+            expect(bus.last('music:chord')).toBe(3);
+        });
+    });
+
+    describe('Persistence', () => {
+        it('should keep last values in memory only unless persisted', () => {
+            const store = new MemoryLastValueStore();
+            vi.spyOn(store, 'save');
+            bus.setLastValueStore(store);
+
+            bus.publish('clock:tick', { tick: 1 });
+
+            expect(bus.last('clock:tick')).toEqual({ tick: 1 });
+            expect(store.save).not.toHaveBeenCalled();
+        });
+
+        it('should hand out copies of last values', () => {
+            bus.publish('context:pool', { poolKey: '1#' });
+
+            bus.last('context:pool').poolKey = 'changed';
+
+            expect(bus.last('context:pool')).toEqual({ poolKey: '1#' });
+            expect(bus.last('never:published')).toBeNull();
+        });
+
+        it('should save persisted topics under the bus id', () => {
+            const storage = fakeStorage();
+            bus.setID('main');
+            bus.setLastValueStore(new WebStorageLastValueStore(storage));
+            bus.persist('midi:routes');
+            bus.persist('visualizer:*:playheads');
+
+            bus.publish('midi:routes', { routes: { 9: 'Drums' } });
+            bus.publish('visualizer:plot:playheads', { playheads: [] });
+            bus.publish('clock:tick', { tick: 1 });
+
+            expect([...storage.items]).toEqual([
+                ['main.lastEvents.midi:routes', '{"routes":{"9":"Drums"}}'],
+                ['main.lastEvents.visualizer:plot:playheads', '{"playheads":[]}']
+            ]);
+        });
+
+        it('should restore persisted topics when the store is set', async () => {
+            const storage = fakeStorage();
+            storage.setItem('main.lastEvents.midi:routes', '{"routes":{"1":"Bass"}}');
+            storage.setItem('main.lastEvents.clock:tempo', '{"bpm":90}');
+            storage.setItem('other.lastEvents.midi:routes', '{"routes":{}}');
+            bus.setID('main');
+            bus.persist('midi:routes');
+
+            await bus.setLastValueStore(new WebStorageLastValueStore(storage));
+
+            expect(bus.last('midi:routes')).toEqual({ routes: { 1: 'Bass' } });
+            expect(bus.last('clock:tempo')).toBeNull(); // Not persisted (any more)
+
+            bus.persist('clock:*');
+            expect(bus.last('clock:tempo')).toEqual({ bpm: 90 });
+        });
+
+        it('should keep values published while an asynchronous store loads', async () => {
+            let finishLoading;
+            const store = {
+                load: () => new Promise(resolve => { finishLoading = resolve; }),
+                save: vi.fn(),
+                remove: vi.fn()
+            };
+            bus.setID('main');
+            bus.persist('midi:*');
+
+            const restored = bus.setLastValueStore(store);
+            bus.publish('midi:routes', { routes: { 2: 'Keys' } });
+            finishLoading([
+                ['main.lastEvents.midi:routes', { routes: { 1: 'Bass' } }],
+                ['main.lastEvents.midi:thru', { channel: 3 }]
+            ]);
+            await restored;
+
+            expect(bus.last('midi:routes')).toEqual({ routes: { 2: 'Keys' } });
+            expect(bus.last('midi:thru')).toEqual({ channel: 3 });
+            expect(store.save).toHaveBeenCalledWith('main.lastEvents.midi:routes', { routes: { 2: 'Keys' } });
+        });
+
+        it('should forget cleared persisted values', () => {
+            const storage = fakeStorage();
+            bus.setLastValueStore(new WebStorageLastValueStore(storage));
+            bus.persist('midi:routes');
+            bus.publish('midi:routes', { routes: {} });
+
+            bus.clearLast('midi:routes');
+
+            expect(storage.length).toBe(0);
+            expect(bus.last('midi:routes')).toBeNull();
+        });
+
+        it('should drop values that exceed the quota and nothing else', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+            const storage = fakeStorage(20);
+            storage.setItem('unrelated', 'app data');
+            bus.setID('main');
+            bus.setLastValueStore(new WebStorageLastValueStore(storage));
+            bus.persist('big');
+
+            bus.publish('big', 'short');
+            bus.publish('big', 'much too long for the quota');
+
+            expect([...storage.items]).toEqual([['unrelated', 'app data']]);
+            expect(bus.last('big')).toBe('much too long for the quota');
+            expect(console.error).toHaveBeenCalledTimes(1);
+        });
+
+        it('should persist in memory by default, without browser storage', () => {
+            expect(bus.getLastValueStore()).toBeInstanceOf(MemoryLastValueStore);
+            expect(() => new WebStorageLastValueStore(null)).toThrow(/Web Storage area/);
+
+            bus.persist('context:pool');
+            bus.publish('context:pool', { poolKey: '0' });
+
+            expect(bus.getLastValueStore().load(`${bus.instanceId}.lastEvents.`))
+                .toEqual([[`${bus.instanceId}.lastEvents.context:pool`, { poolKey: '0' }]]);
+        });
+    });
+});
@@ -0,0 +1,101 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SeededRandom, RandomStream } from '../../lib/random.js';
+import { weightedRandomSelect } from '../../lib/generative_algorithms.js';
+
+/**
+ * Draw n numbers from a stream
+ */
+function draw(stream, n = 5) {
+    return Array.from({ length: n }, () => stream.next());
+}
+
+describe('SeededRandom', () => {
+    let random;
+
+    beforeEach(() => {
+        random = new SeededRandom();
+    });
+
+    it('should repeat the same sequence for the same seed', () => {
+        random.setSeed(42);
+        const first = draw(random);
+
+        random.setSeed(42);
+        expect(draw(random)).toEqual(first);
+
+        random.setSeed(43);
+        expect(draw(random)).not.toEqual(first);
+    });
+
+    it('should treat number and string seeds alike', () => {
+        random.setSeed(42);
+        const first = draw(random);
+
+        random.setSeed('42');
+        expect(draw(random)).toEqual(first);
+    });
+
+    it('should pick and report a seed when none is given', () => {
+        const seed = random.setSeed(null);
+        const first = draw(random);
+
+        expect(random.getSeed()).toBe(seed);
+
+        random.setSeed(seed);
+        expect(draw(random)).toEqual(first);
+    });
+
+    it('should derive independent named streams', () => {
+        random.setSeed('take-1');
+        const soloist = draw(random.stream('soloist-1'));
+
+        // Drawing from other streams doesn't shift this one
+        random.setSeed('take-1');
+        draw(random.stream('drummer'), 100);
+        draw(random, 100);
+        expect(draw(random.stream('soloist-1'))).toEqual(soloist);
+
+        expect(draw(random.stream('bassist'))).not.toEqual(soloist);
+    });
+
+    it('should reseed streams handed out earlier', () => {
+        const stream = random.stream('soloist-1');
+        random.setSeed(7);
+        const first = draw(stream);
+
+        random.setSeed(7);
+        expect(draw(stream)).toEqual(first);
+    });
+});
+
+describe('RandomStream', () => {
+    it('should stay in range', () => {
+        const stream = new RandomStream(1);
+
+        for (let i = 0; i < 1000; i++) {
+            const n = stream.next();
+            expect(n).toBeGreaterThanOrEqual(0);
+            expect(n).toBeLessThan(1);
+
+            const k = stream.int(3);
+            expect([0, 1, 2]).toContain(k);
+        }
+    });
+
+    it('should pick elements and roll chances', () => {
+        const stream = new RandomStream(1);
+
+        expect(['a', 'b', 'c']).toContain(stream.pick(['a', 'b', 'c']));
+        expect(stream.chance(0)).toBe(false);
+        expect(stream.chance(1)).toBe(true);
+    });
+
+    it('should drive weighted selection reproducibly', () => {
+        const options = ['i', 'iv', 'v'];
+        const weights = [0.5, 0.25, 0.25];
+
+        const select = (stream) => Array.from({ length: 20 }, () => weightedRandomSelect(options, weights, stream));
+
+        expect(select(new RandomStream(99))).toEqual(select(new RandomStream(99)));
+    });
+});
@@ -0,0 +1,223 @@
+import { describe, it, expect, beforeEach } from 'vitest';
+import { SynthPatch } from '../../lib/synth_patch.js';
+
+/**
+ * Minimal AudioContext stand-in that records the graph and automation
+ */
+class FakeParam {
+    constructor() {
+        this.value = 0;
+        this.events = [];
+    }
+
+    setValueAtTime(value, time) {
+        this.events.push(['set', value, time]);
+    }
+
+    linearRampToValueAtTime(value, time) {
+        this.events.push(['linear', value, time]);
+    }
+
+    exponentialRampToValueAtTime(value, time) {
+        this.events.push(['exponential', value, time]);
+    }
+}
+
+class FakeNode {
+    constructor(kind, params = {}) {
+        this.kind = kind;
+        this.connections = [];
+        Object.assign(this, params);
+    }
+
+    connect(destination) {
+        this.connections.push(destination);
+    }
+
+    start(time) {
+        this.startTime = time;
+    }
+
+    stop(time) {
+        this.stopTime = time;
+    }
+}
+
+class FakeContext {
+    constructor() {
+        this.sampleRate = 100;
+        this.nodes = [];
+    }
+
+    add(node) {
+        this.nodes.push(node);
+        return node;
+    }
+
+    createOscillator() {
+        return this.add(new FakeNode('oscillator', { frequency: new FakeParam(), detune: new FakeParam() }));
+    }
+
+    createGain() {
+        return this.add(new FakeNode('gain', { gain: new FakeParam() }));
+    }
+
+    createBiquadFilter() {
+        return this.add(new FakeNode('filter', { frequency: new FakeParam(), Q: new FakeParam() }));
+    }
+
+    createBuffer(channels, length) {
+        const data = new Float32Array(length);
+        return { getChannelData: () => data };
+    }
+
+    createBufferSource() {
+        return this.add(new FakeNode('noise'));
+    }
+}
+
+const fmPatch = {
+    name: 'test-fm',
+    level: 0.5,
+    velocityCurve: 1,
+    operators: [
+        { id: 'mod', ratio: 2, modulates: 'carrier', index: [1, 3] },
+        { id: 'carrier', wave: 'triangle' }
+    ],
+    envelope: { points: [[0, 0], [0.01, 1], [1, 0]] }
+};
+
+describe('SynthPatch', () => {
+    let context;
+    let destination;
+
+    beforeEach(() => {
+        context = new FakeContext();
+        destination = new FakeNode('destination');
+    });
+
+    /**
+     * Play a note at A4 from time 1
+     */
+    function play(definition, velocity = 127) {
+        return new SynthPatch(definition).play(context, destination, {
+            frequency: 440,
+            velocity,
+            startTime: 1,
+            random: () => 0.5
+        });
+    }
+
+    describe('Validation', () => {
+        it('should fill in defaults', () => {
+            const patch = new SynthPatch({ name: 'simple', operators: [{}] });
+
+            expect(patch.label).toBe('simple');
+            expect(patch.operators[0]).toMatchObject({ id: 'op0', wave: 'sine', ratio: 1, level: 1, modulates: null });
+            expect(patch.getDuration()).toBeNull();
+            expect(patch.getRelease()).toBe(0.05);
+        });
+
+        it.each([
+            [{ operators: [{}] }, /missing name/],
+            [{ name: 'x', operators: [] }, /at least one operator/],
+            [{ name: 'x', operators: [{ wave: 'pulse' }] }, /wave must be one of/],
+            [{ name: 'x', operators: [{ level: 'loud' }] }, /level must be a number/],
+            [{ name: 'x', operators: [{ id: 'a' }, { id: 'a' }] }, /duplicate operator id/],
+            [{ name: 'x', operators: [{ modulates: 'nope' }, {}] }, /unknown operator "nope"/],
+            [{ name: 'x', operators: [{ id: 'a', modulates: 'b' }, { id: 'b', modulates: 'a' }, {}] }, /modulation loop/],
+            [{ name: 'x', operators: [{ id: 'a', modulates: 'b' }, { id: 'b', wave: 'noise' }] }, /can't modulate noise/],
+            [{ name: 'x', operators: [{ id: 'a', modulates: 'b' }, { id: 'b', modulates: 'c' }, { id: 'c', modulates: 'b' }] }, /modulation loop/],
+            [{ name: 'x', operators: [{}], filter: { type: 'comb' } }, /filter.type must be one of/],
+            [{ name: 'x', operators: [{}], envelope: { points: [[0.1, 1]] } }, /must start at 0 seconds/],
+            [{ name: 'x', operators: [{}], envelope: { points: [[0, 0], [1, 1], [0.5, 0]] } }, /time order/]
+        ])('should reject %j', (definition, message) => {
+            expect(() => new SynthPatch(definition)).toThrow(message);
+        });
+    });
+
+    describe('Playing', () => {
+        it('should wire FM modulators into their carrier frequency', () => {
+            const { sources, gainNode } = play(fmPatch);
+            const [modulator, carrier] = sources;
+
+            expect(modulator.frequency.value).toBe(880);
+            expect(carrier.frequency.value).toBe(440);
+            expect(carrier.type).toBe('triangle');
+
+            // Modulator → depth gain (index 3 at full velocity × 880 Hz) → carrier frequency
+            const depth = modulator.connections[0];
+            expect(depth.gain.events).toEqual([['set', 2640, 1]]);
+            expect(depth.connections).toEqual([carrier.frequency]);
+
+            // Carrier → operator level → amplitude → destination
+            expect(carrier.connections[0].connections).toEqual([gainNode]);
+            expect(gainNode.connections).toEqual([destination]);
+        });
+
+        it('should scale the modulation index and level by velocity', () => {
+            const { sources, gainNode } = play(fmPatch, 0);
+
+            expect(sources[0].connections[0].gain.events[0][1]).toBe(880); // index 1
+            expect(gainNode.gain.events[0][1]).toBe(0);
+        });
+
+        it('should shape the amplitude with a breakpoint envelope and end the note', () => {
+            const { sources, gainNode } = play(fmPatch);
+
+            expect(gainNode.gain.events).toEqual([
+                ['set', 0, 1],
+                ['linear', 0.5, 1.01],
+                ['exponential', SynthPatch.SILENCE, 2]
+            ]);
+            sources.forEach(source => {
+                expect(source.startTime).toBe(1);
+                expect(source.stopTime).toBe(2);
+            });
+        });
+
+        it('should hold an ADSR envelope at its sustain level until note off', () => {
+            const { sources, gainNode } = play({
+                name: 'pad',
+                level: 1,
+                velocityCurve: 1,
+                operators: [{}],
+                envelope: { attack: 0.5, decay: 1, sustain: 0.25, release: 2 }
+            });
+
+            expect(gainNode.gain.events).toEqual([
+                ['set', 0, 1],
+                ['linear', 1, 1.5],
+                ['exponential', 0.25, 2.5]
+            ]);
+            expect(sources[0].stopTime).toBeUndefined();
+        });
+
+        it('should key-track filter cutoffs unless told not to', () => {
+            play({ ...fmPatch, filter: { type: 'lowpass', cutoff: 4, q: 2 } });
+            play({ ...fmPatch, filter: { type: 'highpass', cutoff: [1000, 3000], keyTrack: false } }, 0);
+
+            const [tracked, fixed] = context.nodes.filter(node => node.kind === 'filter');
+            expect(tracked.type).toBe('lowpass');
+            expect(tracked.frequency.events).toEqual([['set', 1760, 1]]);
+            expect(tracked.Q.value).toBe(2);
+            expect(fixed.frequency.events).toEqual([['set', 1000, 1]]);
+        });
+
+        it('should play noise operators through their own filter', () => {
+            const { sources } = play({
+                name: 'breath',
+                operators: [{ wave: 'noise', level: 0.1, filter: { type: 'highpass', cutoff: 2 } }]
+            });
+
+            const [noise] = sources;
+            expect(noise.kind).toBe('noise');
+            expect(noise.loop).toBe(true);
+            expect(noise.buffer.getChannelData(0).every(sample => sample === 0)).toBe(true); // random() = 0.5
+
+            const [filter] = noise.connections;
+            expect(filter.type).toBe('highpass');
+            expect(filter.frequency.events).toEqual([['set', 880, 1]]);
+        });
+    });
+});
@@ -0,0 +1,138 @@
+import { describe, it, expect, beforeEach, vi } from 'vitest';
+import { TempoMap } from '../../lib/tempo_map.js';
+
+describe('TempoMap', () => {
+    let map;
+    const ticksPerBar = 24 * 4;
+
+    beforeEach(() => {
+        map = new TempoMap({ ppqn: 24, initialBpm: 120 });
+    });
+
+    describe('Scheduled Changes', () => {
+        it('should return the initial tempo when there are no changes', () => {
+            expect(map.getBPMAt(0)).toBe(120);
+            expect(map.getBPMAt(10000)).toBe(120);
+        });
+
+        it('should jump to a step change at its bar', () => {
+            map.addChange({ bar: 2, bpm: 90 });
+
+            expect(map.getBPMAt(2 * ticksPerBar - 1)).toBe(120);
+            expect(map.getBPMAt(2 * ticksPerBar)).toBe(90);
+        });
+
+        it('should keep changes sorted regardless of insertion order', () => {
+            map.addChange({ bar: 4, bpm: 100 });
+            map.addChange({ bar: 2, bpm: 90 });
+
+            expect(map.getChanges().map(c => c.bpm)).toEqual([90, 100]);
+            expect(map.getBPMAt(3 * ticksPerBar)).toBe(90);
+            expect(map.getBPMAt(4 * ticksPerBar)).toBe(100);
+        });
+
+        it('should reject invalid tempos and ramp types', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            expect(map.addChange({ bar: 1, bpm: 0 })).toBeNull();
+            expect(map.addChange({ bar: 1, bpm: 100, ramp: 'wobble' })).toBeNull();
+            expect(map.getChanges()).toHaveLength(0);
+
+            vi.restoreAllMocks();
+        });
+
+        it('should use a custom bar-to-tick conversion', () => {
+            // 3/4 throughout
+            map = new TempoMap({ ppqn: 24, initialBpm: 120, barToTick: (bar) => bar * 72 });
+            map.addChange({ bar: 2, bpm: 90 });
+
+            expect(map.getChanges()[0].tick).toBe(144);
+        });
+
+        it('should follow bar-to-tick changes made after the changes were added', () => {
+            let ticksPerBarNow = ticksPerBar;
+            map = new TempoMap({ ppqn: 24, initialBpm: 120, barToTick: (bar) => bar * ticksPerBarNow });
+            map.load([{ bar: 8, bpm: 140 }, { tick: 100, bpm: 100 }]);
+
+            ticksPerBarNow = 72; // Meter changed to 3/4
+
+            expect(map.getChanges().map(change => change.tick)).toEqual([100, 576]);
+            expect(map.getBPMAt(575)).toBe(100);
+            expect(map.getBPMAt(576)).toBe(140);
+        });
+    });
+
+    describe('Ramps', () => {
+        it('should interpolate a linear accelerando', () => {
+            map.addChange({ bar: 1, bpm: 160, ramp: 'linear', bars: 2 });
+            const start = ticksPerBar;
+
+            expect(map.getBPMAt(start)).toBe(120);
+            expect(map.getBPMAt(start + ticksPerBar)).toBeCloseTo(140);
+            expect(map.getBPMAt(start + 2 * ticksPerBar)).toBe(160);
+            expect(map.getBPMAt(start + 10 * ticksPerBar)).toBe(160);
+        });
+
+        it('should interpolate an exponential ritardando', () => {
+            map.addChange({ bar: 0, bpm: 60, ramp: 'exponential', beats: 4 });
+
+            // Halfway through a 120 → 60 exponential ramp is 120 / √2
+            expect(map.getBPMAt(48)).toBeCloseTo(120 / Math.SQRT2);
+        });
+
+        it('should start a ramp from the tempo in effect at its start', () => {
+            map.addChange({ bar: 0, bpm: 80, ramp: 'linear', bars: 2 });
+            map.addChange({ bar: 1, bpm: 140, ramp: 'linear', bars: 1 });
+
+            // Second ramp starts mid-way through the first (at 100 BPM)
+            expect(map.getBPMAt(ticksPerBar + ticksPerBar / 2)).toBeCloseTo(120);
+        });
+    });
+
+    describe('Live Changes', () => {
+        it('should hold a live change until the next scheduled change', () => {
+            map.addChange({ bar: 4, bpm: 140 });
+            map.setLive(100, 100);
+
+            expect(map.getBPMAt(99)).toBe(120);
+            expect(map.getBPMAt(200)).toBe(100);
+            expect(map.getBPMAt(4 * ticksPerBar)).toBe(140);
+        });
+
+        it('should replace the previous live change', () => {
+            map.setLive(10, 100, { ramp: 'linear', durationTicks: 24 });
+            map.setLive(20, 90);
+
+            expect(map.getBPMAt(15)).toBe(120);
+            expect(map.getBPMAt(20)).toBe(90);
+        });
+
+        it('should start a live ramp from the tempo the previous one reached', () => {
+            map.setLive(0, 130, { ramp: 'linear', durationTicks: 100 });
+            expect(map.getBPMAt(130)).toBe(130);
+
+            map.setLive(130, 140, { ramp: 'linear', durationTicks: 20 });
+
+            expect(map.getLive().from).toBe(130);
+            expect(map.getBPMAt(130)).toBe(130);
+            expect(map.getBPMAt(140)).toBeCloseTo(135);
+            expect(map.getBPMAt(150)).toBe(140);
+        });
+
+        it('should override a scheduled change at the same tick', () => {
+            map.addChange({ tick: 50, bpm: 140 });
+            map.setLive(50, 100);
+
+            expect(map.getBPMAt(60)).toBe(100);
+        });
+
+        it('should clear live and scheduled changes', () => {
+            map.addChange({ bar: 1, bpm: 140 });
+            map.setLive(10, 100);
+            map.clear();
+
+            expect(map.getBPMAt(1000)).toBe(120);
+            expect(map.getLive()).toBeNull();
+        });
+    });
+});
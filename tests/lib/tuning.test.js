@@ -0,0 +1,156 @@
+import { describe, it, expect } from 'vitest';
+import { Tuning } from '../../lib/tuning.js';
+
+const JUST_MAJOR = `! just_major.scl
+!
+5-limit just intonation
+ 12
+!
+ 16/15
+ 9/8
+ 6/5
+ 5/4
+ 4/3
+ 45/32
+ 3/2
+ 8/5
+ 5/3
+ 9/5
+ 15/8
+ 2/1
+`;
+
+/**
+ * Standard frequency of a MIDI note
+ */
+function standard(note) {
+    return 440 * Math.pow(2, (note - 69) / 12);
+}
+
+describe('Tuning', () => {
+    describe('Scales', () => {
+        it('should play 12-TET at A440 by default', () => {
+            const tuning = Tuning.equal();
+
+            [0, 21, 60, 69, 127].forEach(note => {
+                expect(tuning.getFrequency(note)).toBeCloseTo(standard(note), 6);
+                expect(tuning.getDeviation(note)).toBeCloseTo(0, 6);
+            });
+        });
+
+        it('should read Scala ratios and cents', () => {
+            const { description, cents } = Tuning.parseScala('! comment\nMixed\n 3\n!\n 150.0 cents\n 3/2\n 2\n');
+
+            expect(description).toBe('Mixed');
+            expect(cents[0]).toBe(150);
+            expect(cents[1]).toBeCloseTo(701.955, 3);
+            expect(cents[2]).toBe(1200);
+        });
+
+        it('should reject malformed Scala files', () => {
+            expect(() => Tuning.parseScala('Short\n 3\n 100.0\n')).toThrow(/expected 3 pitches/);
+            expect(() => Tuning.parseScala('Bad\n 1\n three/two\n')).toThrow(/bad ratio/);
+            expect(() => Tuning.fromCents([])).toThrow(/at least one pitch/);
+            expect(() => Tuning.fromCents([100, -50])).toThrow(/period/);
+        });
+
+        it('should keep 12-note scales on their keys with A at 440', () => {
+            const tuning = Tuning.fromScala(JUST_MAJOR);
+
+            expect(tuning.name).toBe('5-limit just intonation');
+            expect(tuning.getFrequency(69)).toBeCloseTo(440, 6);
+            // Pure intervals above C
+            expect(tuning.getFrequency(64) / tuning.getFrequency(60)).toBeCloseTo(5 / 4, 9);
+            expect(tuning.getFrequency(72) / tuning.getFrequency(60)).toBeCloseTo(2, 9);
+        });
+
+        it('should put quarter tones on neighbouring keys', () => {
+            const tuning = Tuning.fromCents(Array.from({ length: 24 }, (_, i) => (i + 1) * 50), { referenceNote: 60, referenceFrequency: standard(60) });
+
+            expect(tuning.getFrequency(61) / tuning.getFrequency(60)).toBeCloseTo(Math.pow(2, 1 / 24), 9);
+            expect(tuning.getFrequency(84)).toBeCloseTo(standard(72), 6);
+            expect(tuning.getDeviation(61)).toBeCloseTo(-50, 6);
+            expect(tuning.getFrequency(36)).toBeCloseTo(standard(48), 6);
+        });
+    });
+
+    describe('Keyboard Mappings', () => {
+        const WHITE_KEYS = `! C major on the white keys, black keys unmapped
+12
+0
+127
+60
+69
+440.0
+7
+0
+x
+1
+x
+2
+3
+x
+4
+x
+5
+x
+6
+`;
+
+        it('should map scale degrees and leave x keys silent', () => {
+            const tuning = Tuning.fromScala('7 steps\n 7\n 171.4\n 342.9\n 514.3\n 685.7\n 857.1\n 1028.6\n 2/1\n', WHITE_KEYS);
+
+            expect(tuning.isMapped(61)).toBe(false);
+            expect(tuning.getFrequency(61)).toBeNull();
+            expect(tuning.getDeviation(61)).toBeNull();
+            expect(tuning.getFrequency(62) / tuning.getFrequency(60)).toBeCloseTo(Math.pow(2, 171.4 / 1200), 9);
+            expect(tuning.getFrequency(72) / tuning.getFrequency(60)).toBeCloseTo(2, 9);
+            expect(tuning.getFrequency(69)).toBeCloseTo(440, 6);
+        });
+
+        it('should leave keys outside the range unmapped', () => {
+            const tuning = Tuning.fromCents([1200], { size: 1, firstNote: 48, lastNote: 72, octaveDegree: 0, degrees: [0] });
+
+            expect(tuning.isMapped(47)).toBe(false);
+            expect(tuning.isMapped(48)).toBe(true);
+            expect(tuning.isMapped(73)).toBe(false);
+        });
+
+        it('should reject invalid mappings', () => {
+            expect(() => Tuning.parseKeyboardMapping('12\n0\n127\n')).toThrow(/7 header lines/);
+            expect(() => Tuning.fromCents([1200], { referenceNote: 200 })).toThrow(/MIDI note/);
+            expect(() => Tuning.fromCents([1200], { size: 2, degrees: [0] })).toThrow(/degree \(or null\)/);
+            expect(() => Tuning.fromCents([1200], { size: 2, degrees: [0, null] })).toThrow(/reference note 69 is unmapped/);
+        });
+    });
+
+    describe('MIDI Tuning Standard', () => {
+        it('should encode key pitches as semitone and 14-bit fraction', () => {
+            const tuning = Tuning.fromCents(Array.from({ length: 24 }, (_, i) => (i + 1) * 50), { referenceNote: 60, referenceFrequency: standard(60) });
+
+            expect(tuning.getMTSData(60)).toEqual([60, 0, 0]);
+            expect(tuning.getMTSData(61)).toEqual([60, 64, 0]); // Half a semitone: 8192
+            expect(Tuning.equal().getMTSData(127)).toEqual([127, 0, 0]);
+        });
+
+        it('should leave unmapped and out of range keys unchanged', () => {
+            const octaveUp = Tuning.fromCents(Array.from({ length: 12 }, (_, i) => (i + 1) * 100), { referenceFrequency: 880 });
+            const range = Tuning.fromCents([1200], { size: 1, firstNote: 48, octaveDegree: 0, degrees: [0] });
+
+            expect(octaveUp.getMTSData(115)).toEqual([127, 0, 0]);
+            expect(octaveUp.getMTSData(116)).toEqual([0x7F, 0x7F, 0x7F]);
+            expect(range.getMTSData(0)).toEqual([0x7F, 0x7F, 0x7F]);
+        });
+
+        it('should retune every key in Single Note Tuning Change messages', () => {
+            const messages = Tuning.equal().toMTSMessages({ deviceId: 0x10, program: 3 });
+
+            expect(messages.length).toBe(128 / Tuning.MTS_NOTES_PER_MESSAGE);
+            expect(messages[0].slice(0, 7)).toEqual([0xF0, 0x7F, 0x10, 0x08, 0x02, 3, 64]);
+            expect(messages[0].slice(7, 11)).toEqual([0, 0, 0, 0]);
+            expect(messages[1].slice(7, 11)).toEqual([64, 64, 0, 0]);
+            expect(messages[1].at(-1)).toBe(0xF7);
+            expect(messages[1].length).toBe(7 + 64 * 4 + 1);
+        });
+    });
+});
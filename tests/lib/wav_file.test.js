@@ -0,0 +1,67 @@
+import { describe, it, expect } from 'vitest';
+import { writeWavFile, floatToInt16 } from '../../lib/wav_file.js';
+
+/**
+ * Build an AudioBuffer-like object from per-channel sample arrays
+ */
+function fakeBuffer(channels, sampleRate = 44100) {
+    const data = channels.map(samples => Float32Array.from(samples));
+    return {
+        numberOfChannels: data.length,
+        sampleRate,
+        length: data[0].length,
+        getChannelData: (c) => data[c]
+    };
+}
+
+const text = (bytes, offset) => String.fromCharCode(...bytes.slice(offset, offset + 4));
+
+describe('WAV file writer', () => {
+    it('should write a RIFF/WAVE header for 16-bit PCM', () => {
+        const bytes = writeWavFile(fakeBuffer([[0, 0, 0], [0, 0, 0]], 48000));
+        const view = new DataView(bytes.buffer);
+
+        expect(text(bytes, 0)).toBe('RIFF');
+        expect(view.getUint32(4, true)).toBe(bytes.length - 8);
+        expect(text(bytes, 8)).toBe('WAVE');
+        expect(text(bytes, 12)).toBe('fmt ');
+        expect(view.getUint16(20, true)).toBe(1);        // PCM
+        expect(view.getUint16(22, true)).toBe(2);        // Channels
+        expect(view.getUint32(24, true)).toBe(48000);    // Sample rate
+        expect(view.getUint32(28, true)).toBe(48000 * 4); // Byte rate
+        expect(view.getUint16(32, true)).toBe(4);        // Block align
+        expect(view.getUint16(34, true)).toBe(16);       // Bits per sample
+        expect(text(bytes, 36)).toBe('data');
+        expect(view.getUint32(40, true)).toBe(3 * 4);
+    });
+
+    it('should interleave channels', () => {
+        const bytes = writeWavFile(fakeBuffer([[0.5, -0.5], [1, -1]]));
+        const view = new DataView(bytes.buffer);
+
+        expect(view.getInt16(44, true)).toBe(floatToInt16(0.5));
+        expect(view.getInt16(46, true)).toBe(32767);
+        expect(view.getInt16(48, true)).toBe(floatToInt16(-0.5));
+        expect(view.getInt16(50, true)).toBe(-32768);
+    });
+
+    it('should clamp samples outside -1..1', () => {
+        expect(floatToInt16(2)).toBe(32767);
+        expect(floatToInt16(-2)).toBe(-32768);
+        expect(floatToInt16(0)).toBe(0);
+    });
+
+    it('should trim to the requested length', () => {
+        const bytes = writeWavFile(fakeBuffer([[0.1, 0.2, 0.3, 0.4]]), { length: 2 });
+        const view = new DataView(bytes.buffer);
+
+        expect(view.getUint32(40, true)).toBe(4);
+        expect(bytes.length).toBe(44 + 4);
+    });
+
+    it('should never write past the end of the buffer', () => {
+        const bytes = writeWavFile(fakeBuffer([[0.1, 0.2]]), { length: 10 });
+
+        expect(bytes.length).toBe(44 + 4);
+    });
+});
@@ -0,0 +1,618 @@
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { webAudioSynth, WebAudioSynth } from '../../lib/web_audio_synth.js';
+import { PubSub } from '../../lib/pubsub.js';
+import { Tuning } from '../../lib/tuning.js';
+
+describe('WebAudioSynth', () => {
+    const output = { kind: 'channel-strip' };
+
+    describe('Channel Voices', () => {
+        const voiceMethods = {
+            'glockenspiel': 'playFMGlockenspiel',
+            'flute': 'playFMFlute',
+            'xylophone': 'playFMXylophone',
+            'bell': 'playFMBell',
+            'plucked-string': 'playPluckedString',
+            'synth': 'playDefault'
+        };
+
+        beforeEach(() => {
+            webAudioSynth.initialized = true;
+            vi.spyOn(webAudioSynth, 'resume').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 0);
+            vi.spyOn(webAudioSynth, 'getChannelOutput').mockImplementation(() => output);
+            vi.spyOn(webAudioSynth, 'playDrumSound').mockImplementation(() => {});
+            Object.values(voiceMethods).forEach(method => {
+                vi.spyOn(webAudioSynth, method).mockImplementation(() => {});
+            });
+        });
+
+        afterEach(() => {
+            webAudioSynth.initialized = false;
+            webAudioSynth.channelVoices.clear();
+            vi.restoreAllMocks();
+        });
+
+        it('should default to glockenspiel, plucked string, drums and synth', () => {
+            expect(webAudioSynth.getChannelVoice(0)).toBe('glockenspiel');
+            expect(webAudioSynth.getChannelVoice(1)).toBe('plucked-string');
+            expect(webAudioSynth.getChannelVoice(4)).toBe('synth');
+            expect(webAudioSynth.getChannelVoice(9)).toBe('drums');
+        });
+
+        it('should play each channel with its voice', () => {
+            Object.entries(voiceMethods).forEach(([voice, method]) => {
+                webAudioSynth.setChannelVoice(4, voice);
+                webAudioSynth.playNote(4, 60, 100, 1);
+
+                expect(webAudioSynth[method]).toHaveBeenCalledWith('4-60', 60, 100, 1, output);
+            });
+        });
+
+        it('should play drums on any channel given the drums voice', () => {
+            webAudioSynth.setChannelVoice(2, 'drums');
+            webAudioSynth.playNote(2, 36, 100, 1);
+
+            expect(webAudioSynth.playDrumSound).toHaveBeenCalledWith(36, 100, 1, output);
+        });
+
+        it('should give channel 9 a pitched voice', () => {
+            webAudioSynth.setChannelVoice(9, 'bell');
+            webAudioSynth.playNote(9, 72, 100, 1);
+
+            expect(webAudioSynth.playFMBell).toHaveBeenCalled();
+            expect(webAudioSynth.playDrumSound).not.toHaveBeenCalled();
+        });
+
+        it('should give a channel its default voice back', () => {
+            webAudioSynth.setChannelVoice(9, 'bell');
+            webAudioSynth.setChannelVoice(9, null);
+
+            expect(webAudioSynth.getChannelVoice(9)).toBe('drums');
+        });
+
+        it('should play drum kit samples and synthesize the rest', () => {
+            webAudioSynth.playDrumSound.mockRestore();
+            vi.spyOn(webAudioSynth, 'playSample').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'playKick').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'playSnare').mockImplementation(() => {});
+            const sample = { kind: 'buffer' };
+            webAudioSynth.drumKit = {
+                select: (note) => note === 38 ? sample : null,
+                getGain: () => 0.4
+            };
+
+            webAudioSynth.playDrumSound(38, 100, 1, output);
+            webAudioSynth.playDrumSound(36, 100, 1, output);
+
+            expect(webAudioSynth.playSample).toHaveBeenCalledWith(sample, 1, 0.4, output);
+            expect(webAudioSynth.playSnare).not.toHaveBeenCalled();
+            expect(webAudioSynth.playKick).toHaveBeenCalledTimes(1);
+
+            webAudioSynth.drumKit = null;
+        });
+
+        it('should reject unknown voices', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            webAudioSynth.setChannelVoice(0, 'theremin');
+
+            expect(webAudioSynth.getChannelVoice(0)).toBe('glockenspiel');
+        });
+
+        it('should offer every voice it can play', () => {
+            expect(Object.keys(WebAudioSynth.VOICES).sort()).toEqual([...Object.keys(voiceMethods), 'drums'].sort());
+        });
+    });
+
+    describe('Patches', () => {
+        const patch = { name: 'test-pad', label: 'Test Pad', operators: [{ wave: 'sawtooth' }] };
+
+        beforeEach(() => {
+            webAudioSynth.initialized = true;
+            vi.spyOn(webAudioSynth, 'resume').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 0);
+            vi.spyOn(webAudioSynth, 'getChannelOutput').mockImplementation(() => output);
+            vi.spyOn(webAudioSynth, 'playPatch').mockImplementation(() => {});
+        });
+
+        afterEach(() => {
+            webAudioSynth.initialized = false;
+            webAudioSynth.channelVoices.clear();
+            webAudioSynth.patches.clear();
+            vi.restoreAllMocks();
+        });
+
+        it('should offer registered patches as voices', () => {
+            webAudioSynth.registerPatch(patch);
+
+            expect(webAudioSynth.getVoices()['test-pad']).toBe('Test Pad');
+
+            webAudioSynth.setChannelVoice(3, 'test-pad');
+            webAudioSynth.playNote(3, 60, 90, 1);
+
+            expect(webAudioSynth.playPatch).toHaveBeenCalledWith(webAudioSynth.patches.get('test-pad'), '3-60', 60, 90, 1, output);
+        });
+
+        it('should reject invalid patches and built-in voice names', () => {
+            expect(() => webAudioSynth.registerPatch({ name: 'broken', operators: [] })).toThrow(/at least one operator/);
+            expect(() => webAudioSynth.registerPatch({ ...patch, name: 'flute' })).toThrow(/built-in voice/);
+            expect(webAudioSynth.patches.size).toBe(0);
+        });
+
+        it('should load patches from a URL', async () => {
+            vi.stubGlobal('fetch', vi.fn(async () => ({ ok: true, json: async () => patch })));
+
+            const loaded = await webAudioSynth.loadPatch('patches/test_pad.json');
+
+            expect(fetch).toHaveBeenCalledWith('patches/test_pad.json');
+            expect(loaded.name).toBe('test-pad');
+            expect(webAudioSynth.patches.has('test-pad')).toBe(true);
+
+            vi.unstubAllGlobals();
+        });
+    });
+
+    describe('Polyphony', () => {
+        let synth;
+        let time;
+
+        /**
+         * Play a note at the next audio clock step
+         */
+        function play(channel, note, velocity = 100) {
+            time += 1;
+            synth.playNote(channel, note, velocity);
+        }
+
+        /**
+         * Sounding voices as "channel-note" keys
+         */
+        function sounding() {
+            return synth.getActiveNotes().map(({ channel, note }) => `${channel}-${note}`);
+        }
+
+        beforeEach(() => {
+            time = 0;
+            synth = new WebAudioSynth();
+            synth.initialized = true;
+            vi.spyOn(synth, 'resume').mockImplementation(() => {});
+            vi.spyOn(synth, 'getCurrentTime').mockImplementation(() => time);
+            vi.spyOn(synth, 'getChannelOutput').mockImplementation(() => output);
+            vi.spyOn(synth, 'playDefault').mockImplementation((key) => {
+                synth.activeOscillators.set(key, {
+                    oscillator: { stop: vi.fn() },
+                    gainNode: { gain: { cancelAndHoldAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() } },
+                    timestamp: 0
+                });
+            });
+            synth.setChannelVoice(2, 'synth');
+            synth.setChannelVoice(3, 'synth');
+        });
+
+        it('should steal the oldest voice on a full channel', () => {
+            synth.setChannelPolyphony(2, 2);
+            play(2, 60);
+            const oldest = synth.activeOscillators.get('2-60');
+            play(2, 64);
+            play(2, 67);
+
+            expect(sounding()).toEqual(['2-64', '2-67']);
+            expect(oldest.gainNode.gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(0.001, 3 + WebAudioSynth.STEAL_RELEASE);
+            expect(oldest.oscillator.stop).toHaveBeenCalledWith(3 + WebAudioSynth.STEAL_RELEASE);
+        });
+
+        it('should only count the channel against its own limit', () => {
+            synth.setChannelPolyphony(2, 1);
+            play(2, 60);
+            play(3, 62);
+            play(3, 64);
+
+            expect(sounding()).toEqual(['2-60', '3-62', '3-64']);
+        });
+
+        it('should steal across channels at the global limit', () => {
+            synth.setPolyphony({ global: 2 });
+            play(2, 60);
+            play(3, 62);
+            play(3, 64);
+
+            expect(sounding()).toEqual(['3-62', '3-64']);
+            expect(synth.getVoiceStats().lastSteal).toEqual({
+                channel: 2, note: 60, for: { channel: 3, note: 64 }, limit: 'global', time: 3
+            });
+        });
+
+        it('should steal the quietest voice', () => {
+            synth.setPolyphony({ channel: 3, strategy: 'quietest' });
+            play(2, 60, 100);
+            play(2, 62, 30);
+            play(2, 64, 90);
+            play(2, 65, 110);
+
+            expect(sounding()).toEqual(['2-60', '2-64', '2-65']);
+        });
+
+        it('should steal a voice on the same pitch first', () => {
+            synth.setPolyphony({ global: 2, strategy: 'same-note' });
+            play(2, 60);
+            play(3, 64);
+            play(2, 64);
+
+            expect(sounding()).toEqual(['2-60', '2-64']);
+
+            play(3, 67); // No voice on 67: oldest
+            expect(sounding()).toEqual(['2-64', '3-67']);
+        });
+
+        it('should report voices and steals', () => {
+            synth.setChannelPolyphony(2, 1);
+            play(2, 60, 80);
+            play(2, 62, 90);
+            play(3, 64, 70);
+
+            const notes = synth.getActiveNotes();
+            const stats = synth.getVoiceStats();
+            expect(notes.length).toBe(2);
+            expect(notes[0]).toEqual({ channel: 2, note: 62, velocity: 90, startTime: 2, timestamp: 0 });
+            expect(stats.active).toBe(2);
+            expect(stats.byChannel.slice(2, 4)).toEqual([1, 1]);
+            expect(stats.peak).toBe(2);
+            expect(stats.stolen).toBe(1);
+            expect(stats.stolenByChannel[2]).toBe(1);
+        });
+
+        describe('Drum hits', () => {
+            let hits;
+
+            beforeEach(() => {
+                hits = [];
+                vi.spyOn(synth, 'playDrumSound').mockImplementation((note, velocity, startTime) => {
+                    const hit = {
+                        sources: [{ stop: vi.fn() }],
+                        gains: [{ gain: { cancelAndHoldAtTime: vi.fn(), exponentialRampToValueAtTime: vi.fn() } }],
+                        endTime: startTime + 2.5
+                    };
+                    hits.push(hit);
+                    return hit;
+                });
+            });
+
+            it('should count and steal drum hits while they ring', () => {
+                synth.setChannelPolyphony(9, 2);
+                play(9, 36);
+                play(9, 42);
+                play(9, 38);
+
+                expect(hits[0].sources[0].stop).toHaveBeenCalledWith(3 + WebAudioSynth.STEAL_RELEASE);
+                expect(hits[0].gains[0].gain.exponentialRampToValueAtTime).toHaveBeenCalledWith(0.001, 3 + WebAudioSynth.STEAL_RELEASE);
+                expect(hits[1].sources[0].stop).not.toHaveBeenCalled();
+                expect(synth.getVoiceStats().byChannel[9]).toBe(2);
+                expect(synth.getVoiceStats().stolenByChannel[9]).toBe(1);
+            });
+
+            it('should stop counting hits that have rung out', () => {
+                synth.setChannelPolyphony(9, 2);
+                play(9, 36);
+                play(9, 42);
+                time += 1;
+                play(9, 38); // The first hit ended at 3.5
+
+                expect(synth.getVoiceStats().stolen).toBe(0);
+                expect(synth.getVoiceStats().active).toBe(2);
+            });
+
+            it('should count hits against the global limit', () => {
+                synth.setPolyphony({ global: 2 });
+                play(9, 36);
+                play(2, 60);
+                play(3, 64);
+
+                expect(hits[0].sources[0].stop).toHaveBeenCalledWith(3 + WebAudioSynth.STEAL_RELEASE);
+                expect(sounding()).toEqual(['2-60', '3-64']);
+                expect(synth.getVoiceStats().lastSteal).toMatchObject({ channel: 9, note: 36, limit: 'global' });
+            });
+        });
+
+        it('should reject invalid settings', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            synth.setPolyphony({ global: 0 });
+            synth.setPolyphony({ strategy: 'loudest' });
+            synth.setChannelPolyphony(2, 1.5);
+
+            expect(synth.polyphony).toEqual({ global: 64, channel: 16, strategy: 'oldest' });
+            expect(synth.getChannelPolyphony(2)).toBe(16);
+            expect(console.error).toHaveBeenCalledTimes(3);
+        });
+    });
+
+    describe('Tuning', () => {
+        const quarterTones = Tuning.fromCents(Array.from({ length: 24 }, (_, i) => (i + 1) * 50), { referenceNote: 60, referenceFrequency: 261.6255653005986 });
+
+        beforeEach(() => {
+            webAudioSynth.initialized = true;
+            vi.spyOn(webAudioSynth, 'resume').mockImplementation(() => {});
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 0);
+            vi.spyOn(webAudioSynth, 'getChannelOutput').mockImplementation(() => output);
+            vi.spyOn(webAudioSynth, 'playDefault').mockImplementation(() => {});
+            webAudioSynth.setChannelVoice(4, 'synth');
+        });
+
+        afterEach(() => {
+            webAudioSynth.setTuning(null);
+            webAudioSynth.initialized = false;
+            webAudioSynth.channelVoices.clear();
+            vi.restoreAllMocks();
+        });
+
+        it('should play 12-TET at A440 without a tuning', () => {
+            expect(webAudioSynth.midiNoteToFrequency(69)).toBe(440);
+            expect(webAudioSynth.midiNoteToFrequency(61)).toBeCloseTo(277.183, 3);
+        });
+
+        it('should take pitches from the tuning', () => {
+            webAudioSynth.setTuning(quarterTones);
+
+            expect(webAudioSynth.midiNoteToFrequency(61)).toBeCloseTo(261.6256 * Math.pow(2, 1 / 24), 3);
+            expect(webAudioSynth.midiNoteToFrequency(84)).toBeCloseTo(523.251, 3);
+        });
+
+        it('should keep unmapped keys silent', () => {
+            webAudioSynth.setTuning(Tuning.fromCents([1200], { size: 2, referenceNote: 60, referenceFrequency: 261.6, degrees: [0, null] }));
+
+            webAudioSynth.playNote(4, 61, 100, 1);
+            webAudioSynth.playNote(4, 62, 100, 1);
+
+            expect(webAudioSynth.playDefault).toHaveBeenCalledTimes(1);
+            expect(webAudioSynth.playDefault).toHaveBeenCalledWith('4-62', 62, 100, 1, output);
+        });
+
+        it('should load Scala files', async () => {
+            const files = {
+                'tunings/quarter.scl': 'Quarter\n 1\n 50.0\n',
+                'tunings/quarter.kbm': '0\n0\n127\n60\n60\n261.6\n0\n'
+            };
+            vi.stubGlobal('fetch', vi.fn(async (url) => ({ ok: true, text: async () => files[url] })));
+
+            const tuning = await webAudioSynth.loadTuning('tunings/quarter.scl', 'tunings/quarter.kbm');
+
+            expect(tuning.name).toBe('Quarter');
+            expect(webAudioSynth.tuning).toBe(tuning);
+            expect(webAudioSynth.midiNoteToFrequency(62)).toBeCloseTo(261.6 * Math.pow(2, 100 / 1200), 6);
+
+            vi.unstubAllGlobals();
+        });
+
+        it('should reject anything but a Tuning', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            webAudioSynth.setTuning({ cents: [1200] });
+
+            expect(webAudioSynth.tuning).toBeNull();
+            expect(console.error).toHaveBeenCalled();
+        });
+    });
+
+    describe('Pitch Bend', () => {
+        let synth;
+        let time;
+
+        /**
+         * Detune param stand-in
+         */
+        function fakeDetune(value = 0) {
+            return { value, events: [], setTargetAtTime(v, t) { this.events.push(['target', v, t]); }, setValueAtTime(v, t) { this.events.push(['set', v, t]); } };
+        }
+
+        beforeEach(() => {
+            time = 1;
+            synth = new WebAudioSynth();
+            synth.initialized = true;
+            vi.spyOn(synth, 'resume').mockImplementation(() => {});
+            vi.spyOn(synth, 'getCurrentTime').mockImplementation(() => time);
+            vi.spyOn(synth, 'getChannelOutput').mockImplementation(() => output);
+            vi.spyOn(synth, 'playDefault').mockImplementation((key) => {
+                synth.activeOscillators.set(key, {
+                    oscillator: { frequency: {}, detune: fakeDetune() },
+                    sources: [{ frequency: {}, detune: fakeDetune(-7) }, { playbackRate: {}, detune: fakeDetune() }],
+                    timestamp: 0
+                });
+            });
+            synth.setChannelVoice(4, 'synth');
+        });
+
+        it('should detune sounding oscillators on the channel', () => {
+            synth.playNote(4, 60);
+            const voice = synth.activeOscillators.get('4-60');
+
+            synth.setPitchBend(4, 0.5, 2);
+
+            expect(voice.oscillator.detune.events).toEqual([['target', 100, 2]]);
+            expect(voice.sources[0].detune.events).toEqual([['target', 93, 2]]); // Keeps its own detune
+            expect(voice.sources[1].detune.events).toEqual([]); // Noise isn't bent
+        });
+
+        it('should start notes at the channel bend', () => {
+            synth.setPitchBendRange(4, 12);
+            synth.setPitchBend(4, -1);
+            synth.setPitchBend(5, 1);
+
+            synth.playNote(4, 60);
+
+            expect(synth.activeOscillators.get('4-60').oscillator.detune.events).toEqual([['set', -1200, 1]]);
+        });
+
+        it('should leave other channels alone', () => {
+            synth.playNote(4, 60);
+
+            synth.setPitchBend(5, 1);
+
+            expect(synth.activeOscillators.get('4-60').oscillator.detune.events).toEqual([]);
+        });
+
+        it('should bend one note on top of the channel bend', () => {
+            synth.playNote(4, 60);
+            synth.playNote(4, 64);
+            synth.setPitchBend(4, 0.5);
+
+            synth.setNoteBend(4, 60, -300, 2);
+            synth.setPitchBend(4, 0, 3);
+
+            const bent = synth.activeOscillators.get('4-60').oscillator.detune.events;
+            expect(bent).toEqual([['target', 100, 1], ['target', -200, 2], ['target', -300, 3]]);
+            expect(synth.activeOscillators.get('4-64').oscillator.detune.events).toEqual([['target', 100, 1], ['target', 0, 3]]);
+        });
+
+        it('should start a note bend exactly at its time when asked', () => {
+            synth.playNote(4, 60);
+
+            synth.setNoteBend(4, 60, -400, 2, { immediate: true });
+            synth.setNoteBend(4, 60, 0, 2.04);
+
+            expect(synth.activeOscillators.get('4-60').oscillator.detune.events).toEqual([['set', -400, 2], ['target', 0, 2.04]]);
+        });
+
+        it('should reject invalid bends', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            synth.setPitchBend(4, 2);
+            synth.setPitchBendRange(4, 48);
+
+            expect(synth.getBendCents(4)).toBe(0);
+            expect(console.error).toHaveBeenCalledTimes(2);
+        });
+    });
+
+    describe('Channel Strips', () => {
+        /**
+         * Audio node stand-in that records connections and automation
+         */
+        function fakeNode(params = {}) {
+            return { connections: [], connect(node) { this.connections.push(node); }, ...params };
+        }
+
+        /**
+         * Audio param stand-in
+         */
+        function fakeParam() {
+            return { value: 0, events: [], setTargetAtTime(value, time) { this.events.push([value, time]); } };
+        }
+
+        let masterGain;
+
+        beforeEach(() => {
+            masterGain = fakeNode();
+            webAudioSynth.masterGain = masterGain;
+            webAudioSynth.audioContext = {
+                currentTime: 2,
+                createGain: () => fakeNode({ gain: fakeParam() }),
+                createStereoPanner: () => fakeNode({ pan: fakeParam() }),
+                createAnalyser: () => fakeNode({
+                    fftSize: 0,
+                    getFloatTimeDomainData(samples) { samples.set([0.1, -0.6, 0.3]); }
+                })
+            };
+        });
+
+        afterEach(() => {
+            webAudioSynth.audioContext = null;
+            webAudioSynth.masterGain = null;
+            webAudioSynth.channelStrips.clear();
+            webAudioSynth.stripSettings.clear();
+        });
+
+        it('should create a strip per channel on first use', () => {
+            webAudioSynth.setChannelStrip(3, { gain: 0.5, pan: -0.25 });
+
+            const input = webAudioSynth.getChannelOutput(3);
+            const { panner, analyser } = webAudioSynth.channelStrips.get(3);
+
+            expect(webAudioSynth.getChannelOutput(3)).toBe(input);
+            expect(input.gain.value).toBe(0.5);
+            expect(panner.pan.value).toBe(-0.25);
+            expect(input.connections).toEqual([panner]);
+            expect(panner.connections).toEqual([masterGain, analyser]);
+        });
+
+        it('should glide existing strips to new settings', () => {
+            const input = webAudioSynth.getChannelOutput(0);
+
+            webAudioSynth.setChannelStrip(0, { gain: 0, pan: 1 });
+
+            expect(input.gain.events).toEqual([[0, 2]]);
+            expect(webAudioSynth.channelStrips.get(0).panner.pan.events).toEqual([[1, 2]]);
+        });
+
+        it('should send each strip to the effects bus', () => {
+            const reverbInput = fakeNode();
+            const delayInput = fakeNode();
+            webAudioSynth.effects = { getSendInput: (effect) => effect === 'reverb' ? reverbInput : delayInput };
+            webAudioSynth.setChannelSend(2, 'delay', 0.5);
+
+            webAudioSynth.getChannelOutput(2);
+            const { panner, sends } = webAudioSynth.channelStrips.get(2);
+
+            expect(sends.reverb.gain.value).toBe(0.2);
+            expect(sends.delay.gain.value).toBe(0.5);
+            expect(panner.connections).toContain(sends.reverb);
+            expect(sends.reverb.connections).toEqual([reverbInput]);
+            expect(sends.delay.connections).toEqual([delayInput]);
+
+            webAudioSynth.setChannelSend(2, 'reverb', 0);
+            expect(sends.reverb.gain.events).toEqual([[0, 2]]);
+            expect(webAudioSynth.getChannelSends(2)).toEqual({ reverb: 0, delay: 0.5 });
+
+            webAudioSynth.effects = null;
+            webAudioSynth.sendSettings.clear();
+        });
+
+        it('should meter the peak level', () => {
+            expect(webAudioSynth.getChannelLevel(5)).toBe(0);
+
+            webAudioSynth.getChannelOutput(5);
+            expect(webAudioSynth.getChannelLevel(5)).toBeCloseTo(0.6);
+        });
+    });
+
+    describe('Effects', () => {
+        let effects;
+
+        beforeEach(() => {
+            effects = { set: vi.fn(), setTempo: vi.fn() };
+            webAudioSynth.effects = effects;
+            vi.spyOn(webAudioSynth, 'getCurrentTime').mockImplementation(() => 1);
+        });
+
+        afterEach(() => {
+            webAudioSynth.effects = null;
+            webAudioSynth.effectSettings.reverbWet = 0.3;
+            vi.restoreAllMocks();
+        });
+
+        it('should change effect settings in any context', () => {
+            webAudioSynth.setEffect('reverbWet', 0.9);
+
+            expect(webAudioSynth.getEffect('reverbWet')).toBe(0.9);
+            expect(effects.set).toHaveBeenCalledWith('reverbWet', 0.9, 1);
+        });
+
+        it('should reject invalid settings', () => {
+            vi.spyOn(console, 'error').mockImplementation(() => {});
+
+            webAudioSynth.setEffect('reverbWet', 2);
+
+            expect(webAudioSynth.getEffect('reverbWet')).toBe(0.3);
+            expect(effects.set).not.toHaveBeenCalled();
+        });
+
+        it('should follow the clock tempo', () => {
+            PubSub.publish('clock:tick', { tick: 0, bpm: 93 });
+            PubSub.publish('clock:tick', { tick: 1, bpm: 93 });
+
+            expect(webAudioSynth.bpm).toBe(93);
+            expect(effects.setTempo).toHaveBeenCalledTimes(1);
+            expect(effects.setTempo).toHaveBeenCalledWith(93, 1);
+        });
+    });
+});
@@ -1,6 +1,7 @@
 import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
 import { WhipBinding } from '../../lib/whip_binding.js';
 import { PubSub } from '../../lib/pubsub.js';
+import { random } from '../../lib/random.js';
 
 describe('WhipBinding', () => {
     let binding;
@@ -61,6 +62,14 @@ describe('WhipBinding', () => {
             expect(binding.id).not.toBe(binding2.id);
         });
 
+        it('should give the same ID for the same seed', () => {
+            random.setSeed(7);
+            const id = new WhipBinding({}).id;
+            random.setSeed(7);
+
+            expect(new WhipBinding({}).id).toBe(id);
+        });
+
         it('should default to enabled=true', () => {
             const binding2 = new WhipBinding({
                 sourcePlayheadId: 'playhead-2',